@@ -0,0 +1,238 @@
+/**
+ * 前端错误存储 - 以JSONL格式追加记录前端上报的错误，并按错误消息汇总
+ * 用于了解真实用户遇到的错误及其浏览器分布
+ */
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const crypto = require("crypto");
+const { logger } = require("./logger");
+const { UpstreamError } = require("./errors");
+
+// 错误来源、会话ID、请求ID只允许字母、数字、下划线和连字符
+const IDENTIFIER_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * 截断字符串
+ * @param {any} value - 字段值
+ * @param {number} maxLength - 最大长度
+ * @returns {string|null} 非字符串时返回null
+ */
+function truncate(value, maxLength) {
+  if (typeof value !== "string") return null;
+  return value.length > maxLength ? `${value.slice(0, maxLength)}…` : value;
+}
+
+/**
+ * 读取标识符字段
+ * @param {any} value - 字段值
+ * @returns {string|null} 不合法时返回null
+ */
+function readIdentifier(value) {
+  return typeof value === "string" && IDENTIFIER_PATTERN.test(value) ? value : null;
+}
+
+/**
+ * 读取浏览器信息中的基本字段，忽略其余内容
+ * @param {any} browser - BrowserCompatibility.getBrowserInfo() 的返回值
+ * @returns {Object|null}
+ */
+function readBrowserInfo(browser) {
+  if (!browser || typeof browser !== "object") return null;
+
+  const info = {};
+  for (const key of ["name", "version", "engine", "isMobile", "isTablet", "isDesktop"]) {
+    const value = browser[key];
+    if (typeof value === "string") {
+      info[key] = truncate(value, 64);
+    } else if (typeof value === "number" || typeof value === "boolean") {
+      info[key] = value;
+    }
+  }
+  return info;
+}
+
+class ClientErrorStore {
+  /**
+   * @param {Object} options - 存储配置
+   * @param {string} options.file - JSONL文件路径
+   * @param {number} options.maxBatch - 单次上报的最大错误条数
+   * @param {number} options.maxMessageLength - 错误消息最大长度，超出截断
+   * @param {number} options.maxStackLength - 错误堆栈最大长度，超出截断
+   */
+  constructor({ file, maxBatch, maxMessageLength, maxStackLength }) {
+    this.file = file;
+    this.maxBatch = maxBatch;
+    this.maxMessageLength = maxMessageLength;
+    this.maxStackLength = maxStackLength;
+    this.stream = null;
+  }
+
+  /**
+   * 创建存储目录并打开追加写入流
+   */
+  init() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.stream = fs.createWriteStream(this.file, { flags: "a" });
+    this.stream.on("error", (error) => {
+      logger.error("前端错误写入失败", { error });
+    });
+  }
+
+  /**
+   * 校验并规范化一次上报
+   * @param {Object} body - 请求体 { sessionId, page, browser, errors }
+   * @returns {{sessionId: string|null, page: string|null, browser: Object|null, errors: Object[]}}
+   */
+  normalize(body) {
+    if (!body || typeof body !== "object" || !Array.isArray(body.errors)) {
+      throw new UpstreamError("Request body must contain an errors array", 400, "上报格式无效");
+    }
+    if (body.errors.length === 0 || body.errors.length > this.maxBatch) {
+      throw new UpstreamError(
+        `errors must contain between 1 and ${this.maxBatch} items`,
+        400,
+        "上报格式无效"
+      );
+    }
+
+    const errors = [];
+    for (const item of body.errors) {
+      const message = item && truncate(item.message, this.maxMessageLength);
+      if (!message) continue;
+
+      const count = Number(item.count);
+      errors.push({
+        message,
+        sources: (Array.isArray(item.sources) ? item.sources : [])
+          .map(readIdentifier)
+          .filter(Boolean)
+          .slice(0, 8),
+        stack: truncate(item.stack, this.maxStackLength),
+        context: truncate(item.context, 200),
+        requestId: readIdentifier(item.requestId),
+        count: Number.isInteger(count) && count > 0 ? Math.min(count, 10000) : 1,
+        firstSeen: Number.isFinite(item.firstSeen) ? item.firstSeen : null,
+        lastSeen: Number.isFinite(item.lastSeen) ? item.lastSeen : null,
+      });
+    }
+
+    if (errors.length === 0) {
+      throw new UpstreamError("No error in the batch has a message", 400, "上报格式无效");
+    }
+
+    return {
+      sessionId: readIdentifier(body.sessionId),
+      page: truncate(body.page, 500),
+      browser: readBrowserInfo(body.browser),
+      errors,
+    };
+  }
+
+  /**
+   * 追加一次上报中的所有错误，每条错误一行
+   * @param {Object} report - normalize返回的上报内容
+   * @param {Object} meta - 服务端补充的信息 { userAgent }
+   * @returns {number} 写入的条数
+   */
+  append(report, { userAgent }) {
+    const receivedAt = Date.now();
+    for (const error of report.errors) {
+      const entry = {
+        id: crypto.randomUUID(),
+        receivedAt,
+        sessionId: report.sessionId,
+        page: report.page,
+        browser: report.browser,
+        userAgent: truncate(userAgent, 300),
+        ...error,
+      };
+      if (this.stream) {
+        this.stream.write(`${JSON.stringify(entry)}\n`);
+      }
+    }
+    return report.errors.length;
+  }
+
+  /**
+   * 按错误消息汇总，出现次数多的在前
+   * @param {Object} options - 汇总条件 { since, limit }
+   * @returns {Promise<{total: number, errors: Object[]}>}
+   */
+  async summarize({ since, limit }) {
+    if (!fs.existsSync(this.file)) {
+      return { total: 0, errors: [] };
+    }
+
+    const groups = new Map();
+    let total = 0;
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.file, { encoding: "utf8" }),
+      crlfDelay: Infinity,
+    });
+
+    for await (const line of lines) {
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // 进程异常退出时最后一行可能不完整
+        continue;
+      }
+      if (since && entry.receivedAt < since) continue;
+
+      total += entry.count;
+      let group = groups.get(entry.message);
+      if (!group) {
+        group = {
+          message: entry.message,
+          count: 0,
+          sessions: new Set(),
+          sources: new Set(),
+          browsers: {},
+          lastSeen: 0,
+          lastStack: null,
+          lastRequestId: null,
+        };
+        groups.set(entry.message, group);
+      }
+
+      group.count += entry.count;
+      if (entry.sessionId) group.sessions.add(entry.sessionId);
+      entry.sources.forEach((source) => group.sources.add(source));
+      const browser = entry.browser
+        ? `${entry.browser.name || "unknown"} ${entry.browser.version ?? ""}`.trim()
+        : "unknown";
+      group.browsers[browser] = (group.browsers[browser] || 0) + entry.count;
+      if (entry.receivedAt >= group.lastSeen) {
+        group.lastSeen = entry.receivedAt;
+        group.lastStack = entry.stack || group.lastStack;
+        group.lastRequestId = entry.requestId || group.lastRequestId;
+      }
+    }
+
+    const errors = Array.from(groups.values())
+      .sort((a, b) => b.count - a.count)
+      .slice(0, limit)
+      .map((group) => ({
+        ...group,
+        sessions: group.sessions.size,
+        sources: Array.from(group.sources),
+      }));
+    return { total, errors };
+  }
+
+  /**
+   * 关闭写入流
+   */
+  close() {
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
+    }
+  }
+}
+
+module.exports = { ClientErrorStore };
@@ -0,0 +1,362 @@
+/**
+ * 收藏夹存储 - 所有收藏夹保存在一个JSON文件中，启动时读入内存，每次修改后整体写回
+ * 每个收藏夹属于创建它的客户端，只保存客户端凭证的哈希，其他客户端访问时按不存在处理
+ * 客户端凭证即前端显示的同步码，在其他设备上输入同一同步码即可访问相同的收藏夹
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { UpstreamError } = require("./errors");
+const { readJsonFile, writeJsonFile } = require("./json-file");
+const { logger } = require("./logger");
+
+// 图片源id只允许字母、数字、下划线和连字符
+const PROVIDER_PATTERN = /^[\w-]{1,64}$/;
+
+const MAX_URL_LENGTH = 2048;
+
+// 客户端凭证为浏览器生成的随机字符串
+const CLIENT_TOKEN_PATTERN = /^[\w-]{32,128}$/;
+
+/**
+ * 把客户端凭证转换为收藏夹的所有者标识，文件中不保存凭证原文
+ * @param {any} token - 请求头 X-Client-Id 的值
+ * @returns {string} 凭证的SHA-256哈希
+ */
+function toOwner(token) {
+  if (typeof token !== "string" || !CLIENT_TOKEN_PATTERN.test(token)) {
+    throw new UpstreamError(
+      "Header X-Client-Id must be a random string of 32-128 characters",
+      401,
+      "缺少收藏夹访问凭证"
+    );
+  }
+  return crypto.createHash("sha256").update(token).digest("hex");
+}
+
+/**
+ * 读取可选的文本字段
+ * @param {any} value - 字段值
+ * @param {number} maxLength - 最大长度
+ * @returns {string|null} 空值返回null
+ */
+function readText(value, maxLength) {
+  if (value === undefined || value === null || value === "") return null;
+  if (typeof value !== "string" || value.length > maxLength) {
+    throw new UpstreamError(
+      `Text fields must be strings of at most ${maxLength} characters`,
+      400,
+      "收藏内容无效"
+    );
+  }
+  return value;
+}
+
+/**
+ * 读取图片URL，只接受http(s)地址
+ * @param {any} value - 图片URL
+ * @returns {string}
+ */
+function readImageUrl(value) {
+  if (typeof value !== "string" || value.length > MAX_URL_LENGTH) {
+    throw new UpstreamError("url must be a string", 400, "图片地址无效");
+  }
+  let parsed;
+  try {
+    parsed = new URL(value);
+  } catch (error) {
+    throw new UpstreamError(`Invalid url: ${value}`, 400, "图片地址无效");
+  }
+  if (parsed.protocol !== "http:" && parsed.protocol !== "https:") {
+    throw new UpstreamError(`Unsupported protocol: ${parsed.protocol}`, 400, "图片地址无效");
+  }
+  return parsed.href;
+}
+
+class CollectionStore {
+  /**
+   * @param {Object} options - 存储配置
+   * @param {string} options.file - JSON文件路径
+   * @param {string} [options.legacyCodeFile] - 旧收藏夹迁移后的同步码保存路径，默认与JSON文件在同一目录
+   * @param {number} options.maxCollections - 每个客户端的收藏夹数量上限
+   * @param {number} options.maxTotalCollections - 所有客户端的收藏夹总数上限
+   * @param {number} options.maxItems - 每个收藏夹的图片数量上限
+   * @param {number} options.maxNameLength - 收藏夹名称最大长度
+   */
+  constructor({ file, legacyCodeFile, maxCollections, maxTotalCollections, maxItems, maxNameLength }) {
+    this.file = file;
+    this.legacyCodeFile =
+      legacyCodeFile || path.join(path.dirname(file), "collections-sync-code.txt");
+    this.maxCollections = maxCollections;
+    this.maxTotalCollections = maxTotalCollections;
+    this.maxItems = maxItems;
+    this.maxNameLength = maxNameLength;
+    // 收藏夹id -> 收藏夹，按创建顺序排列
+    this.collections = new Map();
+    // 串行写入，保证文件内容与最后一次修改一致
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * 创建存储目录并读入已有的收藏夹，没有所有者的旧收藏夹迁移到同一个同步码下
+   * @returns {{count: number, file: string}|null} 迁移的收藏夹数量和同步码文件，没有迁移时返回null
+   */
+  init() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const data = readJsonFile(this.file);
+    for (const collection of data?.collections || []) {
+      this.collections.set(collection.id, collection);
+    }
+
+    const unowned = Array.from(this.collections.values()).filter((collection) => !collection.owner);
+    if (unowned.length === 0) return null;
+    this.migrateUnowned(unowned);
+    return { count: unowned.length, file: this.legacyCodeFile };
+  }
+
+  /**
+   * 把升级前创建的收藏夹（所有客户端共用，没有所有者）归到一个同步码下
+   * 同步码先写入 legacyCodeFile 再保存收藏夹，中途退出时下次启动沿用文件中的同步码
+   * @param {Object[]} unowned - 没有所有者的收藏夹
+   */
+  migrateUnowned(unowned) {
+    let code = fs.existsSync(this.legacyCodeFile)
+      ? fs.readFileSync(this.legacyCodeFile, "utf8").trim()
+      : "";
+    if (!CLIENT_TOKEN_PATTERN.test(code)) {
+      code = crypto.randomBytes(32).toString("hex");
+      fs.writeFileSync(this.legacyCodeFile, `${code}\n`, { mode: 0o600 });
+    }
+
+    const owner = toOwner(code);
+    for (const collection of unowned) {
+      collection.owner = owner;
+    }
+    this.save().catch((error) => {
+      logger.error("保存迁移后的收藏夹失败", { error });
+    });
+  }
+
+  /**
+   * 获取客户端的所有收藏夹概要
+   * @param {string} owner - 所有者标识，见 toOwner
+   * @returns {Object[]} [{ id, name, itemCount, coverUrl, createdAt, updatedAt }]
+   */
+  list(owner) {
+    return Array.from(this.collections.values())
+      .filter((collection) => owner && collection.owner === owner)
+      .map((collection) => this.summarize(collection));
+  }
+
+  /**
+   * 获取收藏夹概要
+   * @param {string} id - 收藏夹id
+   * @param {string|null} owner - 所有者标识，null表示不校验（分享页面读取已分享的收藏夹）
+   * @returns {Object}
+   */
+  get(id, owner) {
+    return this.summarize(this.require(id, owner));
+  }
+
+  /**
+   * 新建收藏夹
+   * @param {Object} body - 请求体 { name }
+   * @param {string} owner - 所有者标识
+   * @returns {Promise<Object>} 新收藏夹的概要
+   */
+  async create(body, owner) {
+    const name = this.readName(body?.name);
+    if (this.list(owner).length >= this.maxCollections) {
+      throw new UpstreamError(
+        `At most ${this.maxCollections} collections are allowed`,
+        400,
+        "收藏夹数量已达上限"
+      );
+    }
+    if (this.collections.size >= this.maxTotalCollections) {
+      throw new UpstreamError(
+        `At most ${this.maxTotalCollections} collections are allowed in total`,
+        400,
+        "收藏夹数量已达上限"
+      );
+    }
+
+    const now = Date.now();
+    const collection = {
+      id: crypto.randomUUID(),
+      owner,
+      name,
+      createdAt: now,
+      updatedAt: now,
+      items: [],
+    };
+    this.collections.set(collection.id, collection);
+    await this.save();
+    return this.summarize(collection);
+  }
+
+  /**
+   * 重命名收藏夹
+   * @param {string} id - 收藏夹id
+   * @param {Object} body - 请求体 { name }
+   * @param {string} owner - 所有者标识
+   * @returns {Promise<Object>} 收藏夹概要
+   */
+  async rename(id, body, owner) {
+    const collection = this.require(id, owner);
+    collection.name = this.readName(body?.name);
+    collection.updatedAt = Date.now();
+    await this.save();
+    return this.summarize(collection);
+  }
+
+  /**
+   * 删除收藏夹及其中的图片
+   * @param {string} id - 收藏夹id
+   * @param {string} owner - 所有者标识
+   */
+  async remove(id, owner) {
+    this.require(id, owner);
+    this.collections.delete(id);
+    await this.save();
+  }
+
+  /**
+   * 分页获取收藏夹中的图片，最新收藏的在前
+   * @param {string} id - 收藏夹id
+   * @param {Object} options - 分页 { offset, limit }
+   * @param {string|null} owner - 所有者标识，null表示不校验（分享页面读取已分享的收藏夹）
+   * @returns {{total: number, items: Object[]}}
+   */
+  listItems(id, { offset, limit }, owner) {
+    const { items } = this.require(id, owner);
+    return {
+      total: items.length,
+      items: items.slice().reverse().slice(offset, offset + limit),
+    };
+  }
+
+  /**
+   * 收藏一张图片，同一收藏夹中已有相同URL时返回已有条目
+   * @param {string} id - 收藏夹id
+   * @param {Object} body - 请求体 { url, provider, category, author }
+   * @param {string} owner - 所有者标识
+   * @returns {Promise<{item: Object, created: boolean}>}
+   */
+  async addItem(id, body, owner) {
+    const collection = this.require(id, owner);
+    if (!body || typeof body !== "object") {
+      throw new UpstreamError("Request body must be a JSON object", 400, "收藏内容无效");
+    }
+
+    const url = readImageUrl(body.url);
+    const existing = collection.items.find((item) => item.url === url);
+    if (existing) {
+      return { item: existing, created: false };
+    }
+    if (collection.items.length >= this.maxItems) {
+      throw new UpstreamError(
+        `A collection may contain at most ${this.maxItems} items`,
+        400,
+        "收藏夹已满"
+      );
+    }
+
+    const item = {
+      id: crypto.randomUUID(),
+      url,
+      provider:
+        typeof body.provider === "string" && PROVIDER_PATTERN.test(body.provider)
+          ? body.provider
+          : null,
+      category: readText(body.category, 64),
+      author: readText(body.author, 100),
+      addedAt: Date.now(),
+    };
+    collection.items.push(item);
+    collection.updatedAt = item.addedAt;
+    await this.save();
+    return { item, created: true };
+  }
+
+  /**
+   * 从收藏夹中移除图片
+   * @param {string} id - 收藏夹id
+   * @param {string} itemId - 条目id
+   * @param {string} owner - 所有者标识
+   */
+  async removeItem(id, itemId, owner) {
+    const collection = this.require(id, owner);
+    const index = collection.items.findIndex((item) => item.id === itemId);
+    if (index === -1) {
+      throw new UpstreamError(`Item not found: ${itemId}`, 404, "收藏的图片不存在");
+    }
+
+    collection.items.splice(index, 1);
+    collection.updatedAt = Date.now();
+    await this.save();
+  }
+
+  /**
+   * 获取收藏夹，不存在或不属于该客户端时抛出404错误，不暴露其他客户端的收藏夹是否存在
+   * @param {string} id - 收藏夹id
+   * @param {string|null} owner - 所有者标识，null表示不校验
+   * @returns {Object}
+   */
+  require(id, owner) {
+    const collection = this.collections.get(id);
+    if (!collection || (owner !== null && (!owner || collection.owner !== owner))) {
+      throw new UpstreamError(`Collection not found: ${id}`, 404, "收藏夹不存在");
+    }
+    return collection;
+  }
+
+  /**
+   * 校验收藏夹名称
+   * @param {any} value - 名称
+   * @returns {string} 去除首尾空白后的名称
+   */
+  readName(value) {
+    const name = typeof value === "string" ? value.trim() : "";
+    if (!name || name.length > this.maxNameLength) {
+      throw new UpstreamError(
+        `name must be a non-empty string of at most ${this.maxNameLength} characters`,
+        400,
+        "收藏夹名称无效"
+      );
+    }
+    return name;
+  }
+
+  /**
+   * 生成收藏夹概要，封面取最新收藏的图片
+   * @param {Object} collection - 收藏夹
+   * @returns {Object}
+   */
+  summarize({ id, name, createdAt, updatedAt, items }) {
+    return {
+      id,
+      name,
+      itemCount: items.length,
+      coverUrl: items.length > 0 ? items[items.length - 1].url : null,
+      createdAt,
+      updatedAt,
+    };
+  }
+
+  /**
+   * 把当前内容写入文件
+   * @returns {Promise<void>}
+   */
+  save() {
+    const data = { collections: Array.from(this.collections.values()) };
+    const write = () => writeJsonFile(this.file, data);
+
+    // 上一次写入失败不影响本次写入
+    this.writing = this.writing.then(write, write);
+    return this.writing;
+  }
+}
+
+module.exports = { CollectionStore, readImageUrl, toOwner };
@@ -0,0 +1,184 @@
+/**
+ * 自定义API代理 - 由服务端转发用户配置的图片API请求并提取图片URL
+ * 浏览器直接调用第三方API常因CORS失败，经服务端转发后不受此限制
+ * 上游重定向到图片时返回最终地址；直接返回图片内容时原样转发，由前端生成object URL
+ */
+
+const { requestBuffer, isImageContentType } = require("./http-client");
+const { extractImages } = require("./json-utils");
+const { parseImageHeader } = require("./image-header");
+const { setCorsHeaders, sendError } = require("./responses");
+const { loggerFor } = require("./logger");
+const { loadSharedModule } = require("./shared-modules");
+
+const ALLOWED_METHODS = ["GET", "POST"];
+
+/**
+ * 过滤客户端指定的请求头，只转发白名单中的请求头，见 public/js/shared/request-headers.mjs
+ * @param {Object} headers - 客户端提交的请求头
+ * @returns {Promise<Object>} 可转发的请求头
+ */
+async function sanitizeHeaders(headers) {
+  const result = { Accept: "application/json, image/*;q=0.9" };
+  if (!headers || typeof headers !== "object") {
+    return result;
+  }
+
+  const { isForwardableHeader } = await loadSharedModule("request-headers.mjs");
+  for (const [name, value] of Object.entries(headers)) {
+    if (typeof value !== "string" || !isForwardableHeader(name)) {
+      continue;
+    }
+    result[name] = value;
+  }
+  return result;
+}
+
+/**
+ * 识别上游返回的图片内容，未声明图片类型时按文件开头的字节判断
+ * @param {Object} upstream - requestBuffer的响应
+ * @returns {string|null} 图片MIME类型，不是图片时返回null
+ */
+function detectImageType(upstream) {
+  if (isImageContentType(upstream.headers)) {
+    return upstream.headers["content-type"];
+  }
+  const header = parseImageHeader(upstream.body);
+  return header ? header.mime : null;
+}
+
+/**
+ * 创建自定义API代理路由处理函数
+ * 请求体: { url, jsonPath?, method?, headers?, body? }，上游返回JSON时必须指定jsonPath
+ * url、headers、body 是前端替换模板变量后的实际内容，body 为字符串，只能用于POST请求
+ * @param {Object} options - 代理配置
+ * @param {number} options.timeout - 上游超时时间（毫秒）
+ * @param {number} options.maxImages - 列表API一次最多返回的图片数
+ * @param {OutboundPolicy} options.policy - 出站请求策略
+ * @param {Function} options.onImage - 成功提取图片URL后的回调 (req, url)
+ * @returns {Function} Express路由处理函数
+ */
+function createCustomApiHandler({ timeout, maxImages, policy, onImage }) {
+  return async function handleCustomApiProxy(req, res) {
+    setCorsHeaders(res);
+
+    const { url, jsonPath, headers, body } = req.body || {};
+    const method = String((req.body && req.body.method) || "GET").toUpperCase();
+
+    if (typeof url !== "string" || !/^https?:\/\//i.test(url)) {
+      sendError(res, 400, "API地址无效", "Field url must be an http(s) URL");
+      return;
+    }
+    if (jsonPath !== undefined && jsonPath !== null && typeof jsonPath !== "string") {
+      sendError(res, 400, "JSON路径无效", "Field jsonPath must be a string");
+      return;
+    }
+    if (!ALLOWED_METHODS.includes(method)) {
+      sendError(res, 400, "不支持的请求方法", `Unsupported method: ${method}`);
+      return;
+    }
+    if (body !== undefined && body !== null && (typeof body !== "string" || method === "GET")) {
+      sendError(res, 400, "请求体无效", "Field body must be a string and requires POST");
+      return;
+    }
+
+    let upstream;
+    try {
+      upstream = await requestBuffer(url, {
+        method,
+        headers: await sanitizeHeaders(headers),
+        body: body === null ? undefined : body,
+        timeout,
+        policy,
+        followRedirects: true,
+      });
+    } catch (error) {
+      loggerFor(req).warn("自定义API请求失败", { url, error });
+      sendError(res, error.status || 502, error.msg || "自定义API请求失败", error.message);
+      return;
+    }
+
+    if (upstream.statusCode >= 400) {
+      sendError(
+        res,
+        502,
+        "自定义API返回错误",
+        `Upstream responded ${upstream.statusCode}`
+      );
+      return;
+    }
+
+    const imageType = detectImageType(upstream);
+    if (imageType && upstream.url !== url) {
+      loggerFor(req).info("自定义API重定向到图片", { url: upstream.url });
+      if (onImage) {
+        onImage(req, upstream.url);
+      }
+
+      res.json({
+        success: true,
+        code: 200,
+        msg: "获取成功",
+        url: upstream.url,
+        timestamp: Date.now(),
+      });
+      return;
+    }
+    if (imageType) {
+      loggerFor(req).info("自定义API直接返回图片", { url, contentType: imageType });
+      if (onImage) {
+        onImage(req, url);
+      }
+
+      // 同一地址每次返回的图片不同，不能缓存；SVG可能含脚本，禁止在本站上下文中执行
+      res.set({
+        "Content-Type": imageType,
+        "Cache-Control": "no-store",
+        "Content-Security-Policy": "default-src 'none'; style-src 'unsafe-inline'; sandbox",
+        "X-Content-Type-Options": "nosniff",
+      });
+      res.send(upstream.body);
+      return;
+    }
+
+    if (!jsonPath) {
+      sendError(res, 422, "JSON路径未指定", "Upstream returned JSON but no jsonPath was given");
+      return;
+    }
+
+    let data;
+    try {
+      data = JSON.parse(upstream.body.toString("utf8"));
+    } catch (parseError) {
+      sendError(res, 502, "自定义API返回的不是JSON", parseError.message);
+      return;
+    }
+
+    try {
+      const extracted = await extractImages(data, jsonPath, maxImages);
+      const [first] = extracted.images;
+      loggerFor(req).info("自定义API获取成功", {
+        url: first.url,
+        count: extracted.images.length,
+      });
+      if (onImage) {
+        extracted.images.forEach((image) => onImage(req, image.url));
+      }
+
+      // url 为第一张图片，兼容只读取单张图片的客户端
+      res.json({
+        success: true,
+        code: 200,
+        msg: "获取成功",
+        url: first.url,
+        images: extracted.images,
+        jsonPath: extracted.jsonPath,
+        timestamp: Date.now(),
+      });
+    } catch (error) {
+      sendError(res, 422, "从JSON中提取图片URL失败", error.message);
+    }
+  };
+}
+
+module.exports = { createCustomApiHandler };
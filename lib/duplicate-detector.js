@@ -0,0 +1,185 @@
+/**
+ * 重复图片检测 - 随机图片API常在不同URL下返回同一张图片
+ * 下载图片计算内容哈希和感知哈希，与最近出现过的图片比较
+ */
+
+const { getStream } = require("./http-client");
+const { fingerprintImage, hammingDistance } = require("./image-fingerprint");
+const { UpstreamError } = require("./errors");
+const { logger } = require("./logger");
+
+const UPSTREAM_HEADERS = {
+  "User-Agent": "Mozilla/5.0 (compatible; H5ImageViewer/1.0)",
+  Accept: "image/avif,image/webp,image/*,*/*;q=0.8",
+};
+
+class DuplicateDetector {
+  /**
+   * @param {Object} options - 检测配置
+   * @param {number} options.historySize - 记住的最近图片数量
+   * @param {number} options.threshold - 感知哈希汉明距离不超过此值视为同一张图片
+   * @param {number} options.maxBytes - 下载图片的最大字节数，超过时不检测
+   * @param {number} options.timeout - 下载超时时间（毫秒）
+   * @param {OutboundPolicy} options.policy - 出站请求策略
+   */
+  constructor(options) {
+    this.historySize = options.historySize;
+    this.threshold = options.threshold;
+    this.maxBytes = options.maxBytes;
+    this.timeout = options.timeout;
+    this.policy = options.policy;
+
+    // 内容哈希 -> 指纹，Map保持插入顺序，超出容量时淘汰最早的
+    this.fingerprints = new Map();
+    // 图片URL -> 内容哈希，同一URL无需再次下载
+    this.urls = new Map();
+    this.stats = { checked: 0, duplicates: 0, failures: 0 };
+  }
+
+  /**
+   * 检查图片是否与最近出现过的图片重复，不重复时记住该图片
+   * 下载或解码失败时视为不重复，不影响正常返回
+   * @param {string} imageUrl - 图片URL
+   * @returns {Promise<{duplicate: boolean, reason?: string, isImage: boolean}>}
+   *   isImage表示本次下载确认URL返回了图片，调用方无需再次下载校验
+   */
+  async check(imageUrl) {
+    this.stats.checked++;
+
+    if (this.urls.has(imageUrl)) {
+      this.stats.duplicates++;
+      return { duplicate: true, reason: "url", isImage: false };
+    }
+
+    let fingerprint;
+    let isImage;
+    try {
+      const { body, contentType } = await this.download(imageUrl);
+      isImage = contentType.startsWith("image/");
+      fingerprint = await fingerprintImage(body);
+    } catch (error) {
+      this.stats.failures++;
+      logger.warn("图片指纹计算失败", { url: imageUrl, error });
+      return { duplicate: false, isImage: false };
+    }
+
+    const match = this.findMatch(fingerprint);
+    this.remember(imageUrl, match ? match.fingerprint : fingerprint);
+
+    if (match) {
+      this.stats.duplicates++;
+      return { duplicate: true, reason: match.reason, isImage };
+    }
+    return { duplicate: false, isImage };
+  }
+
+  /**
+   * 在最近的图片中查找相同或相似的图片
+   * @param {Object} fingerprint - 图片指纹
+   * @returns {{fingerprint: Object, reason: string}|null}
+   */
+  findMatch(fingerprint) {
+    const exact = this.fingerprints.get(fingerprint.contentHash);
+    if (exact) {
+      return { fingerprint: exact, reason: "content" };
+    }
+
+    if (!fingerprint.perceptualHash) return null;
+    for (const known of this.fingerprints.values()) {
+      if (
+        known.perceptualHash &&
+        hammingDistance(known.perceptualHash, fingerprint.perceptualHash) <= this.threshold
+      ) {
+        return { fingerprint: known, reason: "perceptual" };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * 记住图片指纹和URL，超出容量时淘汰最早的
+   * @param {string} imageUrl - 图片URL
+   * @param {Object} fingerprint - 图片指纹
+   */
+  remember(imageUrl, fingerprint) {
+    // 重新插入以标记为最近出现
+    this.fingerprints.delete(fingerprint.contentHash);
+    this.fingerprints.set(fingerprint.contentHash, fingerprint);
+    this.urls.set(imageUrl, fingerprint.contentHash);
+
+    if (this.fingerprints.size > this.historySize) {
+      this.fingerprints.delete(this.fingerprints.keys().next().value);
+    }
+    if (this.urls.size > this.historySize) {
+      this.urls.delete(this.urls.keys().next().value);
+    }
+  }
+
+  /**
+   * 下载完整图片
+   * @param {string} imageUrl - 图片URL
+   * @returns {Promise<{body: Buffer, contentType: string}>}
+   */
+  async download(imageUrl) {
+    const response = await getStream(imageUrl, {
+      timeout: this.timeout,
+      headers: UPSTREAM_HEADERS,
+      policy: this.policy,
+    });
+
+    if (response.statusCode !== 200) {
+      response.resume();
+      throw new UpstreamError(`Upstream responded ${response.statusCode}`, 502);
+    }
+    if (Number(response.headers["content-length"]) > this.maxBytes) {
+      response.destroy();
+      throw new UpstreamError("Image too large to fingerprint", 502);
+    }
+
+    return new Promise((resolve, reject) => {
+      const chunks = [];
+      let received = 0;
+
+      response.on("data", (chunk) => {
+        received += chunk.length;
+        if (received > this.maxBytes) {
+          response.destroy();
+          reject(new UpstreamError("Image too large to fingerprint", 502));
+          return;
+        }
+        chunks.push(chunk);
+      });
+      response.on("end", () =>
+        resolve({
+          body: Buffer.concat(chunks),
+          contentType: response.headers["content-type"] || "",
+        })
+      );
+      response.on("error", (error) => reject(new UpstreamError(error.message)));
+      // 读取中途超时时请求被销毁，响应流以close结束
+      response.on("close", () => {
+        if (!response.readableEnded) {
+          reject(new UpstreamError("Image download aborted", 502));
+        }
+      });
+    });
+  }
+
+  /**
+   * 获取检测统计
+   * @returns {Object}
+   */
+  getStats() {
+    return { ...this.stats, remembered: this.fingerprints.size };
+  }
+
+  /**
+   * 清空记住的图片
+   */
+  clear() {
+    this.fingerprints.clear();
+    this.urls.clear();
+  }
+}
+
+module.exports = { DuplicateDetector };
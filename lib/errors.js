@@ -0,0 +1,39 @@
+/**
+ * 服务端错误类型
+ */
+
+/**
+ * 上游API错误 - 携带返回给客户端的HTTP状态码和提示信息
+ */
+class UpstreamError extends Error {
+  /**
+   * @param {string} message - 错误详情（返回在error字段中）
+   * @param {number} status - HTTP状态码
+   * @param {string} msg - 面向用户的提示信息
+   */
+  constructor(message, status = 500, msg = "图片获取失败") {
+    super(message);
+    this.name = "UpstreamError";
+    this.status = status;
+    this.msg = msg;
+  }
+
+  /**
+   * 请求超时错误
+   * @returns {UpstreamError}
+   */
+  static timeout() {
+    return new UpstreamError("Request timeout", 408, "请求超时");
+  }
+
+  /**
+   * 数据解析/校验错误
+   * @param {string} message - 错误详情
+   * @returns {UpstreamError}
+   */
+  static parse(message) {
+    return new UpstreamError(message, 500, "数据解析失败");
+  }
+}
+
+module.exports = { UpstreamError };
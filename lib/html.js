@@ -0,0 +1,19 @@
+/**
+ * HTML工具 - 服务端渲染页面共用
+ */
+
+/**
+ * 转义HTML特殊字符
+ * @param {any} value - 文本
+ * @returns {string}
+ */
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+module.exports = { escapeHtml };
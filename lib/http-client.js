@@ -0,0 +1,318 @@
+/**
+ * 出站HTTP请求工具
+ */
+
+const http = require("http");
+const https = require("https");
+const { UpstreamError } = require("./errors");
+const { OutboundPolicy } = require("./outbound-policy");
+
+// 未指定策略时使用的默认出站策略
+const defaultPolicy = new OutboundPolicy();
+
+/**
+ * 响应体超过策略限制时的错误
+ * @param {number} limit - 字节数上限
+ * @returns {UpstreamError}
+ */
+function tooLargeError(limit) {
+  return new UpstreamError(`Response exceeds ${limit} bytes`, 502, "响应内容过大");
+}
+
+/**
+ * 响应体读取中途连接断开时的错误
+ * @param {string} reason - 错误详情
+ * @returns {UpstreamError}
+ */
+function abortedError(reason) {
+  return new UpstreamError(`Upstream response aborted: ${reason}`, 502, "上游连接中断");
+}
+
+/**
+ * 解析重定向地址，Location无效时抛出UpstreamError
+ * @param {string} location - Location响应头
+ * @param {string} url - 当前请求地址
+ * @returns {string} 重定向后的绝对地址
+ */
+function resolveRedirectUrl(location, url) {
+  try {
+    return new URL(location, url).href;
+  } catch (error) {
+    throw new UpstreamError(`Invalid redirect location: ${location}`, 502, "重定向地址无效");
+  }
+}
+
+// 重定向到其他源时只转发这些请求头，鉴权、Cookie和自定义请求头不发给其他站点
+const CROSS_ORIGIN_HEADERS = new Set(["accept", "accept-language", "user-agent"]);
+
+/**
+ * 重定向后下一跳使用的请求头
+ * @param {Object} headers - 当前请求头
+ * @param {string} url - 当前请求地址
+ * @param {string} nextUrl - 重定向后的地址
+ * @param {boolean} keepBody - 是否保留请求体，为false时去掉描述请求体的Content-Type
+ * @returns {Object}
+ */
+function redirectHeaders(headers, url, nextUrl, keepBody) {
+  const sameOrigin = new URL(url).origin === new URL(nextUrl).origin;
+  const result = {};
+  for (const [name, value] of Object.entries(headers)) {
+    const lowerName = name.toLowerCase();
+    if (!keepBody && lowerName === "content-type") continue;
+    if (sameOrigin || CROSS_ORIGIN_HEADERS.has(lowerName)) {
+      result[name] = value;
+    }
+  }
+  return result;
+}
+
+/**
+ * 判断响应头是否声明了图片内容
+ * @param {Object} headers - 响应头
+ * @returns {boolean}
+ */
+function isImageContentType(headers) {
+  return /^image\//i.test(headers["content-type"] || "");
+}
+
+/**
+ * 发起请求并读取完整响应体（二进制）
+ * followRedirects 为true时跟随重定向，每一跳都按出站策略校验；
+ * 301/302/303 按浏览器的做法改为不带请求体的GET，307/308 保持原请求；
+ * 重定向到其他源时只保留 CROSS_ORIGIN_HEADERS 中的请求头
+ * @param {string} url - 请求地址
+ * @param {Object} options - 请求选项
+ * @param {string} options.method - 请求方法，默认GET
+ * @param {Object} options.headers - 请求头
+ * @param {string} options.body - 请求体
+ * @param {number} options.timeout - 超时时间（毫秒）
+ * @param {OutboundPolicy} options.policy - 出站策略
+ * @param {boolean} options.followRedirects - 是否跟随重定向，默认不跟随并返回3xx响应
+ * @param {number} options.maxRedirects - 剩余重定向次数，默认取策略配置
+ * @param {boolean} options.imageBody - 为false时图片响应不读取响应体，只需要最终地址时使用
+ * @returns {Promise<{statusCode: number, headers: Object, body: Buffer, url: string}>}
+ *   url 为跟随重定向后的最终地址
+ */
+function requestBuffer(url, options = {}) {
+  const {
+    method = "GET",
+    headers = {},
+    body,
+    timeout = 10000,
+    policy = defaultPolicy,
+    followRedirects = false,
+    maxRedirects = policy.maxRedirects,
+    imageBody = true,
+  } = options;
+
+  try {
+    policy.assertUrlAllowed(url);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  const client = url.startsWith("http:") ? http : https;
+
+  return new Promise((resolve, reject) => {
+    let settled = false; // 响应状态跟踪，避免重复回调
+
+    const requestOptions = { method, headers, lookup: policy.lookup };
+    const request = client.request(url, requestOptions, (apiRes) => {
+      const { statusCode, headers: resHeaders } = apiRes;
+
+      if (statusCode >= 300 && statusCode < 400 && resHeaders.location && followRedirects) {
+        apiRes.resume();
+        if (settled) return;
+        settled = true;
+
+        if (maxRedirects <= 0) {
+          reject(new UpstreamError("重定向次数过多", 502));
+          return;
+        }
+
+        let nextUrl;
+        try {
+          nextUrl = resolveRedirectUrl(resHeaders.location, url);
+        } catch (error) {
+          reject(error);
+          return;
+        }
+
+        const keepMethod = statusCode === 307 || statusCode === 308;
+        requestBuffer(nextUrl, {
+          ...options,
+          method: keepMethod ? method : "GET",
+          headers: redirectHeaders(headers, url, nextUrl, keepMethod),
+          body: keepMethod ? body : undefined,
+          maxRedirects: maxRedirects - 1,
+        }).then(resolve, reject);
+        return;
+      }
+
+      if (!imageBody && isImageContentType(resHeaders)) {
+        apiRes.destroy();
+        if (settled) return;
+        settled = true;
+        resolve({ statusCode, headers: resHeaders, body: Buffer.alloc(0), url });
+        return;
+      }
+
+      const chunks = [];
+      let received = 0;
+
+      apiRes.on("data", (chunk) => {
+        received += chunk.length;
+        if (received > policy.maxResponseBytes) {
+          request.destroy();
+          if (settled) return;
+          settled = true;
+          reject(tooLargeError(policy.maxResponseBytes));
+          return;
+        }
+        chunks.push(chunk);
+      });
+
+      apiRes.on("end", () => {
+        if (settled) return;
+        settled = true;
+        resolve({ statusCode, headers: resHeaders, body: Buffer.concat(chunks), url });
+      });
+
+      // 上游在响应体中途断开时不会触发end，套接字已关闭，请求超时也不会再触发
+      const abort = (reason) => {
+        if (settled) return;
+        settled = true;
+        reject(abortedError(reason));
+      };
+      apiRes.on("aborted", () => abort("connection reset"));
+      apiRes.on("error", (error) => abort(error.message));
+      apiRes.on("close", () => {
+        if (!apiRes.complete) abort("closed before end");
+      });
+    });
+
+    request.on("error", (error) => {
+      if (settled) return;
+      settled = true;
+      reject(error instanceof UpstreamError ? error : new UpstreamError(error.message));
+    });
+
+    request.setTimeout(timeout, () => {
+      request.destroy();
+      if (settled) return;
+      settled = true;
+      reject(UpstreamError.timeout());
+    });
+
+    request.end(body);
+  });
+}
+
+/**
+ * 发起请求并读取完整响应体
+ * @param {string} url - 请求地址
+ * @param {Object} options - 请求选项，同requestBuffer
+ * @returns {Promise<{statusCode: number, headers: Object, body: string, url: string}>}
+ */
+async function requestText(url, options = {}) {
+  const response = await requestBuffer(url, options);
+  return { ...response, body: response.body.toString("utf8") };
+}
+
+/**
+ * 发起GET请求并读取完整响应体
+ * @param {string} url - 请求地址
+ * @param {Object} options - 请求选项，同requestText
+ * @returns {Promise<{statusCode: number, headers: Object, body: string}>}
+ */
+function getText(url, options = {}) {
+  return requestText(url, { ...options, method: "GET" });
+}
+
+/**
+ * 发起GET请求并返回响应流，自动跟随重定向
+ * 每一跳都按出站策略校验，Content-Length超限时直接拒绝；
+ * 分块传输的响应由调用方在读取时按 policy.maxResponseBytes 限制
+ * @param {string} url - 请求地址
+ * @param {Object} options - 请求选项
+ * @param {number} options.timeout - 超时时间（毫秒）
+ * @param {Object} options.headers - 请求头
+ * @param {OutboundPolicy} options.policy - 出站策略
+ * @param {number} options.maxRedirects - 剩余重定向次数，默认取策略配置
+ * @returns {Promise<http.IncomingMessage>}
+ */
+function getStream(url, options = {}) {
+  const {
+    timeout = 15000,
+    headers = {},
+    policy = defaultPolicy,
+    maxRedirects = policy.maxRedirects,
+  } = options;
+
+  try {
+    policy.assertUrlAllowed(url);
+  } catch (error) {
+    return Promise.reject(error);
+  }
+  const client = url.startsWith("http:") ? http : https;
+
+  return new Promise((resolve, reject) => {
+    let settled = false;
+
+    const request = client.get(url, { headers, lookup: policy.lookup }, (apiRes) => {
+      if (settled) {
+        apiRes.destroy();
+        return;
+      }
+
+      const { statusCode, headers: resHeaders } = apiRes;
+      if (statusCode >= 300 && statusCode < 400 && resHeaders.location) {
+        apiRes.resume();
+        settled = true;
+
+        if (maxRedirects <= 0) {
+          reject(new UpstreamError("重定向次数过多", 502));
+          return;
+        }
+
+        let nextUrl;
+        try {
+          nextUrl = resolveRedirectUrl(resHeaders.location, url);
+        } catch (error) {
+          reject(error);
+          return;
+        }
+        getStream(nextUrl, { ...options, maxRedirects: maxRedirects - 1 }).then(
+          resolve,
+          reject
+        );
+        return;
+      }
+
+      settled = true;
+      const contentLength = Number(resHeaders["content-length"]);
+      if (contentLength > policy.maxResponseBytes) {
+        apiRes.destroy();
+        reject(tooLargeError(policy.maxResponseBytes));
+        return;
+      }
+
+      // 响应头到达后超时仍然生效：读取空闲超时会销毁请求，响应流随之报错
+      resolve(apiRes);
+    });
+
+    request.on("error", (error) => {
+      if (settled) return;
+      settled = true;
+      reject(error instanceof UpstreamError ? error : new UpstreamError(error.message));
+    });
+
+    request.setTimeout(timeout, () => {
+      request.destroy();
+      if (settled) return;
+      settled = true;
+      reject(UpstreamError.timeout());
+    });
+  });
+}
+
+module.exports = { requestBuffer, requestText, getText, getStream, isImageContentType };
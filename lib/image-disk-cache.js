@@ -0,0 +1,237 @@
+/**
+ * 图片磁盘缓存 - 按条数和总字节数限制的LRU缓存
+ * 每张图片保存为 <key>.bin，元数据保存为 <key>.json（含按内容计算的ETag）
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { logger } = require("./logger");
+
+class ImageDiskCache {
+  /**
+   * @param {Object} options - 缓存配置
+   * @param {string} options.dir - 缓存目录
+   * @param {number} options.maxEntries - 最大缓存条数
+   * @param {number} options.maxBytes - 最大缓存总字节数
+   * @param {number} options.ttl - 缓存有效期（毫秒）
+   */
+  constructor(options) {
+    this.dir = options.dir;
+    this.maxEntries = options.maxEntries;
+    this.maxBytes = options.maxBytes;
+    this.ttl = options.ttl;
+
+    // Map保持插入顺序，最近访问的条目移动到末尾
+    this.entries = new Map();
+    this.totalBytes = 0;
+    this.stats = { hits: 0, misses: 0 };
+  }
+
+  /**
+   * 创建缓存目录并载入已有的缓存条目
+   */
+  init() {
+    fs.mkdirSync(this.dir, { recursive: true });
+
+    const metas = [];
+    for (const file of fs.readdirSync(this.dir)) {
+      const filePath = path.join(this.dir, file);
+
+      if (file.endsWith(".tmp")) {
+        fs.rmSync(filePath, { force: true });
+        continue;
+      }
+      if (!file.endsWith(".json")) continue;
+
+      try {
+        const meta = JSON.parse(fs.readFileSync(filePath, "utf8"));
+        if (fs.existsSync(this.getDataPath(meta.key))) {
+          metas.push(meta);
+        } else {
+          fs.rmSync(filePath, { force: true });
+        }
+      } catch (error) {
+        fs.rmSync(filePath, { force: true });
+      }
+    }
+
+    metas.sort((a, b) => a.createdAt - b.createdAt);
+    for (const meta of metas) {
+      this.entries.set(meta.key, meta);
+      this.totalBytes += meta.size;
+    }
+
+    this.evict();
+    logger.info("图片磁盘缓存已载入", { entries: this.entries.size, bytes: this.totalBytes });
+  }
+
+  /**
+   * 计算URL对应的缓存键
+   * @param {string} url - 图片URL
+   * @returns {string}
+   */
+  keyFor(url) {
+    return crypto.createHash("sha1").update(url).digest("hex");
+  }
+
+  /**
+   * 图片数据文件路径
+   * @param {string} key - 缓存键
+   * @returns {string}
+   */
+  getDataPath(key) {
+    return path.join(this.dir, `${key}.bin`);
+  }
+
+  /**
+   * 元数据文件路径
+   * @param {string} key - 缓存键
+   * @returns {string}
+   */
+  getMetaPath(key) {
+    return path.join(this.dir, `${key}.json`);
+  }
+
+  /**
+   * 获取缓存条目
+   * @param {string} url - 图片URL
+   * @returns {Object|null} 缓存元数据（含filePath）或null
+   */
+  get(url) {
+    const key = this.keyFor(url);
+    const entry = this.entries.get(key);
+
+    if (!entry) {
+      this.stats.misses++;
+      return null;
+    }
+
+    if (Date.now() - entry.createdAt > this.ttl) {
+      this.remove(key);
+      this.stats.misses++;
+      return null;
+    }
+
+    // 移动到末尾，标记为最近使用
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    this.stats.hits++;
+
+    return { ...entry, filePath: this.getDataPath(key) };
+  }
+
+  /**
+   * 创建缓存写入器，数据先写入临时文件，完整接收后再提交
+   * @param {string} url - 图片URL
+   * @param {string} contentType - 图片MIME类型
+   * @returns {{write: Function, commit: Function, abort: Function}}
+   */
+  createWriter(url, contentType) {
+    const key = this.keyFor(url);
+    const tmpPath = path.join(
+      this.dir,
+      `${key}.${crypto.randomBytes(4).toString("hex")}.tmp`
+    );
+    const stream = fs.createWriteStream(tmpPath);
+    // 同一URL可能每次返回不同的图片，ETag按实际内容计算
+    const hash = crypto.createHash("sha1");
+    let size = 0;
+    let done = false;
+
+    stream.on("error", (error) => {
+      logger.warn("图片缓存写入失败", { error });
+      done = true;
+      fs.rm(tmpPath, { force: true }, () => {});
+    });
+
+    return {
+      write(chunk) {
+        if (done) return;
+        size += chunk.length;
+        hash.update(chunk);
+        stream.write(chunk);
+      },
+      commit: () => {
+        if (done) return;
+        done = true;
+
+        stream.end(() => {
+          // 单张图片超过总容量时不缓存
+          if (size === 0 || size > this.maxBytes) {
+            fs.rm(tmpPath, { force: true }, () => {});
+            return;
+          }
+
+          try {
+            const etag = `"${hash.digest("hex")}"`;
+            const meta = { key, url, contentType, size, etag, createdAt: Date.now() };
+            fs.renameSync(tmpPath, this.getDataPath(key));
+            fs.writeFileSync(this.getMetaPath(key), JSON.stringify(meta));
+
+            if (this.entries.has(key)) {
+              this.totalBytes -= this.entries.get(key).size;
+              this.entries.delete(key);
+            }
+            this.entries.set(key, meta);
+            this.totalBytes += size;
+            this.evict();
+          } catch (error) {
+            logger.warn("图片缓存提交失败", { error });
+            fs.rm(tmpPath, { force: true }, () => {});
+          }
+        });
+      },
+      abort: () => {
+        if (done) return;
+        done = true;
+        stream.destroy();
+        fs.rm(tmpPath, { force: true }, () => {});
+      },
+    };
+  }
+
+  /**
+   * 删除缓存条目
+   * @param {string} key - 缓存键
+   */
+  remove(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return;
+
+    this.entries.delete(key);
+    this.totalBytes -= entry.size;
+    fs.rmSync(this.getDataPath(key), { force: true });
+    fs.rmSync(this.getMetaPath(key), { force: true });
+  }
+
+  /**
+   * 淘汰最近最少使用的条目，直到满足条数和字节数限制
+   */
+  evict() {
+    while (
+      this.entries.size > 0 &&
+      (this.entries.size > this.maxEntries || this.totalBytes > this.maxBytes)
+    ) {
+      const oldestKey = this.entries.keys().next().value;
+      this.remove(oldestKey);
+    }
+  }
+
+  /**
+   * 获取缓存统计信息
+   * @returns {Object}
+   */
+  getStats() {
+    return {
+      entries: this.entries.size,
+      maxEntries: this.maxEntries,
+      bytes: this.totalBytes,
+      maxBytes: this.maxBytes,
+      hits: this.stats.hits,
+      misses: this.stats.misses,
+    };
+  }
+}
+
+module.exports = { ImageDiskCache };
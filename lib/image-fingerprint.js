@@ -0,0 +1,107 @@
+/**
+ * 图片指纹 - 内容哈希识别字节完全相同的图片，感知哈希识别重新编码或缩放后的同一张图片
+ */
+
+const crypto = require("crypto");
+const { parseImageHeader } = require("./image-header");
+const { decodeLuma } = require("./image-luma");
+
+// 差值哈希的采样尺寸：9x8 个采样点得到 8x8 = 64 位
+const HASH_WIDTH = 9;
+const HASH_HEIGHT = 8;
+
+/**
+ * 计算内容哈希
+ * @param {Buffer} buffer - 图片字节
+ * @returns {string} SHA-1十六进制字符串
+ */
+function contentHash(buffer) {
+  return crypto.createHash("sha1").update(buffer).digest("hex");
+}
+
+/**
+ * 将亮度矩阵按区域平均缩放到指定尺寸
+ * @param {Object} image - decodeLuma返回的亮度矩阵
+ * @param {number} width - 目标宽度
+ * @param {number} height - 目标高度
+ * @returns {Float32Array}
+ */
+function resize(image, width, height) {
+  const output = new Float32Array(width * height);
+
+  for (let y = 0; y < height; y++) {
+    const top = Math.floor((y * image.height) / height);
+    const bottom = Math.max(top + 1, Math.floor(((y + 1) * image.height) / height));
+
+    for (let x = 0; x < width; x++) {
+      const left = Math.floor((x * image.width) / width);
+      const right = Math.max(left + 1, Math.floor(((x + 1) * image.width) / width));
+
+      let sum = 0;
+      for (let sy = top; sy < bottom; sy++) {
+        for (let sx = left; sx < right; sx++) {
+          sum += image.data[sy * image.width + sx];
+        }
+      }
+      output[y * width + x] = sum / ((bottom - top) * (right - left));
+    }
+  }
+
+  return output;
+}
+
+/**
+ * 计算差值哈希（dHash）：比较相邻采样点的亮度
+ * @param {Object} image - decodeLuma返回的亮度矩阵
+ * @returns {string} 16位十六进制字符串
+ */
+function differenceHash(image) {
+  const samples = resize(image, HASH_WIDTH, HASH_HEIGHT);
+  let hash = 0n;
+
+  for (let y = 0; y < HASH_HEIGHT; y++) {
+    for (let x = 0; x < HASH_WIDTH - 1; x++) {
+      const index = y * HASH_WIDTH + x;
+      hash = (hash << 1n) | (samples[index] < samples[index + 1] ? 1n : 0n);
+    }
+  }
+
+  return hash.toString(16).padStart(16, "0");
+}
+
+/**
+ * 计算两个感知哈希的汉明距离
+ * @param {string} a - 感知哈希
+ * @param {string} b - 感知哈希
+ * @returns {number} 不同的位数
+ */
+function hammingDistance(a, b) {
+  let diff = BigInt(`0x${a}`) ^ BigInt(`0x${b}`);
+  let count = 0;
+  while (diff) {
+    diff &= diff - 1n;
+    count++;
+  }
+  return count;
+}
+
+/**
+ * 计算图片指纹
+ * @param {Buffer} buffer - 完整的图片字节
+ * @returns {Promise<{contentHash: string, perceptualHash: string|null, format: string|null}>}
+ *   无法解码的格式（GIF、WebP、SVG等）只有内容哈希
+ */
+async function fingerprintImage(buffer) {
+  const header = parseImageHeader(buffer);
+  const luma = header ? await decodeLuma(buffer, header.format) : null;
+  // 采样点比像素还多时哈希没有意义
+  const hashable = luma && luma.width >= HASH_WIDTH && luma.height >= HASH_HEIGHT;
+
+  return {
+    contentHash: contentHash(buffer),
+    perceptualHash: hashable ? differenceHash(luma) : null,
+    format: header ? header.format : null,
+  };
+}
+
+module.exports = { fingerprintImage, hammingDistance, contentHash };
@@ -0,0 +1,187 @@
+/**
+ * 图片头解析 - 只根据文件开头的字节识别格式和尺寸，无需下载完整图片
+ * 支持 PNG、JPEG、GIF、WebP，以及SVG根元素上的宽高属性
+ */
+
+const FORMATS = {
+  png: "image/png",
+  jpeg: "image/jpeg",
+  gif: "image/gif",
+  webp: "image/webp",
+  svg: "image/svg+xml",
+};
+
+// 带尺寸信息的JPEG帧起始标记（SOF0-SOF15，排除DHT、JPG、DAC）
+const JPEG_SOF_MARKERS = new Set([
+  0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf,
+]);
+
+/**
+ * 生成解析结果
+ * @param {string} format - 图片格式
+ * @param {number|null} width - 宽度
+ * @param {number|null} height - 高度
+ * @returns {{format: string, mime: string, width: number|null, height: number|null}}
+ */
+function result(format, width = null, height = null) {
+  return { format, mime: FORMATS[format], width, height };
+}
+
+/**
+ * 解析PNG，尺寸位于IHDR块
+ * @param {Buffer} buffer - 文件开头的字节
+ * @returns {Object}
+ */
+function parsePng(buffer) {
+  if (buffer.length < 24 || buffer.toString("ascii", 12, 16) !== "IHDR") {
+    return result("png");
+  }
+  return result("png", buffer.readUInt32BE(16), buffer.readUInt32BE(20));
+}
+
+/**
+ * 解析GIF，尺寸位于逻辑屏幕描述符
+ * @param {Buffer} buffer - 文件开头的字节
+ * @returns {Object}
+ */
+function parseGif(buffer) {
+  if (buffer.length < 10) {
+    return result("gif");
+  }
+  return result("gif", buffer.readUInt16LE(6), buffer.readUInt16LE(8));
+}
+
+/**
+ * 解析WebP，按第一个块的类型区分有损、无损和扩展格式
+ * @param {Buffer} buffer - 文件开头的字节
+ * @returns {Object}
+ */
+function parseWebp(buffer) {
+  if (buffer.length < 30) {
+    return result("webp");
+  }
+
+  switch (buffer.toString("ascii", 12, 16)) {
+    case "VP8 ":
+      // 3字节帧标记和3字节起始码之后是14位宽高
+      return result(
+        "webp",
+        buffer.readUInt16LE(26) & 0x3fff,
+        buffer.readUInt16LE(28) & 0x3fff
+      );
+    case "VP8L": {
+      // 签名字节0x2f之后，宽高各14位，存储值为实际值减1
+      const bits = buffer.readUInt32LE(21);
+      return result("webp", (bits & 0x3fff) + 1, ((bits >> 14) & 0x3fff) + 1);
+    }
+    case "VP8X":
+      // 画布宽高各24位，存储值为实际值减1
+      return result("webp", buffer.readUIntLE(24, 3) + 1, buffer.readUIntLE(27, 3) + 1);
+    default:
+      return result("webp");
+  }
+}
+
+/**
+ * 解析JPEG，逐个跳过标记段直到帧起始段（EXIF缩略图等可能位于其前）
+ * @param {Buffer} buffer - 文件开头的字节
+ * @returns {Object}
+ */
+function parseJpeg(buffer) {
+  let offset = 2;
+
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      return result("jpeg");
+    }
+
+    const marker = buffer[offset + 1];
+    // 填充字节
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    // 无长度的独立标记
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+      offset += 2;
+      continue;
+    }
+    // 扫描开始或图像结束后不会再有帧起始段
+    if (marker === 0xda || marker === 0xd9) {
+      return result("jpeg");
+    }
+
+    if (JPEG_SOF_MARKERS.has(marker)) {
+      return result("jpeg", buffer.readUInt16BE(offset + 7), buffer.readUInt16BE(offset + 5));
+    }
+
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+
+  return result("jpeg");
+}
+
+/**
+ * 解析SVG根元素的width/height属性，缺少时使用viewBox
+ * @param {string} text - 文件开头的文本
+ * @returns {Object}
+ */
+function parseSvg(text) {
+  const root = text.match(/<svg\b[^>]*>/i);
+  if (!root) {
+    return result("svg");
+  }
+
+  const readAttribute = (name) => {
+    const match = root[0].match(new RegExp(`\\s${name}\\s*=\\s*["']\\s*([\\d.]+)(px)?\\s*["']`, "i"));
+    return match ? Math.round(parseFloat(match[1])) : null;
+  };
+
+  let width = readAttribute("width");
+  let height = readAttribute("height");
+
+  if (width === null || height === null) {
+    const viewBox = root[0].match(/\sviewBox\s*=\s*["']([^"']+)["']/i);
+    const values = viewBox ? viewBox[1].trim().split(/[\s,]+/).map(Number) : [];
+    if (values.length === 4 && values.every(Number.isFinite)) {
+      width = width ?? Math.round(values[2]);
+      height = height ?? Math.round(values[3]);
+    }
+  }
+
+  return result("svg", width, height);
+}
+
+/**
+ * 根据文件开头的字节识别图片格式和尺寸
+ * @param {Buffer} buffer - 文件开头的字节
+ * @returns {{format: string, mime: string, width: number|null, height: number|null}|null}
+ *   无法识别格式时返回null；格式已识别但字节不足以读出尺寸时宽高为null
+ */
+function parseImageHeader(buffer) {
+  if (buffer.length >= 8 && buffer.readUInt32BE(0) === 0x89504e47 && buffer.readUInt32BE(4) === 0x0d0a1a0a) {
+    return parsePng(buffer);
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return parseJpeg(buffer);
+  }
+  if (buffer.length >= 6 && /^GIF8[79]a$/.test(buffer.toString("ascii", 0, 6))) {
+    return parseGif(buffer);
+  }
+  if (
+    buffer.length >= 12 &&
+    buffer.toString("ascii", 0, 4) === "RIFF" &&
+    buffer.toString("ascii", 8, 12) === "WEBP"
+  ) {
+    return parseWebp(buffer);
+  }
+
+  const text = buffer.toString("utf8").replace(/^\uFEFF/, "").trimStart();
+  if (/^(<\?xml|<!--|<!DOCTYPE svg|<svg\b)/i.test(text) && /<svg\b/i.test(text)) {
+    return parseSvg(text);
+  }
+
+  return null;
+}
+
+module.exports = { parseImageHeader, FORMATS };
@@ -0,0 +1,568 @@
+/**
+ * 图片亮度解码 - 纯JS将图片解码为灰度矩阵，供感知哈希使用
+ *
+ * 只求足够计算哈希，不追求还原完整图片：
+ * - PNG：异步流式解压，解码时按区域平均缩小到不超过256x256；隔行扫描的图片只解码第一遍（1/8缩略图）
+ * - JPEG：只解码亮度分量的DC系数，得到1/8缩略图，无需IDCT；
+ *   支持基线和渐进式（取第一个DC扫描），不支持算术编码、无损和CMYK JPEG
+ * 其他格式返回null，由调用方退回到内容哈希
+ */
+
+const zlib = require("zlib");
+const { logger } = require("./logger");
+
+// PNG解码的最大像素数（4096x4096），更大的图片只使用内容哈希，避免占用过多CPU
+const MAX_PNG_PIXELS = 4096 * 4096;
+
+// PNG解码输出的最大边长，感知哈希只需要9x8个采样点
+const MAX_OUTPUT_SIZE = 256;
+
+// JPEG亮度DC块的最大数量（约8192x8192像素），更大的图片只使用内容哈希
+const MAX_JPEG_BLOCKS = 1024 * 1024;
+
+/**
+ * 解码结果
+ * @typedef {Object} LumaImage
+ * @property {number} width - 宽度
+ * @property {number} height - 高度
+ * @property {Float32Array} data - 按行排列的亮度值
+ */
+
+/**
+ * RGB转亮度
+ * @param {number} r - 红
+ * @param {number} g - 绿
+ * @param {number} b - 蓝
+ * @returns {number}
+ */
+function toLuma(r, g, b) {
+  return 0.299 * r + 0.587 * g + 0.114 * b;
+}
+
+/**
+ * Paeth预测函数
+ * @param {number} a - 左
+ * @param {number} b - 上
+ * @param {number} c - 左上
+ * @returns {number}
+ */
+function paeth(a, b, c) {
+  const p = a + b - c;
+  const pa = Math.abs(p - a);
+  const pb = Math.abs(p - b);
+  const pc = Math.abs(p - c);
+  if (pa <= pb && pa <= pc) return a;
+  return pb <= pc ? b : c;
+}
+
+/**
+ * 按滤波类型原地还原一行
+ * @param {number} filter - 滤波类型
+ * @param {Buffer} row - 当前行（不含滤波类型字节）
+ * @param {Buffer} previous - 已还原的上一行，第一行时全为0
+ * @param {number} bytesPerPixel - 每像素字节数（不足1字节按1）
+ */
+function unfilterRow(filter, row, previous, bytesPerPixel) {
+  for (let x = 0; x < row.length; x++) {
+    const left = x >= bytesPerPixel ? row[x - bytesPerPixel] : 0;
+    const up = previous[x];
+    const upLeft = x >= bytesPerPixel ? previous[x - bytesPerPixel] : 0;
+    let value = row[x];
+
+    switch (filter) {
+      case 1:
+        value += left;
+        break;
+      case 2:
+        value += up;
+        break;
+      case 3:
+        value += (left + up) >> 1;
+        break;
+      case 4:
+        value += paeth(left, up, upLeft);
+        break;
+    }
+    row[x] = value;
+  }
+}
+
+/**
+ * 解码PNG，异步流式解压，逐行还原后按区域平均累加到缩小的网格中，只保留当前行和上一行
+ * @param {Buffer} buffer - 完整的PNG文件
+ * @returns {Promise<LumaImage|null>}
+ */
+async function decodePng(buffer) {
+  let header = null;
+  let palette = null;
+  const idat = [];
+
+  // 跳过8字节签名，逐块读取
+  let offset = 8;
+  while (offset + 8 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString("ascii", offset + 4, offset + 8);
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+    offset += 12 + length;
+
+    if (type === "IHDR") {
+      header = {
+        width: data.readUInt32BE(0),
+        height: data.readUInt32BE(4),
+        bitDepth: data[8],
+        colorType: data[9],
+        interlace: data[12],
+      };
+    } else if (type === "PLTE") {
+      palette = data;
+    } else if (type === "IDAT") {
+      idat.push(data);
+    } else if (type === "IEND") {
+      break;
+    }
+  }
+
+  if (!header || idat.length === 0) return null;
+
+  const channels = { 0: 1, 2: 3, 3: 1, 4: 2, 6: 4 }[header.colorType];
+  if (!channels || (header.colorType === 3 && !palette)) return null;
+  if (header.width * header.height > MAX_PNG_PIXELS) return null;
+
+  const bitsPerPixel = channels * header.bitDepth;
+  const bytesPerPixel = Math.max(1, bitsPerPixel >> 3);
+
+  // 隔行扫描时第一遍是每8x8取一个像素的缩略图，位于解压数据的开头
+  const width = header.interlace ? Math.ceil(header.width / 8) : header.width;
+  const height = header.interlace ? Math.ceil(header.height / 8) : header.height;
+  const rowBytes = Math.ceil((width * bitsPerPixel) / 8);
+
+  // 按位深读取第n个样本，统一缩放到0~255
+  const maxSample = (1 << header.bitDepth) - 1;
+  const readSample = (row, index) => {
+    if (header.bitDepth === 8) return row[index];
+    if (header.bitDepth === 16) return row[index * 2];
+    const bit = index * header.bitDepth;
+    return (row[bit >> 3] >> (8 - header.bitDepth - (bit & 7))) & maxSample;
+  };
+  const scale = header.bitDepth < 8 ? 255 / maxSample : 1;
+
+  // 输出网格，每个源像素累加到所在区域
+  const outputWidth = Math.min(width, MAX_OUTPUT_SIZE);
+  const outputHeight = Math.min(height, MAX_OUTPUT_SIZE);
+  const sums = new Float64Array(outputWidth * outputHeight);
+  const counts = new Uint32Array(outputWidth * outputHeight);
+  const columns = new Uint16Array(width);
+  for (let x = 0; x < width; x++) {
+    columns[x] = Math.floor((x * outputWidth) / width);
+  }
+
+  const accumulateRow = (row, y) => {
+    const base = Math.floor((y * outputHeight) / height) * outputWidth;
+    for (let x = 0; x < width; x++) {
+      const sample = x * channels;
+      let luma;
+      if (header.colorType === 3) {
+        const index = readSample(row, x) * 3;
+        luma = toLuma(palette[index], palette[index + 1], palette[index + 2]);
+      } else if (channels >= 3) {
+        luma = toLuma(readSample(row, sample), readSample(row, sample + 1), readSample(row, sample + 2));
+      } else {
+        luma = readSample(row, sample) * scale;
+      }
+      sums[base + columns[x]] += luma;
+      counts[base + columns[x]] += 1;
+    }
+  };
+
+  let current = Buffer.alloc(rowBytes);
+  let previous = Buffer.alloc(rowBytes);
+  let filter = -1; // 当前行的滤波类型，-1表示还未读到
+  let filled = 0;
+  let y = 0;
+
+  const completed = await new Promise((resolve, reject) => {
+    const inflate = zlib.createInflate();
+
+    inflate.on("data", (chunk) => {
+      let position = 0;
+      while (position < chunk.length && y < height) {
+        if (filter === -1) {
+          filter = chunk[position++];
+          continue;
+        }
+        const count = Math.min(rowBytes - filled, chunk.length - position);
+        chunk.copy(current, filled, position, position + count);
+        filled += count;
+        position += count;
+
+        if (filled === rowBytes) {
+          unfilterRow(filter, current, previous, bytesPerPixel);
+          accumulateRow(current, y);
+          [previous, current] = [current, previous];
+          filter = -1;
+          filled = 0;
+          y++;
+        }
+      }
+
+      // 需要的行已读完（隔行扫描时后几遍数据无需解压）
+      if (y === height) {
+        inflate.destroy();
+        resolve(true);
+      }
+    });
+    inflate.on("end", () => resolve(y === height));
+    inflate.on("error", reject);
+    inflate.end(Buffer.concat(idat));
+  });
+  if (!completed) return null;
+
+  const data = new Float32Array(outputWidth * outputHeight);
+  for (let i = 0; i < data.length; i++) {
+    data[i] = sums[i] / counts[i];
+  }
+  return { width: outputWidth, height: outputHeight, data };
+}
+
+/**
+ * 构建JPEG霍夫曼查找表
+ * @param {Buffer} counts - 各码长的码字数量（16字节）
+ * @param {Buffer} symbols - 符号列表
+ * @returns {{maxCode: Int32Array, valueOffset: Int32Array, symbols: Buffer}}
+ */
+function buildHuffmanTable(counts, symbols) {
+  const maxCode = new Int32Array(18).fill(-1);
+  const valueOffset = new Int32Array(18);
+  let code = 0;
+  let index = 0;
+
+  for (let length = 1; length <= 16; length++) {
+    const count = counts[length - 1];
+    valueOffset[length] = index - code;
+    code += count;
+    index += count;
+    maxCode[length] = count > 0 ? code - 1 : -1;
+    code <<= 1;
+  }
+
+  return { maxCode, valueOffset, symbols };
+}
+
+/**
+ * JPEG熵编码数据的位读取器，处理0xFF00填充，遇到标记时停止
+ */
+class JpegBitReader {
+  /**
+   * @param {Buffer} buffer - 完整的JPEG文件
+   * @param {number} offset - 熵编码数据的起始位置
+   */
+  constructor(buffer, offset) {
+    this.buffer = buffer;
+    this.offset = offset;
+    this.bits = 0;
+    this.bitCount = 0;
+  }
+
+  /**
+   * 读取一位
+   * @returns {number}
+   */
+  readBit() {
+    if (this.bitCount === 0) {
+      if (this.offset >= this.buffer.length) {
+        throw new Error("JPEG数据不完整");
+      }
+      let byte = this.buffer[this.offset++];
+      if (byte === 0xff) {
+        const next = this.buffer[this.offset];
+        if (next === 0x00) {
+          this.offset++;
+        } else if (next >= 0xd0 && next <= 0xd7) {
+          // 复位标记由resetInterval处理，这里按0填充
+          byte = 0;
+          this.offset--;
+        } else {
+          throw new Error("JPEG扫描数据意外结束");
+        }
+      }
+      this.bits = byte;
+      this.bitCount = 8;
+    }
+
+    this.bitCount--;
+    return (this.bits >> this.bitCount) & 1;
+  }
+
+  /**
+   * 读取n位无符号数
+   * @param {number} count - 位数
+   * @returns {number}
+   */
+  receive(count) {
+    let value = 0;
+    for (let i = 0; i < count; i++) {
+      value = (value << 1) | this.readBit();
+    }
+    return value;
+  }
+
+  /**
+   * 读取n位并按JPEG规则还原为有符号数
+   * @param {number} count - 位数
+   * @returns {number}
+   */
+  receiveExtend(count) {
+    if (count === 0) return 0;
+    const value = this.receive(count);
+    return value < 1 << (count - 1) ? value - (1 << count) + 1 : value;
+  }
+
+  /**
+   * 解码一个霍夫曼符号
+   * @param {Object} table - buildHuffmanTable返回的表
+   * @returns {number}
+   */
+  decode(table) {
+    let code = 0;
+    for (let length = 1; length <= 16; length++) {
+      code = (code << 1) | this.readBit();
+      if (code <= table.maxCode[length]) {
+        return table.symbols[table.valueOffset[length] + code];
+      }
+    }
+    throw new Error("JPEG霍夫曼编码无效");
+  }
+
+  /**
+   * 跳过复位标记，丢弃剩余的填充位
+   */
+  resetInterval() {
+    this.bitCount = 0;
+    while (this.offset + 1 < this.buffer.length) {
+      const marker = this.buffer[this.offset + 1];
+      if (this.buffer[this.offset] === 0xff && marker >= 0xd0 && marker <= 0xd7) {
+        this.offset += 2;
+        return;
+      }
+      this.offset++;
+    }
+  }
+}
+
+/**
+ * 解码JPEG亮度分量的DC系数
+ * @param {Buffer} buffer - 完整的JPEG文件
+ * @returns {LumaImage|null}
+ */
+function decodeJpeg(buffer) {
+  const dcTables = {};
+  const acTables = {};
+  let frame = null;
+  let restartInterval = 0;
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) return null;
+    const marker = buffer[offset + 1];
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+    if (marker === 0xd9) return null;
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const segment = buffer.subarray(offset + 4, offset + 2 + length);
+    offset += 2 + length;
+
+    if (marker === 0xc0 || marker === 0xc1 || marker === 0xc2) {
+      const components = [];
+      for (let i = 0; i < segment[5]; i++) {
+        const sampling = segment[7 + i * 3];
+        components.push({ id: segment[6 + i * 3], h: sampling >> 4, v: sampling & 15 });
+      }
+      frame = {
+        progressive: marker === 0xc2,
+        height: segment.readUInt16BE(1),
+        width: segment.readUInt16BE(3),
+        components,
+        maxH: Math.max(...components.map((component) => component.h)),
+        maxV: Math.max(...components.map((component) => component.v)),
+      };
+      // CMYK/YCCK的第一个分量不是亮度
+      if (components.length === 4) return null;
+    } else if (marker >= 0xc3 && marker <= 0xcf && marker !== 0xc4 && marker !== 0xc8 && marker !== 0xcc) {
+      // 无损、分层和算术编码的JPEG不支持
+      return null;
+    } else if (marker === 0xc4) {
+      let position = 0;
+      while (position < segment.length) {
+        const tableClass = segment[position] >> 4;
+        const tableId = segment[position] & 15;
+        const counts = segment.subarray(position + 1, position + 17);
+        const total = counts.reduce((sum, count) => sum + count, 0);
+        const symbols = segment.subarray(position + 17, position + 17 + total);
+        (tableClass === 0 ? dcTables : acTables)[tableId] = buildHuffmanTable(counts, symbols);
+        position += 17 + total;
+      }
+    } else if (marker === 0xdd) {
+      restartInterval = segment.readUInt16BE(0);
+    } else if (marker === 0xda) {
+      if (!frame) return null;
+      const result = decodeJpegScan(buffer, offset, segment, frame, dcTables, acTables, restartInterval);
+      if (result) return result;
+      // 不包含亮度DC的扫描（如渐进式的AC扫描）需要跳过熵编码数据
+      offset = skipEntropyData(buffer, offset);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 跳过熵编码数据，返回下一个标记的位置
+ * @param {Buffer} buffer - 完整的JPEG文件
+ * @param {number} offset - 熵编码数据的起始位置
+ * @returns {number}
+ */
+function skipEntropyData(buffer, offset) {
+  while (offset + 1 < buffer.length) {
+    const next = buffer[offset + 1];
+    if (buffer[offset] === 0xff && next !== 0x00 && !(next >= 0xd0 && next <= 0xd7)) {
+      return offset;
+    }
+    offset++;
+  }
+  return buffer.length;
+}
+
+/**
+ * 解码一个扫描中亮度分量的DC系数，扫描不含亮度DC时返回null
+ * @param {Buffer} buffer - 完整的JPEG文件
+ * @param {number} offset - 熵编码数据的起始位置
+ * @param {Buffer} header - SOS段内容
+ * @param {Object} frame - 帧信息
+ * @param {Object} dcTables - DC霍夫曼表
+ * @param {Object} acTables - AC霍夫曼表
+ * @param {number} restartInterval - 复位间隔（MCU数）
+ * @returns {LumaImage|null}
+ */
+function decodeJpegScan(buffer, offset, header, frame, dcTables, acTables, restartInterval) {
+  const scanComponents = [];
+  for (let i = 0; i < header[0]; i++) {
+    const component = frame.components.find((item) => item.id === header[1 + i * 2]);
+    if (!component) return null;
+    const tables = header[2 + i * 2];
+    scanComponents.push({ ...component, dc: dcTables[tables >> 4], ac: acTables[tables & 15] });
+  }
+  const tail = 1 + header[0] * 2;
+  const spectralStart = header[tail];
+  const spectralEnd = header[tail + 1];
+  const approximationHigh = header[tail + 2] >> 4;
+  const approximationLow = header[tail + 2] & 15;
+
+  const lumaId = frame.components[0].id;
+  const decodeAc = !frame.progressive;
+  if (
+    spectralStart !== 0 ||
+    approximationHigh !== 0 ||
+    !scanComponents.some((component) => component.id === lumaId) ||
+    scanComponents.some((component) => !component.dc || (decodeAc && !component.ac))
+  ) {
+    return null;
+  }
+
+  const luma = frame.components[0];
+  const mcusX = Math.ceil(frame.width / (8 * frame.maxH));
+  const mcusY = Math.ceil(frame.height / (8 * frame.maxV));
+  // 图片实际覆盖的亮度块数
+  const width = Math.ceil(Math.ceil((frame.width * luma.h) / frame.maxH) / 8);
+  const height = Math.ceil(Math.ceil((frame.height * luma.v) / frame.maxV) / 8);
+  if (width * height > MAX_JPEG_BLOCKS) return null;
+
+  // 单分量扫描按分量自身的块排列，多分量扫描按MCU排列
+  const interleaved = scanComponents.length > 1;
+  const blocksPerLine = interleaved ? mcusX * luma.h : width;
+  const blocksPerColumn = interleaved ? mcusY * luma.v : height;
+  const totalMcus = interleaved ? mcusX * mcusY : width * height;
+
+  const grid = new Float32Array(blocksPerLine * blocksPerColumn);
+  const reader = new JpegBitReader(buffer, offset);
+  const predictors = new Map();
+
+  const decodeBlock = (component) => {
+    const size = reader.decode(component.dc);
+    const value = (predictors.get(component.id) || 0) + reader.receiveExtend(size);
+    predictors.set(component.id, value);
+
+    if (decodeAc) {
+      for (let k = 1; k < 64; ) {
+        const symbol = reader.decode(component.ac);
+        const run = symbol >> 4;
+        const bits = symbol & 15;
+        if (bits === 0) {
+          if (run !== 15) break;
+          k += 16;
+          continue;
+        }
+        k += run;
+        reader.receive(bits);
+        k++;
+      }
+    }
+    return value << approximationLow;
+  };
+
+  for (let mcu = 0; mcu < totalMcus; mcu++) {
+    if (restartInterval && mcu > 0 && mcu % restartInterval === 0) {
+      reader.resetInterval();
+      predictors.clear();
+    }
+
+    if (!interleaved) {
+      grid[mcu] = decodeBlock(scanComponents[0]);
+      continue;
+    }
+
+    const mcuX = mcu % mcusX;
+    const mcuY = Math.floor(mcu / mcusX);
+    for (const component of scanComponents) {
+      for (let v = 0; v < component.v; v++) {
+        for (let h = 0; h < component.h; h++) {
+          const value = decodeBlock(component);
+          if (component.id === lumaId) {
+            grid[(mcuY * luma.v + v) * blocksPerLine + mcuX * luma.h + h] = value;
+          }
+        }
+      }
+    }
+  }
+
+  // 裁掉MCU对齐产生的多余块
+  const data = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    data.set(grid.subarray(y * blocksPerLine, y * blocksPerLine + width), y * width);
+  }
+  return { width, height, data };
+}
+
+/**
+ * 将图片解码为亮度矩阵
+ * @param {Buffer} buffer - 完整的图片文件
+ * @param {string} format - parseImageHeader识别出的格式
+ * @returns {Promise<LumaImage|null>} 不支持的格式或解码失败时返回null
+ */
+async function decodeLuma(buffer, format) {
+  try {
+    if (format === "png") return await decodePng(buffer);
+    if (format === "jpeg") return decodeJpeg(buffer);
+  } catch (error) {
+    logger.warn("图片解码失败", { format, error });
+  }
+  return null;
+}
+
+module.exports = { decodeLuma };
@@ -0,0 +1,170 @@
+/**
+ * 图片元数据 - 只读取图片开头的字节，返回尺寸、格式和文件大小
+ * 前端预加载前据此跳过过大或过小的图片，并按真实尺寸预留内存
+ * 随机图片接口同一URL每次返回不同的图片，结果只在上游提供 ETag 或 Last-Modified 时缓存，
+ * 之后每次都带条件请求向上游确认，上游返回304才使用缓存
+ */
+
+const { getStream } = require("./http-client");
+const { parseImageHeader } = require("./image-header");
+const { setCorsHeaders, sendError } = require("./responses");
+const { UpstreamError } = require("./errors");
+const { loggerFor } = require("./logger");
+
+// 最多读取的字节数，足以越过JPEG开头的EXIF段
+const HEADER_BYTES = 64 * 1024;
+
+const UPSTREAM_HEADERS = {
+  "User-Agent": "Mozilla/5.0 (compatible; H5ImageViewer/1.0)",
+  Accept: "image/avif,image/webp,image/*,*/*;q=0.8",
+  Range: `bytes=0-${HEADER_BYTES - 1}`,
+};
+
+/**
+ * 从响应头读取完整文件大小，206响应取Content-Range中的总长度
+ * @param {http.IncomingMessage} response - 上游响应
+ * @returns {number|null}
+ */
+function readTotalSize(response) {
+  if (response.statusCode === 206) {
+    const match = /\/(\d+)$/.exec(response.headers["content-range"] || "");
+    return match ? Number(match[1]) : null;
+  }
+
+  const length = Number(response.headers["content-length"]);
+  return Number.isFinite(length) && response.headers["content-length"] ? length : null;
+}
+
+/**
+ * 读取响应开头的字节，读出尺寸或达到上限后断开连接
+ * @param {http.IncomingMessage} response - 上游响应
+ * @returns {Promise<Buffer>}
+ */
+function readHead(response) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let received = 0;
+    let settled = false;
+
+    const finish = () => {
+      if (settled) return;
+      settled = true;
+      response.destroy();
+      resolve(Buffer.concat(chunks).subarray(0, HEADER_BYTES));
+    };
+
+    response.on("data", (chunk) => {
+      chunks.push(chunk);
+      received += chunk.length;
+
+      const header = parseImageHeader(Buffer.concat(chunks));
+      if (received >= HEADER_BYTES || (header && header.width !== null)) {
+        finish();
+      }
+    });
+    response.on("end", finish);
+    response.on("error", (error) => {
+      if (settled) return;
+      settled = true;
+      reject(new UpstreamError(error.message));
+    });
+  });
+}
+
+/**
+ * 创建图片元数据路由处理函数
+ * @param {Object} options - 配置
+ * @param {number} options.timeout - 上游超时时间（毫秒）
+ * @param {OutboundPolicy} options.policy - 出站请求策略
+ * @param {number} options.maxEntries - 内存中缓存的结果条数
+ * @returns {Function} Express路由处理函数
+ */
+function createImageMetaHandler({ timeout, policy, maxEntries = 500 }) {
+  // url -> { meta, etag, lastModified }，Map保持插入顺序，超出条数时淘汰最早的
+  const results = new Map();
+
+  /**
+   * 获取图片元数据，有缓存时带条件请求，上游确认未修改时返回缓存的结果
+   * @param {string} imageUrl - 图片URL
+   * @param {Object|undefined} previous - 缓存的结果
+   * @returns {Promise<{meta: Object, etag: string|null, lastModified: string|null}>}
+   */
+  async function fetchMeta(imageUrl, previous) {
+    const headers = { ...UPSTREAM_HEADERS };
+    if (previous?.etag) headers["If-None-Match"] = previous.etag;
+    if (previous?.lastModified) headers["If-Modified-Since"] = previous.lastModified;
+
+    const response = await getStream(imageUrl, { timeout, headers, policy });
+
+    if (response.statusCode === 304 && previous) {
+      response.resume();
+      return previous;
+    }
+    if (response.statusCode !== 200 && response.statusCode !== 206) {
+      response.resume();
+      throw new UpstreamError(`Upstream responded ${response.statusCode}`, 502, "图片获取失败");
+    }
+
+    const contentType = (response.headers["content-type"] || "").split(";")[0].trim();
+    const size = readTotalSize(response);
+    const header = parseImageHeader(await readHead(response));
+
+    if (!header && !contentType.startsWith("image/")) {
+      throw new UpstreamError(`Unexpected content type: ${contentType}`, 415, "目标不是图片");
+    }
+
+    return {
+      meta: {
+        format: header ? header.format : null,
+        mime: header ? header.mime : contentType,
+        width: header ? header.width : null,
+        height: header ? header.height : null,
+        size,
+      },
+      etag: response.headers.etag || null,
+      lastModified: response.headers["last-modified"] || null,
+    };
+  }
+
+  return async function handleImageMeta(req, res) {
+    setCorsHeaders(res);
+
+    const imageUrl = req.query.url;
+    if (typeof imageUrl !== "string" || !/^https?:\/\//i.test(imageUrl)) {
+      sendError(res, 400, "图片地址无效", "Query parameter url must be an http(s) URL");
+      return;
+    }
+
+    const previous = results.get(imageUrl);
+    let entry;
+    try {
+      entry = await fetchMeta(imageUrl, previous);
+    } catch (error) {
+      loggerFor(req).warn("图片元数据获取失败", { url: imageUrl, error });
+      sendError(res, error.status || 502, error.msg || "图片获取失败", error.message);
+      return;
+    }
+
+    // 重新插入以保持最近使用的在后；没有校验信息的结果无法确认是否变化，不缓存
+    results.delete(imageUrl);
+    if (entry.etag || entry.lastModified) {
+      results.set(imageUrl, entry);
+      if (results.size > maxEntries) {
+        results.delete(results.keys().next().value);
+      }
+    }
+
+    // 结果取决于上游当前返回的图片，浏览器和共享缓存都不能直接复用
+    res.set("Cache-Control", "no-cache");
+    res.json({
+      success: true,
+      code: 200,
+      url: imageUrl,
+      ...entry.meta,
+      cached: entry === previous,
+      timestamp: Date.now(),
+    });
+  };
+}
+
+module.exports = { createImageMetaHandler, HEADER_BYTES };
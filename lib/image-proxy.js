@@ -0,0 +1,165 @@
+/**
+ * 图片字节代理 - 由服务端拉取图片并转发给浏览器
+ * 不转发浏览器的Referer，可绕过第三方图片的防盗链；结果写入磁盘缓存
+ * 代理的图片与本站同源，响应带沙箱CSP，直接打开SVG时其中的脚本不会执行
+ */
+
+const fs = require("fs");
+const { getStream } = require("./http-client");
+const { setCorsHeaders, sendError } = require("./responses");
+const { loggerFor } = require("./logger");
+
+// 向上游发送的请求头，不包含Referer和浏览器Cookie
+const UPSTREAM_HEADERS = {
+  "User-Agent": "Mozilla/5.0 (compatible; H5ImageViewer/1.0)",
+  Accept: "image/avif,image/webp,image/*,*/*;q=0.8",
+};
+
+/**
+ * 生成代理地址
+ * @param {string} imageUrl - 原始图片URL
+ * @returns {string}
+ */
+function buildProxyUrl(imageUrl) {
+  return `/api/proxy?url=${encodeURIComponent(imageUrl)}`;
+}
+
+/**
+ * 创建图片代理路由处理函数
+ * @param {Object} options - 代理配置
+ * @param {ImageDiskCache} options.cache - 磁盘缓存
+ * @param {number} options.timeout - 上游超时时间（毫秒）
+ * @param {number} options.maxAge - 浏览器缓存时间（毫秒）
+ * @param {OutboundPolicy} options.policy - 出站请求策略
+ * @returns {Function} Express路由处理函数
+ */
+function createImageProxyHandler({ cache, timeout, maxAge, policy }) {
+  const cacheControl = `public, max-age=${Math.floor(maxAge / 1000)}`;
+
+  /**
+   * 设置图片响应头
+   * @param {Object} res - Express响应对象
+   * @param {string} contentType - 图片MIME类型
+   * @param {string|null} etag - 按图片内容计算的实体标签，边下载边转发时还未知
+   * @param {string} cacheStatus - 磁盘缓存状态（HIT/MISS）
+   */
+  function setImageHeaders(res, contentType, etag, cacheStatus) {
+    res.set({
+      "Content-Type": contentType,
+      "Cache-Control": cacheControl,
+      "Content-Security-Policy": "default-src 'none'; style-src 'unsafe-inline'; sandbox",
+      "Referrer-Policy": "no-referrer",
+      "X-Content-Type-Options": "nosniff",
+      "X-Cache": cacheStatus,
+    });
+    if (etag) {
+      res.set("ETag", etag);
+    }
+  }
+
+  return async function handleImageBytesProxy(req, res) {
+    setCorsHeaders(res);
+
+    const imageUrl = req.query.url;
+    if (typeof imageUrl !== "string" || !/^https?:\/\//i.test(imageUrl)) {
+      sendError(res, 400, "图片地址无效", "Query parameter url must be an http(s) URL");
+      return;
+    }
+
+    // 命中磁盘缓存
+    const cached = cache.get(imageUrl);
+    if (cached) {
+      setImageHeaders(res, cached.contentType, cached.etag, "HIT");
+      if (cached.etag && req.headers["if-none-match"] === cached.etag) {
+        res.status(304).end();
+        return;
+      }
+
+      res.set("Content-Length", String(cached.size));
+      fs.createReadStream(cached.filePath)
+        .on("error", (error) => {
+          loggerFor(req).error("读取图片缓存失败", { error });
+          res.destroy();
+        })
+        .pipe(res);
+      return;
+    }
+
+    let upstream;
+    try {
+      upstream = await getStream(imageUrl, {
+        timeout,
+        headers: UPSTREAM_HEADERS,
+        policy,
+      });
+    } catch (error) {
+      loggerFor(req).warn("图片代理请求失败", { url: imageUrl, error });
+      sendError(res, error.status || 502, error.msg || "图片获取失败", error.message);
+      return;
+    }
+
+    const contentType = upstream.headers["content-type"] || "";
+    if (upstream.statusCode !== 200) {
+      upstream.resume();
+      sendError(res, 502, "图片获取失败", `Upstream responded ${upstream.statusCode}`);
+      return;
+    }
+    if (!contentType.startsWith("image/")) {
+      upstream.resume();
+      sendError(res, 415, "目标不是图片", `Unexpected content type: ${contentType}`);
+      return;
+    }
+
+    setImageHeaders(res, contentType, null, "MISS");
+    if (upstream.headers["content-length"]) {
+      res.set("Content-Length", upstream.headers["content-length"]);
+    }
+
+    const writer = cache.createWriter(imageUrl, contentType);
+    let received = 0;
+
+    upstream.on("data", (chunk) => {
+      // 超过出站策略的响应大小上限时中断，close事件中放弃缓存
+      received += chunk.length;
+      if (received > policy.maxResponseBytes) {
+        loggerFor(req).warn("图片超过大小限制", { url: imageUrl });
+        upstream.destroy();
+        return;
+      }
+
+      writer.write(chunk);
+      if (!res.write(chunk)) {
+        upstream.pause();
+        res.once("drain", () => upstream.resume());
+      }
+    });
+
+    upstream.on("end", () => {
+      writer.commit();
+      res.end();
+    });
+
+    // 读取中途连接重置等错误，之后的close事件负责放弃缓存
+    upstream.on("error", (error) => {
+      loggerFor(req).warn("图片代理读取上游失败", { url: imageUrl, error });
+      res.destroy();
+    });
+
+    // 上游中断或客户端断开时放弃本次缓存
+    upstream.on("close", () => {
+      if (!upstream.readableEnded) {
+        writer.abort();
+        res.destroy();
+      }
+    });
+
+    res.on("close", () => {
+      if (!upstream.readableEnded) {
+        writer.abort();
+        upstream.destroy();
+      }
+    });
+  };
+}
+
+module.exports = { createImageProxyHandler, buildProxyUrl };
@@ -0,0 +1,39 @@
+/**
+ * JSON文件读写工具 - 供整体保存在一个JSON文件中的存储使用（收藏夹、分享链接）
+ */
+
+const fs = require("fs");
+const { logger } = require("./logger");
+
+/**
+ * 读取JSON文件
+ * 文件损坏时另存一份再返回null，避免下次写入覆盖掉可恢复的内容
+ * @param {string} file - 文件路径
+ * @returns {any|null} 文件内容，文件不存在或损坏时返回null
+ */
+function readJsonFile(file) {
+  if (!fs.existsSync(file)) return null;
+
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    const backupPath = `${file}.${Date.now()}.corrupt`;
+    fs.renameSync(file, backupPath);
+    logger.error("JSON文件无法解析，已另存并重新开始", { file: backupPath, error });
+    return null;
+  }
+}
+
+/**
+ * 写入JSON文件：先写临时文件，再重命名覆盖，进程中途退出也不会留下写了一半的文件
+ * @param {string} file - 文件路径
+ * @param {any} data - 文件内容
+ * @returns {Promise<void>}
+ */
+async function writeJsonFile(file, data) {
+  const tmpPath = `${file}.${process.pid}.tmp`;
+  await fs.promises.writeFile(tmpPath, JSON.stringify(data));
+  await fs.promises.rename(tmpPath, file);
+}
+
+module.exports = { readJsonFile, writeJsonFile };
@@ -0,0 +1,39 @@
+/**
+ * JSON处理工具
+ */
+
+const { loadSharedModule } = require("./shared-modules");
+
+/**
+ * 按点分割路径读取对象中的值
+ * @param {Object} data - 源对象
+ * @param {string} path - 点分割路径，如 "data.url"
+ * @returns {any} 读取到的值，路径不存在时返回undefined
+ */
+function getValueByPath(data, path) {
+  if (!path) return undefined;
+
+  let value = data;
+  for (const part of path.split(".")) {
+    if (value === null || value === undefined) {
+      return undefined;
+    }
+    value = value[part];
+  }
+  return value;
+}
+
+/**
+ * 按JSON路径从API响应中提取图片，规则见 public/js/shared/json-images.mjs
+ * @param {Object} data - API响应数据
+ * @param {string} jsonPath - JSON路径
+ * @param {number} maxImages - 最多提取的图片数
+ * @returns {Promise<{images: Array<{url: string, meta: Object|null}>, jsonPath: string}>}
+ *   图片和实际生效的路径，提取失败时拒绝
+ */
+async function extractImages(data, jsonPath, maxImages) {
+  const { extractImages: extract } = await loadSharedModule("json-images.mjs");
+  return extract(data, jsonPath, maxImages);
+}
+
+module.exports = { getValueByPath, extractImages };
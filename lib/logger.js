@@ -0,0 +1,131 @@
+/**
+ * 结构化日志 - 按级别过滤，每条日志输出为一行JSON，便于日志系统采集和检索
+ * 开发时可设置 LOG_FORMAT=text 输出便于阅读的单行文本
+ */
+
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+};
+
+/**
+ * 将错误对象转为可序列化的字段
+ * @param {any} value - 字段值
+ * @returns {any}
+ */
+function serializeValue(value) {
+  if (value instanceof Error) {
+    return {
+      name: value.name,
+      message: value.message,
+      ...(value.status !== undefined ? { status: value.status } : {}),
+    };
+  }
+  return value;
+}
+
+class Logger {
+  /**
+   * @param {Object} options - 日志配置
+   * @param {string} options.level - 最低输出级别：debug、info、warn、error
+   * @param {string} options.format - 输出格式：json 或 text
+   * @param {Object} options.bindings - 每条日志都附带的字段
+   */
+  constructor({ level = "info", format = "json", bindings = {} } = {}) {
+    if (!LEVELS[level]) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    this.level = level;
+    this.format = format;
+    this.bindings = bindings;
+  }
+
+  /**
+   * 创建附带额外字段的子日志器，如请求ID
+   * @param {Object} bindings - 附加字段
+   * @returns {Logger}
+   */
+  child(bindings) {
+    return new Logger({
+      level: this.level,
+      format: this.format,
+      bindings: { ...this.bindings, ...bindings },
+    });
+  }
+
+  /**
+   * 判断级别是否会被输出
+   * @param {string} level - 日志级别
+   * @returns {boolean}
+   */
+  isEnabled(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  /**
+   * 输出一条日志，warn和error写入stderr，其余写入stdout
+   * @param {string} level - 日志级别
+   * @param {string} msg - 日志消息
+   * @param {Object} fields - 附加字段
+   */
+  write(level, msg, fields = {}) {
+    if (!this.isEnabled(level)) return;
+
+    const entry = { time: new Date().toISOString(), level, msg };
+    for (const [key, value] of Object.entries({ ...this.bindings, ...fields })) {
+      if (value !== undefined) {
+        entry[key] = serializeValue(value);
+      }
+    }
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${this.format === "text" ? formatText(entry) : JSON.stringify(entry)}\n`);
+  }
+
+  debug(msg, fields) {
+    this.write("debug", msg, fields);
+  }
+
+  info(msg, fields) {
+    this.write("info", msg, fields);
+  }
+
+  warn(msg, fields) {
+    this.write("warn", msg, fields);
+  }
+
+  error(msg, fields) {
+    this.write("error", msg, fields);
+  }
+}
+
+/**
+ * 格式化为单行文本：时间 级别 消息 key=value ...
+ * @param {Object} entry - 日志条目
+ * @returns {string}
+ */
+function formatText({ time, level, msg, ...fields }) {
+  const pairs = Object.entries(fields).map(
+    ([key, value]) => `${key}=${typeof value === "string" ? value : JSON.stringify(value)}`
+  );
+  return [time, level.toUpperCase().padEnd(5), msg, ...pairs].join(" ");
+}
+
+/**
+ * 获取请求对应的日志器，带有请求ID；请求未经过请求上下文中间件时使用全局日志器
+ * @param {Object} req - Express请求对象
+ * @returns {Logger}
+ */
+function loggerFor(req) {
+  return (req && req.log) || logger;
+}
+
+// 全局日志器
+const logger = new Logger({
+  level: process.env.LOG_LEVEL || "info",
+  format: process.env.LOG_FORMAT === "text" ? "text" : "json",
+});
+
+module.exports = { Logger, logger, loggerFor, LEVELS };
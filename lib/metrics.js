@@ -0,0 +1,265 @@
+/**
+ * 运行指标 - 计数器、直方图和采集时计算的仪表盘，按Prometheus文本格式输出
+ * 计数器也可以在采集时读取其他模块已有的累计值
+ */
+
+const CONTENT_TYPE = "text/plain; version=0.0.4; charset=utf-8";
+
+// 默认直方图分桶（秒），覆盖常见的上游响应耗时
+const DEFAULT_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+/**
+ * 转义标签值中的反斜杠、双引号和换行
+ * @param {any} value - 标签值
+ * @returns {string}
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+}
+
+/**
+ * 格式化标签集合
+ * @param {Object} labels - 标签名 -> 标签值
+ * @returns {string} 如 {route="/api/image",status="200"}，没有标签时返回空字符串
+ */
+function formatLabels(labels) {
+  const pairs = Object.entries(labels).map(
+    ([name, value]) => `${name}="${escapeLabelValue(value)}"`
+  );
+  return pairs.length > 0 ? `{${pairs.join(",")}}` : "";
+}
+
+/**
+ * 格式化数值，Prometheus使用 +Inf / -Inf / NaN 表示特殊值
+ * @param {number} value - 数值
+ * @returns {string}
+ */
+function formatValue(value) {
+  if (value === Infinity) return "+Inf";
+  if (value === -Infinity) return "-Inf";
+  return String(value);
+}
+
+class Metric {
+  /**
+   * @param {Object} options - 指标配置
+   * @param {string} options.name - 指标名
+   * @param {string} options.help - 说明
+   * @param {string[]} options.labelNames - 标签名
+   * @param {string} type - 指标类型
+   */
+  constructor({ name, help, labelNames = [] }, type) {
+    this.name = name;
+    this.help = help;
+    this.labelNames = labelNames;
+    this.type = type;
+    // 标签值组合 -> 序列数据
+    this.series = new Map();
+  }
+
+  /**
+   * 按声明的标签名取出标签值，未提供的标签为空字符串
+   * @param {Object} labels - 标签
+   * @returns {{key: string, labels: Object}}
+   */
+  resolveLabels(labels = {}) {
+    const resolved = {};
+    for (const name of this.labelNames) {
+      resolved[name] = labels[name] ?? "";
+    }
+    return { key: JSON.stringify(Object.values(resolved)), labels: resolved };
+  }
+
+  /**
+   * 输出指标的 HELP 和 TYPE 行
+   * @returns {string[]}
+   */
+  header() {
+    return [`# HELP ${this.name} ${this.help}`, `# TYPE ${this.name} ${this.type}`];
+  }
+}
+
+class Counter extends Metric {
+  /**
+   * @param {Object} options - 指标配置，另可指定 collect：采集时调用，返回 [{labels, value}]，
+   *   用于输出其他模块自行累计、只增不减的计数，此时不使用inc()
+   */
+  constructor(options) {
+    super(options, "counter");
+    this.collect = options.collect || null;
+  }
+
+  /**
+   * 计数增加
+   * @param {Object} labels - 标签
+   * @param {number} value - 增加量，默认为1
+   */
+  inc(labels, value = 1) {
+    const { key, labels: resolved } = this.resolveLabels(labels);
+    const entry = this.series.get(key);
+    if (entry) {
+      entry.value += value;
+    } else {
+      this.series.set(key, { labels: resolved, value });
+    }
+  }
+
+  /**
+   * @returns {string[]} 指标文本行
+   */
+  render() {
+    const lines = this.header();
+    const samples = this.collect
+      ? this.collect().map(({ labels, value }) => ({ labels: this.resolveLabels(labels).labels, value }))
+      : this.series.values();
+    for (const { labels, value } of samples) {
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(value)}`);
+    }
+    return lines;
+  }
+}
+
+class Histogram extends Metric {
+  /**
+   * @param {Object} options - 指标配置，另可指定 buckets（升序的分桶上界）
+   */
+  constructor(options) {
+    super(options, "histogram");
+    this.buckets = options.buckets || DEFAULT_BUCKETS;
+  }
+
+  /**
+   * 记录一次观测值
+   * @param {Object} labels - 标签
+   * @param {number} value - 观测值
+   */
+  observe(labels, value) {
+    const { key, labels: resolved } = this.resolveLabels(labels);
+    let entry = this.series.get(key);
+    if (!entry) {
+      entry = {
+        labels: resolved,
+        counts: new Array(this.buckets.length).fill(0),
+        sum: 0,
+        count: 0,
+      };
+      this.series.set(key, entry);
+    }
+
+    const index = this.buckets.findIndex((bound) => value <= bound);
+    if (index !== -1) {
+      entry.counts[index]++;
+    }
+    entry.sum += value;
+    entry.count++;
+  }
+
+  /**
+   * 开始计时
+   * @param {Object} labels - 标签
+   * @returns {Function} 调用时记录经过的秒数，可传入额外标签
+   */
+  startTimer(labels) {
+    const startTime = process.hrtime.bigint();
+    return (extraLabels) => {
+      const seconds = Number(process.hrtime.bigint() - startTime) / 1e9;
+      this.observe({ ...labels, ...extraLabels }, seconds);
+    };
+  }
+
+  /**
+   * @returns {string[]} 指标文本行，分桶计数为累计值
+   */
+  render() {
+    const lines = this.header();
+    for (const { labels, counts, sum, count } of this.series.values()) {
+      let cumulative = 0;
+      this.buckets.forEach((bound, index) => {
+        cumulative += counts[index];
+        lines.push(
+          `${this.name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${cumulative}`
+        );
+      });
+      lines.push(`${this.name}_bucket${formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${this.name}_sum${formatLabels(labels)} ${formatValue(sum)}`);
+      lines.push(`${this.name}_count${formatLabels(labels)} ${count}`);
+    }
+    return lines;
+  }
+}
+
+class Gauge extends Metric {
+  /**
+   * @param {Object} options - 指标配置
+   * @param {Function} options.collect - 采集时调用，返回 [{labels, value}]
+   */
+  constructor(options) {
+    super(options, "gauge");
+    this.collect = options.collect;
+  }
+
+  /**
+   * @returns {string[]} 指标文本行
+   */
+  render() {
+    const lines = this.header();
+    for (const sample of this.collect()) {
+      const { labels } = this.resolveLabels(sample.labels);
+      lines.push(`${this.name}${formatLabels(labels)} ${formatValue(sample.value)}`);
+    }
+    return lines;
+  }
+}
+
+class MetricsRegistry {
+  constructor() {
+    this.metrics = [];
+  }
+
+  /**
+   * 注册指标
+   * @param {Metric} metric - 指标实例
+   * @returns {Metric}
+   */
+  register(metric) {
+    if (this.metrics.some((existing) => existing.name === metric.name)) {
+      throw new Error(`Metric already registered: ${metric.name}`);
+    }
+    this.metrics.push(metric);
+    return metric;
+  }
+
+  /**
+   * @param {Object} options - 见Counter
+   * @returns {Counter}
+   */
+  counter(options) {
+    return this.register(new Counter(options));
+  }
+
+  /**
+   * @param {Object} options - 见Histogram
+   * @returns {Histogram}
+   */
+  histogram(options) {
+    return this.register(new Histogram(options));
+  }
+
+  /**
+   * @param {Object} options - 见Gauge
+   * @returns {Gauge}
+   */
+  gauge(options) {
+    return this.register(new Gauge(options));
+  }
+
+  /**
+   * 输出所有指标
+   * @returns {string} Prometheus文本格式
+   */
+  render() {
+    return `${this.metrics.flatMap((metric) => metric.render()).join("\n")}\n`;
+  }
+}
+
+module.exports = { MetricsRegistry, Counter, Histogram, Gauge, CONTENT_TYPE };
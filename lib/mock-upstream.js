@@ -0,0 +1,183 @@
+/**
+ * 离线模拟上游 - 本地替身图片API，用于无外网时开发和演示
+ *
+ * /api/image?scenario=<场景> 按场景返回JSON：
+ * - success       正常返回图片URL
+ * - malformed     返回截断的JSON
+ * - wrong-code    返回错误的code
+ * - slow          延迟返回（?delay=毫秒，默认3000）
+ * - timeout       永不响应，触发超时
+ * - http-error    返回HTTP 500
+ * - broken-image  返回一个不存在的图片URL
+ * /images/<seed>.svg?w=&h= 返回生成的占位图片
+ */
+
+const express = require("express");
+const { logger } = require("./logger");
+
+const DEFAULT_SLOW_DELAY = 3000;
+const MAX_SLOW_DELAY = 60000;
+
+const SCENARIOS = [
+  "success",
+  "malformed",
+  "wrong-code",
+  "slow",
+  "timeout",
+  "http-error",
+  "broken-image",
+];
+
+/**
+ * 字符串哈希，用于由种子生成稳定的颜色
+ * @param {string} text - 种子
+ * @returns {number}
+ */
+function hashString(text) {
+  let hash = 0;
+  for (let i = 0; i < text.length; i++) {
+    hash = (hash * 31 + text.charCodeAt(i)) | 0;
+  }
+  return Math.abs(hash);
+}
+
+/**
+ * 转义SVG文本
+ * @param {string} text - 原始文本
+ * @returns {string}
+ */
+function escapeXml(text) {
+  return text.replace(/[<>&"']/g, (char) => `&#${char.charCodeAt(0)};`);
+}
+
+/**
+ * 生成占位图片
+ * @param {string} seed - 种子，决定背景色
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @returns {string} SVG内容
+ */
+function renderPlaceholder(seed, width, height) {
+  const hue = hashString(seed) % 360;
+  const label = escapeXml(seed);
+  const fontSize = Math.max(12, Math.round(Math.min(width, height) / 10));
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+  <defs>
+    <linearGradient id="bg" x1="0" y1="0" x2="1" y2="1">
+      <stop offset="0" stop-color="hsl(${hue}, 65%, 55%)"/>
+      <stop offset="1" stop-color="hsl(${(hue + 60) % 360}, 65%, 35%)"/>
+    </linearGradient>
+  </defs>
+  <rect width="100%" height="100%" fill="url(#bg)"/>
+  <text x="50%" y="50%" fill="#fff" font-family="sans-serif" font-size="${fontSize}" text-anchor="middle" dominant-baseline="middle">${label}</text>
+  <text x="50%" y="${Math.round(height / 2 + fontSize * 1.2)}" fill="rgba(255,255,255,0.7)" font-family="sans-serif" font-size="${Math.round(fontSize / 2)}" text-anchor="middle">${width} × ${height} · MOCK</text>
+</svg>`;
+}
+
+/**
+ * 读取限定范围内的整数查询参数
+ * @param {string} value - 查询参数
+ * @param {number} fallback - 缺省值
+ * @param {number} min - 最小值
+ * @param {number} max - 最大值
+ * @returns {number}
+ */
+function readInt(value, fallback, min, max) {
+  const number = parseInt(value, 10);
+  if (!Number.isFinite(number)) return fallback;
+  return Math.min(max, Math.max(min, number));
+}
+
+/**
+ * 创建模拟上游应用
+ * @returns {Function} Express应用
+ */
+function createMockUpstreamApp() {
+  const app = express();
+  let counter = 0;
+
+  /**
+   * 生成一条成功的图片数据，字段与真实上游一致
+   * @param {Object} req - Express请求对象
+   * @param {string} imagePath - 图片路径
+   * @returns {Object}
+   */
+  function successPayload(req, imagePath) {
+    counter++;
+    const origin = `${req.protocol}://${req.get("host")}`;
+    return {
+      code: 200,
+      msg: "获取成功",
+      url: `${origin}${imagePath || `/images/mock-${counter}.svg`}`,
+      amount: counter,
+      class: req.query.class || "101",
+      classname: "模拟分类",
+      author: "mock",
+    };
+  }
+
+  app.get("/api/image", (req, res) => {
+    const scenario = req.query.scenario || "success";
+
+    switch (scenario) {
+      case "success":
+        res.json(successPayload(req));
+        break;
+      case "malformed":
+        res.type("application/json").send(JSON.stringify(successPayload(req)).slice(0, 20));
+        break;
+      case "wrong-code":
+        res.json({ ...successPayload(req), code: 500, msg: "模拟的上游错误" });
+        break;
+      case "slow": {
+        const delay = readInt(req.query.delay, DEFAULT_SLOW_DELAY, 0, MAX_SLOW_DELAY);
+        const timer = setTimeout(() => res.json(successPayload(req)), delay);
+        res.on("close", () => clearTimeout(timer));
+        break;
+      }
+      case "timeout":
+        // 保持连接不响应，直到调用方超时断开
+        break;
+      case "http-error":
+        res.status(500).type("text/plain").send("Mock upstream error");
+        break;
+      case "broken-image":
+        res.json(successPayload(req, `/images/missing-${counter + 1}.png`));
+        break;
+      default:
+        res.status(400).json({
+          code: 400,
+          msg: `未知场景: ${scenario}`,
+          scenarios: SCENARIOS,
+        });
+    }
+  });
+
+  app.get("/images/:seed.svg", (req, res) => {
+    const width = readInt(req.query.w, 800, 16, 4000);
+    const height = readInt(req.query.h, 600, 16, 4000);
+    res
+      .type("image/svg+xml")
+      .set("Cache-Control", "public, max-age=3600")
+      .send(renderPlaceholder(req.params.seed, width, height));
+  });
+
+  return app;
+}
+
+/**
+ * 启动模拟上游服务
+ * timeout场景会保持连接，关闭时需同时调用 closeAllConnections()
+ * @param {Object} options - 服务配置
+ * @param {number} options.port - 监听端口
+ * @param {string} options.host - 监听地址
+ * @returns {http.Server}
+ */
+function startMockUpstream({ port, host = "127.0.0.1" }) {
+  return createMockUpstreamApp().listen(port, host, () => {
+    logger.info("模拟上游已启动", { url: `http://${host}:${port}/api/image` });
+  });
+}
+
+module.exports = { createMockUpstreamApp, startMockUpstream, SCENARIOS };
@@ -0,0 +1,211 @@
+/**
+ * 出站请求策略 - 防止服务端被用来访问内网（SSRF）
+ *
+ * 所有出站请求都经过同一个策略：
+ * - 限制协议和端口
+ * - 主机名允许/拒绝列表
+ * - DNS解析后拒绝私有、回环、链路本地等地址（在建立连接时校验，防止DNS重绑定）
+ * - 限制响应大小和重定向次数
+ */
+
+const dns = require("dns");
+const net = require("net");
+const { UpstreamError } = require("./errors");
+
+// 禁止访问的IPv4网段
+const BLOCKED_IPV4_SUBNETS = [
+  ["0.0.0.0", 8], // 本网络
+  ["10.0.0.0", 8], // 私有网络
+  ["100.64.0.0", 10], // 运营商级NAT
+  ["127.0.0.0", 8], // 回环
+  ["169.254.0.0", 16], // 链路本地（含云服务器元数据地址）
+  ["172.16.0.0", 12], // 私有网络
+  ["192.0.0.0", 24], // IETF协议分配
+  ["192.168.0.0", 16], // 私有网络
+  ["198.18.0.0", 15], // 基准测试
+  ["224.0.0.0", 4], // 组播
+  ["240.0.0.0", 4], // 保留地址及广播
+];
+
+// 禁止访问的IPv6网段
+const BLOCKED_IPV6_SUBNETS = [
+  ["::", 128], // 未指定地址
+  ["::1", 128], // 回环
+  ["fc00::", 7], // 唯一本地地址
+  ["fe80::", 10], // 链路本地
+  ["ff00::", 8], // 组播
+];
+
+const DEFAULT_OPTIONS = {
+  allowedProtocols: ["http:", "https:"],
+  allowedPorts: [80, 443], // null表示不限制端口
+  allowHosts: [], // 非空时只允许访问列表中的主机
+  denyHosts: [],
+  // 不受内网和端口限制的 "IP:端口"，如模拟模式的本机上游；只匹配IP字面量，主机名仍会在DNS解析后校验
+  allowPrivateHosts: [],
+  blockPrivateNetworks: true,
+  maxResponseBytes: 20 * 1024 * 1024,
+  maxRedirects: 3,
+};
+
+/**
+ * 策略拒绝的错误
+ * @param {string} message - 错误详情
+ * @returns {UpstreamError}
+ */
+function policyError(message) {
+  return new UpstreamError(message, 403, "目标地址不允许访问");
+}
+
+/**
+ * 判断主机名是否匹配列表，列表项同时匹配其子域名
+ * @param {string} hostname - 主机名
+ * @param {string[]} list - 主机名列表
+ * @returns {boolean}
+ */
+function matchesHostList(hostname, list) {
+  return list.some((entry) => {
+    const host = entry.toLowerCase().replace(/^\*\./, "");
+    return hostname === host || hostname.endsWith(`.${host}`);
+  });
+}
+
+class OutboundPolicy {
+  /**
+   * @param {Object} options - 策略配置，缺省项使用DEFAULT_OPTIONS
+   */
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+
+    this.blockList = new net.BlockList();
+    BLOCKED_IPV4_SUBNETS.forEach(([address, prefix]) =>
+      this.blockList.addSubnet(address, prefix, "ipv4")
+    );
+    BLOCKED_IPV6_SUBNETS.forEach(([address, prefix]) =>
+      this.blockList.addSubnet(address, prefix, "ipv6")
+    );
+
+    // 供http.request使用的DNS解析函数，解析结果不合规时拒绝连接
+    this.lookup = this.lookup.bind(this);
+  }
+
+  get maxResponseBytes() {
+    return this.options.maxResponseBytes;
+  }
+
+  get maxRedirects() {
+    return this.options.maxRedirects;
+  }
+
+  /**
+   * 派生一个覆盖部分配置的新策略
+   * @param {Object} overrides - 要覆盖的配置
+   * @returns {OutboundPolicy}
+   */
+  extend(overrides) {
+    return new OutboundPolicy({ ...this.options, ...overrides });
+  }
+
+  /**
+   * 判断IP地址是否属于禁止访问的网段
+   * @param {string} address - IP地址
+   * @returns {boolean}
+   */
+  isBlockedAddress(address) {
+    if (!this.options.blockPrivateNetworks) {
+      return false;
+    }
+
+    // IPv4映射的IPv6地址（::ffff:127.0.0.1 或 ::ffff:7f00:1）按IPv4规则判断
+    const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+    if (mapped) {
+      return this.blockList.check(mapped[1], "ipv4");
+    }
+    const mappedHex = address.match(/^::ffff:([0-9a-f]{1,4}):([0-9a-f]{1,4})$/i);
+    if (mappedHex) {
+      const high = parseInt(mappedHex[1], 16);
+      const low = parseInt(mappedHex[2], 16);
+      const ipv4 = [high >> 8, high & 255, low >> 8, low & 255].join(".");
+      return this.blockList.check(ipv4, "ipv4");
+    }
+
+    const family = net.isIP(address);
+    if (family === 0) return true;
+    return this.blockList.check(address, family === 4 ? "ipv4" : "ipv6");
+  }
+
+  /**
+   * 校验URL的协议、端口和主机名，主机名为IP字面量时直接校验地址
+   * @param {string} url - 目标地址
+   * @throws {UpstreamError} 不符合策略时抛出
+   */
+  assertUrlAllowed(url) {
+    let parsed;
+    try {
+      parsed = new URL(url);
+    } catch (error) {
+      throw policyError(`Invalid URL: ${url}`);
+    }
+
+    const { allowedProtocols, allowedPorts, allowHosts, denyHosts, allowPrivateHosts } =
+      this.options;
+
+    if (!allowedProtocols.includes(parsed.protocol)) {
+      throw policyError(`Protocol not allowed: ${parsed.protocol}`);
+    }
+
+    const port = Number(parsed.port) || (parsed.protocol === "https:" ? 443 : 80);
+    const hostname = parsed.hostname.toLowerCase().replace(/^\[|\]$/g, "");
+    const privateAllowed = net.isIP(hostname) !== 0 && allowPrivateHosts.includes(`${hostname}:${port}`);
+
+    if (allowedPorts && !allowedPorts.includes(port) && !privateAllowed) {
+      throw policyError(`Port not allowed: ${port}`);
+    }
+
+    if (matchesHostList(hostname, denyHosts)) {
+      throw policyError(`Host denied: ${hostname}`);
+    }
+    if (allowHosts.length > 0 && !matchesHostList(hostname, allowHosts)) {
+      throw policyError(`Host not in allow list: ${hostname}`);
+    }
+
+    // IP字面量不会经过DNS解析，需要在这里校验
+    if (net.isIP(hostname) && !privateAllowed && this.isBlockedAddress(hostname)) {
+      throw policyError(`Address not allowed: ${hostname}`);
+    }
+  }
+
+  /**
+   * DNS解析并校验所有解析结果，签名与dns.lookup一致
+   * @param {string} hostname - 主机名
+   * @param {Object} options - dns.lookup选项
+   * @param {Function} callback - 回调
+   */
+  lookup(hostname, options, callback) {
+    if (typeof options === "function") {
+      callback = options;
+      options = {};
+    }
+
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+      if (error) {
+        callback(error);
+        return;
+      }
+
+      const blocked = addresses.find((entry) => this.isBlockedAddress(entry.address));
+      if (blocked) {
+        callback(policyError(`Address not allowed: ${hostname} -> ${blocked.address}`));
+        return;
+      }
+
+      if (options.all) {
+        callback(null, addresses);
+      } else {
+        callback(null, addresses[0].address, addresses[0].family);
+      }
+    });
+  }
+}
+
+module.exports = { OutboundPolicy, DEFAULT_OPTIONS };
@@ -0,0 +1,278 @@
+/**
+ * 图片源健康检查 - 统计滚动成功率和延迟分位数，并为每个图片源维护熔断器
+ *
+ * 熔断器状态：
+ * - closed: 正常调用上游
+ * - open: 连续失败过多，直接拒绝调用，按计划探测上游
+ * - half-open: 正在探测，探测成功后恢复为closed
+ */
+
+const { UpstreamError } = require("./errors");
+const { logger } = require("./logger");
+
+const CIRCUIT_STATES = {
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half-open",
+};
+
+/**
+ * 计算分位数
+ * @param {number[]} sorted - 升序排列的数值
+ * @param {number} percentile - 分位（0-100）
+ * @returns {number|null}
+ */
+function percentileOf(sorted, percentile) {
+  if (sorted.length === 0) return null;
+  const index = Math.ceil((percentile / 100) * sorted.length) - 1;
+  return sorted[Math.max(0, Math.min(sorted.length - 1, index))];
+}
+
+class ProviderHealthTracker {
+  /**
+   * @param {Object} options - 健康检查配置
+   * @param {number} options.windowSize - 滚动窗口内保留的调用次数
+   * @param {number} options.failureThreshold - 连续失败多少次后熔断
+   * @param {number} options.minSuccessRate - 窗口成功率低于该值时熔断
+   * @param {number} options.minSamples - 按成功率熔断所需的最少样本数
+   * @param {number} options.probeInterval - 熔断后探测上游的间隔（毫秒）
+   */
+  constructor(options) {
+    this.windowSize = options.windowSize;
+    this.failureThreshold = options.failureThreshold;
+    this.minSuccessRate = options.minSuccessRate;
+    this.minSamples = options.minSamples;
+    this.probeInterval = options.probeInterval;
+
+    // providerId -> 健康状态
+    this.states = new Map();
+    // providerId -> 最新的图片源实例，用于探测
+    this.providers = new Map();
+
+    this.probeTimer = setInterval(() => this.runProbes(), 1000);
+    this.probeTimer.unref?.();
+  }
+
+  /**
+   * 获取（必要时创建）图片源的健康状态
+   * @param {string} providerId - 图片源id
+   * @returns {Object}
+   */
+  getState(providerId) {
+    if (!this.states.has(providerId)) {
+      this.states.set(providerId, {
+        circuit: CIRCUIT_STATES.CLOSED,
+        samples: [],
+        consecutiveFailures: 0,
+        lastError: null,
+        lastSuccessAt: null,
+        lastFailureAt: null,
+        openedAt: null,
+        nextProbeAt: null,
+      });
+    }
+    return this.states.get(providerId);
+  }
+
+  /**
+   * 通过熔断器调用上游
+   * track 为false时熔断后同样拒绝调用，但结果不计入健康统计，
+   * 用于带用户指定参数（如分类）的调用：参数导致的失败不应让所有人都无法使用该图片源
+   * @param {Object} provider - 图片源实例
+   * @param {Function} fn - 实际的上游调用
+   * @param {Object} options - { track }，默认计入统计
+   * @returns {Promise<any>}
+   */
+  async execute(provider, fn, { track = true } = {}) {
+    this.providers.set(provider.id, provider);
+    const state = this.getState(provider.id);
+
+    if (state.circuit !== CIRCUIT_STATES.CLOSED) {
+      throw new UpstreamError(
+        `Circuit open for provider ${provider.id}`,
+        503,
+        "图片源暂不可用"
+      );
+    }
+
+    return track ? this.measure(provider.id, fn) : fn();
+  }
+
+  /**
+   * 执行调用并记录结果和耗时
+   * @param {string} providerId - 图片源id
+   * @param {Function} fn - 上游调用
+   * @returns {Promise<any>}
+   */
+  async measure(providerId, fn) {
+    const startTime = Date.now();
+    try {
+      const result = await fn();
+      this.recordSuccess(providerId, Date.now() - startTime);
+      return result;
+    } catch (error) {
+      this.recordFailure(providerId, Date.now() - startTime, error);
+      throw error;
+    }
+  }
+
+  /**
+   * 记录一次成功调用
+   * @param {string} providerId - 图片源id
+   * @param {number} latency - 耗时（毫秒）
+   */
+  recordSuccess(providerId, latency) {
+    const state = this.getState(providerId);
+    this.pushSample(state, true, latency);
+    state.consecutiveFailures = 0;
+    state.lastSuccessAt = Date.now();
+
+    if (state.circuit !== CIRCUIT_STATES.CLOSED) {
+      logger.info("图片源已恢复", { provider: providerId });
+      state.circuit = CIRCUIT_STATES.CLOSED;
+      state.openedAt = null;
+      state.nextProbeAt = null;
+      // 恢复后清空窗口，避免旧的失败样本立即再次触发熔断
+      state.samples = [];
+    }
+  }
+
+  /**
+   * 记录一次失败调用，必要时打开熔断器
+   * @param {string} providerId - 图片源id
+   * @param {number} latency - 耗时（毫秒）
+   * @param {Error} error - 错误对象
+   */
+  recordFailure(providerId, latency, error) {
+    const state = this.getState(providerId);
+    this.pushSample(state, false, latency);
+    state.consecutiveFailures++;
+    state.lastError = error.message;
+    state.lastFailureAt = Date.now();
+
+    const successRate = this.getSuccessRate(state);
+    const shouldOpen =
+      state.circuit === CIRCUIT_STATES.HALF_OPEN ||
+      state.consecutiveFailures >= this.failureThreshold ||
+      (state.samples.length >= this.minSamples &&
+        successRate < this.minSuccessRate);
+
+    if (shouldOpen) {
+      if (state.circuit === CIRCUIT_STATES.CLOSED) {
+        logger.warn("图片源熔断", { provider: providerId, error });
+        state.openedAt = Date.now();
+      }
+      state.circuit = CIRCUIT_STATES.OPEN;
+      state.nextProbeAt = Date.now() + this.probeInterval;
+    }
+  }
+
+  /**
+   * 向滚动窗口追加样本
+   * @param {Object} state - 健康状态
+   * @param {boolean} ok - 是否成功
+   * @param {number} latency - 耗时（毫秒）
+   */
+  pushSample(state, ok, latency) {
+    state.samples.push({ ok, latency });
+    if (state.samples.length > this.windowSize) {
+      state.samples.shift();
+    }
+  }
+
+  /**
+   * 计算窗口成功率
+   * @param {Object} state - 健康状态
+   * @returns {number|null} 0-1之间的成功率，无样本时为null
+   */
+  getSuccessRate(state) {
+    if (state.samples.length === 0) return null;
+    const successes = state.samples.filter((sample) => sample.ok).length;
+    return successes / state.samples.length;
+  }
+
+  /**
+   * 探测到期的熔断图片源
+   */
+  runProbes() {
+    const now = Date.now();
+    for (const [providerId, state] of this.states) {
+      const provider = this.providers.get(providerId);
+      if (
+        !provider ||
+        state.circuit !== CIRCUIT_STATES.OPEN ||
+        now < state.nextProbeAt
+      ) {
+        continue;
+      }
+
+      state.circuit = CIRCUIT_STATES.HALF_OPEN;
+      logger.info("探测熔断的图片源", { provider: providerId });
+      this.measure(providerId, () => provider.fetchImage()).catch(() => {});
+    }
+  }
+
+  /**
+   * 图片源配置重新加载后同步，移除已删除的图片源
+   * @param {Object[]} providers - 图片源实例列表
+   */
+  sync(providers) {
+    const ids = new Set(providers.map((provider) => provider.id));
+    for (const providerId of this.states.keys()) {
+      if (!ids.has(providerId)) {
+        this.states.delete(providerId);
+        this.providers.delete(providerId);
+      }
+    }
+    providers.forEach((provider) => this.providers.set(provider.id, provider));
+  }
+
+  /**
+   * 检查图片源是否可调用
+   * @param {string} providerId - 图片源id
+   * @returns {boolean}
+   */
+  isAvailable(providerId) {
+    return this.getState(providerId).circuit === CIRCUIT_STATES.CLOSED;
+  }
+
+  /**
+   * 获取单个图片源的健康报告
+   * @param {string} providerId - 图片源id
+   * @returns {Object}
+   */
+  getReport(providerId) {
+    const state = this.getState(providerId);
+    const latencies = state.samples
+      .map((sample) => sample.latency)
+      .sort((a, b) => a - b);
+    const successRate = this.getSuccessRate(state);
+
+    return {
+      state: state.circuit,
+      samples: state.samples.length,
+      successRate:
+        successRate === null ? null : Number(successRate.toFixed(4)),
+      latency: {
+        p50: percentileOf(latencies, 50),
+        p95: percentileOf(latencies, 95),
+        p99: percentileOf(latencies, 99),
+      },
+      consecutiveFailures: state.consecutiveFailures,
+      lastError: state.lastError,
+      lastSuccessAt: state.lastSuccessAt,
+      lastFailureAt: state.lastFailureAt,
+      openedAt: state.openedAt,
+      nextProbeAt: state.nextProbeAt,
+    };
+  }
+
+  /**
+   * 停止探测定时器
+   */
+  close() {
+    clearInterval(this.probeTimer);
+  }
+}
+
+module.exports = { ProviderHealthTracker, CIRCUIT_STATES, percentileOf };
@@ -0,0 +1,196 @@
+/**
+ * 本地目录图片源 - 从配置的文件夹（递归扫描）中随机或顺序返回图片
+ * 图片通过 /media/:provider/<相对路径> 提供，目录内容变化时自动重新扫描
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { UpstreamError } = require("../errors");
+const { logger } = require("../logger");
+
+const DEFAULT_EXTENSIONS = [
+  ".jpg",
+  ".jpeg",
+  ".png",
+  ".gif",
+  ".webp",
+  ".avif",
+  ".bmp",
+  ".svg",
+];
+
+// 目录变化后延迟重新扫描，合并短时间内的多次变化
+const RESCAN_DELAY = 1000;
+
+class LocalDirectoryProvider {
+  /**
+   * @param {Object} definition - providers.json 中的图片源定义
+   * @param {Object} context - 注册表上下文
+   * @param {string} context.baseDir - 配置文件所在目录，用于解析相对路径
+   */
+  constructor(definition, context = {}) {
+    if (!definition.directory || typeof definition.directory !== "string") {
+      throw new Error(`图片源 "${definition.id}" 缺少directory配置`);
+    }
+
+    this.id = definition.id;
+    this.name = definition.name || definition.id;
+    this.type = "local";
+    this.directory = path.resolve(context.baseDir || process.cwd(), definition.directory);
+    this.order = definition.order === "sequential" ? "sequential" : "random";
+    this.extensions = new Set(
+      (definition.extensions || DEFAULT_EXTENSIONS).map((ext) => ext.toLowerCase())
+    );
+    // 本地图片无需预取，按文件路径已不会重复
+    this.prefetch = false;
+    this.dedupe = false;
+
+    this.files = [];
+    this.fileSet = new Set();
+    this.cursor = 0;
+    this.lastIndex = -1;
+    this.watcher = null;
+    this.rescanTimer = null;
+
+    this.scan();
+    if (definition.watch !== false) {
+      this.watch();
+    }
+  }
+
+  /**
+   * 递归扫描目录，重建图片索引
+   */
+  scan() {
+    const files = [];
+    const walk = (dir) => {
+      let dirents;
+      try {
+        dirents = fs.readdirSync(dir, { withFileTypes: true });
+      } catch (error) {
+        logger.warn("读取图片目录失败", { provider: this.id, error });
+        return;
+      }
+
+      for (const dirent of dirents) {
+        // 跳过隐藏文件和目录
+        if (dirent.name.startsWith(".")) continue;
+
+        const fullPath = path.join(dir, dirent.name);
+        if (dirent.isDirectory()) {
+          walk(fullPath);
+        } else if (
+          dirent.isFile() &&
+          this.extensions.has(path.extname(dirent.name).toLowerCase())
+        ) {
+          files.push(path.relative(this.directory, fullPath).split(path.sep).join("/"));
+        }
+      }
+    };
+
+    walk(this.directory);
+    files.sort();
+
+    this.files = files;
+    this.fileSet = new Set(files);
+    if (this.cursor >= files.length) {
+      this.cursor = 0;
+    }
+    logger.info("本地图片目录已扫描", { provider: this.id, files: files.length });
+  }
+
+  /**
+   * 监听目录变化，变化后延迟重新扫描
+   */
+  watch() {
+    try {
+      this.watcher = fs.watch(this.directory, { recursive: true }, () => {
+        clearTimeout(this.rescanTimer);
+        this.rescanTimer = setTimeout(() => this.scan(), RESCAN_DELAY);
+      });
+      this.watcher.on("error", (error) => {
+        logger.warn("图片目录监听失败", { provider: this.id, error });
+      });
+    } catch (error) {
+      logger.warn("无法监听图片目录", { provider: this.id, error });
+    }
+  }
+
+  /**
+   * 返回一张图片
+   * @returns {Promise<Object>} 图片信息，url为相对于站点根目录的地址
+   */
+  async fetchImage() {
+    if (this.files.length === 0) {
+      throw new UpstreamError(
+        `No images found in ${this.directory}`,
+        404,
+        "目录中没有图片"
+      );
+    }
+
+    let index;
+    if (this.order === "sequential") {
+      index = this.cursor;
+      this.cursor = (this.cursor + 1) % this.files.length;
+    } else {
+      index = Math.floor(Math.random() * this.files.length);
+      // 避免连续返回同一张
+      if (index === this.lastIndex && this.files.length > 1) {
+        index = (index + 1) % this.files.length;
+      }
+    }
+    this.lastIndex = index;
+
+    const relativePath = this.files[index];
+    return {
+      url: `/media/${encodeURIComponent(this.id)}/${relativePath
+        .split("/")
+        .map(encodeURIComponent)
+        .join("/")}`,
+      code: 200,
+      msg: "获取成功",
+      name: path.posix.basename(relativePath),
+      path: relativePath,
+    };
+  }
+
+  /**
+   * 解析媒体请求对应的文件路径，只允许访问索引中的图片
+   * @param {string} relativePath - 相对路径
+   * @returns {string|null} 绝对路径或null
+   */
+  resolveFile(relativePath) {
+    if (!this.fileSet.has(relativePath)) {
+      return null;
+    }
+    return path.join(this.directory, relativePath);
+  }
+
+  /**
+   * 对外公开的图片源信息
+   * @returns {Object}
+   */
+  describe() {
+    return {
+      id: this.id,
+      name: this.name,
+      type: this.type,
+      order: this.order,
+      count: this.files.length,
+    };
+  }
+
+  /**
+   * 停止监听目录
+   */
+  close() {
+    clearTimeout(this.rescanTimer);
+    if (this.watcher) {
+      this.watcher.close();
+      this.watcher = null;
+    }
+  }
+}
+
+module.exports = { LocalDirectoryProvider };
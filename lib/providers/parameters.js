@@ -0,0 +1,119 @@
+/**
+ * 图片源查询参数 - 图片源在配置中声明可选参数（如分类），前端通过查询参数传入
+ *
+ * 配置格式：
+ * "parameters": {
+ *   "class": {
+ *     "label": "分类",
+ *     "default": "101",
+ *     "options": [{ "value": "101", "label": "默认分类" }]
+ *   }
+ * },
+ * "categoryParameter": "class"
+ */
+
+const { UpstreamError } = require("../errors");
+
+// 未声明options和pattern的参数允许的最大长度
+const MAX_VALUE_LENGTH = 100;
+
+/**
+ * 校验并规范化图片源声明的参数
+ * @param {Object} definition - providers.json 中的图片源定义
+ * @returns {{parameters: Object, categoryParameter: string|null}}
+ */
+function normalizeParameters(definition) {
+  const parameters = {};
+
+  for (const [name, spec] of Object.entries(definition.parameters || {})) {
+    if (!spec || typeof spec !== "object") {
+      throw new Error(`图片源 "${definition.id}" 的参数 "${name}" 配置无效`);
+    }
+
+    // 可选项可以是字符串，也可以是 { value, label }
+    const options = Array.isArray(spec.options)
+      ? spec.options.map((option) => {
+          const value = String(typeof option === "object" ? option.value : option);
+          return { value, label: (typeof option === "object" && option.label) || value };
+        })
+      : null;
+    const defaultValue = spec.default === undefined ? undefined : String(spec.default);
+
+    if (
+      options &&
+      defaultValue !== undefined &&
+      !options.some((option) => option.value === defaultValue)
+    ) {
+      throw new Error(`图片源 "${definition.id}" 的参数 "${name}" 默认值不在可选项中`);
+    }
+
+    parameters[name] = {
+      label: spec.label || name,
+      default: defaultValue,
+      options,
+      pattern: spec.pattern ? new RegExp(spec.pattern) : null,
+    };
+  }
+
+  const categoryParameter = definition.categoryParameter || null;
+  if (categoryParameter && !parameters[categoryParameter]) {
+    throw new Error(
+      `图片源 "${definition.id}" 的分类参数 "${categoryParameter}" 未在parameters中声明`
+    );
+  }
+
+  return { parameters, categoryParameter };
+}
+
+/**
+ * 从请求查询参数中读取声明过的参数，未声明的查询参数忽略
+ * @param {Object} parameters - normalizeParameters返回的参数声明
+ * @param {Object} query - 请求查询参数
+ * @returns {Object} 与默认值不同的参数
+ * @throws {UpstreamError} 参数值不合法时抛出400错误
+ */
+function resolveParameters(parameters, query = {}) {
+  const overrides = {};
+
+  for (const [name, spec] of Object.entries(parameters)) {
+    const value = query[name];
+    if (value === undefined || value === "" || value === spec.default) continue;
+
+    const valid =
+      typeof value === "string" &&
+      value.length <= MAX_VALUE_LENGTH &&
+      (!spec.options || spec.options.some((option) => option.value === value)) &&
+      (!spec.pattern || spec.pattern.test(value));
+    if (!valid) {
+      throw new UpstreamError(
+        `Invalid value for parameter ${name}: ${value}`,
+        400,
+        "参数无效"
+      );
+    }
+
+    overrides[name] = value;
+  }
+
+  return overrides;
+}
+
+/**
+ * 对外公开的参数声明
+ * @param {Object} parameters - normalizeParameters返回的参数声明
+ * @returns {Object}
+ */
+function describeParameters(parameters) {
+  const result = {};
+  for (const [name, spec] of Object.entries(parameters)) {
+    result[name] = {
+      label: spec.label,
+      default: spec.default,
+      options: spec.options || undefined,
+      pattern: spec.pattern ? spec.pattern.source : undefined,
+    };
+  }
+  return result;
+}
+
+module.exports = { normalizeParameters, resolveParameters, describeParameters };
@@ -0,0 +1,139 @@
+/**
+ * 图片源注册表 - 从配置文件加载图片源，并在文件变化时热更新
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { EventEmitter } = require("events");
+const { RemoteJsonProvider } = require("./remote-json-provider");
+const { LocalDirectoryProvider } = require("./local-directory-provider");
+const { logger } = require("../logger");
+
+// 图片源类型 -> 实现类
+const PROVIDER_TYPES = {
+  json: RemoteJsonProvider,
+  local: LocalDirectoryProvider,
+};
+
+/**
+ * 释放图片源占用的资源（如目录监听）
+ * @param {Map} providers - 图片源集合
+ */
+function closeProviders(providers) {
+  for (const provider of providers.values()) {
+    if (typeof provider.close === "function") {
+      provider.close();
+    }
+  }
+}
+
+/**
+ * 每次成功加载配置后触发 "reload" 事件，参数为图片源列表
+ */
+class ProviderRegistry extends EventEmitter {
+  /**
+   * @param {string} configPath - 图片源配置文件路径
+   * @param {Object} options - 注册表选项
+   * @param {OutboundPolicy} options.policy - 出站请求策略，传给远程图片源
+   */
+  constructor(configPath, options = {}) {
+    super();
+    this.configPath = configPath;
+    this.policy = options.policy;
+    this.providers = new Map();
+    this.defaultId = null;
+    this.watching = false;
+  }
+
+  /**
+   * 读取配置文件并重建注册表
+   * 配置无效时抛出错误，原有注册表保持不变
+   */
+  load() {
+    const config = JSON.parse(fs.readFileSync(this.configPath, "utf8"));
+
+    if (!config || !Array.isArray(config.providers)) {
+      throw new Error("图片源配置缺少providers数组");
+    }
+
+    const context = {
+      baseDir: path.dirname(path.resolve(this.configPath)),
+      policy: this.policy,
+    };
+    const providers = new Map();
+    for (const definition of config.providers) {
+      if (!definition || !definition.id) {
+        throw new Error("图片源配置缺少id");
+      }
+      if (providers.has(definition.id)) {
+        throw new Error(`图片源id重复: ${definition.id}`);
+      }
+
+      const type = definition.type || "json";
+      const ProviderClass = PROVIDER_TYPES[type];
+      if (!ProviderClass) {
+        throw new Error(`不支持的图片源类型: ${type}`);
+      }
+
+      providers.set(definition.id, new ProviderClass(definition, context));
+    }
+
+    const defaultId = config.defaultProvider || config.providers[0]?.id;
+    if (!providers.has(defaultId)) {
+      closeProviders(providers);
+      throw new Error(`默认图片源不存在: ${defaultId}`);
+    }
+
+    const previous = this.providers;
+    this.providers = providers;
+    closeProviders(previous);
+    this.defaultId = defaultId;
+    logger.info("图片源配置已加载", { providers: Array.from(providers.keys()) });
+    this.emit("reload", this.list());
+  }
+
+  /**
+   * 监听配置文件变化并自动重新加载
+   */
+  watch() {
+    if (this.watching) return;
+    this.watching = true;
+
+    fs.watchFile(this.configPath, { interval: 2000 }, () => {
+      try {
+        this.load();
+      } catch (error) {
+        logger.error("图片源配置重新加载失败，继续使用原配置", { error });
+      }
+    });
+  }
+
+  /**
+   * 停止监听配置文件并释放所有图片源
+   */
+  close() {
+    closeProviders(this.providers);
+    if (!this.watching) return;
+    fs.unwatchFile(this.configPath);
+    this.watching = false;
+  }
+
+  /**
+   * 获取图片源
+   * @param {string} id - 图片源id，缺省时返回默认图片源
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.providers.get(id || this.defaultId) || null;
+  }
+
+  /**
+   * 列出所有图片源
+   * @returns {Object[]}
+   */
+  list() {
+    return Array.from(this.providers.values());
+  }
+}
+
+module.exports = { ProviderRegistry, PROVIDER_TYPES };
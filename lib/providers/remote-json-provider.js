@@ -0,0 +1,185 @@
+/**
+ * 远程JSON图片源 - 调用返回JSON的随机图片API并提取图片URL
+ * 上游重定向到图片时（常见的随机图片接口做法），直接使用重定向后的最终地址
+ */
+
+const { requestText, isImageContentType } = require("../http-client");
+const { getValueByPath } = require("../json-utils");
+const { UpstreamError } = require("../errors");
+const {
+  normalizeParameters,
+  resolveParameters,
+  describeParameters,
+} = require("./parameters");
+
+const DEFAULT_TIMEOUT = 10000;
+
+// 只接受http(s)图片地址，避免 javascript:、data: 等地址被前端当作图片使用
+const IMAGE_URL_PATTERN = /^https?:\/\//i;
+
+class RemoteJsonProvider {
+  /**
+   * @param {Object} definition - providers.json 中的图片源定义
+   * @param {Object} context - 注册表上下文
+   * @param {OutboundPolicy} context.policy - 出站请求策略
+   */
+  constructor(definition, context = {}) {
+    if (!definition.url || typeof definition.url !== "string") {
+      throw new Error(`图片源 "${definition.id}" 缺少url配置`);
+    }
+
+    this.id = definition.id;
+    this.name = definition.name || definition.id;
+    this.type = "json";
+    this.url = definition.url;
+    this.timeout = definition.timeout || DEFAULT_TIMEOUT;
+    this.mapping = { url: "url", code: "code", ...(definition.mapping || {}) };
+    this.validation = definition.validation || {};
+    // 每次返回相同URL但内容不同的图片源可关闭重复检测
+    this.dedupe = definition.dedupe !== false;
+    this.urlPattern = this.validation.urlPattern
+      ? new RegExp(this.validation.urlPattern)
+      : null;
+
+    const { parameters, categoryParameter } = normalizeParameters(definition);
+    this.parameters = parameters;
+    this.categoryParameter = categoryParameter;
+
+    // 运维配置的内网图片源可显式放开内网地址和端口限制
+    this.policy =
+      context.policy && definition.allowPrivateNetwork
+        ? context.policy.extend({ blockPrivateNetworks: false, allowedPorts: null })
+        : context.policy;
+  }
+
+  /**
+   * 校验请求中的图片源参数
+   * @param {Object} query - 请求查询参数
+   * @returns {Object} 与默认值不同的参数，为空时使用默认参数
+   */
+  resolveParams(query) {
+    return resolveParameters(this.parameters, query);
+  }
+
+  /**
+   * 拼接请求地址：声明的参数先取默认值，再用请求参数覆盖
+   * @param {Object} params - resolveParams返回的参数
+   * @returns {string}
+   */
+  buildUrl(params = {}) {
+    const url = new URL(this.url);
+    for (const [name, spec] of Object.entries(this.parameters)) {
+      const value = params[name] !== undefined ? params[name] : spec.default;
+      if (value !== undefined) {
+        url.searchParams.set(name, value);
+      }
+    }
+    return url.href;
+  }
+
+  /**
+   * 从上游获取一张图片
+   * @param {Object} params - resolveParams返回的参数，缺省时使用默认参数
+   * @returns {Promise<Object>} 格式化后的图片信息，至少包含url
+   */
+  async fetchImage(params) {
+    const requestUrl = this.buildUrl(params);
+    const { statusCode, headers, body, url } = await requestText(requestUrl, {
+      timeout: this.timeout,
+      policy: this.policy,
+      followRedirects: true,
+      imageBody: false,
+    });
+
+    // 错误页面也可能是合法的JSON，不能当作图片数据提取
+    if (statusCode < 200 || statusCode >= 300) {
+      throw new UpstreamError(`Upstream responded ${statusCode}`, 502, "图片源返回错误");
+    }
+
+    if (isImageContentType(headers)) {
+      return this.mapRedirect(requestUrl, url);
+    }
+
+    let jsonData;
+    try {
+      jsonData = JSON.parse(body);
+    } catch (parseError) {
+      throw UpstreamError.parse(parseError.message);
+    }
+
+    return this.mapResponse(jsonData);
+  }
+
+  /**
+   * 使用重定向后的图片地址
+   * 上游直接返回图片内容时每次请求同一地址得到的图片不同，无法作为图片URL使用
+   * @param {string} requestUrl - 请求地址
+   * @param {string} finalUrl - 跟随重定向后的地址
+   * @returns {Object} 格式化后的图片信息
+   */
+  mapRedirect(requestUrl, finalUrl) {
+    if (finalUrl === requestUrl) {
+      throw UpstreamError.parse("图片源直接返回了图片内容，请改用自定义API");
+    }
+    if (this.urlPattern && !this.urlPattern.test(finalUrl)) {
+      throw UpstreamError.parse(`API返回的图片URL不符合规则: ${finalUrl}`);
+    }
+    return { url: finalUrl, code: 200, msg: "获取成功" };
+  }
+
+  /**
+   * 按mapping提取字段并执行validation规则
+   * @param {Object} jsonData - 上游JSON响应
+   * @returns {Object} 格式化后的图片信息
+   */
+  mapResponse(jsonData) {
+    if (!jsonData || typeof jsonData !== "object") {
+      throw UpstreamError.parse("API返回数据格式不正确");
+    }
+
+    const mapped = {};
+    for (const [field, sourcePath] of Object.entries(this.mapping)) {
+      mapped[field] = getValueByPath(jsonData, sourcePath);
+    }
+
+    if (typeof mapped.url !== "string") {
+      throw UpstreamError.parse("API返回数据格式不正确");
+    }
+    if (!IMAGE_URL_PATTERN.test(mapped.url)) {
+      throw UpstreamError.parse(`API返回的图片URL不是http(s)地址: ${mapped.url.slice(0, 100)}`);
+    }
+
+    if (
+      this.validation.successCode !== undefined &&
+      mapped.code !== this.validation.successCode
+    ) {
+      throw UpstreamError.parse(`API返回错误状态码: ${mapped.code}`);
+    }
+
+    if (this.urlPattern && !this.urlPattern.test(mapped.url)) {
+      throw UpstreamError.parse(`API返回的图片URL不符合规则: ${mapped.url}`);
+    }
+
+    return {
+      ...mapped,
+      code: mapped.code || 200,
+      msg: mapped.msg || "获取成功",
+    };
+  }
+
+  /**
+   * 对外公开的图片源信息
+   * @returns {Object}
+   */
+  describe() {
+    return {
+      id: this.id,
+      name: this.name,
+      type: this.type,
+      categoryParameter: this.categoryParameter,
+      parameters: describeParameters(this.parameters),
+    };
+  }
+}
+
+module.exports = { RemoteJsonProvider };
@@ -0,0 +1,118 @@
+/**
+ * 令牌桶限流 - 按客户端IP和路由分别限制请求频率，保护上游配额
+ */
+
+const { setCorsHeaders, appendExposedHeaders, sendError } = require("./responses");
+
+// 定期清理已回满的令牌桶，避免长期占用内存
+const SWEEP_INTERVAL = 60000;
+
+class TokenBucketLimiter {
+  /**
+   * @param {Object} options - 限流配置
+   * @param {number} options.capacity - 桶容量，即允许的突发请求数
+   * @param {number} options.refillPerSecond - 每秒补充的令牌数
+   */
+  constructor({ capacity, refillPerSecond }) {
+    this.capacity = capacity;
+    this.refillPerSecond = refillPerSecond;
+
+    // key -> { tokens, updatedAt }
+    this.buckets = new Map();
+    this.sweepTimer = setInterval(() => this.sweep(), SWEEP_INTERVAL);
+    this.sweepTimer.unref?.();
+  }
+
+  /**
+   * 按经过的时间补充令牌
+   * @param {string} key - 桶标识
+   * @param {number} now - 当前时间戳
+   * @returns {Object} 桶状态
+   */
+  refill(key, now) {
+    const bucket = this.buckets.get(key) || { tokens: this.capacity, updatedAt: now };
+    const elapsed = (now - bucket.updatedAt) / 1000;
+    bucket.tokens = Math.min(this.capacity, bucket.tokens + elapsed * this.refillPerSecond);
+    bucket.updatedAt = now;
+    this.buckets.set(key, bucket);
+    return bucket;
+  }
+
+  /**
+   * 尝试消耗令牌
+   * @param {string} key - 桶标识
+   * @param {number} cost - 消耗的令牌数，默认1
+   * @returns {{allowed: boolean, remaining: number, retryAfter: number}} retryAfter为需要等待的秒数
+   */
+  consume(key, cost = 1) {
+    const bucket = this.refill(key, Date.now());
+
+    if (bucket.tokens >= cost) {
+      bucket.tokens -= cost;
+      return { allowed: true, remaining: Math.floor(bucket.tokens), retryAfter: 0 };
+    }
+
+    return {
+      allowed: false,
+      remaining: Math.floor(bucket.tokens),
+      retryAfter: Math.ceil((cost - bucket.tokens) / this.refillPerSecond),
+    };
+  }
+
+  /**
+   * 删除已回满的令牌桶
+   */
+  sweep() {
+    const now = Date.now();
+    for (const key of this.buckets.keys()) {
+      if (this.refill(key, now).tokens >= this.capacity) {
+        this.buckets.delete(key);
+      }
+    }
+  }
+
+  /**
+   * 停止定期清理
+   */
+  close() {
+    clearInterval(this.sweepTimer);
+    this.buckets.clear();
+  }
+}
+
+/**
+ * 创建限流中间件，每个客户端IP在该路由上有独立的令牌桶
+ * @param {TokenBucketLimiter} limiter - 该路由使用的令牌桶
+ * @param {Object} options - 中间件选项
+ * @param {Function} options.cost - 根据请求计算消耗的令牌数，默认每个请求1个
+ * @returns {Function} Express中间件
+ */
+function createRateLimitMiddleware(limiter, options = {}) {
+  const getCost = options.cost || (() => 1);
+
+  return function rateLimit(req, res, next) {
+    const result = limiter.consume(req.ip, getCost(req));
+
+    res.set({
+      "X-RateLimit-Limit": String(limiter.capacity),
+      "X-RateLimit-Remaining": String(result.remaining),
+    });
+
+    if (result.allowed) {
+      next();
+      return;
+    }
+
+    setCorsHeaders(res);
+    res.set("Retry-After", String(result.retryAfter));
+    appendExposedHeaders(res, ["Retry-After"]);
+    sendError(
+      res,
+      429,
+      "请求过于频繁，请稍后再试",
+      `Rate limit exceeded, retry after ${result.retryAfter}s`
+    );
+  };
+}
+
+module.exports = { TokenBucketLimiter, createRateLimitMiddleware };
@@ -0,0 +1,50 @@
+/**
+ * 请求上下文 - 为每个API请求分配请求ID，通过 X-Request-Id 响应头返回给前端，
+ * 并为请求创建带有请求ID的日志器，便于从前端报错追踪到服务端日志
+ */
+
+const crypto = require("crypto");
+
+// 前端传入的请求ID只允许字母、数字、下划线和连字符
+const REQUEST_ID_PATTERN = /^[\w-]{8,64}$/;
+
+/**
+ * 读取前端传入的请求ID，不合法或未传入时生成新的
+ * @param {Object} req - Express请求对象
+ * @returns {string}
+ */
+function resolveRequestId(req) {
+  const requestId = req.get("X-Request-Id");
+  return requestId && REQUEST_ID_PATTERN.test(requestId) ? requestId : crypto.randomUUID();
+}
+
+/**
+ * 创建请求上下文中间件
+ * @param {Object} options - 中间件配置
+ * @param {Logger} options.logger - 全局日志器
+ * @returns {Function} Express中间件
+ */
+function createRequestContextMiddleware({ logger }) {
+  return (req, res, next) => {
+    const startTime = process.hrtime.bigint();
+
+    req.id = resolveRequestId(req);
+    req.log = logger.child({ requestId: req.id });
+    res.set("X-Request-Id", req.id);
+
+    res.on("finish", () => {
+      const durationMs = Number(process.hrtime.bigint() - startTime) / 1e6;
+      const level = res.statusCode >= 500 ? "warn" : "info";
+      req.log[level]("请求完成", {
+        method: req.method,
+        path: req.baseUrl + req.path,
+        status: res.statusCode,
+        durationMs: Math.round(durationMs),
+      });
+    });
+
+    next();
+  };
+}
+
+module.exports = { createRequestContextMiddleware, resolveRequestId };
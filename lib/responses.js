@@ -0,0 +1,62 @@
+/**
+ * API响应工具
+ */
+
+/**
+ * 设置CORS头
+ * @param {Object} res - Express响应对象
+ */
+function setCorsHeaders(res) {
+  res.header("Access-Control-Allow-Origin", "*");
+  res.header("Access-Control-Allow-Methods", "GET");
+  res.header("Access-Control-Allow-Headers", "Content-Type, X-Session-Id, X-Request-Id, X-Client-Id");
+  appendExposedHeaders(res, ["X-Request-Id", "Retry-After"]);
+}
+
+/**
+ * 在 Access-Control-Expose-Headers 中追加响应头，保留已有的值并去重
+ * @param {Object} res - Express响应对象
+ * @param {string[]} names - 允许前端读取的响应头
+ */
+function appendExposedHeaders(res, names) {
+  const existing = String(res.get("Access-Control-Expose-Headers") || "")
+    .split(",")
+    .map((name) => name.trim())
+    .filter(Boolean);
+  const lowerCased = new Set(existing.map((name) => name.toLowerCase()));
+  const added = names.filter((name) => !lowerCased.has(name.toLowerCase()));
+  res.header("Access-Control-Expose-Headers", [...existing, ...added].join(", "));
+}
+
+/**
+ * 返回统一格式的错误响应，API请求附带请求ID
+ * @param {Object} res - Express响应对象
+ * @param {number} status - HTTP状态码
+ * @param {string} msg - 面向用户的提示信息
+ * @param {string} error - 错误详情
+ */
+function sendError(res, status, msg, error) {
+  res.status(status).json({
+    success: false,
+    code: status,
+    msg,
+    error,
+    requestId: res.req.id,
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * 将站内相对地址转换为绝对地址，外部URL原样返回
+ * @param {Object} req - Express请求对象
+ * @param {string} url - 图片地址
+ * @returns {string}
+ */
+function toAbsoluteUrl(req, url) {
+  if (!url.startsWith("/")) {
+    return url;
+  }
+  return new URL(url, `${req.protocol}://${req.get("host")}`).href;
+}
+
+module.exports = { setCorsHeaders, appendExposedHeaders, sendError, toAbsoluteUrl };
@@ -0,0 +1,147 @@
+/**
+ * 图片发放日志 - 以JSONL格式追加记录每张返回给前端的图片
+ * 用于审计展示过的内容、找回用户之前看到的图片、排查返回劣质图片的图片源
+ */
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const crypto = require("crypto");
+const { logger } = require("./logger");
+
+// 会话ID只允许字母、数字、下划线和连字符
+const SESSION_ID_PATTERN = /^[\w-]{8,64}$/;
+
+/**
+ * 从请求头读取前端会话ID
+ * @param {Object} req - Express请求对象
+ * @returns {string|null} 不合法时返回null
+ */
+function readSessionId(req) {
+  const sessionId = req.get("X-Session-Id");
+  return sessionId && SESSION_ID_PATTERN.test(sessionId) ? sessionId : null;
+}
+
+/**
+ * 判断日志条目是否满足过滤条件
+ * @param {Object} entry - 日志条目
+ * @param {Object} filters - 过滤条件
+ * @returns {boolean}
+ */
+function matchesFilters(entry, filters) {
+  return (
+    (!filters.provider || entry.provider === filters.provider) &&
+    (!filters.category || entry.category === filters.category) &&
+    (!filters.author || entry.author === filters.author) &&
+    (!filters.session || entry.sessionId === filters.session) &&
+    (!filters.url || entry.url.includes(filters.url)) &&
+    (!filters.since || entry.timestamp >= filters.since) &&
+    (!filters.until || entry.timestamp <= filters.until)
+  );
+}
+
+class ServedImageLog {
+  /**
+   * @param {Object} options - 日志配置
+   * @param {string} options.file - JSONL文件路径
+   */
+  constructor({ file }) {
+    this.file = file;
+    this.stream = null;
+  }
+
+  /**
+   * 创建日志目录并打开追加写入流
+   */
+  init() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.stream = fs.createWriteStream(this.file, { flags: "a" });
+    this.stream.on("error", (error) => {
+      logger.error("图片发放日志写入失败", { error });
+    });
+  }
+
+  /**
+   * 追加一条记录
+   * @param {Object} record - 记录内容
+   * @param {string} record.provider - 图片源ID
+   * @param {string} record.url - 图片URL
+   * @param {string|null} record.category - 分类
+   * @param {string|null} record.author - 作者
+   * @param {string|null} record.sessionId - 前端会话ID
+   * @param {string} record.route - 返回图片的接口
+   * @returns {Object} 写入的日志条目
+   */
+  append(record) {
+    const entry = {
+      id: crypto.randomUUID(),
+      timestamp: Date.now(),
+      provider: record.provider,
+      url: record.url,
+      category: record.category ?? null,
+      author: record.author ?? null,
+      sessionId: record.sessionId ?? null,
+      route: record.route,
+      pooled: Boolean(record.pooled),
+    };
+
+    if (this.stream) {
+      this.stream.write(`${JSON.stringify(entry)}\n`);
+    }
+    return entry;
+  }
+
+  /**
+   * 按条件查询日志，最新的记录在前
+   * @param {Object} filters - 过滤条件 { provider, category, author, session, url, since, until }
+   * @param {Object} page - 分页 { offset, limit }
+   * @returns {Promise<{total: number, entries: Object[]}>}
+   */
+  async query(filters, { offset, limit }) {
+    if (!fs.existsSync(this.file)) {
+      return { total: 0, entries: [] };
+    }
+
+    // 最新的记录在文件末尾，只需保留最后 offset + limit 条匹配
+    const keep = offset + limit;
+    let matches = [];
+    let total = 0;
+    const lines = readline.createInterface({
+      input: fs.createReadStream(this.file, { encoding: "utf8" }),
+      crlfDelay: Infinity,
+    });
+
+    for await (const line of lines) {
+      if (!line) continue;
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        // 进程异常退出时最后一行可能不完整
+        continue;
+      }
+      if (matchesFilters(entry, filters)) {
+        total++;
+        matches.push(entry);
+        if (matches.length > keep * 2) {
+          matches = matches.slice(-keep);
+        }
+      }
+    }
+
+    const newestFirst = matches.slice(-keep).reverse();
+    return { total, entries: newestFirst.slice(offset, offset + limit) };
+  }
+
+  /**
+   * 关闭写入流
+   */
+  close() {
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
+    }
+  }
+}
+
+module.exports = { ServedImageLog, readSessionId };
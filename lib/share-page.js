@@ -0,0 +1,81 @@
+/**
+ * 分享页面 - 带Open Graph标签的轻量页面，聊天软件和社交网站据此生成链接预览
+ * 浏览器打开时跳转到图片浏览器并优先显示分享的图片
+ */
+
+const { escapeHtml } = require("./html");
+
+/**
+ * 渲染页面骨架
+ * @param {Object} options - 页面内容 { title, head, body }
+ * @returns {string} HTML
+ */
+function renderLayout({ title, head = "", body }) {
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>${escapeHtml(title)}</title>${head}
+    <style>
+      body { margin: 0; min-height: 100vh; display: flex; flex-direction: column; align-items: center; justify-content: center; background: #000; color: #fff; font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; }
+      img { max-width: 100vw; max-height: 80vh; object-fit: contain; }
+      a { margin-top: 16px; color: #4A90E2; }
+    </style>
+  </head>
+  <body>${body}
+  </body>
+</html>
+`;
+}
+
+/**
+ * 渲染分享页面
+ * @param {Object} options - 分享内容
+ * @param {string} options.title - 标题
+ * @param {string} options.description - 描述
+ * @param {string|null} options.imageUrl - 预览图绝对地址，空收藏夹时为null
+ * @param {string} options.pageUrl - 分享页面的绝对地址
+ * @param {string} options.viewerUrl - 在图片浏览器中打开的地址
+ * @returns {string} HTML
+ */
+function renderSharePage({ title, description, imageUrl, pageUrl, viewerUrl }) {
+  const imageTags = imageUrl
+    ? `
+    <meta property="og:image" content="${escapeHtml(imageUrl)}" />
+    <meta name="twitter:card" content="summary_large_image" />`
+    : `
+    <meta name="twitter:card" content="summary" />`;
+
+  return renderLayout({
+    title,
+    head: `
+    <meta name="description" content="${escapeHtml(description)}" />
+    <meta property="og:type" content="website" />
+    <meta property="og:site_name" content="H5 Image Viewer" />
+    <meta property="og:title" content="${escapeHtml(title)}" />
+    <meta property="og:description" content="${escapeHtml(description)}" />
+    <meta property="og:url" content="${escapeHtml(pageUrl)}" />${imageTags}`,
+    body: `${imageUrl ? `
+    <img src="${escapeHtml(imageUrl)}" alt="${escapeHtml(title)}" />` : ""}
+    <a href="${escapeHtml(viewerUrl)}">在图片浏览器中打开</a>
+    <script>
+      location.replace(${JSON.stringify(viewerUrl).replace(/</g, "\\u003c")});
+    </script>`,
+  });
+}
+
+/**
+ * 渲染分享不存在页面
+ * @returns {string} HTML
+ */
+function renderShareNotFoundPage() {
+  return renderLayout({
+    title: "分享不存在",
+    body: `
+    <p>分享链接不存在或已失效</p>
+    <a href="/">打开图片浏览器</a>`,
+  });
+}
+
+module.exports = { renderSharePage, renderShareNotFoundPage };
@@ -0,0 +1,141 @@
+/**
+ * 分享链接存储 - 为单张图片或收藏夹生成短id，保存在一个JSON文件中
+ * 同一张图片或同一个收藏夹重复分享时返回已有的id
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { UpstreamError } = require("./errors");
+const { readJsonFile, writeJsonFile } = require("./json-file");
+const { readImageUrl } = require("./collection-store");
+
+const ID_ALPHABET = "0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz";
+
+// 图片源id只允许字母、数字、下划线和连字符
+const PROVIDER_PATTERN = /^[\w-]{1,64}$/;
+
+/**
+ * 分享对象的唯一键，用于重复分享时找到已有的id
+ * @param {Object} share - 分享记录
+ * @returns {string}
+ */
+function shareKey(share) {
+  return share.type === "collection" ? `collection:${share.collectionId}` : `image:${share.url}`;
+}
+
+class ShareStore {
+  /**
+   * @param {Object} options - 存储配置
+   * @param {string} options.file - JSON文件路径
+   * @param {number} options.idLength - 短id长度
+   * @param {number} options.maxShares - 最多保存的分享数，超出时删除最早的
+   */
+  constructor({ file, idLength, maxShares }) {
+    this.file = file;
+    this.idLength = idLength;
+    this.maxShares = maxShares;
+    // 短id -> 分享记录，按创建顺序排列
+    this.shares = new Map();
+    // 分享对象的唯一键 -> 短id
+    this.keys = new Map();
+    // 串行写入，保证文件内容与最后一次修改一致
+    this.writing = Promise.resolve();
+  }
+
+  /**
+   * 创建存储目录并读入已有的分享
+   */
+  init() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const data = readJsonFile(this.file);
+    for (const share of data?.shares || []) {
+      this.shares.set(share.id, share);
+      this.keys.set(shareKey(share), share.id);
+    }
+  }
+
+  /**
+   * 获取分享记录
+   * @param {string} id - 短id
+   * @returns {Object|null} { id, type, url, provider, collectionId, createdAt }
+   */
+  get(id) {
+    return this.shares.get(id) || null;
+  }
+
+  /**
+   * 分享图片或收藏夹，已分享过时返回已有记录
+   * @param {Object} body - 请求体 { url, provider } 或 { collectionId }
+   * @returns {Promise<{share: Object, created: boolean}>}
+   */
+  async create(body) {
+    if (!body || typeof body !== "object") {
+      throw new UpstreamError("Request body must be a JSON object", 400, "分享内容无效");
+    }
+
+    let share;
+    if (body.collectionId !== undefined) {
+      if (typeof body.collectionId !== "string" || !body.collectionId) {
+        throw new UpstreamError("collectionId must be a string", 400, "分享内容无效");
+      }
+      share = { type: "collection", collectionId: body.collectionId };
+    } else {
+      share = {
+        type: "image",
+        url: readImageUrl(body.url),
+        provider:
+          typeof body.provider === "string" && PROVIDER_PATTERN.test(body.provider)
+            ? body.provider
+            : null,
+      };
+    }
+
+    const existingId = this.keys.get(shareKey(share));
+    if (existingId) {
+      return { share: this.shares.get(existingId), created: false };
+    }
+
+    share = { id: this.generateId(), ...share, createdAt: Date.now() };
+    this.shares.set(share.id, share);
+    this.keys.set(shareKey(share), share.id);
+    if (this.shares.size > this.maxShares) {
+      const oldest = this.shares.values().next().value;
+      this.shares.delete(oldest.id);
+      this.keys.delete(shareKey(oldest));
+    }
+
+    await this.save();
+    return { share, created: true };
+  }
+
+  /**
+   * 生成未被使用的短id
+   * @returns {string}
+   */
+  generateId() {
+    let id;
+    do {
+      id = Array.from(
+        { length: this.idLength },
+        () => ID_ALPHABET[crypto.randomInt(ID_ALPHABET.length)]
+      ).join("");
+    } while (this.shares.has(id));
+    return id;
+  }
+
+  /**
+   * 把当前内容写入文件
+   * @returns {Promise<void>}
+   */
+  save() {
+    const data = { shares: Array.from(this.shares.values()) };
+    const write = () => writeJsonFile(this.file, data);
+
+    // 上一次写入失败不影响本次写入
+    this.writing = this.writing.then(write, write);
+    return this.writing;
+  }
+}
+
+module.exports = { ShareStore };
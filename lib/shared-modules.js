@@ -0,0 +1,25 @@
+/**
+ * 加载与前端共用的ES模块（public/js/shared/*.mjs）
+ * 服务端为CommonJS，只能通过 import() 异步加载，每个模块只加载一次
+ */
+
+const path = require("path");
+const { pathToFileURL } = require("url");
+
+const SHARED_DIR = path.join(__dirname, "..", "public", "js", "shared");
+
+const loadedModules = new Map();
+
+/**
+ * 加载共用模块
+ * @param {string} fileName - 文件名，如 "json-images.mjs"
+ * @returns {Promise<Object>} 模块导出
+ */
+function loadSharedModule(fileName) {
+  if (!loadedModules.has(fileName)) {
+    loadedModules.set(fileName, import(pathToFileURL(path.join(SHARED_DIR, fileName)).href));
+  }
+  return loadedModules.get(fileName);
+}
+
+module.exports = { loadSharedModule };
@@ -0,0 +1,151 @@
+/**
+ * 性能遥测汇总页面 - 服务端渲染的HTML表格，用于根据真实数据调整 APP_CONFIG.performance
+ */
+
+const { escapeHtml } = require("./html");
+
+// 与前端 getDeviceTypeName 一致
+const DEVICE_TYPE_NAMES = {
+  mobile: "移动端",
+  tablet: "平板",
+  desktop: "桌面端",
+  unknown: "未知",
+};
+
+/**
+ * 格式化耗时
+ * @param {number|null} ms - 毫秒
+ * @returns {string}
+ */
+function formatMs(ms) {
+  return ms === null ? "-" : `${ms} ms`;
+}
+
+/**
+ * 渲染汇总页面
+ * @param {Object} summary - TelemetryStore.summarize 的返回值
+ * @param {Object} options - 页面信息 { since, days }
+ * @returns {string} HTML
+ */
+function renderTelemetryPage(summary, { since, days }) {
+  const rows = summary.groups
+    .map(
+      (group) => `
+        <tr>
+          <td>${escapeHtml(group.provider)}</td>
+          <td>${escapeHtml(DEVICE_TYPE_NAMES[group.deviceType] || group.deviceType)}</td>
+          <td>${group.imageLoad.count}</td>
+          <td>${formatMs(group.imageLoad.p50)}</td>
+          <td>${formatMs(group.imageLoad.p95)}</td>
+          <td>${group.apiCall.count}</td>
+          <td>${formatMs(group.apiCall.p50)}</td>
+          <td>${formatMs(group.apiCall.p95)}</td>
+          <td>${group.apiCall.failures}</td>
+        </tr>`
+    )
+    .join("");
+
+  const cacheRows = summary.cache
+    .map(
+      (item) => `
+        <tr>
+          <td>${escapeHtml(DEVICE_TYPE_NAMES[item.deviceType] || item.deviceType)}</td>
+          <td>${item.hits}</td>
+          <td>${item.misses}</td>
+          <td>${item.hitRate === null ? "-" : `${(item.hitRate * 100).toFixed(1)}%`}</td>
+        </tr>`
+    )
+    .join("");
+
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>性能数据汇总</title>
+    <style>
+      body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 24px; color: #222; }
+      table { border-collapse: collapse; margin-bottom: 24px; }
+      th, td { border: 1px solid #ddd; padding: 6px 12px; text-align: right; }
+      th:first-child, td:first-child, th:nth-child(2), td:nth-child(2) { text-align: left; }
+      th { background: #f5f5f5; }
+      .summary { color: #666; }
+    </style>
+  </head>
+  <body>
+    <h1>性能数据汇总</h1>
+    <p class="summary">
+      最近 ${days} 天（自 ${escapeHtml(new Date(since).toISOString())}）共 ${summary.reports} 份匿名上报
+    </p>
+
+    <h2>图片加载与API调用耗时</h2>
+    <table>
+      <thead>
+        <tr>
+          <th>图片源</th>
+          <th>设备类型</th>
+          <th>图片加载数</th>
+          <th>加载 p50</th>
+          <th>加载 p95</th>
+          <th>API调用数</th>
+          <th>API p50</th>
+          <th>API p95</th>
+          <th>API失败数</th>
+        </tr>
+      </thead>
+      <tbody>${rows || '<tr><td colspan="9">暂无数据</td></tr>'}
+      </tbody>
+    </table>
+
+    <h2>前端缓存命中率</h2>
+    <table>
+      <thead>
+        <tr>
+          <th>设备类型</th>
+          <th>命中</th>
+          <th>未命中</th>
+          <th>命中率</th>
+        </tr>
+      </thead>
+      <tbody>${cacheRows || '<tr><td colspan="4">暂无数据</td></tr>'}
+      </tbody>
+    </table>
+  </body>
+</html>
+`;
+}
+
+/**
+ * 渲染登录页面 - 通过POST表单提交管理令牌，令牌不出现在URL、浏览器历史和访问日志中
+ * @param {Object} options - 页面信息
+ * @param {number} options.days - 登录后显示的统计天数
+ * @param {boolean} options.failed - 上次提交的令牌是否错误
+ * @returns {string} HTML
+ */
+function renderTelemetryLoginPage({ days, failed }) {
+  return `<!DOCTYPE html>
+<html lang="zh-CN">
+  <head>
+    <meta charset="UTF-8" />
+    <meta name="viewport" content="width=device-width, initial-scale=1.0" />
+    <title>性能数据汇总 - 登录</title>
+    <style>
+      body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; margin: 24px; color: #222; }
+      input { padding: 6px 8px; margin-right: 8px; }
+      .error { color: #c0392b; }
+    </style>
+  </head>
+  <body>
+    <h1>性能数据汇总</h1>${failed ? `
+    <p class="error">访问令牌错误</p>` : ""}
+    <form method="post" action="/telemetry/login">
+      <input type="hidden" name="days" value="${escapeHtml(days)}" />
+      <input type="password" name="token" placeholder="ADMIN_TOKEN" autocomplete="current-password" required autofocus />
+      <button type="submit">查看</button>
+    </form>
+  </body>
+</html>
+`;
+}
+
+module.exports = { renderTelemetryPage, renderTelemetryLoginPage };
@@ -0,0 +1,263 @@
+/**
+ * 性能遥测存储 - 以JSONL格式追加记录前端自愿上报的匿名性能数据，
+ * 并按图片源和设备类型汇总图片加载、API调用耗时的分位数
+ * 上报内容不含图片URL、会话ID等可识别用户的信息
+ */
+
+const fs = require("fs");
+const path = require("path");
+const readline = require("readline");
+const { logger } = require("./logger");
+const { UpstreamError } = require("./errors");
+const { percentileOf } = require("./provider-health");
+
+const DEVICE_TYPES = ["mobile", "tablet", "desktop", "unknown"];
+
+// 图片源id只允许字母、数字、下划线和连字符
+const PROVIDER_PATTERN = /^[\w-]{1,64}$/;
+
+// 超过此值的耗时视为异常数据（毫秒）
+const MAX_DURATION = 120000;
+
+/**
+ * 读取耗时，不合法时返回null
+ * @param {any} value - 耗时（毫秒）
+ * @returns {number|null}
+ */
+function readDuration(value) {
+  return Number.isFinite(value) && value >= 0 && value <= MAX_DURATION
+    ? Math.round(value)
+    : null;
+}
+
+/**
+ * 读取图片源id，不合法时归为unknown
+ * @param {any} value - 图片源id
+ * @returns {string}
+ */
+function readProvider(value) {
+  return typeof value === "string" && PROVIDER_PATTERN.test(value) ? value : "unknown";
+}
+
+/**
+ * 读取计数
+ * @param {any} value - 计数
+ * @returns {number}
+ */
+function readCount(value) {
+  return Number.isInteger(value) && value > 0 ? Math.min(value, 100000) : 0;
+}
+
+/**
+ * 计算一组耗时的分位数
+ * @param {number[]} samples - 耗时样本
+ * @returns {{count: number, p50: number|null, p95: number|null}}
+ */
+function summarizeDurations(samples) {
+  const sorted = [...samples].sort((a, b) => a - b);
+  return {
+    count: sorted.length,
+    p50: percentileOf(sorted, 50),
+    p95: percentileOf(sorted, 95),
+  };
+}
+
+class TelemetryStore {
+  /**
+   * @param {Object} options - 存储配置
+   * @param {string} options.file - JSONL文件路径
+   * @param {number} options.maxSamples - 单次上报每类样本的最大条数
+   * @param {number} options.maxGroupSamples - 汇总时每组保留的最大样本数，超出时保留最新的
+   */
+  constructor({ file, maxSamples, maxGroupSamples }) {
+    this.file = file;
+    this.maxSamples = maxSamples;
+    this.maxGroupSamples = maxGroupSamples;
+    this.stream = null;
+  }
+
+  /**
+   * 创建存储目录并打开追加写入流
+   */
+  init() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    this.stream = fs.createWriteStream(this.file, { flags: "a" });
+    this.stream.on("error", (error) => {
+      logger.error("性能数据写入失败", { error });
+    });
+  }
+
+  /**
+   * 校验并规范化一次上报，丢弃不合法的样本
+   * @param {Object} body - 请求体 { deviceType, config, imageLoads, apiCalls, cache }
+   * @returns {Object} 规范化的上报内容
+   */
+  normalize(body) {
+    if (!body || typeof body !== "object") {
+      throw new UpstreamError("Request body must be a JSON object", 400, "上报格式无效");
+    }
+
+    const imageLoads = Array.isArray(body.imageLoads) ? body.imageLoads : [];
+    const apiCalls = Array.isArray(body.apiCalls) ? body.apiCalls : [];
+    if (imageLoads.length > this.maxSamples || apiCalls.length > this.maxSamples) {
+      throw new UpstreamError(
+        `Each sample list may contain at most ${this.maxSamples} items`,
+        400,
+        "上报格式无效"
+      );
+    }
+
+    const report = {
+      deviceType: DEVICE_TYPES.includes(body.deviceType) ? body.deviceType : "unknown",
+      config: {},
+      imageLoads: [],
+      apiCalls: [],
+      cache: {
+        hits: readCount(body.cache?.hits),
+        misses: readCount(body.cache?.misses),
+      },
+    };
+
+    // 只保留数值型的性能配置，用于比较不同配置下的表现
+    if (body.config && typeof body.config === "object") {
+      for (const [key, value] of Object.entries(body.config).slice(0, 20)) {
+        if (/^\w{1,40}$/.test(key) && Number.isFinite(value)) {
+          report.config[key] = value;
+        }
+      }
+    }
+
+    for (const sample of imageLoads) {
+      const ms = readDuration(sample?.ms);
+      if (ms !== null) {
+        report.imageLoads.push({ provider: readProvider(sample.provider), ms });
+      }
+    }
+    for (const sample of apiCalls) {
+      const ms = readDuration(sample?.ms);
+      if (ms !== null) {
+        report.apiCalls.push({
+          provider: readProvider(sample.provider),
+          ms,
+          ok: sample.ok !== false,
+        });
+      }
+    }
+
+    if (
+      report.imageLoads.length === 0 &&
+      report.apiCalls.length === 0 &&
+      report.cache.hits + report.cache.misses === 0
+    ) {
+      throw new UpstreamError("Report contains no valid samples", 400, "上报格式无效");
+    }
+    return report;
+  }
+
+  /**
+   * 追加一次上报
+   * @param {Object} report - normalize返回的上报内容
+   */
+  append(report) {
+    if (this.stream) {
+      this.stream.write(`${JSON.stringify({ receivedAt: Date.now(), ...report })}\n`);
+    }
+  }
+
+  /**
+   * 按图片源和设备类型汇总
+   * @param {Object} options - 汇总条件 { since }
+   * @returns {Promise<{reports: number, groups: Object[], cache: Object[]}>}
+   *   groups按图片源、设备类型排序；cache按设备类型汇总缓存命中率
+   */
+  async summarize({ since }) {
+    const groups = new Map();
+    const cache = new Map();
+    let reports = 0;
+
+    const groupFor = (provider, deviceType) => {
+      const key = `${provider}\n${deviceType}`;
+      if (!groups.has(key)) {
+        groups.set(key, { provider, deviceType, imageLoads: [], apiCalls: [], failures: 0 });
+      }
+      return groups.get(key);
+    };
+    const pushSample = (samples, value) => {
+      samples.push(value);
+      if (samples.length > this.maxGroupSamples * 2) {
+        samples.splice(0, samples.length - this.maxGroupSamples);
+      }
+    };
+
+    if (fs.existsSync(this.file)) {
+      const lines = readline.createInterface({
+        input: fs.createReadStream(this.file, { encoding: "utf8" }),
+        crlfDelay: Infinity,
+      });
+
+      for await (const line of lines) {
+        if (!line) continue;
+        let report;
+        try {
+          report = JSON.parse(line);
+        } catch (error) {
+          // 进程异常退出时最后一行可能不完整
+          continue;
+        }
+        if (since && report.receivedAt < since) continue;
+
+        reports++;
+        for (const sample of report.imageLoads) {
+          pushSample(groupFor(sample.provider, report.deviceType).imageLoads, sample.ms);
+        }
+        for (const sample of report.apiCalls) {
+          const group = groupFor(sample.provider, report.deviceType);
+          pushSample(group.apiCalls, sample.ms);
+          if (!sample.ok) group.failures++;
+        }
+
+        const deviceCache = cache.get(report.deviceType) || { hits: 0, misses: 0 };
+        deviceCache.hits += report.cache.hits;
+        deviceCache.misses += report.cache.misses;
+        cache.set(report.deviceType, deviceCache);
+      }
+    }
+
+    return {
+      reports,
+      groups: Array.from(groups.values())
+        .sort(
+          (a, b) =>
+            a.provider.localeCompare(b.provider) ||
+            DEVICE_TYPES.indexOf(a.deviceType) - DEVICE_TYPES.indexOf(b.deviceType)
+        )
+        .map((group) => ({
+          provider: group.provider,
+          deviceType: group.deviceType,
+          imageLoad: summarizeDurations(group.imageLoads.slice(-this.maxGroupSamples)),
+          apiCall: {
+            ...summarizeDurations(group.apiCalls.slice(-this.maxGroupSamples)),
+            failures: group.failures,
+          },
+        })),
+      cache: Array.from(cache.entries()).map(([deviceType, { hits, misses }]) => ({
+        deviceType,
+        hits,
+        misses,
+        hitRate: hits + misses > 0 ? hits / (hits + misses) : null,
+      })),
+    };
+  }
+
+  /**
+   * 关闭写入流
+   */
+  close() {
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
+    }
+  }
+}
+
+module.exports = { TelemetryStore, DEVICE_TYPES };
@@ -0,0 +1,195 @@
+/**
+ * 图片URL预取池 - 后台为每个图片源预先获取并校验图片URL
+ * 请求直接从池中取出结果，池内数量低于水位线时自动补充
+ */
+
+const { getStream } = require("./http-client");
+const { logger } = require("./logger");
+
+class UrlPool {
+  /**
+   * @param {Object} options - 预取池配置
+   * @param {number} options.size - 每个图片源的目标容量
+   * @param {number} options.lowWaterMark - 低于该数量时开始补充
+   * @param {number} options.refillDelay - 两次上游调用之间的间隔（毫秒）
+   * @param {number} options.maxAge - 池中URL的最长保留时间（毫秒）
+   * @param {boolean} options.validateImages - 入池前是否确认URL返回图片
+   * @param {number} options.validateTimeout - 图片校验超时（毫秒）
+   * @param {OutboundPolicy} options.policy - 校验图片时使用的出站请求策略
+   * @param {Function} options.fetchImage - 从图片源获取图片的函数，默认直接调用provider.fetchImage()
+   * @param {Function} options.isVerified - 判断图片是否已在获取时下载确认过（如重复检测），确认过的不再下载校验
+   */
+  constructor(options) {
+    this.size = options.size;
+    this.lowWaterMark = options.lowWaterMark;
+    this.refillDelay = options.refillDelay;
+    this.maxAge = options.maxAge;
+    this.validateImages = options.validateImages;
+    this.validateTimeout = options.validateTimeout || 5000;
+    this.policy = options.policy;
+    this.fetchImage =
+      options.fetchImage || ((provider) => provider.fetchImage());
+    this.isVerified = options.isVerified || (() => false);
+
+    // providerId -> { items, refilling, failures, retryAt, timer }
+    this.pools = new Map();
+    this.closed = false;
+  }
+
+  /**
+   * 获取（必要时创建）图片源的池状态
+   * @param {string} providerId - 图片源id
+   * @returns {Object}
+   */
+  getPool(providerId) {
+    if (!this.pools.has(providerId)) {
+      this.pools.set(providerId, {
+        items: [],
+        refilling: false,
+        failures: 0,
+        retryAt: 0,
+        timer: null,
+      });
+    }
+    return this.pools.get(providerId);
+  }
+
+  /**
+   * 从池中取出一张图片，并在需要时触发补充
+   * @param {Object} provider - 图片源实例
+   * @returns {Object|null} 图片信息，池为空时返回null
+   */
+  take(provider) {
+    if (provider.prefetch === false) return null;
+
+    const pool = this.getPool(provider.id);
+    const now = Date.now();
+
+    // 丢弃过期的URL
+    pool.items = pool.items.filter((item) => now - item.fetchedAt <= this.maxAge);
+
+    const item = pool.items.shift() || null;
+    if (pool.items.length < this.lowWaterMark) {
+      this.refill(provider);
+    }
+
+    return item ? item.image : null;
+  }
+
+  /**
+   * 后台补充池直到达到目标容量
+   * @param {Object} provider - 图片源实例
+   */
+  async refill(provider) {
+    if (provider.prefetch === false) return;
+
+    const pool = this.getPool(provider.id);
+    if (this.closed || pool.refilling || Date.now() < pool.retryAt) {
+      return;
+    }
+
+    pool.refilling = true;
+    try {
+      // 图片源配置重新加载后旧的池会被替换，此时停止补充
+      while (
+        !this.closed &&
+        this.pools.get(provider.id) === pool &&
+        pool.items.length < this.size
+      ) {
+        const image = await this.fetchImage(provider);
+
+        const duplicated = pool.items.some((item) => item.image.url === image.url);
+        if (!duplicated && (this.isVerified(image) || (await this.isImageReachable(image.url)))) {
+          pool.items.push({ image, fetchedAt: Date.now() });
+        }
+
+        pool.failures = 0;
+        await this.wait(pool, this.refillDelay);
+      }
+    } catch (error) {
+      // 连续失败时指数退避，最长1分钟
+      pool.failures++;
+      const backoff = Math.min(60000, 1000 * Math.pow(2, pool.failures));
+      pool.retryAt = Date.now() + backoff;
+      logger.warn("预取池补充失败", { provider: provider.id, retryInMs: backoff, error });
+    } finally {
+      pool.refilling = false;
+    }
+  }
+
+  /**
+   * 确认URL可访问且返回图片
+   * @param {string} imageUrl - 图片URL
+   * @returns {Promise<boolean>}
+   */
+  async isImageReachable(imageUrl) {
+    if (!this.validateImages) return true;
+
+    try {
+      const res = await getStream(imageUrl, {
+        timeout: this.validateTimeout,
+        policy: this.policy,
+      });
+      const contentType = res.headers["content-type"] || "";
+      res.destroy();
+      return res.statusCode === 200 && contentType.startsWith("image/");
+    } catch (error) {
+      logger.warn("预取图片校验失败", { url: imageUrl, error });
+      return false;
+    }
+  }
+
+  /**
+   * 等待指定时间，定时器记录在池状态中以便close()时清除
+   * @param {Object} pool - 池状态
+   * @param {number} ms - 等待毫秒数
+   * @returns {Promise<void>}
+   */
+  wait(pool, ms) {
+    return new Promise((resolve) => {
+      pool.timer = setTimeout(() => {
+        pool.timer = null;
+        resolve();
+      }, ms);
+      pool.timer.unref?.();
+    });
+  }
+
+  /**
+   * 按图片源列表重建所有池并预热
+   * 图片源配置变化后旧的URL可能不再符合新配置，因此全部丢弃
+   * @param {Object[]} providers - 图片源实例列表
+   */
+  sync(providers) {
+    for (const pool of this.pools.values()) {
+      clearTimeout(pool.timer);
+    }
+    this.pools.clear();
+
+    providers.forEach((provider) => this.refill(provider));
+  }
+
+  /**
+   * 获取各图片源的池深度
+   * @returns {Object} providerId -> 池中URL数量
+   */
+  getStats() {
+    const stats = {};
+    for (const [providerId, pool] of this.pools) {
+      stats[providerId] = pool.items.length;
+    }
+    return stats;
+  }
+
+  /**
+   * 停止所有后台补充
+   */
+  close() {
+    this.closed = true;
+    for (const pool of this.pools.values()) {
+      clearTimeout(pool.timer);
+    }
+  }
+}
+
+module.exports = { UrlPool };
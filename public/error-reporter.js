@@ -0,0 +1,180 @@
+/**
+ * 前端错误上报模块
+ * 收集各错误处理模块记录的错误，按消息去重后批量上报到 /api/errors
+ * 需在 fix-error-display.js 之前加载，以便使用未被包装的fetch，避免上报失败时再次产生错误记录
+ */
+
+class ErrorReporter {
+  /**
+   * @param {Object} options - 上报配置
+   * @param {string} options.endpoint - 上报地址
+   * @param {number} options.flushDelay - 记录错误后等待多久上报（毫秒），期间的错误合并为一批
+   * @param {number} options.maxBatchSize - 单次上报的最大条数，与服务端 CLIENT_ERROR_CONFIG.maxBatch 一致
+   * @param {number} options.maxReportsPerSession - 每个页面最多上报的不同错误数
+   */
+  constructor(options = {}) {
+    this.endpoint = options.endpoint || "/api/errors";
+    this.flushDelay = options.flushDelay || 5000;
+    this.maxBatchSize = options.maxBatchSize || 50;
+    this.maxReportsPerSession = options.maxReportsPerSession || 100;
+
+    // 错误消息 -> 待上报的错误条目，同一消息只保留一条并累加次数
+    this.pending = new Map();
+    // 本页面已上报过的错误消息
+    this.reportedMessages = new Set();
+    this.flushTimer = null;
+    this.disabled = false;
+
+    // 保存原始fetch，fix-error-display.js 会包装window.fetch并记录失败的请求
+    this.fetch = typeof window.fetch === "function" ? window.fetch.bind(window) : null;
+
+    this.setupPageHideFlush();
+    console.log("ErrorReporter 初始化完成");
+  }
+
+  /**
+   * 页面隐藏或关闭时立即上报剩余错误
+   */
+  setupPageHideFlush() {
+    window.addEventListener("pagehide", () => this.flush({ useBeacon: true }));
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") {
+        this.flush({ useBeacon: true });
+      }
+    });
+  }
+
+  /**
+   * 记录一条错误，稍后批量上报
+   * @param {string} source - 错误来源模块，如 error-display、global-monitor、performance
+   * @param {Error|string} error - 错误对象或消息
+   * @param {Object} details - 附加信息 { context, requestId }
+   */
+  report(source, error, details = {}) {
+    if (this.disabled) return;
+
+    const message = String(error?.message || error || "未知错误");
+    // 上报请求本身失败时不再记录，避免循环
+    if (message.includes(this.endpoint)) return;
+
+    const now = Date.now();
+    const entry = this.pending.get(message);
+    if (entry) {
+      entry.count++;
+      entry.lastSeen = now;
+      if (!entry.sources.includes(source)) {
+        entry.sources.push(source);
+      }
+      entry.stack = entry.stack || error?.stack || null;
+      entry.requestId = details.requestId || error?.requestId || entry.requestId;
+    } else {
+      // 同一页面上报过的错误仍然上报次数，但不同错误的数量有上限
+      if (
+        !this.reportedMessages.has(message) &&
+        this.reportedMessages.size >= this.maxReportsPerSession
+      ) {
+        return;
+      }
+      this.reportedMessages.add(message);
+      this.pending.set(message, {
+        message,
+        sources: [source],
+        stack: error?.stack || null,
+        context: details.context ? String(details.context) : null,
+        requestId: details.requestId || error?.requestId || null,
+        count: 1,
+        firstSeen: now,
+        lastSeen: now,
+      });
+    }
+
+    if (this.pending.size >= this.maxBatchSize) {
+      this.flush();
+    } else {
+      this.scheduleFlush();
+    }
+  }
+
+  /**
+   * 安排一次延迟上报
+   */
+  scheduleFlush() {
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush();
+    }, this.flushDelay);
+  }
+
+  /**
+   * 上报所有待上报的错误
+   * @param {Object} options - 上报选项
+   * @param {boolean} options.useBeacon - 是否使用sendBeacon（页面关闭时）
+   */
+  flush({ useBeacon = false } = {}) {
+    clearTimeout(this.flushTimer);
+    this.flushTimer = null;
+    if (this.disabled || this.pending.size === 0) return;
+
+    const errors = Array.from(this.pending.values()).slice(0, this.maxBatchSize);
+    errors.forEach((entry) => this.pending.delete(entry.message));
+
+    // sendBeacon只能发送简单请求，以text/plain发送JSON，服务端同样按JSON解析
+    const body = JSON.stringify(this.buildPayload(errors));
+
+    if (useBeacon && navigator.sendBeacon) {
+      navigator.sendBeacon(this.endpoint, body);
+    } else if (this.fetch) {
+      this.fetch(this.endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "text/plain" },
+        body,
+        keepalive: true,
+      })
+        .then((response) => {
+          // 服务端未启用错误上报时停止上报
+          if (response.status === 404) {
+            this.disabled = true;
+            this.pending.clear();
+          }
+        })
+        .catch((error) => {
+          console.warn("错误上报失败:", error.message);
+        });
+    }
+
+    if (this.pending.size > 0) {
+      this.scheduleFlush();
+    }
+  }
+
+  /**
+   * 构建上报内容
+   * @param {Object[]} errors - 错误条目
+   * @returns {Object} 上报内容
+   */
+  buildPayload(errors) {
+    return {
+      sessionId: this.getSessionId(),
+      page: location.pathname + location.search,
+      browser: window.browserCompatibility?.getBrowserInfo() || null,
+      errors,
+    };
+  }
+
+  /**
+   * 读取前端会话ID（由 js/utils/helpers.js 的 getSessionId 写入）
+   * @returns {string|null} 会话ID
+   */
+  getSessionId() {
+    try {
+      return sessionStorage.getItem("session-id");
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+// 创建全局错误上报器
+window.ErrorReporter = ErrorReporter;
+window.errorReporter = new ErrorReporter();
@@ -195,6 +195,11 @@ class ErrorDisplayFixer {
       this.errorLog.shift();
     }
 
+    // 上报到服务端，由上报器按消息去重
+    if (window.errorReporter) {
+      window.errorReporter.report('error-display', message, { context });
+    }
+
     // 只在开发模式下输出详细错误
     if (this.isDevelopmentMode()) {
       console.group(`🚨 错误记录 [${context}]`);
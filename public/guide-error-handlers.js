@@ -478,6 +478,15 @@ class GlobalErrorMonitor {
         this.globalErrorCount++;
         
         console.error(`[全局错误 #${this.globalErrorCount}] ${type}:`, error, context);
+
+        // 上报到服务端，未捕获错误附带出错位置
+        if (window.errorReporter) {
+            window.errorReporter.report('global-monitor', error, {
+                context: context.filename
+                    ? `${type} ${context.filename}:${context.lineno}:${context.colno}`
+                    : type
+            });
+        }
         
         // 检查是否是引导相关的错误
         const errorMessage = error?.message || '';
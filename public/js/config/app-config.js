@@ -6,10 +6,23 @@ export const APP_CONFIG = {
   // API配置
   api: {
     proxyEndpoint: "/api/image",
-    redirectEndpoint: "/api/image/redirect",
+    batchEndpoint: "/api/images",
+    metaEndpoint: "/api/image/meta",
+    healthEndpoint: "/api/health",
+    providersEndpoint: "/api/providers",
+    customProxyEndpoint: "/api/custom",
+    collectionsEndpoint: "/api/collections",
+    sharesEndpoint: "/api/shares",
+    useCustomProxy: true, // 自定义API经服务端转发，避免CORS失败
+    healthCheckInterval: 30000,
     maxRetries: 3,
     retryDelay: 1000,
-    minApiInterval: 1500,
+    maxRetryAfter: 30000, // 服务端限流要求等待超过30秒时不再自动重试
+    minApiInterval: 300, // 服务端有预取池，接口可即时返回
+    maxBatchSize: 10, // 与服务端 BATCH_CONFIG.maxCount 一致
+    maxTrackedRequestIds: 100, // 记住最近100张图片对应的请求ID和图片源，便于追踪和统计
+    maxListedImages: 50, // 列表API一次返回多张图片时最多保留50张待用，与服务端 CUSTOM_API_CONFIG.maxImages 一致
+    maxObjectUrls: 50, // API直接返回图片内容时最多保留50个object URL，多于队列与历史记录之和
     timeout: 5000
   },
 
@@ -23,6 +36,7 @@ export const APP_CONFIG = {
 
   // UI配置
   ui: {
+    firstImageDelay: 300,
     loadingTimeout: 10000,
     feedbackDuration: 1500,
     animationDuration: 300,
@@ -41,7 +55,16 @@ export const APP_CONFIG = {
     preloadCount: 1,
     maxPreloadCount: 2,
     preloadDelay: 4000,
-    adaptiveThreshold: 0.9
+    adaptiveThreshold: 0.9,
+    minImageDimension: 200, // 宽或高小于200像素的图片不预加载
+    maxImageBytes: 15 * 1024 * 1024 // 超过15MB的图片不预加载
+  },
+
+  // 性能数据上报配置（用户自愿开启）
+  telemetry: {
+    endpoint: "/api/telemetry",
+    uploadInterval: 60000, // 每分钟上报一次新增的样本
+    maxSamples: 200 // 与服务端 TELEMETRY_CONFIG.maxSamples 一致
   },
 
   // 错误处理配置
@@ -59,6 +82,7 @@ export const ERROR_CATEGORIES = {
   PARSE_ERROR: "parse",
   VALIDATION_ERROR: "validation",
   COMPATIBILITY_ERROR: "compatibility",
+  RATE_LIMIT_ERROR: "rate_limit",
   UNKNOWN_ERROR: "unknown"
 };
 
@@ -4,8 +4,10 @@
 
 import { APP_CONFIG, ANIMATION_DIRECTIONS } from '../config/app-config.js';
 import { ApiService } from '../services/api-service.js';
+import { TelemetryService } from '../services/telemetry-service.js';
 import { UIController } from '../controllers/ui-controller.js';
 import { throttle, debounce } from '../utils/helpers.js';
+import { errorHandler } from '../utils/error-handler.js';
 
 /**
  * 图片展示器主类 - 管理图片加载和显示
@@ -46,7 +48,7 @@ export class ImageViewer {
     // 延迟初始图片加载
     setTimeout(() => {
       this.loadFirstImage();
-    }, 2000);
+    }, APP_CONFIG.ui.firstImageDelay);
 
     // 延迟启动预加载策略
     setTimeout(() => {
@@ -85,6 +87,14 @@ export class ImageViewer {
       // 性能监控器
       this.performanceMonitor = new PerformanceMonitor();
 
+      // 性能数据上报（需用户开启）
+      this.telemetryService = new TelemetryService({
+        performanceMonitor: this.performanceMonitor,
+        apiService: this.apiService,
+        responsiveManager: this.responsiveManager,
+      });
+      this.telemetryService.start();
+
       // 预加载策略
       this.preloadStrategy = new EnhancedPreloadStrategy(
         this.apiService,
@@ -95,6 +105,8 @@ export class ImageViewer {
           maxPreloadCount: APP_CONFIG.performance.maxPreloadCount,
           minPreloadCount: 1,
           preloadDelay: APP_CONFIG.performance.preloadDelay,
+          minImageDimension: APP_CONFIG.performance.minImageDimension,
+          maxImageBytes: APP_CONFIG.performance.maxImageBytes,
           performanceMonitor: this.performanceMonitor,
           imageViewer: this,
         }
@@ -151,12 +163,17 @@ export class ImageViewer {
   /**
    * 向图片URL队列添加URL
    * @param {string} imageUrl - 图片URL
+   * @param {Object|null} meta - 列表API返回的元数据，带宽高时用于按真实尺寸估算缓存占用
    */
-  addToQueue(imageUrl) {
+  addToQueue(imageUrl, meta = null) {
     if (!imageUrl || this.imageUrlQueue.includes(imageUrl)) {
       return;
     }
 
+    if (meta && meta.width > 0 && meta.height > 0) {
+      this.imageCache?.setImageMeta(imageUrl, meta);
+    }
+
     if (this.imageUrlQueue.length >= this.maxQueueSize) {
       const removedUrl = this.imageUrlQueue.shift();
       console.log("队列已满，移除最旧的URL:", removedUrl);
@@ -166,6 +183,49 @@ export class ImageViewer {
     console.log("添加URL到队列:", imageUrl, "队列长度:", this.imageUrlQueue.length);
   }
 
+  /**
+   * 把列表API一次返回的其余图片加入队列
+   * 只填满队列的空位，其余的留在ApiService中，队列用完后再取，期间不会再请求API
+   */
+  fillQueueFromList() {
+    const room = this.maxQueueSize - this.imageUrlQueue.length;
+    const images = this.apiService.takeListedImages(room);
+    images.forEach(({ url, meta }) => this.addToQueue(url, meta));
+  }
+
+  /**
+   * 把图片URL插入队列最前面，如打开分享链接时优先显示分享的图片
+   * 队列已满时丢弃排在最后的URL
+   * @param {string[]} imageUrls - 图片URL，按显示顺序排列
+   */
+  prependToQueue(imageUrls) {
+    const urls = imageUrls.filter(Boolean);
+    this.imageUrlQueue = [
+      ...urls,
+      ...this.imageUrlQueue.filter((url) => !urls.includes(url)),
+    ].slice(0, Math.max(this.maxQueueSize, urls.length));
+    console.log("插入URL到队列前面:", urls.length, "队列长度:", this.imageUrlQueue.length);
+  }
+
+  /**
+   * 获取图片URL队列状态，供预加载策略判断是否需要补充
+   * @returns {{length: number, maxSize: number}} 队列状态
+   */
+  getQueueStatus() {
+    return {
+      length: this.imageUrlQueue.length,
+      maxSize: this.maxQueueSize,
+    };
+  }
+
+  /**
+   * 清空图片URL队列，如切换分类后丢弃旧分类的图片
+   */
+  clearQueue() {
+    this.imageUrlQueue = [];
+    console.log("图片URL队列已清空");
+  }
+
   /**
    * 从队列获取下一个图片URL
    * @returns {string|null} 图片URL或null
@@ -602,6 +662,8 @@ export class ImageViewer {
       }
       
       this.uiController.showUserFeedback("正在准备图片浏览器...", 1500);
+
+      await this.loadSharedImages();
       
       setTimeout(async () => {
         try {
@@ -621,11 +683,40 @@ export class ImageViewer {
     }
   }
 
+  /**
+   * 打开分享链接（地址带有share参数）时，把分享的图片放到队列最前面
+   * 之后照常从ApiService获取随机图片
+   */
+  async loadSharedImages() {
+    const params = new URLSearchParams(window.location.search);
+    const shareId = params.get("share");
+    if (!shareId) return;
+
+    // 从地址栏移除分享参数，刷新页面时不再重复显示
+    params.delete("share");
+    const search = params.toString();
+    history.replaceState(
+      history.state,
+      "",
+      `${window.location.pathname}${search ? `?${search}` : ""}${window.location.hash}`
+    );
+
+    try {
+      const { title, urls } = await this.apiService.loadShare(shareId);
+      this.prependToQueue(urls);
+      this.uiController.showUserFeedback(`正在打开${title}`, 1500);
+    } catch (error) {
+      errorHandler.logError("加载分享失败:", error, { shareId });
+      this.uiController.showUserFeedback("分享链接不存在或已失效", 2000);
+    }
+  }
+
   /**
    * 优化的图片加载方法
    */
   async loadImage() {
     const startTime = performance.now();
+    let imageUrl;
 
     try {
       this.uiController.showLoading();
@@ -635,9 +726,10 @@ export class ImageViewer {
         throw new Error("网络连接不可用，请检查网络设置");
       }
 
-      let imageUrl;
       let fromQueue = false;
 
+      // 队列用完时先补充列表API上次返回的图片，都用完后才请求API
+      this.fillQueueFromList();
       imageUrl = this.getNextFromQueue();
       if (imageUrl) {
         fromQueue = true;
@@ -648,9 +740,15 @@ export class ImageViewer {
         const apiEndTime = performance.now();
 
         if (this.performanceMonitor) {
-          this.performanceMonitor.recordApiCallTime(apiStartTime, apiEndTime, true);
+          this.performanceMonitor.recordApiCallTime(
+            apiStartTime,
+            apiEndTime,
+            true,
+            this.apiService.getImageProvider(imageUrl)
+          );
         }
         console.log("从API获取新图片URL:", imageUrl);
+        this.fillQueueFromList();
       }
 
       // 检查浏览器缓存
@@ -712,11 +810,20 @@ export class ImageViewer {
       console.log(`优化图片加载完成，总耗时: ${(endTime - startTime).toFixed(2)}ms`);
     } catch (error) {
       const endTime = performance.now();
-      console.error("图片加载失败:", error);
+      // 图片本身加载失败时，关联获取该图片URL的请求ID
+      if (!error.requestId && imageUrl) {
+        error.requestId = this.apiService.getRequestId(imageUrl);
+      }
+      errorHandler.logError("图片加载失败:", error, { imageUrl });
 
       if (this.performanceMonitor) {
         this.performanceMonitor.recordError(error, "loadImage");
-        this.performanceMonitor.recordApiCallTime(startTime, endTime, false);
+        this.performanceMonitor.recordApiCallTime(
+          startTime,
+          endTime,
+          false,
+          this.apiService.getCurrentProviderId()
+        );
       }
 
       if (this.isInitialLoad) {
@@ -762,6 +869,80 @@ export class ImageViewer {
     });
   }
 
+  /**
+   * 把当前图片收藏到收藏夹
+   * @param {string} collectionId - 收藏夹id
+   * @returns {Promise<boolean>} 是否收藏成功
+   */
+  async saveToCollection(collectionId) {
+    if (!this.currentImageUrl) {
+      this.uiController.showUserFeedback("当前没有可收藏的图片", 1500);
+      return false;
+    }
+    if (this.apiService.isObjectUrl(this.currentImageUrl)) {
+      this.uiController.showUserFeedback("该图片由API直接返回，无法收藏", 2000);
+      return false;
+    }
+
+    try {
+      const { created } = await this.apiService.addToCollection(
+        collectionId,
+        this.currentImageUrl
+      );
+      this.uiController.showUserFeedback(created ? "已收藏" : "已在收藏夹中", 1500);
+      return true;
+    } catch (error) {
+      errorHandler.logError("收藏图片失败:", error, { collectionId });
+      this.uiController.showUserFeedback("收藏失败，请重试", 1500);
+      return false;
+    }
+  }
+
+  /**
+   * 生成分享链接，移动端调用系统分享，其他设备复制到剪贴板
+   * @param {Object} target - 分享对象 { collectionId }，缺省时分享当前图片
+   */
+  async share(target = {}) {
+    if (!target.collectionId && !this.currentImageUrl) {
+      this.uiController.showUserFeedback("当前没有可分享的图片", 1500);
+      return;
+    }
+    if (!target.collectionId && this.apiService.isObjectUrl(this.currentImageUrl)) {
+      this.uiController.showUserFeedback("该图片由API直接返回，无法分享", 2000);
+      return;
+    }
+
+    let shareUrl;
+    try {
+      shareUrl = await this.apiService.createShare({
+        imageUrl: this.currentImageUrl,
+        ...target,
+      });
+    } catch (error) {
+      errorHandler.logError("生成分享链接失败:", error, target);
+      this.uiController.showUserFeedback("生成分享链接失败，请重试", 1500);
+      return;
+    }
+
+    const deviceType = this.responsiveManager.getDeviceInfo().type;
+    if (navigator.share && deviceType !== "desktop") {
+      try {
+        await navigator.share({ url: shareUrl });
+      } catch (error) {
+        // 用户取消分享
+      }
+      return;
+    }
+
+    try {
+      await navigator.clipboard.writeText(shareUrl);
+      this.uiController.showUserFeedback("分享链接已复制", 1500);
+    } catch (error) {
+      // 非安全上下文等情况下无法写入剪贴板，让用户手动复制
+      window.prompt("复制分享链接", shareUrl);
+    }
+  }
+
   /**
    * 检查图片切换是否被暂停
    * @returns {boolean} 是否被暂停
@@ -1422,10 +1603,16 @@ export class ImageViewer {
       const apiStartTime = performance.now();
       const imageUrl = await this.apiService.fetchImage();
       const apiEndTime = performance.now();
+      this.fillQueueFromList();
 
       // 记录API调用时间
       if (this.performanceMonitor) {
-        this.performanceMonitor.recordApiCallTime(apiStartTime, apiEndTime, true);
+        this.performanceMonitor.recordApiCallTime(
+          apiStartTime,
+          apiEndTime,
+          true,
+          this.apiService.getImageProvider(imageUrl)
+        );
       }
 
       // 检查缓存
@@ -1501,7 +1688,12 @@ export class ImageViewer {
       // 记录错误和失败的API调用
       if (this.performanceMonitor) {
         this.performanceMonitor.recordError(error, "loadImageWithAnimation");
-        this.performanceMonitor.recordApiCallTime(startTime, endTime, false);
+        this.performanceMonitor.recordApiCallTime(
+          startTime,
+          endTime,
+          false,
+          this.apiService.getCurrentProviderId()
+        );
       }
 
       // 如果动画加载失败，回退到普通加载
@@ -1607,95 +1799,3 @@ export class ImageViewer {
     console.log("ImageViewer 已销毁");
   }
 }
-   * 初始化用户引导功能
-   */
-  initializeUserGuideFeatures() {
-    if (!this.userGuideManager) return;
-
-    try {
-      const success = this.userGuideManager.initialize();
-      if (success) {
-        console.log("用户引导功能初始化成功");
-      }
-      this.addHelpKeyboardShortcut();
-    } catch (error) {
-      console.error("用户引导功能初始化失败:", error);
-    }
-  }
-
-  /**
-   * 添加键盘快捷键支持
-   */
-  addHelpKeyboardShortcut() {
-    const optimizedHelpKeyHandler = this.eventOptimizer?.throttle(
-      (event) => {
-        if (event.key === "F1") {
-          event.preventDefault();
-          this.handleHelpButtonClick();
-        }
-      },
-      500,
-      "help-shortcut"
-    );
-
-    if (optimizedHelpKeyHandler) {
-      document.addEventListener("keydown", optimizedHelpKeyHandler);
-      console.log("帮助快捷键已绑定 (F1)");
-    }
-  }
-
-  /**
-   * 获取当前显示的图片URL
-   * @returns {string|null} 当前图片URL或null
-   */
-  getCurrentImageUrl() {
-    return this.uiController.getCurrentImageUrl();
-  }
-
-  /**
-   * 刷新当前图片
-   */
-  refreshImage() {
-    console.log("刷新图片");
-    this.loadImage();
-  }
-
-  /**
-   * 销毁图片查看器，清理资源
-   */
-  destroy() {
-    if (this.imageCache) {
-      this.imageCache.clear();
-    }
-
-    if (this.preloadStrategy) {
-      this.preloadStrategy.cleanup();
-    }
-
-    if (this.performanceMonitor) {
-      this.performanceMonitor.cleanup();
-    }
-
-    if (this.eventOptimizer) {
-      this.eventOptimizer.cleanup();
-    }
-
-    if (this.userGuideManager) {
-      this.userGuideManager.destroy();
-    }
-
-    if (this.animationController) {
-      this.animationController.destroy();
-    }
-
-    if (this.uiController) {
-      this.uiController.destroy();
-    }
-
-    if (this.responsiveManager) {
-      this.responsiveManager.destroy();
-    }
-
-    console.log("ImageViewer 已销毁");
-  }
-}
\ No newline at end of file
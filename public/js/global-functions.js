@@ -2,66 +2,138 @@
  * 全局函数模块
  */
 
+import { apiProfileManager } from './services/api-profile-manager.js';
+import { parseJsonPath } from './shared/json-path.mjs';
+import { formatHeaderLines, parseHeaderLines } from './utils/request-template.js';
+import { getClientId, setClientId } from './utils/helpers.js';
+
 /**
- * 全局API切换函数
+ * 切换所有ApiService的图片来源，清空旧来源预取的图片后重新加载
+ * @param {string} key - 图片来源key，见 ApiService.getApiSources
+ * @param {string} message - 切换后的提示
+ */
+function applyApiSource(key, message) {
+  const { primary, all: apiServices } = getApiServices();
+  const app = window.imageViewerApp;
+  apiServices.forEach((apiService) => apiService.switchToSource(key));
+  window.updateApiSwitchButton();
+
+  if (app.imageViewer && typeof app.imageViewer.clearQueue === "function") {
+    app.imageViewer.clearQueue();
+  }
+  if (app.uiController && message) {
+    app.uiController.showUserFeedback(message, 1500);
+  }
+
+  setTimeout(() => {
+    if (primary && app.loadImage) {
+      app.loadImage();
+    }
+  }, 500);
+}
+
+/**
+ * 根据当前图片来源更新API切换按钮的文字和提示
+ */
+window.updateApiSwitchButton = function () {
+  const { primary: apiService } = getApiServices();
+  const button = document.getElementById("api-switch-button");
+  if (!apiService || !button) return;
+
+  const currentKey = apiService.getCurrentSourceKey();
+  const source = apiService.getApiSources().find((item) => item.key === currentKey);
+  if (!source) return;
+
+  const buttonText = button.querySelector(".button-text");
+  if (buttonText) buttonText.textContent = source.shortName;
+  button.title = `当前图片来源：${source.name}（点击切换，右键或长按选择）`;
+};
+
+/**
+ * 加载服务端图片源列表，之后按服务端的图片源名称更新API切换按钮
+ */
+window.loadApiSources = async function () {
+  const { all: apiServices } = getApiServices();
+  await Promise.all(apiServices.map((apiService) => apiService.loadProviderCatalog()));
+  window.updateApiSwitchButton();
+};
+
+/**
+ * 全局API切换函数 - 按顺序切换到下一个图片来源（内置API和所有自定义API配置）
  */
 window.switchApiSource = function () {
   console.log("切换API源");
 
-  if (!window.imageViewerApp) {
+  const { primary: apiService } = getApiServices();
+  if (!apiService) {
     console.error("应用实例未找到，可能还在初始化中");
     alert("应用正在初始化中，请稍后重试");
     return;
   }
 
-  const apiService = window.imageViewerApp.apiService;
-  const uiController = window.imageViewerApp.uiController;
+  try {
+    const sources = apiService.getApiSources();
+    const index = sources.findIndex((source) => source.key === apiService.getCurrentSourceKey());
+    const next = sources[(index + 1) % sources.length];
+    applyApiSource(next.key, `已切换到${next.name}`);
+  } catch (error) {
+    console.error("切换API时发生错误:", error);
+    alert("切换API失败，请重试");
+  }
+};
 
-  if (!apiService) {
-    console.error("ApiService未初始化");
-    alert("服务未初始化，请刷新页面重试");
+/**
+ * 显示图片来源选择弹窗
+ * @param {Event} event - 右键或长按触发的contextmenu事件
+ */
+window.showApiSourceDialog = async function (event) {
+  if (event) event.preventDefault();
+
+  const dialog = document.getElementById("api-source-dialog");
+  const select = document.getElementById("api-source-select");
+  const { primary: apiService } = getApiServices();
+  if (!dialog || !apiService) {
+    alert("应用正在初始化中，请稍后重试");
     return;
   }
 
-  const button = document.getElementById("api-switch-button");
-  const buttonText = button ? button.querySelector(".button-text") : null;
-
-  try {
-    if (apiService.isUsingCustomApi && apiService.isUsingCustomApi()) {
-      apiService.switchApiSource("redirect");
-      if (buttonText) buttonText.textContent = "新API";
-      if (uiController) {
-        uiController.showUserFeedback("已从自定义API切换到重定向API", 2000);
-      }
-    } else if (apiService.currentEndpoint === apiService.redirectEndpoint) {
-      apiService.switchApiSource("default");
-      if (buttonText) buttonText.textContent = "旧API";
-      if (uiController) {
-        uiController.showUserFeedback("已切换到代理API", 1500);
-      }
-    } else {
-      apiService.switchApiSource("redirect");
-      if (buttonText) buttonText.textContent = "新API";
-      if (uiController) {
-        uiController.showUserFeedback("已切换到重定向API", 1500);
-      }
-    }
+  await apiService.loadProviderCatalog();
+  select.innerHTML = "";
+  apiService.getApiSources().forEach((source) => {
+    const option = document.createElement("option");
+    option.value = source.key;
+    option.textContent = source.name;
+    select.appendChild(option);
+  });
+  select.value = apiService.getCurrentSourceKey();
+  dialog.classList.remove("hidden");
+};
 
-    setTimeout(() => {
-      if (window.imageViewerApp && window.imageViewerApp.loadImage) {
-        window.imageViewerApp.loadImage();
-      }
-    }, 500);
-  } catch (error) {
-    console.error("切换API时发生错误:", error);
-    if (uiController) {
-      uiController.showUserFeedback("切换API失败，请重试", 2000);
-    } else {
-      alert("切换API失败，请重试");
-    }
+/**
+ * 隐藏图片来源选择弹窗
+ */
+window.hideApiSourceDialog = function () {
+  const dialog = document.getElementById("api-source-dialog");
+  if (dialog) {
+    dialog.classList.add("hidden");
   }
 };
 
+/**
+ * 使用选择的图片来源
+ */
+window.applyApiSourceSelection = function () {
+  const select = document.getElementById("api-source-select");
+  const { primary: apiService } = getApiServices();
+  if (!select || !apiService) return;
+
+  window.hideApiSourceDialog();
+  if (select.value === apiService.getCurrentSourceKey()) return;
+
+  const source = apiService.getApiSources().find((item) => item.key === select.value);
+  applyApiSource(select.value, `已切换到${source ? source.name : "所选API"}`);
+};
+
 /**
  * 显示自定义API弹窗
  */
@@ -69,7 +141,6 @@ window.showCustomApiDialog = function () {
   console.log("显示自定义API弹窗");
   const dialog = document.getElementById("custom-api-dialog");
   const urlInput = document.getElementById("custom-api-url");
-  const pathInput = document.getElementById("custom-json-path");
 
   if (!dialog) {
     console.error("自定义API弹窗元素未找到");
@@ -77,16 +148,15 @@ window.showCustomApiDialog = function () {
     return;
   }
 
-  // 加载现有配置
-  try {
-    const config = localStorage.getItem("custom-api-config");
-    if (config) {
-      const parsed = JSON.parse(config);
-      urlInput.value = parsed.url || "";
-      pathInput.value = parsed.jsonPath || "";
-    }
-  } catch (error) {
-    console.error("加载自定义API配置失败:", error);
+  // 默认编辑正在使用的配置，没有时新建
+  const activeProfile = apiProfileManager.getActive();
+  fillApiProfileForm(activeProfile);
+  renderApiProfileList();
+
+  const telemetryCheckbox = document.getElementById("telemetry-opt-in");
+  const imageViewer = window.imageViewerApp && window.imageViewerApp.imageViewer;
+  if (telemetryCheckbox && imageViewer && imageViewer.telemetryService) {
+    telemetryCheckbox.checked = imageViewer.telemetryService.isEnabled();
   }
 
   dialog.classList.remove("hidden");
@@ -131,89 +201,546 @@ window.hideCustomApiDialog = function () {
 };
 
 /**
- * 保存自定义API配置
+ * 把配置填入编辑表单
+ * @param {Object|null} profile - 要编辑的配置，为null时新建
+ */
+function fillApiProfileForm(profile) {
+  const dialog = document.getElementById("custom-api-dialog");
+  document.getElementById("custom-api-name").value = profile ? profile.name : "";
+  document.getElementById("custom-api-url").value = profile ? profile.url : "";
+  document.getElementById("custom-json-path").value = profile ? profile.jsonPath : "";
+  document.getElementById("custom-api-method").value = (profile && profile.method) || "GET";
+  document.getElementById("custom-api-headers").value = formatHeaderLines(profile && profile.headers);
+  document.getElementById("custom-api-body-type").value = (profile && profile.bodyType) || "none";
+  document.getElementById("custom-api-body").value = (profile && profile.body) || "";
+  // 使用了请求头或请求体的配置默认展开高级设置
+  document.getElementById("custom-api-advanced").open = Boolean(
+    profile && (profile.method === "POST" || Object.keys(profile.headers || {}).length > 0)
+  );
+  window.updateCustomApiBodyFields();
+  dialog.dataset.editingId = profile ? profile.id : "";
+  document.getElementById("custom-api-form-title").textContent = profile
+    ? `编辑配置「${profile.name}」`
+    : "新建配置";
+}
+
+/**
+ * 按请求方法和请求体类型启用请求体输入框，GET请求不带请求体
+ */
+window.updateCustomApiBodyFields = function () {
+  const method = document.getElementById("custom-api-method").value;
+  const bodyType = document.getElementById("custom-api-body-type");
+  const body = document.getElementById("custom-api-body");
+  bodyType.disabled = method === "GET";
+  body.disabled = method === "GET" || bodyType.value === "none";
+};
+
+/**
+ * 渲染已保存的自定义API配置列表
+ */
+function renderApiProfileList() {
+  const list = document.getElementById("api-profile-list");
+  const empty = document.getElementById("api-profile-empty");
+  const { primary: apiService } = getApiServices();
+  const profiles = apiProfileManager.list();
+  const activeKey = apiService ? apiService.getCurrentSourceKey() : null;
+
+  list.innerHTML = "";
+  empty.classList.toggle("hidden", profiles.length > 0);
+
+  profiles.forEach((profile, index) => {
+    const item = document.createElement("li");
+    item.className = "api-profile-item";
+    item.classList.toggle("active", activeKey === `profile:${profile.id}`);
+
+    const info = document.createElement("div");
+    info.className = "api-profile-info";
+    const name = document.createElement("span");
+    name.className = "api-profile-name";
+    name.textContent = profile.name;
+    const url = document.createElement("small");
+    url.className = "api-profile-url";
+    url.textContent = profile.url;
+    info.append(name, url);
+
+    const actions = document.createElement("div");
+    actions.className = "api-profile-actions";
+    [
+      { action: "use", label: "使用" },
+      { action: "edit", label: "编辑" },
+      { action: "duplicate", label: "复制" },
+      { action: "up", label: "↑", title: "上移", disabled: index === 0 },
+      { action: "down", label: "↓", title: "下移", disabled: index === profiles.length - 1 },
+      { action: "delete", label: "删除" },
+    ].forEach(({ action, label, title, disabled }) => {
+      const button = document.createElement("button");
+      button.type = "button";
+      button.className = "btn btn-secondary btn-small";
+      button.textContent = label;
+      button.title = title || label;
+      button.disabled = Boolean(disabled);
+      button.addEventListener("click", () => handleApiProfileAction(action, profile.id));
+      actions.appendChild(button);
+    });
+
+    item.append(info, actions);
+    list.appendChild(item);
+  });
+}
+
+/**
+ * 处理配置列表中的操作
+ * @param {string} action - use、edit、duplicate、up、down、delete
+ * @param {string} profileId - 配置id
+ */
+function handleApiProfileAction(action, profileId) {
+  const dialog = document.getElementById("custom-api-dialog");
+  const profile = apiProfileManager.get(profileId);
+  if (!profile) return;
+
+  try {
+    switch (action) {
+      case "use":
+        window.hideCustomApiDialog();
+        applyApiSource(`profile:${profileId}`, `已切换到${profile.name}`);
+        return;
+      case "edit":
+        fillApiProfileForm(profile);
+        document.getElementById("custom-api-name").focus();
+        return;
+      case "duplicate":
+        fillApiProfileForm(apiProfileManager.duplicate(profileId));
+        break;
+      case "up":
+      case "down":
+        apiProfileManager.move(profileId, action === "up" ? -1 : 1);
+        break;
+      case "delete": {
+        if (!confirm(`确定删除配置「${profile.name}」吗？`)) return;
+
+        const { primary: apiService } = getApiServices();
+        const wasActive = apiService && apiService.getCurrentSourceKey() === `profile:${profileId}`;
+        apiProfileManager.remove(profileId);
+        if (dialog.dataset.editingId === profileId) {
+          fillApiProfileForm(null);
+        }
+        // 删除正在使用的配置后回到服务端默认图片源
+        if (wasActive) {
+          applyApiSource("default", "配置已删除，已切换到默认图片源");
+        }
+        break;
+      }
+    }
+  } catch (error) {
+    console.error("自定义API配置操作失败:", error);
+    alert("操作失败：" + error.message);
+  }
+
+  renderApiProfileList();
+  window.updateApiSwitchButton();
+}
+
+/**
+ * 新建自定义API配置
+ */
+window.newApiProfile = function () {
+  fillApiProfileForm(null);
+  document.getElementById("custom-api-name").focus();
+};
+
+/**
+ * 保存自定义API配置（新建或修改）并切换到该配置
  */
 window.saveCustomApi = function () {
   console.log("保存自定义API配置");
+  const dialog = document.getElementById("custom-api-dialog");
+  const nameInput = document.getElementById("custom-api-name");
   const urlInput = document.getElementById("custom-api-url");
   const pathInput = document.getElementById("custom-json-path");
 
-  if (!urlInput || !pathInput) {
+  if (!nameInput || !urlInput || !pathInput) {
     console.error("输入框元素未找到");
     return;
   }
 
-  const url = urlInput.value.trim();
-  const jsonPath = pathInput.value.trim();
+  const headersInput = document.getElementById("custom-api-headers");
+  const fields = {
+    name: nameInput.value,
+    url: urlInput.value,
+    jsonPath: pathInput.value.trim(),
+    method: document.getElementById("custom-api-method").value,
+    bodyType: document.getElementById("custom-api-body-type").value,
+    body: document.getElementById("custom-api-body").value,
+  };
 
-  // 验证输入
-  if (!url) {
-    alert("请输入API URL");
-    urlInput.focus();
+  try {
+    fields.headers = parseHeaderLines(headersInput.value);
+  } catch (error) {
+    alert(error.message);
+    headersInput.focus();
     return;
   }
 
-  if (!jsonPath) {
-    alert("请输入JSON路径");
-    pathInput.focus();
+  // 验证JSON路径语法，错误信息中指出出错的位置
+  if (fields.jsonPath) {
+    try {
+      parseJsonPath(fields.jsonPath);
+    } catch (error) {
+      alert(error.message);
+      pathInput.focus();
+      return;
+    }
+  }
+
+  if (!getApiServices().primary) {
+    console.error("应用实例未找到");
+    alert("保存失败：应用未正确初始化");
     return;
   }
 
-  // 验证URL格式
+  let profile;
   try {
-    new URL(url);
+    const editingId = dialog.dataset.editingId;
+    profile = editingId
+      ? apiProfileManager.update(editingId, fields)
+      : apiProfileManager.add(fields);
   } catch (error) {
-    alert("请输入有效的URL格式");
-    urlInput.focus();
+    console.error("保存自定义API配置失败:", error);
+    alert("保存失败：" + error.message);
     return;
   }
 
-  // 验证JSON路径格式
-  if (!/^[a-zA-Z_$][a-zA-Z0-9_$]*(\.[a-zA-Z_$][a-zA-Z0-9_$]*)*$/.test(jsonPath)) {
-    alert("JSON路径格式无效，请使用点分割格式，如: data.url 或 result.image");
-    pathInput.focus();
+  window.hideCustomApiDialog();
+  applyApiSource(`profile:${profile.id}`, "自定义API配置已保存，正在测试...");
+};
+
+/**
+ * 获取实际负责取图的ApiService，以及需要同步设置的全部ApiService实例
+ * @returns {{primary: Object|null, all: Object[]}}
+ */
+function getApiServices() {
+  const app = window.imageViewerApp;
+  if (!app) return { primary: null, all: [] };
+
+  const primary = (app.imageViewer && app.imageViewer.apiService) || app.apiService || null;
+  const all = [primary, app.apiService].filter(
+    (service, index, list) => service && list.indexOf(service) === index
+  );
+  return { primary, all };
+}
+
+/**
+ * 显示分类选择弹窗
+ */
+window.showCategoryDialog = async function () {
+  console.log("显示分类选择弹窗");
+  const dialog = document.getElementById("category-dialog");
+  const select = document.getElementById("category-select");
+  const input = document.getElementById("category-input");
+  const label = document.getElementById("category-label");
+  const help = document.getElementById("category-help");
+  const { primary: apiService } = getApiServices();
+  const uiController = window.imageViewerApp && window.imageViewerApp.uiController;
+
+  if (!dialog || !apiService) {
+    alert("应用正在初始化中，请稍后重试");
     return;
   }
 
-  try {
-    if (window.imageViewerApp && window.imageViewerApp.apiService) {
-      // 保存配置
-      window.imageViewerApp.apiService.saveCustomApiConfig(url, jsonPath);
-
-      // 切换到自定义API
-      window.imageViewerApp.apiService.switchToCustomApi();
-
-      // 显示成功消息
-      if (window.imageViewerApp.uiController) {
-        window.imageViewerApp.uiController.showUserFeedback(
-          "自定义API配置已保存",
-          2000
-        );
-      }
+  const provider = await apiService.getCurrentProviderInfo();
+  const parameterName = provider && provider.categoryParameter;
+  if (!parameterName) {
+    const message = apiService.isUsingCustomApi()
+      ? "自定义API未使用 {category} 变量，无法选择分类"
+      : "当前图片源没有可选分类";
+    if (uiController) {
+      uiController.showUserFeedback(message, 2000);
+    } else {
+      alert(message);
+    }
+    return;
+  }
 
-      // 关闭弹窗
-      window.hideCustomApiDialog();
+  const spec = provider.parameters[parameterName];
+  const current =
+    apiService.getCurrentProviderParams()[parameterName] || spec.default || "";
+
+  label.textContent = `${spec.label}:`;
+  help.textContent = `图片源：${provider.name}`;
+
+  // 声明了可选项时使用下拉框，否则允许直接输入
+  if (spec.options) {
+    select.innerHTML = "";
+    spec.options.forEach((option) => {
+      const element = document.createElement("option");
+      element.value = option.value;
+      element.textContent = option.label;
+      select.appendChild(element);
+    });
+    select.value = current;
+    select.classList.remove("hidden");
+    input.classList.add("hidden");
+    label.htmlFor = "category-select";
+  } else {
+    input.value = current;
+    input.dataset.pattern = spec.pattern || "";
+    input.classList.remove("hidden");
+    select.classList.add("hidden");
+    label.htmlFor = "category-input";
+  }
 
-      // 立即加载一张图片测试
-      setTimeout(() => {
-        if (window.imageViewerApp.uiController) {
-          window.imageViewerApp.uiController.showUserFeedback(
-            "正在测试自定义API...",
-            1500
-          );
-        }
-        window.imageViewerApp.loadImage();
-      }, 500);
+  dialog.dataset.providerId = provider.id;
+  dialog.dataset.parameter = parameterName;
+  dialog.classList.remove("hidden");
+};
+
+/**
+ * 隐藏分类选择弹窗
+ */
+window.hideCategoryDialog = function () {
+  const dialog = document.getElementById("category-dialog");
+  if (dialog) {
+    dialog.classList.add("hidden");
+  }
+};
+
+/**
+ * 应用选择的分类，清空已预取的旧分类图片后重新加载
+ */
+window.applyCategory = function () {
+  const dialog = document.getElementById("category-dialog");
+  const select = document.getElementById("category-select");
+  const input = document.getElementById("category-input");
+  const { all: apiServices } = getApiServices();
+  const app = window.imageViewerApp;
+
+  if (!dialog || apiServices.length === 0) {
+    console.error("分类选择弹窗或ApiService未找到");
+    return;
+  }
+
+  const usingInput = !input.classList.contains("hidden");
+  const value = (usingInput ? input.value : select.value).trim();
+  if (usingInput && input.dataset.pattern && !new RegExp(input.dataset.pattern).test(value)) {
+    alert("分类格式无效");
+    input.focus();
+    return;
+  }
+
+  const { providerId, parameter } = dialog.dataset;
+  apiServices.forEach((apiService) => {
+    const params = { ...(apiService.providerParams[providerId] || {}) };
+    if (value) {
+      params[parameter] = value;
     } else {
-      console.error("应用实例未找到");
-      alert("保存失败：应用未正确初始化");
+      delete params[parameter];
     }
+    apiService.setProviderParams(providerId, params);
+  });
+
+  window.hideCategoryDialog();
+
+  if (app.imageViewer && typeof app.imageViewer.clearQueue === "function") {
+    app.imageViewer.clearQueue();
+  }
+  if (app.uiController) {
+    app.uiController.showUserFeedback("已切换分类", 1500);
+  }
+  app.loadImage();
+};
+
+// 新建收藏夹选项的值
+const NEW_COLLECTION_OPTION = "__new__";
+
+/**
+ * 显示收藏弹窗，默认选中上次使用的收藏夹
+ */
+window.showCollectionDialog = async function () {
+  console.log("显示收藏弹窗");
+  const dialog = document.getElementById("collection-dialog");
+  const select = document.getElementById("collection-select");
+  const nameInput = document.getElementById("collection-name");
+  const app = window.imageViewerApp;
+  const imageViewer = app && app.imageViewer;
+
+  if (!dialog || !imageViewer) {
+    alert("应用正在初始化中，请稍后重试");
+    return;
+  }
+  if (!imageViewer.currentImageUrl) {
+    app.uiController.showUserFeedback("当前没有可收藏的图片", 1500);
+    return;
+  }
+
+  let collections;
+  try {
+    collections = await imageViewer.apiService.listCollections();
   } catch (error) {
-    console.error("保存自定义API配置失败:", error);
-    alert("保存失败：" + error.message);
+    console.error("获取收藏夹失败:", error);
+    app.uiController.showUserFeedback(
+      error.statusCode === 404 ? "服务端未启用收藏夹" : "获取收藏夹失败，请重试",
+      2000
+    );
+    return;
+  }
+
+  select.innerHTML = "";
+  collections.forEach((collection) => {
+    const option = document.createElement("option");
+    option.value = collection.id;
+    option.textContent = `${collection.name} (${collection.itemCount})`;
+    select.appendChild(option);
+  });
+  const newOption = document.createElement("option");
+  newOption.value = NEW_COLLECTION_OPTION;
+  newOption.textContent = "新建收藏夹…";
+  select.appendChild(newOption);
+
+  const lastId = localStorage.getItem("last-collection-id");
+  if (collections.some((collection) => collection.id === lastId)) {
+    select.value = lastId;
+  } else {
+    select.value = collections.length > 0 ? collections[0].id : NEW_COLLECTION_OPTION;
+  }
+  nameInput.value = collections.length > 0 ? "" : "我的收藏";
+  window.updateCollectionNameInput();
+
+  document.getElementById("sync-code").value = getClientId();
+  document.getElementById("sync-code-input").value = "";
+
+  dialog.classList.remove("hidden");
+};
+
+/**
+ * 复制本设备的同步码
+ */
+window.copySyncCode = async function () {
+  const code = getClientId();
+  const app = window.imageViewerApp;
+  try {
+    await navigator.clipboard.writeText(code);
+    app.uiController.showUserFeedback("同步码已复制", 1500);
+  } catch (error) {
+    // 非安全上下文等情况下无法写入剪贴板，让用户手动复制
+    window.prompt("复制同步码", code);
   }
 };
 
+/**
+ * 使用其他设备的同步码，之后显示该同步码的收藏夹
+ */
+window.applySyncCode = async function () {
+  const input = document.getElementById("sync-code-input");
+  const code = input.value.trim();
+  if (!code || code === getClientId()) return;
+  if (!confirm("切换后本设备将显示新同步码的收藏夹，原来的收藏夹需要用原同步码找回。确定切换吗？")) {
+    return;
+  }
+
+  if (!setClientId(code)) {
+    alert("同步码无效，请粘贴完整的同步码");
+    input.focus();
+    return;
+  }
+
+  // 之前选择的收藏夹属于原来的同步码
+  localStorage.removeItem("last-collection-id");
+  window.imageViewerApp.uiController.showUserFeedback("已切换同步码", 1500);
+  await window.showCollectionDialog();
+};
+
+/**
+ * 选择新建收藏夹时显示名称输入框
+ */
+window.updateCollectionNameInput = function () {
+  const select = document.getElementById("collection-select");
+  const group = document.getElementById("collection-name-group");
+  const shareButton = document.getElementById("share-collection-button");
+  if (!select || !group) return;
+
+  const isNew = select.value === NEW_COLLECTION_OPTION;
+  group.classList.toggle("hidden", !isNew);
+  if (shareButton) {
+    shareButton.classList.toggle("hidden", isNew);
+  }
+};
+
+/**
+ * 隐藏收藏弹窗
+ */
+window.hideCollectionDialog = function () {
+  const dialog = document.getElementById("collection-dialog");
+  if (dialog) {
+    dialog.classList.add("hidden");
+  }
+};
+
+/**
+ * 把当前图片收藏到选择的收藏夹，选择新建时先创建收藏夹
+ */
+window.saveToCollection = async function () {
+  const select = document.getElementById("collection-select");
+  const nameInput = document.getElementById("collection-name");
+  const app = window.imageViewerApp;
+  const imageViewer = app && app.imageViewer;
+
+  if (!select || !imageViewer) {
+    console.error("收藏弹窗或ImageViewer未找到");
+    return;
+  }
+
+  let collectionId = select.value;
+  if (collectionId === NEW_COLLECTION_OPTION) {
+    const name = nameInput.value.trim();
+    if (!name) {
+      alert("请输入收藏夹名称");
+      nameInput.focus();
+      return;
+    }
+
+    try {
+      collectionId = (await imageViewer.apiService.createCollection(name)).id;
+    } catch (error) {
+      console.error("新建收藏夹失败:", error);
+      alert("新建收藏夹失败：" + error.message);
+      return;
+    }
+  }
+
+  window.hideCollectionDialog();
+  if (await imageViewer.saveToCollection(collectionId)) {
+    localStorage.setItem("last-collection-id", collectionId);
+  }
+};
+
+/**
+ * 分享当前图片
+ */
+window.shareCurrentImage = function () {
+  const imageViewer = window.imageViewerApp && window.imageViewerApp.imageViewer;
+  if (!imageViewer) {
+    console.error("ImageViewer实例未找到");
+    return;
+  }
+
+  window.hideCollectionDialog();
+  imageViewer.share();
+};
+
+/**
+ * 分享收藏弹窗中选择的收藏夹
+ */
+window.shareSelectedCollection = function () {
+  const select = document.getElementById("collection-select");
+  const imageViewer = window.imageViewerApp && window.imageViewerApp.imageViewer;
+  if (!select || !imageViewer || select.value === NEW_COLLECTION_OPTION) {
+    return;
+  }
+
+  window.hideCollectionDialog();
+  imageViewer.share({ collectionId: select.value });
+};
+
 /**
  * 切换历史面板显示/隐藏
  */
@@ -351,4 +878,17 @@ window.logPerformanceReport = function() {
   } else {
     console.error("ImageViewer实例未找到");
   }
-};
\ No newline at end of file
+};
+
+/**
+ * 开启或关闭匿名性能数据上报
+ * @param {boolean} enabled - 是否开启
+ */
+window.setTelemetryEnabled = function(enabled) {
+  const imageViewer = window.imageViewerApp && window.imageViewerApp.imageViewer;
+  if (imageViewer && imageViewer.telemetryService) {
+    imageViewer.telemetryService.setEnabled(enabled);
+  } else {
+    console.error("ImageViewer实例未找到");
+  }
+};
@@ -50,6 +50,10 @@ function initializeApp() {
     // 将app实例暴露到全局，便于调试和测试
     window.imageViewerApp = app;
 
+    // 按刷新前使用的图片来源显示API切换按钮
+    window.updateApiSwitchButton();
+    window.loadApiSources();
+
     // 如果URL包含debug参数，启用调试模式
     if (window.location.search.includes("debug=true")) {
       app.enableDebugMode();
@@ -0,0 +1,266 @@
+/**
+ * 自定义API配置管理模块
+ */
+
+import { generateRandomString } from '../utils/helpers.js';
+import {
+  BODY_TYPES,
+  REQUEST_METHODS,
+  buildTemplateRequest,
+  createTemplateVariables,
+  isValidHeaderName,
+} from '../utils/request-template.js';
+import { isForwardableHeader } from '../shared/request-headers.mjs';
+
+const PROFILES_STORAGE_KEY = "custom-api-profiles";
+
+// 旧版本只保存一个自定义API配置
+const LEGACY_STORAGE_KEY = "custom-api-config";
+
+const MAX_NAME_LENGTH = 30;
+
+/**
+ * 自定义API配置管理器 - 保存任意数量的命名配置，按用户排列的顺序保存
+ * 配置 { id, name, url, jsonPath, method, headers, bodyType, body }，URL、请求头和请求体可以使用模板变量，
+ * 见 request-template.js；旧版本保存的配置没有请求相关字段，按GET请求处理
+ * 页面中可能有多个ApiService实例，共用同一个管理器
+ */
+export class ApiProfileManager {
+  constructor() {
+    this.profiles = [];
+    // 正在使用的配置id，使用内置图片源时为null
+    this.activeId = null;
+    this.load();
+  }
+
+  /**
+   * 从localStorage读取配置，并迁移旧版本的单个配置
+   */
+  load() {
+    try {
+      const stored = localStorage.getItem(PROFILES_STORAGE_KEY);
+      if (stored) {
+        const parsed = JSON.parse(stored);
+        this.profiles = Array.isArray(parsed.profiles) ? parsed.profiles : [];
+        this.activeId = this.get(parsed.activeId) ? parsed.activeId : null;
+        return;
+      }
+
+      const legacy = localStorage.getItem(LEGACY_STORAGE_KEY);
+      if (legacy) {
+        const { url, jsonPath } = JSON.parse(legacy);
+        const profile = this.add({ name: "自定义API", url, jsonPath });
+        this.setActive(profile.id);
+        localStorage.removeItem(LEGACY_STORAGE_KEY);
+        console.log("已迁移旧版自定义API配置:", profile);
+      }
+    } catch (error) {
+      console.error("加载自定义API配置失败:", error);
+    }
+  }
+
+  /**
+   * 保存到localStorage
+   */
+  save() {
+    try {
+      localStorage.setItem(
+        PROFILES_STORAGE_KEY,
+        JSON.stringify({ profiles: this.profiles, activeId: this.activeId })
+      );
+    } catch (error) {
+      console.error("保存自定义API配置失败:", error);
+      throw new Error("保存配置失败");
+    }
+  }
+
+  /**
+   * 获取所有配置
+   * @returns {Object[]} 按用户排列的顺序
+   */
+  list() {
+    return this.profiles.slice();
+  }
+
+  /**
+   * 获取配置
+   * @param {string} id - 配置id
+   * @returns {Object|null}
+   */
+  get(id) {
+    return this.profiles.find((profile) => profile.id === id) || null;
+  }
+
+  /**
+   * 获取正在使用的配置
+   * @returns {Object|null}
+   */
+  getActive() {
+    return this.get(this.activeId);
+  }
+
+  /**
+   * 校验配置内容
+   * JSON路径可以为空：API直接返回图片或重定向到图片时不需要
+   * @param {Object} fields - { name, url, jsonPath, method, headers, bodyType, body }
+   * @returns {Object} 去除首尾空白后的配置内容，不合法时抛出错误
+   */
+  validate({ name, url, jsonPath, method, headers, bodyType, body }) {
+    const profile = {
+      name: String(name || "").trim(),
+      url: String(url || "").trim(),
+      jsonPath: String(jsonPath || "").trim(),
+      method: String(method || "GET").toUpperCase(),
+      headers: {},
+      bodyType: bodyType || "none",
+      body: String(body || ""),
+    };
+
+    if (!profile.name || profile.name.length > MAX_NAME_LENGTH) {
+      throw new Error(`请输入不超过${MAX_NAME_LENGTH}个字符的配置名称`);
+    }
+    if (!profile.url) {
+      throw new Error("请输入API URL");
+    }
+    if (!REQUEST_METHODS.includes(profile.method)) {
+      throw new Error(`不支持的请求方法: ${profile.method}`);
+    }
+    if (!Object.prototype.hasOwnProperty.call(BODY_TYPES, profile.bodyType)) {
+      throw new Error(`不支持的请求体类型: ${profile.bodyType}`);
+    }
+    // GET请求不带请求体
+    if (profile.method === "GET" || profile.bodyType === "none") {
+      profile.bodyType = "none";
+      profile.body = "";
+    }
+    for (const [headerName, value] of Object.entries(headers || {})) {
+      if (!isValidHeaderName(headerName) || typeof value !== "string") {
+        throw new Error(`请求头无效: ${headerName}`);
+      }
+      if (!isForwardableHeader(headerName)) {
+        throw new Error(
+          `不支持的请求头: ${headerName}，可以使用 Authorization、Accept、Content-Type、Referer、User-Agent 和 X- 开头的自定义请求头`
+        );
+      }
+      profile.headers[headerName] = value;
+    }
+
+    // 用示例变量生成一次请求，检查替换变量后的URL和请求体
+    const sample = buildTemplateRequest(profile, createTemplateVariables({ category: "sample" }));
+    try {
+      new URL(sample.url);
+    } catch (error) {
+      throw new Error("请输入有效的URL格式");
+    }
+    if (profile.bodyType === "json") {
+      try {
+        JSON.parse(sample.body);
+      } catch (error) {
+        throw new Error(`请求体不是有效的JSON: ${error.message}`);
+      }
+    }
+    return profile;
+  }
+
+  /**
+   * 新增配置，添加到末尾
+   * @param {Object} fields - 配置内容，见 validate
+   * @returns {Object} 新配置
+   */
+  add(fields) {
+    const profile = {
+      id: generateRandomString(8),
+      ...this.validate(fields),
+    };
+    this.profiles.push(profile);
+    this.save();
+    return profile;
+  }
+
+  /**
+   * 修改配置
+   * @param {string} id - 配置id
+   * @param {Object} fields - 要修改的字段，见 validate
+   * @returns {Object} 修改后的配置
+   */
+  update(id, fields) {
+    const profile = this.require(id);
+    Object.assign(profile, this.validate({ ...profile, ...fields }));
+    this.save();
+    return profile;
+  }
+
+  /**
+   * 删除配置，删除正在使用的配置时回到内置图片源
+   * @param {string} id - 配置id
+   */
+  remove(id) {
+    this.require(id);
+    this.profiles = this.profiles.filter((profile) => profile.id !== id);
+    if (this.activeId === id) {
+      this.activeId = null;
+    }
+    this.save();
+  }
+
+  /**
+   * 复制配置，副本插入在原配置之后
+   * @param {string} id - 配置id
+   * @returns {Object} 副本
+   */
+  duplicate(id) {
+    const source = this.require(id);
+    const copy = {
+      ...source,
+      id: generateRandomString(8),
+      name: `${source.name} 副本`.slice(0, MAX_NAME_LENGTH),
+    };
+    this.profiles.splice(this.profiles.indexOf(source) + 1, 0, copy);
+    this.save();
+    return copy;
+  }
+
+  /**
+   * 调整配置顺序
+   * @param {string} id - 配置id
+   * @param {number} offset - 移动的位数，-1为上移一位，1为下移一位
+   */
+  move(id, offset) {
+    const profile = this.require(id);
+    const from = this.profiles.indexOf(profile);
+    const to = Math.min(Math.max(from + offset, 0), this.profiles.length - 1);
+    if (from === to) return;
+
+    this.profiles.splice(from, 1);
+    this.profiles.splice(to, 0, profile);
+    this.save();
+  }
+
+  /**
+   * 设置正在使用的配置，刷新页面后继续使用
+   * @param {string|null} id - 配置id，使用内置图片源时为null
+   */
+  setActive(id) {
+    if (id !== null) {
+      this.require(id);
+    }
+    this.activeId = id;
+    this.save();
+  }
+
+  /**
+   * 获取配置，不存在时抛出错误
+   * @param {string} id - 配置id
+   * @returns {Object}
+   */
+  require(id) {
+    const profile = this.get(id);
+    if (!profile) {
+      throw new Error("自定义API配置不存在");
+    }
+    return profile;
+  }
+}
+
+// 创建全局自定义API配置管理器实例
+export const apiProfileManager = new ApiProfileManager();
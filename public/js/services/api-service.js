@@ -2,9 +2,12 @@
  * API服务模块
  */
 
-import { APP_CONFIG } from '../config/app-config.js';
+import { APP_CONFIG, ERROR_CATEGORIES } from '../config/app-config.js';
 import { errorHandler } from '../utils/error-handler.js';
-import { delay, isValidUrl, extractFromJson } from '../utils/helpers.js';
+import { apiProfileManager } from './api-profile-manager.js';
+import { delay, isValidUrl, parseRetryAfter, getSessionId, getClientId, generateRequestId } from '../utils/helpers.js';
+import { extractImages } from '../shared/json-images.mjs';
+import { buildTemplateRequest, createTemplateVariables, hasTemplateVariable } from '../utils/request-template.js';
 
 /**
  * API服务类 - 处理与后端代理的通信
@@ -12,10 +15,14 @@ import { delay, isValidUrl, extractFromJson } from '../utils/helpers.js';
 export class ApiService {
   constructor() {
     this.proxyEndpoint = APP_CONFIG.api.proxyEndpoint;
-    this.redirectEndpoint = APP_CONFIG.api.redirectEndpoint;
-    this.currentEndpoint = this.redirectEndpoint;
+    // 默认端点使用服务端配置的默认图片源
+    this.currentEndpoint = this.proxyEndpoint;
+    // 正在使用的自定义API配置，使用内置图片源时均为null
+    this.activeProfileId = null;
     this.customEndpoint = null;
     this.customJsonPath = null;
+    // 自定义API模板变量 {page} 的下一个值，切换图片来源或分类后从1开始
+    this.customPage = 1;
     this.maxRetries = APP_CONFIG.api.maxRetries;
     this.retryDelay = APP_CONFIG.api.retryDelay;
     this.compatibility = window.browserCompatibility;
@@ -27,20 +34,237 @@ export class ApiService {
     this.requestQueue = [];
     this.isProcessingQueue = false;
 
-    this.loadCustomApiConfig();
+    // 服务端图片源健康状态
+    this.providerHealth = null;
+    this.lastHealthCheck = 0;
+
+    // 服务端限流时，在此时间之前不再发起请求
+    this.rateLimitedUntil = 0;
+
+    // 服务端图片源列表及用户选择的图片源参数（如分类）
+    this.providerCatalog = null;
+    this.providerParams = {};
+
+    // 图片URL -> { requestId, provider }，用于追踪服务端日志和按图片源统计性能
+    this.imageSources = new Map();
+
+    // API直接返回图片内容时生成的object URL，按创建顺序排列，超出数量时释放最早的
+    this.objectUrls = [];
+
+    // 列表API一次返回的其余图片 [{ url, meta }]，切换图片源时丢弃
+    this.listedImages = [];
+
+    this.loadActiveProfile();
+    this.loadProviderParams();
+  }
+
+  /**
+   * 切换到服务端图片源
+   * @param {string|null} providerId - 图片源id，null表示服务端默认图片源
+   */
+  switchToProvider(providerId = null) {
+    this.currentEndpoint = this.getProviderEndpoint(providerId);
+    console.log("已切换到图片源:", providerId || "默认", this.currentEndpoint);
+  }
+
+  /**
+   * 刷新服务端图片源健康状态，按healthCheckInterval限频
+   */
+  async refreshProviderHealth() {
+    const now = Date.now();
+    if (now - this.lastHealthCheck < APP_CONFIG.api.healthCheckInterval) {
+      return;
+    }
+    this.lastHealthCheck = now;
+
+    try {
+      const response = await fetch(APP_CONFIG.api.healthEndpoint);
+      this.providerHealth = await response.json();
+    } catch (error) {
+      console.warn("获取图片源健康状态失败:", error.message);
+    }
   }
 
   /**
-   * 切换API源
-   * @param {string} source - API源 ('default' 或 'redirect')
+   * 获取服务端图片源列表（含可选参数），成功后缓存
+   * @returns {Promise<Object|null>} 图片源列表，获取失败时返回null
    */
-  switchApiSource(source = "default") {
-    if (source === "redirect") {
-      this.currentEndpoint = this.redirectEndpoint;
-      console.log("已切换到重定向API:", this.currentEndpoint);
-    } else {
-      this.currentEndpoint = this.proxyEndpoint;
-      console.log("已切换到默认API:", this.currentEndpoint);
+  async loadProviderCatalog() {
+    if (this.providerCatalog) {
+      return this.providerCatalog;
+    }
+
+    try {
+      const response = await fetch(APP_CONFIG.api.providersEndpoint);
+      if (!response.ok) {
+        throw await this.createHttpError(response);
+      }
+      this.providerCatalog = await response.json();
+    } catch (error) {
+      console.warn("获取图片源列表失败:", error.message);
+    }
+    return this.providerCatalog;
+  }
+
+  /**
+   * 获取当前图片源信息
+   * 自定义API配置使用了 {category} 变量时，返回以配置为图片源的信息，分类保存在 "profile:<配置id>" 下
+   * @returns {Promise<Object|null>} 图片源信息，自定义API未使用分类或列表不可用时返回null
+   */
+  async getCurrentProviderInfo() {
+    if (this.isUsingCustomApi()) {
+      const profile = apiProfileManager.get(this.activeProfileId);
+      if (!profile || !this.profileUsesVariable(profile, "category")) return null;
+      return {
+        id: this.getCurrentSourceKey(),
+        name: profile.name,
+        categoryParameter: "category",
+        parameters: { category: { label: "分类", default: "" } },
+      };
+    }
+
+    const catalog = await this.loadProviderCatalog();
+    if (!catalog || !Array.isArray(catalog.providers)) return null;
+
+    const providerId = this.getProviderId(this.currentEndpoint) || catalog.defaultProvider;
+    return catalog.providers.find((provider) => provider.id === providerId) || null;
+  }
+
+  /**
+   * 当前使用的图片源id
+   * @returns {string} 图片源id，自定义API为"custom"，图片源列表未加载时默认端点为"default"
+   */
+  getCurrentProviderId() {
+    if (this.isUsingCustomApi()) return "custom";
+    return (
+      this.getProviderId(this.currentEndpoint) ||
+      this.providerCatalog?.defaultProvider ||
+      "default"
+    );
+  }
+
+  /**
+   * 当前内置端点的图片源参数
+   * @returns {Object} 参数名 -> 值
+   */
+  getCurrentProviderParams() {
+    if (this.isUsingCustomApi()) {
+      return this.providerParams[this.getCurrentSourceKey()] || {};
+    }
+
+    const providerId =
+      this.getProviderId(this.currentEndpoint) || this.providerCatalog?.defaultProvider;
+    return (providerId && this.providerParams[providerId]) || {};
+  }
+
+  /**
+   * 将当前图片源参数附加到请求地址
+   * @param {string} url - 请求地址
+   * @returns {string}
+   */
+  appendProviderParams(url) {
+    const params = new URLSearchParams(this.getCurrentProviderParams());
+    const query = params.toString();
+    if (!query) return url;
+    return `${url}${url.includes("?") ? "&" : "?"}${query}`;
+  }
+
+  /**
+   * 设置图片源参数并保存
+   * @param {string} providerId - 图片源id
+   * @param {Object} params - 参数名 -> 值
+   */
+  setProviderParams(providerId, params) {
+    this.providerParams[providerId] = { ...params };
+    // 待用图片和页码属于修改前的参数
+    this.listedImages = [];
+    this.customPage = 1;
+    try {
+      localStorage.setItem("provider-params", JSON.stringify(this.providerParams));
+    } catch (error) {
+      console.error("保存图片源参数失败:", error);
+    }
+    console.log(`已设置图片源参数 [${providerId}]:`, params);
+  }
+
+  /**
+   * 加载保存的图片源参数
+   */
+  loadProviderParams() {
+    try {
+      const saved = localStorage.getItem("provider-params");
+      if (saved) {
+        this.providerParams = JSON.parse(saved) || {};
+      }
+    } catch (error) {
+      console.error("加载图片源参数失败:", error);
+    }
+  }
+
+  /**
+   * 服务端图片源对应的内置端点，默认图片源使用默认端点
+   * @param {string|null} providerId - 图片源id，null表示服务端默认图片源
+   * @returns {string}
+   */
+  getProviderEndpoint(providerId) {
+    return !providerId || providerId === this.providerCatalog?.defaultProvider
+      ? this.proxyEndpoint
+      : `${this.proxyEndpoint}/${providerId}`;
+  }
+
+  /**
+   * 内置端点对应的服务端图片源id
+   * @param {string} endpoint - API端点
+   * @returns {string|null} 图片源id，默认端点返回null
+   */
+  getProviderId(endpoint) {
+    return endpoint === this.proxyEndpoint
+      ? null
+      : endpoint.replace(`${this.proxyEndpoint}/`, "");
+  }
+
+  /**
+   * 判断内置端点对应的图片源是否已被服务端熔断
+   * @param {string} endpoint - API端点
+   * @returns {boolean} 是否不可用
+   */
+  isEndpointDown(endpoint) {
+    const health = this.providerHealth;
+    if (!health || !health.providers) return false;
+
+    const providerId = this.getProviderId(endpoint) || health.defaultProvider;
+    const report = health.providers[providerId];
+    return Boolean(report) && report.state !== "closed";
+  }
+
+  /**
+   * 按图片源列表的顺序找到第一个未被熔断的其他图片源
+   * @returns {string|null} 图片源id，图片源列表未加载或没有可用的图片源时返回null
+   */
+  findFallbackProvider() {
+    const providers = this.providerCatalog?.providers;
+    if (!Array.isArray(providers)) return null;
+
+    const currentId = this.getCurrentProviderId();
+    const fallback = providers.find(
+      (provider) =>
+        provider.id !== currentId && !this.isEndpointDown(this.getProviderEndpoint(provider.id))
+    );
+    return fallback ? fallback.id : null;
+  }
+
+  /**
+   * 当前内置图片源不可用时切换到另一个可用的内置图片源
+   */
+  skipUnavailableSource() {
+    if (this.isUsingCustomApi() || !this.isEndpointDown(this.currentEndpoint)) {
+      return;
+    }
+
+    const fallback = this.findFallbackProvider();
+    if (fallback) {
+      console.log("当前图片源不可用，跳过");
+      this.switchToProvider(fallback);
     }
   }
 
@@ -49,6 +273,18 @@ export class ApiService {
    * @returns {Promise<string>} 图片URL
    */
   async fetchImage() {
+    // 列表API上次返回的图片用完之前不再请求API
+    const listed = this.listedImages.shift();
+    if (listed) {
+      console.log("使用列表API返回的图片:", listed.url);
+      return listed.url;
+    }
+
+    await this.loadProviderCatalog();
+    await this.refreshProviderHealth();
+    this.skipUnavailableSource();
+    await this.waitForRateLimit();
+
     const now = Date.now();
     const timeSinceLastCall = now - this.lastApiCall;
 
@@ -76,6 +312,156 @@ export class ApiService {
     }
   }
 
+  /**
+   * 批量获取图片URL - 一次请求返回多张去重后的图片
+   * 自定义API没有批量接口，回退为逐个获取
+   * @param {number} count - 需要的图片数量
+   * @returns {Promise<string[]>} 图片URL列表，可能少于count
+   */
+  async fetchImages(count) {
+    const batchSize = Math.min(Math.max(count, 1), APP_CONFIG.api.maxBatchSize);
+
+    if (this.isUsingCustomApi()) {
+      const urls = [];
+      for (let i = 0; i < batchSize; i++) {
+        urls.push(await this.fetchImage());
+      }
+      return [...new Set(urls)];
+    }
+
+    await this.loadProviderCatalog();
+    await this.refreshProviderHealth();
+    this.skipUnavailableSource();
+    await this.waitForRateLimit();
+
+    const params = new URLSearchParams({
+      ...this.getCurrentProviderParams(),
+      count: String(batchSize),
+    });
+    const providerId = this.getProviderId(this.currentEndpoint);
+    if (providerId) {
+      params.set("provider", providerId);
+    }
+
+    const requestId = generateRequestId();
+    try {
+      console.log(
+        `批量获取 ${batchSize} 张图片 (图片源: ${providerId || "默认"}, 请求ID: ${requestId})`
+      );
+      const response = await fetch(`${APP_CONFIG.api.batchEndpoint}?${params}`, {
+        method: "GET",
+        headers: {
+          Accept: "application/json",
+          "X-Session-Id": getSessionId(),
+          "X-Request-Id": requestId,
+        },
+        signal: this.compatibility.createTimeoutSignal(APP_CONFIG.api.timeout),
+      });
+
+      if (!response.ok) {
+        throw await this.createHttpError(response, requestId);
+      }
+
+      const data = await response.json();
+      if (!data || !data.success || !Array.isArray(data.images)) {
+        throw new Error("API响应格式无效：缺少图片列表");
+      }
+
+      this.lastApiCall = Date.now();
+      const urls = [];
+      for (const image of data.images) {
+        try {
+          const url = this.validateResponse(image);
+          this.rememberImageSource(url, requestId, this.getCurrentProviderId());
+          urls.push(url);
+        } catch (error) {
+          console.warn("批量结果中的图片无效，已跳过:", error.message);
+        }
+      }
+
+      console.log(`批量获取成功，共 ${urls.length} 张`);
+      return urls;
+    } catch (error) {
+      error.requestId = error.requestId || requestId;
+      const categorized = errorHandler.categorizeError(error);
+      this.recordRateLimit(categorized);
+      throw errorHandler.handleApiError(categorized);
+    }
+  }
+
+  /**
+   * 服务端限流期间等待
+   */
+  async waitForRateLimit() {
+    const rateLimitWait = this.rateLimitedUntil - Date.now();
+    if (rateLimitWait > 0) {
+      console.log(`服务端限流中，等待 ${rateLimitWait}ms`);
+      await delay(rateLimitWait);
+    }
+  }
+
+  /**
+   * 记录限流错误中服务端要求的等待时间
+   * @param {Error} error - 已分类的错误
+   * @returns {boolean} 是否为限流错误
+   */
+  recordRateLimit(error) {
+    if (error.category !== ERROR_CATEGORIES.RATE_LIMIT_ERROR) {
+      return false;
+    }
+    if (error.retryAfter) {
+      this.rateLimitedUntil = Date.now() + error.retryAfter;
+    }
+    return true;
+  }
+
+  /**
+   * 获取图片元数据（尺寸、格式、文件大小），服务端只读取图片开头的字节
+   * 元数据仅用于预加载决策，获取失败时返回null而不抛出
+   * @param {string} imageUrl - 图片URL，可以是图片代理地址
+   * @returns {Promise<Object|null>} 元数据 { format, mime, width, height, size }
+   */
+  async fetchImageMeta(imageUrl) {
+    let targetUrl;
+    try {
+      const parsed = new URL(imageUrl, window.location.origin);
+      // 图片代理地址取其原始URL，本站的其他地址（如本地图片源）无需查询
+      if (parsed.origin === window.location.origin) {
+        if (parsed.pathname !== "/api/proxy") return null;
+        targetUrl = parsed.searchParams.get("url");
+      } else {
+        targetUrl = parsed.href;
+      }
+    } catch (error) {
+      return null;
+    }
+    if (!targetUrl) return null;
+
+    const requestId = generateRequestId();
+    try {
+      const response = await fetch(
+        `${APP_CONFIG.api.metaEndpoint}?url=${encodeURIComponent(targetUrl)}`,
+        {
+          headers: { Accept: "application/json", "X-Request-Id": requestId },
+          signal: this.compatibility.createTimeoutSignal(APP_CONFIG.api.timeout),
+        }
+      );
+      if (!response.ok) {
+        console.warn(
+          `图片元数据获取失败 (HTTP ${response.status}, 请求ID: ${requestId}):`,
+          targetUrl
+        );
+        return null;
+      }
+
+      const data = await response.json();
+      return data && data.success ? data : null;
+    } catch (error) {
+      console.warn(`图片元数据获取失败 (请求ID: ${requestId}):`, error.message);
+      return null;
+    }
+  }
+
   /**
    * 执行实际的API请求
    * @returns {Promise<string>} 图片URL
@@ -88,44 +474,73 @@ export class ApiService {
     }
 
     for (let attempt = 1; attempt <= this.maxRetries; attempt++) {
+      // 每次尝试使用新的请求ID，与服务端日志一一对应
+      const requestId = generateRequestId();
       try {
-        let apiUrl = this.currentEndpoint;
-        if (this.isUsingCustomApi()) {
-          const separator = apiUrl.includes('?') ? '&' : '?';
-          apiUrl = `${apiUrl}${separator}t=${Date.now()}&r=${Math.random().toString(36).substr(2, 9)}`;
-        }
-        
-        console.log(`API调用尝试 ${attempt}/${this.maxRetries} (端点: ${apiUrl})`);
+        const request = this.isUsingCustomApi()
+          ? this.buildCustomApiRequest()
+          : {
+              url: this.appendProviderParams(this.currentEndpoint),
+              method: "GET",
+              headers: {
+                "Content-Type": "application/json",
+                "X-Session-Id": getSessionId(),
+                "X-Request-Id": requestId,
+              },
+            };
+
+        console.log(
+          `API调用尝试 ${attempt}/${this.maxRetries} (端点: ${request.method} ${request.url}, 请求ID: ${requestId})`
+        );
 
         const timeoutSignal = this.compatibility.createTimeoutSignal(APP_CONFIG.api.timeout);
+        const viaCustomProxy = this.isUsingCustomApi() && APP_CONFIG.api.useCustomProxy;
 
-        const response = await fetch(apiUrl, {
-          method: "GET",
-          headers: {
-            Accept: "application/json",
-            "Content-Type": "application/json",
-          },
-          signal: timeoutSignal,
-        });
+        // 会话ID和请求ID只发给本站，直连的第三方API只收到配置中的请求头
+        const response = viaCustomProxy
+          ? await this.requestViaCustomProxy(request, timeoutSignal, requestId)
+          : await fetch(request.url, {
+              method: request.method,
+              headers: {
+                Accept: "application/json, image/*;q=0.9",
+                ...request.headers,
+              },
+              body: request.body,
+              signal: timeoutSignal,
+            });
 
         if (!response.ok) {
-          const error = new Error(`HTTP错误: ${response.status} ${response.statusText}`);
-          error.statusCode = response.status;
-          throw error;
+          throw await this.createHttpError(response, requestId);
         }
 
-        const data = await response.json();
-        const imageUrl = this.validateResponse(data);
+        const [image, ...listedImages] = await this.readImages(response, viaCustomProxy);
 
-        console.log("API调用成功，获取图片URL:", imageUrl);
-        return imageUrl;
+        console.log("API调用成功，获取图片URL:", image.url);
+        if (this.isUsingCustomApi()) {
+          this.customPage += 1;
+        }
+        this.rememberImageSource(image.url, requestId, this.getCurrentProviderId(), image.meta);
+        this.storeListedImages(listedImages, requestId);
+        return image.url;
       } catch (error) {
+        error.requestId = error.requestId || requestId;
         lastError = errorHandler.categorizeError(error);
-        console.warn(`API调用失败 (尝试 ${attempt}/${this.maxRetries}):`, error.message);
+        console.warn(
+          `API调用失败 (尝试 ${attempt}/${this.maxRetries}, 请求ID: ${error.requestId}):`,
+          error.message
+        );
 
-        if (attempt === 1 && this.currentEndpoint === this.proxyEndpoint) {
-          console.log("默认API失败，尝试切换到重定向API");
-          this.switchApiSource("redirect");
+        // 限流按IP计算，切换图片源无济于事，只需等待
+        const rateLimited = this.recordRateLimit(lastError);
+
+        // 默认图片源第一次失败时换用其他图片源
+        const fallback =
+          !rateLimited && attempt === 1 && this.currentEndpoint === this.proxyEndpoint
+            ? this.findFallbackProvider()
+            : null;
+        if (fallback) {
+          console.log("默认图片源失败，尝试切换到图片源:", fallback);
+          this.switchToProvider(fallback);
           continue;
         }
 
@@ -143,6 +558,385 @@ export class ApiService {
     throw errorHandler.handleApiError(lastError);
   }
 
+  /**
+   * 按响应类型读取图片
+   * @param {Response} response - fetch响应
+   * @param {boolean} viaCustomProxy - 是否经服务端代理请求自定义API
+   * @returns {Promise<Array<{url: string, meta: Object|null}>>} 至少一张图片，列表API时有多张
+   */
+  async readImages(response, viaCustomProxy) {
+    const imageUrl = await this.readImageResponse(response);
+    if (imageUrl) {
+      return [{ url: imageUrl, meta: null }];
+    }
+
+    const data = await response.json();
+    if (viaCustomProxy) {
+      return this.validateCustomProxyResponse(data);
+    }
+    if (this.isUsingCustomApi() && this.customJsonPath) {
+      return this.extractImagesFromJson(data, this.customJsonPath);
+    }
+    return [{ url: this.validateResponse(data), meta: null }];
+  }
+
+  /**
+   * 保存列表API一次返回的其余图片，之后的 fetchImage 优先使用，不再请求API
+   * @param {Array<{url: string, meta: Object|null}>} images - 图片
+   * @param {string} requestId - 请求ID
+   */
+  storeListedImages(images, requestId) {
+    if (images.length === 0) return;
+
+    const known = new Set(this.listedImages.map((image) => image.url));
+    for (const image of images) {
+      if (known.has(image.url) || this.listedImages.length >= APP_CONFIG.api.maxListedImages) {
+        continue;
+      }
+      known.add(image.url);
+      this.listedImages.push(image);
+      this.rememberImageSource(image.url, requestId, this.getCurrentProviderId(), image.meta);
+    }
+    console.log(`列表API返回多张图片，待用图片: ${this.listedImages.length}`);
+  }
+
+  /**
+   * 取出列表API返回的待用图片，如用于填充图片队列
+   * @param {number} count - 最多取出的数量
+   * @returns {Array<{url: string, meta: Object|null}>}
+   */
+  takeListedImages(count) {
+    return count > 0 ? this.listedImages.splice(0, count) : [];
+  }
+
+  /**
+   * 读取直接返回图片的响应
+   * 重定向到图片时使用最终地址；直接返回图片内容时生成object URL（经服务端代理转发的同样如此）
+   * @param {Response} response - fetch响应
+   * @returns {Promise<string|null>} 图片URL，响应不是图片时返回null
+   */
+  async readImageResponse(response) {
+    const contentType = response.headers.get("Content-Type") || "";
+    if (!contentType.startsWith("image/")) {
+      return null;
+    }
+
+    if (response.redirected) {
+      console.log("API重定向到图片:", response.url);
+      if (response.body) {
+        response.body.cancel().catch(() => {});
+      }
+      return response.url;
+    }
+
+    const blob = await response.blob();
+    console.log(`API直接返回图片内容 (${contentType}, ${blob.size} 字节)`);
+    return this.createObjectUrl(blob);
+  }
+
+  /**
+   * 为图片内容生成object URL，超出数量时释放最早的
+   * 数量上限覆盖队列和历史记录，释放的图片已不会再显示
+   * @param {Blob} blob - 图片内容
+   * @returns {string} object URL
+   */
+  createObjectUrl(blob) {
+    const url = URL.createObjectURL(blob);
+    this.objectUrls.push(url);
+    if (this.objectUrls.length > APP_CONFIG.api.maxObjectUrls) {
+      URL.revokeObjectURL(this.objectUrls.shift());
+    }
+    return url;
+  }
+
+  /**
+   * 判断图片是否为API直接返回的图片内容（object URL）
+   * @param {string} imageUrl - 图片URL
+   * @returns {boolean}
+   */
+  isObjectUrl(imageUrl) {
+    return imageUrl.startsWith("blob:");
+  }
+
+  /**
+   * 按正在使用的自定义API配置生成一次请求，替换模板变量
+   * {page} 使用当前页码，请求成功后才加1，重试时请求同一页
+   * 配置没有使用任何变量的GET请求仍附加 t、r 参数，避免浏览器和CDN缓存
+   * @returns {{url: string, method: string, headers: Object, body: string|undefined}}
+   */
+  buildCustomApiRequest() {
+    const profile = apiProfileManager.require(this.activeProfileId);
+    const request = buildTemplateRequest(
+      profile,
+      createTemplateVariables({
+        page: this.customPage,
+        category: this.getCurrentProviderParams().category || "",
+      })
+    );
+
+    if (request.method === "GET" && !this.profileUsesVariable(profile)) {
+      const separator = request.url.includes("?") ? "&" : "?";
+      request.url = `${request.url}${separator}t=${Date.now()}&r=${Math.random().toString(36).substring(2, 11)}`;
+    }
+    return request;
+  }
+
+  /**
+   * 判断自定义API配置的URL、请求头或请求体中是否使用了模板变量
+   * @param {Object} profile - 自定义API配置
+   * @param {string} name - 变量名，缺省时判断任意变量
+   * @returns {boolean}
+   */
+  profileUsesVariable(profile, name) {
+    return [profile.url, profile.body, ...Object.values(profile.headers || {})].some((text) =>
+      hasTemplateVariable(text, name)
+    );
+  }
+
+  /**
+   * 通过服务端代理请求自定义API，由服务端完成JSON路径提取
+   * @param {Object} request - buildCustomApiRequest生成的请求 { url, method, headers, body }
+   * @param {AbortSignal} signal - 超时信号
+   * @param {string} requestId - 请求ID
+   * @returns {Promise<Response>} 代理响应
+   */
+  requestViaCustomProxy(request, signal, requestId) {
+    return fetch(APP_CONFIG.api.customProxyEndpoint, {
+      method: "POST",
+      headers: {
+        Accept: "application/json",
+        "Content-Type": "application/json",
+        "X-Session-Id": getSessionId(),
+        "X-Request-Id": requestId,
+      },
+      body: JSON.stringify({
+        url: request.url,
+        method: request.method,
+        headers: request.headers,
+        body: request.body,
+        jsonPath: this.customJsonPath,
+      }),
+      signal,
+    });
+  }
+
+  /**
+   * 请求本站的JSON接口（收藏夹、分享），附带客户端凭证
+   * @param {string} url - 接口地址
+   * @param {Object} options - 请求选项 { method, body }
+   * @returns {Promise<Object>} 响应数据
+   */
+  async requestServerApi(url, { method = "GET", body } = {}) {
+    const requestId = generateRequestId();
+    try {
+      const response = await fetch(url, {
+        method,
+        headers: {
+          Accept: "application/json",
+          "X-Request-Id": requestId,
+          "X-Client-Id": getClientId(),
+          ...(body ? { "Content-Type": "application/json" } : {}),
+        },
+        body: body ? JSON.stringify(body) : undefined,
+      });
+      if (!response.ok) {
+        throw await this.createHttpError(response, requestId);
+      }
+      return await response.json();
+    } catch (error) {
+      error.requestId = error.requestId || requestId;
+      throw error;
+    }
+  }
+
+  /**
+   * 获取所有收藏夹
+   * @returns {Promise<Object[]>} [{ id, name, itemCount, coverUrl, createdAt, updatedAt }]
+   */
+  async listCollections() {
+    const data = await this.requestServerApi(APP_CONFIG.api.collectionsEndpoint);
+    return data.collections;
+  }
+
+  /**
+   * 新建收藏夹
+   * @param {string} name - 收藏夹名称
+   * @returns {Promise<Object>} 新收藏夹
+   */
+  async createCollection(name) {
+    const data = await this.requestServerApi(APP_CONFIG.api.collectionsEndpoint, {
+      method: "POST",
+      body: { name },
+    });
+    return data.collection;
+  }
+
+  /**
+   * 把图片收藏到收藏夹，经图片代理加载的图片保存其原始URL
+   * @param {string} collectionId - 收藏夹id
+   * @param {string} imageUrl - 当前显示的图片URL
+   * @returns {Promise<{item: Object, created: boolean}>} created为false表示之前已收藏过
+   */
+  async addToCollection(collectionId, imageUrl) {
+    const data = await this.requestServerApi(
+      `${APP_CONFIG.api.collectionsEndpoint}/${encodeURIComponent(collectionId)}/items`,
+      {
+        method: "POST",
+        body: {
+          url: this.getOriginalImageUrl(imageUrl),
+          provider: this.getImageProvider(imageUrl),
+        },
+      }
+    );
+    return { item: data.item, created: data.created };
+  }
+
+  /**
+   * 生成分享链接
+   * @param {Object} target - 分享对象 { imageUrl } 或 { collectionId }
+   * @returns {Promise<string>} 分享页面地址
+   */
+  async createShare({ imageUrl, collectionId }) {
+    const body = collectionId
+      ? { collectionId }
+      : { url: this.getOriginalImageUrl(imageUrl), provider: this.getImageProvider(imageUrl) };
+    const data = await this.requestServerApi(APP_CONFIG.api.sharesEndpoint, {
+      method: "POST",
+      body,
+    });
+    return data.shareUrl;
+  }
+
+  /**
+   * 读取分享的图片，服务端启用图片代理时返回代理地址
+   * @param {string} shareId - 分享id
+   * @returns {Promise<{title: string, urls: string[]}>}
+   */
+  async loadShare(shareId) {
+    const data = await this.requestServerApi(
+      `${APP_CONFIG.api.sharesEndpoint}/${encodeURIComponent(shareId)}`
+    );
+
+    const urls = data.images.map((image) => {
+      const url = image.proxyUrl
+        ? new URL(image.proxyUrl, window.location.origin).href
+        : image.url;
+      this.rememberImageSource(url, null, image.provider || "shared");
+      return url;
+    });
+    return { title: data.title, urls };
+  }
+
+  /**
+   * 获取图片的原始URL，经图片代理加载的图片取代理参数中的地址
+   * API直接返回的图片内容只存在于本页面，没有可保存的地址
+   * @param {string} imageUrl - 当前显示的图片URL
+   * @returns {string}
+   */
+  getOriginalImageUrl(imageUrl) {
+    if (this.isObjectUrl(imageUrl)) {
+      throw new Error("该图片由API直接返回图片内容，没有可保存或分享的地址");
+    }
+
+    const parsed = new URL(imageUrl, window.location.origin);
+    return parsed.origin === window.location.origin && parsed.pathname === "/api/proxy"
+      ? parsed.searchParams.get("url")
+      : parsed.href;
+  }
+
+  /**
+   * 根据失败的响应创建错误，优先使用服务端返回的错误详情
+   * @param {Response} response - fetch响应
+   * @param {string} requestId - 发出请求时使用的请求ID
+   * @returns {Promise<Error>} 带statusCode、retryAfter和requestId的错误
+   */
+  async createHttpError(response, requestId = null) {
+    let detail = response.statusText;
+    try {
+      const data = await response.json();
+      detail = data.error || data.msg || detail;
+    } catch (parseError) {
+      // 响应体不是JSON时使用状态文本
+    }
+
+    const error = new Error(`HTTP错误: ${response.status} ${detail}`);
+    error.statusCode = response.status;
+    // 限流响应携带的等待时间（毫秒）
+    error.retryAfter = parseRetryAfter(response.headers.get("Retry-After"));
+    // 服务端未采用前端的请求ID时（如格式不合法）以响应头为准
+    error.requestId = response.headers.get("X-Request-Id") || requestId;
+    return error;
+  }
+
+  /**
+   * 记住图片URL对应的请求ID、图片源和元数据，超出数量时淘汰最早的
+   * @param {string} imageUrl - 图片URL
+   * @param {string} requestId - 请求ID
+   * @param {string} provider - 图片源id
+   * @param {Object|null} meta - 列表API返回的元数据，如宽高、标题
+   */
+  rememberImageSource(imageUrl, requestId, provider, meta = null) {
+    this.imageSources.delete(imageUrl);
+    this.imageSources.set(imageUrl, { requestId, provider, meta });
+    if (this.imageSources.size > APP_CONFIG.api.maxTrackedRequestIds) {
+      this.imageSources.delete(this.imageSources.keys().next().value);
+    }
+  }
+
+  /**
+   * 获取图片URL对应的请求ID
+   * @param {string} imageUrl - 图片URL
+   * @returns {string|null} 请求ID，未知时返回null
+   */
+  getRequestId(imageUrl) {
+    return this.imageSources.get(imageUrl)?.requestId || null;
+  }
+
+  /**
+   * 获取列表API返回的图片元数据
+   * @param {string} imageUrl - 图片URL
+   * @returns {Object|null} 元数据，未知时返回null
+   */
+  getImageMeta(imageUrl) {
+    return this.imageSources.get(imageUrl)?.meta || null;
+  }
+
+  /**
+   * 获取图片URL来自哪个图片源
+   * @param {string} imageUrl - 图片URL
+   * @returns {string|null} 图片源id，未知时返回null
+   */
+  getImageProvider(imageUrl) {
+    return this.imageSources.get(imageUrl)?.provider || null;
+  }
+
+  /**
+   * 验证自定义API代理的响应
+   * @param {Object} response - 代理响应数据
+   * @returns {Array<{url: string, meta: Object|null}>} 图片，列表API时有多张
+   */
+  validateCustomProxyResponse(response) {
+    if (!response || !response.success || typeof response.url !== "string") {
+      throw new Error("API响应格式无效：代理未返回图片URL");
+    }
+
+    // 服务端自动识别出了可用的嵌套路径时，更新本地配置
+    if (response.jsonPath && response.jsonPath !== this.customJsonPath) {
+      console.log("自动更新JSON路径配置:", response.jsonPath);
+      this.updateActiveJsonPath(response.jsonPath);
+    }
+
+    // 列表API返回多张图片，重定向等情况只有url
+    const images = Array.isArray(response.images)
+      ? response.images.filter((image) => image && isValidUrl(image.url))
+      : [{ url: response.url, meta: null }];
+    if (images.length === 0 || !isValidUrl(images[0].url)) {
+      throw new Error("API返回的图片URL格式无效");
+    }
+
+    return images;
+  }
+
   /**
    * 验证API响应数据格式
    * @param {Object} response - API响应数据
@@ -153,10 +947,6 @@ export class ApiService {
       throw new Error("API响应格式无效：响应不是有效的JSON对象");
     }
 
-    if (this.isUsingCustomApi() && this.customJsonPath) {
-      return this.extractImageUrlFromJson(response, this.customJsonPath);
-    }
-
     if (response.code !== undefined && response.code !== 200) {
       throw new Error(`API返回错误码: ${response.code}, 消息: ${response.msg || "未知错误"}`);
     }
@@ -169,131 +959,146 @@ export class ApiService {
       throw new Error("API返回的图片URL格式无效");
     }
 
+    // 服务端启用图片代理时，通过代理地址加载以绕过防盗链
+    if (response.proxyUrl) {
+      return new URL(response.proxyUrl, window.location.origin).href;
+    }
+
     return response.url;
   }
 
   /**
-   * 从JSON响应中提取图片URL
+   * 从JSON响应中提取图片，列表API一次返回多张，规则见 shared/json-images.mjs
+   * 路径为 "pic" 时自动识别出的嵌套路径会保存到配置中
    * @param {Object} response - API响应数据
    * @param {string} jsonPath - JSON路径
-   * @returns {string} 图片URL
+   * @returns {Array<{url: string, meta: Object|null}>} 图片，至少一张
    */
-  extractImageUrlFromJson(response, jsonPath) {
+  extractImagesFromJson(response, jsonPath) {
+    console.log("API响应数据:", JSON.stringify(response, null, 2));
+    console.log("JSON路径:", jsonPath);
+
+    let extracted;
     try {
-      console.log("API响应数据:", JSON.stringify(response, null, 2));
-      console.log("JSON路径:", jsonPath);
-
-      let value = extractFromJson(response, jsonPath);
-
-      // 如果原路径失败，尝试常见的嵌套路径
-      if (value === undefined && jsonPath === "pic") {
-        console.log("原路径失败，尝试常见的嵌套路径...");
-        const commonPaths = ["数据.pic", "data.pic", "result.pic", "response.pic"];
-        
-        for (const altPath of commonPaths) {
-          try {
-            value = extractFromJson(response, altPath);
-            if (value && typeof value === "string") {
-              console.log(`找到有效路径: ${altPath}`);
-              if (this.customJsonPath === "pic") {
-                console.log("自动更新JSON路径配置");
-                this.customJsonPath = altPath;
-                this.saveCustomApiConfig(this.customEndpoint, altPath);
-              }
-              break;
-            }
-          } catch (e) {
-            continue;
-          }
-        }
-      }
+      extracted = extractImages(response, jsonPath);
+    } catch (error) {
+      throw new Error(`从JSON中提取图片URL失败: ${error.message}`);
+    }
 
-      console.log("提取到的值:", value, "类型:", typeof value);
+    if (extracted.jsonPath !== jsonPath && this.customJsonPath === jsonPath) {
+      console.log(`找到有效路径: ${extracted.jsonPath}，自动更新JSON路径配置`);
+      this.updateActiveJsonPath(extracted.jsonPath);
+    }
+    console.log(`提取到 ${extracted.images.length} 张图片`);
+    return extracted.images;
+  }
 
-      if (Array.isArray(value) && value.length > 0) {
-        console.log("检测到数组，尝试获取第一个元素");
-        value = value[0];
-      }
+  /**
+   * 加载上次使用的自定义API配置
+   */
+  loadActiveProfile() {
+    const profile = apiProfileManager.getActive();
+    if (profile) {
+      this.switchToProfile(profile.id);
+      console.log("已自动切换到自定义API:", profile.name);
+    }
+  }
 
-      if (typeof value === "object" && value !== null) {
-        console.log("检测到对象，尝试查找URL字段");
-        const urlFields = ['url', 'src', 'link', 'href', 'image', 'pic'];
-        for (const field of urlFields) {
-          if (value[field] && typeof value[field] === 'string') {
-            console.log(`在对象中找到URL字段 "${field}":`, value[field]);
-            value = value[field];
-            break;
-          }
-        }
-      }
+  /**
+   * 切换到自定义API配置，刷新页面后继续使用
+   * @param {string} profileId - 配置id
+   */
+  switchToProfile(profileId) {
+    const profile = apiProfileManager.require(profileId);
+    apiProfileManager.setActive(profile.id);
+    this.activeProfileId = profile.id;
+    this.customEndpoint = profile.url;
+    this.customJsonPath = profile.jsonPath;
+    this.currentEndpoint = profile.url;
+    console.log("已切换到自定义API:", profile.name, this.currentEndpoint);
+  }
 
-      if (typeof value !== "string") {
-        if (typeof value === "number") {
-          value = String(value);
-        } else {
-          throw new Error(`JSON路径 "${jsonPath}" 指向的值不是字符串，实际类型: ${typeof value}`);
-        }
-      }
+  /**
+   * 更新正在使用的自定义API配置的JSON路径，如自动识别出可用的嵌套路径时
+   * @param {string} jsonPath - JSON路径
+   */
+  updateActiveJsonPath(jsonPath) {
+    this.customJsonPath = jsonPath;
+    if (this.activeProfileId) {
+      apiProfileManager.update(this.activeProfileId, { jsonPath });
+    }
+  }
 
-      const cleanedUrl = value.replace(/\\\//g, '/');
-      
-      if (!isValidUrl(cleanedUrl)) {
-        throw new Error(`提取的值不是有效的URL: ${cleanedUrl}`);
-      }
+  /**
+   * 获取可切换的图片来源：服务端图片源列表（/api/providers）中的图片源，以及按用户排列的自定义API配置
+   * 图片源列表未加载时内置图片源只有服务端默认图片源
+   * @returns {Array<{key: string, name: string, shortName: string}>} shortName用于按钮文字
+   */
+  getApiSources() {
+    const providers = this.providerCatalog?.providers;
+    const builtIn = Array.isArray(providers) && providers.length > 0
+      ? providers.map((provider) => ({
+          key: `provider:${provider.id}`,
+          name: provider.name,
+          shortName: provider.name.slice(0, 4),
+        }))
+      : [{ key: "default", name: "默认图片源", shortName: "默认" }];
 
-      return cleanedUrl;
-    } catch (error) {
-      throw new Error(`从JSON中提取图片URL失败: ${error.message}`);
-    }
+    return [
+      ...builtIn,
+      ...apiProfileManager.list().map((profile) => ({
+        key: `profile:${profile.id}`,
+        name: profile.name,
+        shortName: profile.name.slice(0, 4),
+      })),
+    ];
   }
 
   /**
-   * 加载自定义API配置
+   * 当前图片来源的key
+   * @returns {string} "provider:<图片源id>"、"profile:<配置id>"，图片源列表未加载时默认图片源为 "default"
    */
-  loadCustomApiConfig() {
-    try {
-      const config = localStorage.getItem("custom-api-config");
-      if (config) {
-        const parsed = JSON.parse(config);
-        this.customEndpoint = parsed.url;
-        this.customJsonPath = parsed.jsonPath;
-        console.log("已加载自定义API配置:", parsed);
-        
-        this.switchToCustomApi();
-        console.log("已自动切换到自定义API");
-      }
-    } catch (error) {
-      console.error("加载自定义API配置失败:", error);
+  getCurrentSourceKey() {
+    if (this.isUsingCustomApi()) {
+      return `profile:${this.activeProfileId}`;
     }
+    const providerId =
+      this.getProviderId(this.currentEndpoint) || this.providerCatalog?.defaultProvider;
+    return providerId ? `provider:${providerId}` : "default";
   }
 
   /**
-   * 保存自定义API配置
-   * @param {string} url - API URL
-   * @param {string} jsonPath - JSON路径
+   * 切换图片来源
+   * @param {string} key - getApiSources返回的key
    */
-  saveCustomApiConfig(url, jsonPath) {
-    try {
-      const config = { url, jsonPath };
-      localStorage.setItem("custom-api-config", JSON.stringify(config));
-      this.customEndpoint = url;
-      this.customJsonPath = jsonPath;
-      console.log("已保存自定义API配置:", config);
-    } catch (error) {
-      console.error("保存自定义API配置失败:", error);
-      throw new Error("保存配置失败");
+  switchToSource(key) {
+    // 待用图片和页码属于切换前的图片来源
+    this.listedImages = [];
+    this.customPage = 1;
+
+    if (key.startsWith("profile:")) {
+      this.switchToProfile(key.slice("profile:".length));
+      return;
     }
+
+    // 手动切换到内置图片源后，刷新页面不再自动使用自定义API
+    this.activeProfileId = null;
+    this.customEndpoint = null;
+    this.customJsonPath = null;
+    apiProfileManager.setActive(null);
+    this.switchToProvider(key.startsWith("provider:") ? key.slice("provider:".length) : null);
   }
 
   /**
-   * 切换到自定义API
+   * 按顺序切换到下一个图片来源，最后一个之后回到第一个
+   * @returns {Object} 切换后的图片来源 { key, name, shortName }
    */
-  switchToCustomApi() {
-    if (!this.customEndpoint || !this.customJsonPath) {
-      throw new Error("自定义API配置不完整");
-    }
-    this.currentEndpoint = this.customEndpoint;
-    console.log("已切换到自定义API:", this.currentEndpoint);
+  switchToNextSource() {
+    const sources = this.getApiSources();
+    const index = sources.findIndex((source) => source.key === this.getCurrentSourceKey());
+    const next = sources[(index + 1) % sources.length];
+    this.switchToSource(next.key);
+    return next;
   }
 
   /**
@@ -301,7 +1106,7 @@ export class ApiService {
    * @returns {boolean} 是否使用自定义API
    */
   isUsingCustomApi() {
-    return this.currentEndpoint === this.customEndpoint;
+    return this.activeProfileId !== null && this.currentEndpoint === this.customEndpoint;
   }
 
   /**
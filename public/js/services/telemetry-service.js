@@ -0,0 +1,180 @@
+/**
+ * 性能数据上报模块
+ */
+
+import { APP_CONFIG } from '../config/app-config.js';
+
+const OPT_IN_STORAGE_KEY = "telemetry-opt-in";
+
+/**
+ * 性能数据上报服务 - 用户开启后定期上报匿名性能数据，用于按真实数据调整 APP_CONFIG.performance
+ * 只上报耗时、图片源id、设备类型和缓存命中次数，不包含图片URL、会话ID等信息
+ */
+export class TelemetryService {
+  /**
+   * @param {Object} options - 依赖组件
+   * @param {PerformanceMonitor} options.performanceMonitor - 性能监控器
+   * @param {ApiService} options.apiService - API服务，用于查询图片来自哪个图片源
+   * @param {ResponsiveManager} options.responsiveManager - 响应式管理器，用于获取设备类型
+   */
+  constructor({ performanceMonitor, apiService, responsiveManager }) {
+    this.performanceMonitor = performanceMonitor;
+    this.apiService = apiService;
+    this.responsiveManager = responsiveManager;
+
+    // 只上报此时间之后记录的样本
+    this.lastUploadAt = Date.now();
+    this.lastCacheCounts = { hits: 0, misses: 0 };
+    this.uploadTimer = null;
+    this.handlePageHide = () => this.upload({ useBeacon: true });
+    this.handleVisibilityChange = () => {
+      if (document.visibilityState === "hidden") {
+        this.upload({ useBeacon: true });
+      }
+    };
+  }
+
+  /**
+   * 用户是否开启了性能数据上报
+   * @returns {boolean}
+   */
+  isEnabled() {
+    try {
+      return localStorage.getItem(OPT_IN_STORAGE_KEY) === "true";
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * 开启或关闭性能数据上报并保存选择
+   * @param {boolean} enabled - 是否开启
+   */
+  setEnabled(enabled) {
+    try {
+      localStorage.setItem(OPT_IN_STORAGE_KEY, String(Boolean(enabled)));
+    } catch (error) {
+      console.error("保存性能数据上报设置失败:", error);
+    }
+
+    if (enabled) {
+      this.start();
+    } else {
+      this.stop();
+    }
+    console.log(`性能数据上报已${enabled ? "开启" : "关闭"}`);
+  }
+
+  /**
+   * 用户已开启时开始定期上报
+   */
+  start() {
+    if (!this.isEnabled() || this.uploadTimer || !this.performanceMonitor) {
+      return;
+    }
+
+    // 开启之前记录的样本不上报
+    this.lastUploadAt = Date.now();
+    this.lastCacheCounts = { ...this.performanceMonitor.metrics.cacheHitRate };
+    this.uploadTimer = setInterval(() => this.upload(), APP_CONFIG.telemetry.uploadInterval);
+    window.addEventListener("pagehide", this.handlePageHide);
+    document.addEventListener("visibilitychange", this.handleVisibilityChange);
+  }
+
+  /**
+   * 停止上报
+   */
+  stop() {
+    clearInterval(this.uploadTimer);
+    this.uploadTimer = null;
+    window.removeEventListener("pagehide", this.handlePageHide);
+    document.removeEventListener("visibilitychange", this.handleVisibilityChange);
+  }
+
+  /**
+   * 收集上次上报之后的样本
+   * @returns {Object|null} 上报内容，没有新样本时返回null
+   */
+  collectReport() {
+    const metrics = this.performanceMonitor.metrics;
+    const since = this.lastUploadAt;
+    const maxSamples = APP_CONFIG.telemetry.maxSamples;
+
+    // 只统计能确定图片源的图片，历史面板缩略图等其他图片不计入
+    const imageLoads = metrics.imageLoadTimes
+      .filter((item) => item.timestamp > since)
+      .map((item) => ({
+        provider: this.apiService.getImageProvider(item.url),
+        ms: Math.round(item.loadTime),
+      }))
+      .filter((item) => item.provider && item.ms >= 0)
+      .slice(-maxSamples);
+
+    const apiCalls = metrics.apiCallTimes
+      .filter((item) => item.timestamp > since && item.provider)
+      .map((item) => ({
+        provider: item.provider,
+        ms: Math.round(item.callTime),
+        ok: item.success,
+      }))
+      .slice(-maxSamples);
+
+    // 监控数据被清理后计数会变小，此时从零开始计算
+    const { hits, misses } = metrics.cacheHitRate;
+    const baseline =
+      hits < this.lastCacheCounts.hits || misses < this.lastCacheCounts.misses
+        ? { hits: 0, misses: 0 }
+        : this.lastCacheCounts;
+    const cache = { hits: hits - baseline.hits, misses: misses - baseline.misses };
+
+    if (imageLoads.length === 0 && apiCalls.length === 0 && cache.hits + cache.misses === 0) {
+      return null;
+    }
+
+    return {
+      deviceType: this.responsiveManager?.getDeviceInfo().type || "unknown",
+      config: { ...APP_CONFIG.performance },
+      imageLoads,
+      apiCalls,
+      cache,
+    };
+  }
+
+  /**
+   * 上报新增的样本
+   * @param {Object} options - 上报选项
+   * @param {boolean} options.useBeacon - 是否使用sendBeacon（页面关闭时）
+   */
+  upload({ useBeacon = false } = {}) {
+    if (!this.isEnabled() || !this.performanceMonitor) return;
+
+    const report = this.collectReport();
+    if (!report) return;
+
+    this.lastUploadAt = Date.now();
+    this.lastCacheCounts = { ...this.performanceMonitor.metrics.cacheHitRate };
+    const body = JSON.stringify(report);
+
+    if (useBeacon && navigator.sendBeacon) {
+      // sendBeacon只能发送简单请求，服务端同样按JSON解析text/plain
+      navigator.sendBeacon(APP_CONFIG.telemetry.endpoint, body);
+      return;
+    }
+
+    fetch(APP_CONFIG.telemetry.endpoint, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body,
+      keepalive: true,
+    })
+      .then((response) => {
+        // 服务端未启用性能数据上报时停止上报，但保留用户的选择
+        if (response.status === 404) {
+          this.stop();
+        }
+      })
+      .catch((error) => {
+        console.warn("性能数据上报失败:", error.message);
+      });
+  }
+}
@@ -0,0 +1,145 @@
+/**
+ * 从自定义API的JSON响应中提取图片 - 前端直连和服务端 /api/custom 共用本模块
+ */
+
+import { evaluateJsonPath } from './json-path.mjs';
+
+// 路径为 "pic" 但取不到值时尝试的常见嵌套路径
+const COMMON_PIC_PATHS = ["数据.pic", "data.pic", "result.pic", "response.pic"];
+
+// 值为对象时依次查找的URL字段
+const URL_FIELDS = ["url", "src", "link", "href", "image", "pic"];
+
+// 图片元数据只保留简单字段，避免把整段响应传给前端
+const MAX_META_FIELDS = 20;
+const MAX_META_TEXT_LENGTH = 200;
+
+/**
+ * 提取列表元素中除图片URL外的简单字段，如宽高、标题、作者
+ * @param {Object} item - 列表元素
+ * @param {string} urlField - 图片URL所在字段
+ * @returns {Object|null} 没有可用字段时返回null
+ */
+function pickImageMeta(item, urlField) {
+  const meta = {};
+  let count = 0;
+  for (const [key, value] of Object.entries(item)) {
+    if (key === urlField || count >= MAX_META_FIELDS) continue;
+    if (
+      typeof value === "number" ||
+      typeof value === "boolean" ||
+      (typeof value === "string" && value.length <= MAX_META_TEXT_LENGTH)
+    ) {
+      meta[key] = value;
+      count += 1;
+    }
+  }
+  return count > 0 ? meta : null;
+}
+
+/**
+ * 把JSON路径匹配到的单个值转换为图片
+ * @param {any} value - 匹配到的值
+ * @param {string} jsonPath - JSON路径，用于错误信息
+ * @returns {{url: string, meta: Object|null}}
+ */
+function toImage(value, jsonPath) {
+  let meta = null;
+  if (typeof value === "object" && value !== null) {
+    const field = URL_FIELDS.find((key) => typeof value[key] === "string");
+    if (field) {
+      meta = pickImageMeta(value, field);
+      value = value[field];
+    }
+  }
+
+  if (typeof value === "number") {
+    value = String(value);
+  }
+  if (typeof value !== "string") {
+    throw new Error(
+      `JSON路径 "${jsonPath}" 指向的值不是字符串，实际类型: ${typeof value}`
+    );
+  }
+
+  // 只接受http(s)地址，javascript:、data: 等会被用作图片地址和链接
+  const url = value.replace(/\\\//g, "/");
+  let protocol;
+  try {
+    ({ protocol } = new URL(url));
+  } catch (error) {
+    throw new Error(`提取的值不是有效的URL: ${url}`);
+  }
+  if (protocol !== "http:" && protocol !== "https:") {
+    throw new Error(`提取的值不是http(s)地址: ${url}`);
+  }
+
+  return { url, meta };
+}
+
+/**
+ * 路径为 "pic" 但取不到值时，在常见的嵌套路径中查找字符串
+ * @param {Object} data - API响应数据
+ * @returns {{value: string, jsonPath: string}|null}
+ */
+function findCommonPicPath(data) {
+  for (const altPath of COMMON_PIC_PATHS) {
+    try {
+      const { value } = evaluateJsonPath(data, altPath);
+      if (value && typeof value === "string") {
+        return { value, jsonPath: altPath };
+      }
+    } catch (error) {
+      continue;
+    }
+  }
+  return null;
+}
+
+/**
+ * 按JSON路径从API响应中提取图片，列表API一次返回多张
+ * 数组（包括通配符和过滤条件的多个匹配结果）逐个提取，对象查找常见URL字段并保留其余简单字段作为元数据，
+ * 还原转义的斜杠；无效的元素跳过，全部无效时抛出第一个元素的错误
+ * @param {Object} data - API响应数据
+ * @param {string} jsonPath - JSON路径，语法见 json-path.mjs
+ * @param {number} maxImages - 最多提取的图片数
+ * @returns {{images: Array<{url: string, meta: Object|null}>, jsonPath: string}} 图片和实际生效的路径
+ */
+export function extractImages(data, jsonPath, maxImages = Infinity) {
+  let resolvedPath = jsonPath;
+  let value;
+
+  try {
+    value = evaluateJsonPath(data, jsonPath).value;
+  } catch (error) {
+    const alternative = jsonPath === "pic" ? findCommonPicPath(data) : null;
+    if (!alternative) throw error;
+    ({ value, jsonPath: resolvedPath } = alternative);
+  }
+
+  const values = Array.isArray(value) ? value : [value];
+  if (values.length === 0) {
+    throw new Error(`JSON路径 "${jsonPath}" 指向空数组`);
+  }
+
+  const images = [];
+  const seen = new Set();
+  let firstError = null;
+  for (const item of values) {
+    if (images.length >= maxImages) break;
+    try {
+      const image = toImage(item, jsonPath);
+      if (!seen.has(image.url)) {
+        seen.add(image.url);
+        images.push(image);
+      }
+    } catch (error) {
+      firstError = firstError || error;
+    }
+  }
+
+  if (images.length === 0) {
+    throw firstError;
+  }
+  return { images, jsonPath: resolvedPath };
+}
@@ -0,0 +1,307 @@
+/**
+ * JSONPath求值 - 支持自定义API常用的路径写法，前端和服务端共用本模块
+ *
+ * 支持的语法（开头的 "$" 可以省略）：
+ * - data.url、data['图片地址']：按字段名读取
+ * - data.list[0]、data.list[-1]：按下标读取，负数从末尾开始
+ * - data.list[*].url、data.*：取所有元素或所有字段
+ * - data.list[?(@.width>1000)]：按条件过滤，支持 == != > >= < <=，省略比较时判断字段是否存在
+ * - data.list[random]：从当前匹配结果中随机取一个，只有一个数组时从数组元素中随机取
+ */
+
+const COMPARATORS = {
+  "==": (left, right) => left === right,
+  "!=": (left, right) => left !== right,
+  ">": (left, right) => comparable(left, right) && left > right,
+  ">=": (left, right) => comparable(left, right) && left >= right,
+  "<": (left, right) => comparable(left, right) && left < right,
+  "<=": (left, right) => comparable(left, right) && left <= right,
+};
+
+// 过滤条件：@ 后跟可选的字段路径，再跟可选的比较
+const FILTER_PATTERN = /^@((?:\.[^\s.=!<>]+)*)\s*(?:(==|!=|>=|<=|>|<)\s*(.+?))?\s*$/;
+
+/**
+ * 判断值是否为含有指定字段的对象或数组
+ * @param {any} node
+ * @param {string} key - 字段名
+ * @returns {boolean}
+ */
+function hasField(node, key) {
+  return node !== null && typeof node === "object" && Object.prototype.hasOwnProperty.call(node, key);
+}
+
+/**
+ * 大小比较只在同为数字或同为字符串时成立
+ * @param {any} left
+ * @param {any} right
+ * @returns {boolean}
+ */
+function comparable(left, right) {
+  return (
+    (typeof left === "number" && typeof right === "number") ||
+    (typeof left === "string" && typeof right === "string")
+  );
+}
+
+/**
+ * 构造语法错误
+ * @param {string} path - JSON路径
+ * @param {number} position - 出错位置
+ * @param {string} reason - 原因
+ * @returns {Error}
+ */
+function syntaxError(path, position, reason) {
+  return new Error(`JSON路径 "${path}" 语法错误（第${position + 1}个字符）：${reason}`);
+}
+
+/**
+ * 解析过滤条件中的字面量
+ * @param {string} text - 字面量文本
+ * @returns {any}
+ */
+function parseLiteral(text) {
+  const quoted = /^'(.*)'$/.exec(text);
+  if (quoted) {
+    return quoted[1];
+  }
+  return JSON.parse(text);
+}
+
+/**
+ * 解析方括号中的内容
+ * @param {string} path - JSON路径
+ * @param {number} start - "[" 的位置
+ * @returns {{segment: Object, end: number}} 片段和 "]" 之后的位置
+ */
+function parseBracket(path, start) {
+  let close;
+  if (path[start + 1] === "?") {
+    close = path.indexOf(")]", start) + 1;
+  } else if (path[start + 1] === "'" || path[start + 1] === '"') {
+    close = path.indexOf(`${path[start + 1]}]`, start + 2) + 1;
+  } else {
+    close = path.indexOf("]", start);
+  }
+  if (close <= 0) {
+    throw syntaxError(path, start, "缺少 \"]\"");
+  }
+
+  const text = path.slice(start, close + 1);
+  const content = path.slice(start + 1, close).trim();
+  const end = close + 1;
+
+  if (content === "*") {
+    return { segment: { type: "wildcard", text }, end };
+  }
+  if (content === "random") {
+    return { segment: { type: "random", text }, end };
+  }
+  if (/^-?\d+$/.test(content)) {
+    return { segment: { type: "index", index: Number(content), text }, end };
+  }
+  if (/^(['"]).*\1$/.test(content)) {
+    return { segment: { type: "key", key: content.slice(1, -1), text }, end };
+  }
+
+  const filter = /^\?\((.*)\)$/.exec(content);
+  const match = filter && FILTER_PATTERN.exec(filter[1].trim());
+  if (!match) {
+    throw syntaxError(path, start, `无法识别 "${text}"`);
+  }
+
+  const segment = {
+    type: "filter",
+    fields: match[1] ? match[1].slice(1).split(".") : [],
+    operator: match[2] || null,
+    text,
+  };
+  if (segment.operator) {
+    try {
+      segment.value = parseLiteral(match[3]);
+    } catch (error) {
+      throw syntaxError(path, start, `过滤条件中的值 "${match[3]}" 无效，字符串需加引号`);
+    }
+  }
+  return { segment, end };
+}
+
+/**
+ * 把JSON路径解析为片段列表
+ * @param {string} path - JSON路径
+ * @returns {Object[]} 片段 { type: key|index|wildcard|filter|random, text, ... }
+ */
+export function parseJsonPath(path) {
+  if (typeof path !== "string" || !path.trim()) {
+    throw new Error("JSON路径未指定");
+  }
+
+  const segments = [];
+  let position = path.startsWith("$") ? 1 : 0;
+
+  while (position < path.length) {
+    const char = path[position];
+
+    if (char === "[") {
+      const { segment, end } = parseBracket(path, position);
+      segments.push(segment);
+      position = end;
+      continue;
+    }
+
+    // 开头的字段名可以不带 "."
+    if (char === ".") {
+      if (path[position + 1] === ".") {
+        throw syntaxError(path, position, "不支持递归查找 \"..\"");
+      }
+      position += 1;
+    } else if (position > 0) {
+      throw syntaxError(path, position, `"${char}" 前缺少 "."`);
+    }
+
+    let end = position;
+    while (end < path.length && path[end] !== "." && path[end] !== "[") {
+      end += 1;
+    }
+    const key = path.slice(position, end);
+    if (!key) {
+      throw syntaxError(path, position, "字段名为空");
+    }
+    segments.push(
+      key === "*" ? { type: "wildcard", text: ".*" } : { type: "key", key, text: `.${key}` }
+    );
+    position = end;
+  }
+
+  return segments;
+}
+
+/**
+ * 对象或数组的所有子值
+ * @param {any} node
+ * @returns {any[]}
+ */
+function childrenOf(node) {
+  if (Array.isArray(node)) return node;
+  if (node !== null && typeof node === "object") return Object.values(node);
+  return [];
+}
+
+/**
+ * 判断元素是否满足过滤条件
+ * @param {any} item - 数组元素
+ * @param {Object} segment - 过滤片段
+ * @returns {boolean}
+ */
+function matchesFilter(item, { fields, operator, value }) {
+  let current = item;
+  for (const field of fields) {
+    if (!hasField(current, field)) {
+      return false;
+    }
+    current = current[field];
+  }
+  return operator ? COMPARATORS[operator](current, value) : true;
+}
+
+/**
+ * 对单个值应用一个片段
+ * @param {any} node - 当前值
+ * @param {Object} segment - 片段
+ * @returns {any[]} 匹配到的值
+ */
+function applySegment(node, segment) {
+  switch (segment.type) {
+    case "key":
+      return hasField(node, segment.key) ? [node[segment.key]] : [];
+    case "index": {
+      if (!Array.isArray(node)) return [];
+      const index = segment.index < 0 ? node.length + segment.index : segment.index;
+      return index >= 0 && index < node.length ? [node[index]] : [];
+    }
+    case "wildcard":
+      return childrenOf(node);
+    case "filter":
+      return childrenOf(node).filter((item) => matchesFilter(item, segment));
+    default:
+      return [];
+  }
+}
+
+/**
+ * 描述值的类型，用于错误信息
+ * @param {any} value
+ * @returns {string}
+ */
+function describeType(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return `长度为${value.length}的数组`;
+  return typeof value === "object" ? "对象" : typeof value;
+}
+
+/**
+ * 说明片段为什么在当前值上没有匹配
+ * @param {any[]} nodes - 当前匹配的值
+ * @param {Object} segment - 片段
+ * @returns {string}
+ */
+function explainMismatch(nodes, segment) {
+  if (nodes.length !== 1) {
+    return `${nodes.length}个匹配值中都没有 "${segment.text}"`;
+  }
+
+  const [node] = nodes;
+  switch (segment.type) {
+    case "key":
+      return node !== null && typeof node === "object"
+        ? `字段 "${segment.key}" 不存在`
+        : `值为${describeType(node)}，无法读取字段 "${segment.key}"`;
+    case "index":
+      return Array.isArray(node)
+        ? `下标 ${segment.index} 超出范围（数组长度为${node.length}）`
+        : `值为${describeType(node)}，不是数组`;
+    case "filter":
+      return childrenOf(node).length > 0
+        ? "没有元素满足过滤条件"
+        : `值为${describeType(node)}，没有可过滤的元素`;
+    default:
+      return `值为${describeType(node)}，没有可选的元素`;
+  }
+}
+
+/**
+ * 按JSON路径读取值
+ * @param {any} data - 源数据
+ * @param {string} path - JSON路径
+ * @returns {{value: any, multiple: boolean}}
+ *   multiple 为true时路径含通配符或过滤条件，value 为所有匹配值组成的数组
+ */
+export function evaluateJsonPath(data, path) {
+  const segments = parseJsonPath(path);
+  let nodes = [data];
+  let multiple = false;
+  let matched = "$";
+
+  for (const segment of segments) {
+    let next;
+    if (segment.type === "random") {
+      // 只有一个数组时从数组元素中随机取，否则从匹配结果中随机取
+      const pool = nodes.length === 1 && Array.isArray(nodes[0]) ? nodes[0] : nodes;
+      next = pool.length > 0 ? [pool[Math.floor(Math.random() * pool.length)]] : [];
+      multiple = false;
+    } else {
+      next = nodes.flatMap((node) => applySegment(node, segment));
+      multiple = multiple || segment.type === "wildcard" || segment.type === "filter";
+    }
+
+    if (next.length === 0) {
+      throw new Error(
+        `JSON路径 "${path}" 在 "${matched}" 之后无法匹配 "${segment.text}"：${explainMismatch(nodes, segment)}`
+      );
+    }
+    nodes = next;
+    matched += segment.text;
+  }
+
+  return { value: multiple ? nodes : nodes[0], multiple };
+}
@@ -0,0 +1,30 @@
+/**
+ * 自定义API请求头白名单 - 配置校验和服务端 /api/custom 转发共用本模块
+ */
+
+// 可以转发的标准请求头：内容协商、鉴权和来源
+const FORWARDABLE_HEADERS = new Set([
+  "accept",
+  "accept-language",
+  "authorization",
+  "content-type",
+  "referer",
+  "user-agent",
+  "api-key",
+  "apikey",
+]);
+
+// X- 开头的自定义请求头（如 X-API-Key）可以转发，但不包括代理链路和本站使用的请求头
+const CUSTOM_HEADER_PATTERN = /^x-[a-z0-9-]+$/;
+const RESERVED_CUSTOM_HEADER_PATTERN = /^x-(forwarded-|real-ip$|request-id$|session-id$)/;
+
+/**
+ * 判断请求头是否可以发给自定义API
+ * @param {string} name - 请求头名称
+ * @returns {boolean}
+ */
+export function isForwardableHeader(name) {
+  const lowerName = String(name).toLowerCase();
+  if (FORWARDABLE_HEADERS.has(lowerName)) return true;
+  return CUSTOM_HEADER_PATTERN.test(lowerName) && !RESERVED_CUSTOM_HEADER_PATTERN.test(lowerName);
+}
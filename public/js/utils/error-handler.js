@@ -2,7 +2,7 @@
  * 错误处理工具模块
  */
 
-import { ERROR_CATEGORIES } from '../config/app-config.js';
+import { APP_CONFIG, ERROR_CATEGORIES } from '../config/app-config.js';
 
 /**
  * 错误处理器类
@@ -22,6 +22,8 @@ export class ErrorHandler {
       error.category = this.errorCategories.TIMEOUT_ERROR;
     } else if (error.name === "TypeError" && error.message.includes("fetch")) {
       error.category = this.errorCategories.NETWORK_ERROR;
+    } else if (error.statusCode === 429) {
+      error.category = this.errorCategories.RATE_LIMIT_ERROR;
     } else if (error.message.includes("HTTP错误")) {
       error.category = this.errorCategories.SERVER_ERROR;
     } else if (
@@ -58,6 +60,10 @@ export class ErrorHandler {
       case this.errorCategories.SERVER_ERROR:
         return error.statusCode >= 500;
 
+      case this.errorCategories.RATE_LIMIT_ERROR:
+        // 服务端要求等待过久时放弃本次请求
+        return !error.retryAfter || error.retryAfter <= APP_CONFIG.api.maxRetryAfter;
+
       case this.errorCategories.PARSE_ERROR:
       case this.errorCategories.VALIDATION_ERROR:
       case this.errorCategories.COMPATIBILITY_ERROR:
@@ -76,6 +82,11 @@ export class ErrorHandler {
    * @returns {number} 延迟时间（毫秒）
    */
   calculateRetryDelay(attempt, error, baseDelay = 1000) {
+    // 服务端指定了等待时间时按其要求退避
+    if (error.category === this.errorCategories.RATE_LIMIT_ERROR && error.retryAfter) {
+      return error.retryAfter;
+    }
+
     let delay = baseDelay;
 
     switch (error.category) {
@@ -103,6 +114,7 @@ export class ErrorHandler {
       网络连接失败: "无法连接到服务器，请检查网络",
       "HTTP错误: 404": "图片服务暂时不可用",
       "HTTP错误: 500": "服务器内部错误，请稍后重试",
+      "HTTP错误: 429": "请求过于频繁，请稍后再试",
       API响应格式无效: "服务器返回数据格式错误",
       API返回的图片URL格式无效: "获取到的图片地址无效",
       图片资源加载失败: "图片加载失败，请重试",
@@ -118,24 +130,51 @@ export class ErrorHandler {
   }
 
   /**
-   * 处理API错误
+   * 处理API错误，保留原始错误的分类、状态码和请求ID
    * @param {Error} error - 原始错误
    * @returns {Error} 处理后的错误
    */
   handleApiError(error) {
+    let handled;
     if (error.name === "AbortError") {
-      return new Error("请求超时，请检查网络连接");
+      handled = new Error("请求超时，请检查网络连接");
+    } else if (error.name === "TypeError" && error.message.includes("fetch")) {
+      handled = new Error("网络连接失败，请检查网络状态");
+    } else if (error.message.includes("HTTP错误")) {
+      handled = new Error(`服务器错误: ${error.message}`);
+    } else {
+      return error instanceof Error ? error : new Error("未知的API错误");
     }
 
-    if (error.name === "TypeError" && error.message.includes("fetch")) {
-      return new Error("网络连接失败，请检查网络状态");
-    }
+    handled.category = error.category;
+    handled.statusCode = error.statusCode;
+    handled.requestId = error.requestId;
+    return handled;
+  }
 
-    if (error.message.includes("HTTP错误")) {
-      return new Error(`服务器错误: ${error.message}`);
-    }
+  /**
+   * 生成错误报告，用于日志和错误上报
+   * @param {Error} error - 错误对象
+   * @returns {Object} 错误报告 { message, category, statusCode, requestId }
+   */
+  getErrorReport(error) {
+    return {
+      message: error.message,
+      category: error.category || this.errorCategories.UNKNOWN_ERROR,
+      statusCode: error.statusCode || null,
+      // 与服务端日志中的requestId一致，可据此查找对应的服务端日志
+      requestId: error.requestId || null,
+    };
+  }
 
-    return error instanceof Error ? error : new Error("未知的API错误");
+  /**
+   * 输出错误日志，附带请求ID
+   * @param {string} message - 日志消息
+   * @param {Error} error - 错误对象
+   * @param {Object} details - 附加信息
+   */
+  logError(message, error, details = {}) {
+    console.error(message, { ...this.getErrorReport(error), ...details });
   }
 }
 
@@ -66,30 +66,6 @@ export function isValidUrl(url) {
   }
 }
 
-/**
- * 从JSON响应中提取值
- * @param {Object} response - JSON响应对象
- * @param {string} path - 点分割路径
- * @returns {any} 提取的值
- */
-export function extractFromJson(response, path) {
-  if (!path) {
-    throw new Error("JSON路径未指定");
-  }
-
-  const pathParts = path.split(".");
-  let value = response;
-
-  for (const part of pathParts) {
-    if (value === null || value === undefined) {
-      throw new Error(`JSON路径 "${path}" 中的 "${part}" 不存在`);
-    }
-    value = value[part];
-  }
-
-  return value;
-}
-
 /**
  * 获取设备类型的中文名称
  * @param {string} deviceType - 设备类型
@@ -154,4 +130,101 @@ export function deepClone(obj) {
  */
 export function getPlaceholderImage() {
   return 'data:image/svg+xml;base64,PHN2ZyB3aWR0aD0iODAiIGhlaWdodD0iODAiIHZpZXdCb3g9IjAgMCA4MCA4MCIgZmlsbD0ibm9uZSIgeG1sbnM9Imh0dHA6Ly93d3cudzMub3JnLzIwMDAvc3ZnIj4KPHJlY3Qgd2lkdGg9IjgwIiBoZWlnaHQ9IjgwIiBmaWxsPSIjZjBmMGYwIi8+CjxwYXRoIGQ9Ik00MCAyMEM0Ni42Mjc0IDIwIDUyIDI1LjM3MjYgNTIgMzJDNTIgMzguNjI3NCA0Ni42Mjc0IDQ0IDQwIDQ0QzMzLjM3MjYgNDQgMjggMzguNjI3NCAyOCAzMkMyOCAyNS4zNzI2IDMzLjM3MjYgMjAgNDAgMjBaIiBmaWxsPSIjY2NjIi8+CjxwYXRoIGQ9Ik0yMCA1Nkw2MCA1NkM2MiA1NiA2MCA1NCA2MCA1Mkw2MCA0OEM2MCA0NiA1OCA0NCA1NiA0NEwyNCA0NEMyMiA0NCAyMCA0NiAyMCA0OEwyMCA1MkMyMCA1NCAyMiA1NiAyMCA1NloiIGZpbGw9IiNjY2MiLz4KPC9zdmc+';
-}
\ No newline at end of file
+}
+/**
+ * 解析Retry-After响应头
+ * @param {string|null} value - 秒数或HTTP日期
+ * @returns {number|null} 需要等待的毫秒数，无法解析时返回null
+ */
+export function parseRetryAfter(value) {
+  if (!value) return null;
+
+  const seconds = Number(value);
+  if (Number.isFinite(seconds)) {
+    return Math.max(0, seconds * 1000);
+  }
+
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * 获取当前会话ID，同一标签页内保持不变，随请求发送给服务端用于图片发放日志
+ * @returns {string} 会话ID
+ */
+export function getSessionId() {
+  const storageKey = "session-id";
+  try {
+    let sessionId = sessionStorage.getItem(storageKey);
+    if (!sessionId) {
+      sessionId = `${Date.now().toString(36)}-${generateRandomString(10)}`;
+      sessionStorage.setItem(storageKey, sessionId);
+    }
+    return sessionId;
+  } catch (error) {
+    // 无法使用sessionStorage时（如隐私模式）每次页面加载生成一个
+    if (!getSessionId.fallback) {
+      getSessionId.fallback = `${Date.now().toString(36)}-${generateRandomString(10)}`;
+    }
+    return getSessionId.fallback;
+  }
+}
+
+// 客户端凭证的格式，与服务端 lib/collection-store.js 的校验一致
+const CLIENT_ID_PATTERN = /^[\w-]{32,128}$/;
+
+/**
+ * 获取客户端凭证，保存在localStorage中长期不变，随收藏夹和分享请求通过 X-Client-Id 发送，
+ * 服务端据此区分收藏夹的所有者；凭证在收藏弹窗中作为同步码显示，见 setClientId
+ * @returns {string} 64位十六进制随机字符串
+ */
+export function getClientId() {
+  const storageKey = "client-id";
+  const generate = () =>
+    Array.from(crypto.getRandomValues(new Uint8Array(32)), (byte) =>
+      byte.toString(16).padStart(2, "0")
+    ).join("");
+
+  try {
+    let clientId = localStorage.getItem(storageKey);
+    if (!clientId) {
+      clientId = generate();
+      localStorage.setItem(storageKey, clientId);
+    }
+    return clientId;
+  } catch (error) {
+    // 无法使用localStorage时收藏夹只在本次页面加载内有效
+    if (!getClientId.fallback) {
+      getClientId.fallback = generate();
+    }
+    return getClientId.fallback;
+  }
+}
+
+/**
+ * 使用其他设备的同步码替换客户端凭证，之后访问同步码对应的收藏夹
+ * @param {string} code - 同步码，即其他设备的客户端凭证
+ * @returns {boolean} 同步码格式是否有效
+ */
+export function setClientId(code) {
+  const clientId = typeof code === "string" ? code.trim() : "";
+  if (!CLIENT_ID_PATTERN.test(clientId)) {
+    return false;
+  }
+
+  try {
+    localStorage.setItem("client-id", clientId);
+  } catch (error) {
+    // 无法使用localStorage时只在本次页面加载内生效
+  }
+  getClientId.fallback = clientId;
+  return true;
+}
+
+/**
+ * 生成请求ID，随API请求通过 X-Request-Id 发送，服务端日志和响应中使用同一ID
+ * @returns {string} 请求ID
+ */
+export function generateRequestId() {
+  return `${Date.now().toString(36)}-${generateRandomString(10)}`;
+}
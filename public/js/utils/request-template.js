@@ -0,0 +1,148 @@
+/**
+ * 自定义API请求模板 - 把配置中的URL、请求头和请求体模板替换为实际请求
+ *
+ * 支持的变量：
+ * - {random}：随机字符串
+ * - {timestamp}：当前时间戳（毫秒）
+ * - {page}：页码，从1开始，每次请求成功后加1，切换图片来源或分类后重新从1开始
+ * - {category}：通过“分类”按钮设置的分类
+ */
+
+export const TEMPLATE_VARIABLES = ["random", "timestamp", "page", "category"];
+
+export const REQUEST_METHODS = ["GET", "POST"];
+
+// 请求体类型 -> Content-Type
+export const BODY_TYPES = {
+  none: null,
+  json: "application/json",
+  form: "application/x-www-form-urlencoded",
+};
+
+const VARIABLE_PATTERN = /\{(random|timestamp|page|category)\}/g;
+
+// 请求头名称只允许HTTP规范中的token字符
+const HEADER_NAME_PATTERN = /^[!#$%&'*+.^_`|~0-9A-Za-z-]+$/;
+
+/**
+ * 判断文本中是否使用了模板变量
+ * @param {string} text - 模板文本
+ * @param {string} name - 变量名，缺省时判断任意变量
+ * @returns {boolean}
+ */
+export function hasTemplateVariable(text, name) {
+  const matches = String(text || "").match(VARIABLE_PATTERN) || [];
+  return name ? matches.includes(`{${name}}`) : matches.length > 0;
+}
+
+/**
+ * 替换模板中的变量
+ * @param {string} template - 模板文本
+ * @param {Object} variables - 变量值
+ * @param {Function} encode - 变量值的编码方式，如URL中使用encodeURIComponent
+ * @returns {string}
+ */
+export function renderTemplate(template, variables, encode = String) {
+  return String(template || "").replace(VARIABLE_PATTERN, (match, name) =>
+    encode(variables[name] === undefined || variables[name] === null ? "" : String(variables[name]))
+  );
+}
+
+/**
+ * JSON请求体中的变量值按JSON字符串转义，可以放在引号中，数字也可以直接使用
+ * @param {string} value
+ * @returns {string}
+ */
+function encodeJsonValue(value) {
+  return JSON.stringify(value).slice(1, -1);
+}
+
+/**
+ * 判断请求头名称是否合法
+ * @param {string} name - 请求头名称
+ * @returns {boolean}
+ */
+export function isValidHeaderName(name) {
+  return HEADER_NAME_PATTERN.test(name);
+}
+
+/**
+ * 解析请求头文本，每行一个 "名称: 值"
+ * @param {string} text - 请求头文本
+ * @returns {Object} 请求头，格式不正确时抛出错误
+ */
+export function parseHeaderLines(text) {
+  const headers = {};
+  String(text || "")
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean)
+    .forEach((line) => {
+      const separator = line.indexOf(":");
+      const name = separator > 0 ? line.slice(0, separator).trim() : "";
+      if (!isValidHeaderName(name)) {
+        throw new Error(`请求头格式无效: "${line}"，应为 "名称: 值"`);
+      }
+      headers[name] = line.slice(separator + 1).trim();
+    });
+  return headers;
+}
+
+/**
+ * 把请求头转换为每行一个 "名称: 值" 的文本
+ * @param {Object} headers - 请求头
+ * @returns {string}
+ */
+export function formatHeaderLines(headers) {
+  return Object.entries(headers || {})
+    .map(([name, value]) => `${name}: ${value}`)
+    .join("\n");
+}
+
+/**
+ * 生成一次请求的变量值
+ * @param {Object} options - { page, category }
+ * @returns {Object}
+ */
+export function createTemplateVariables({ page = 1, category = "" } = {}) {
+  return {
+    random: Math.random().toString(36).substring(2, 11),
+    timestamp: Date.now(),
+    page,
+    category,
+  };
+}
+
+/**
+ * 按配置生成实际请求
+ * @param {Object} profile - 自定义API配置 { url, method, headers, bodyType, body }
+ * @param {Object} variables - 变量值，见 createTemplateVariables
+ * @returns {{url: string, method: string, headers: Object, body: string|undefined}}
+ */
+export function buildTemplateRequest(profile, variables) {
+  const method = profile.method || "GET";
+  const headers = {};
+  for (const [name, value] of Object.entries(profile.headers || {})) {
+    headers[name] = renderTemplate(value, variables);
+  }
+
+  let body;
+  const contentType = method === "GET" ? null : BODY_TYPES[profile.bodyType || "none"];
+  if (contentType) {
+    body =
+      profile.bodyType === "json"
+        ? renderTemplate(profile.body, variables, encodeJsonValue)
+        : renderTemplate(profile.body, variables, encodeURIComponent);
+    // 配置中显式指定的Content-Type优先
+    if (!Object.keys(headers).some((name) => name.toLowerCase() === "content-type")) {
+      headers["Content-Type"] = contentType;
+    }
+  }
+
+  return {
+    url: renderTemplate(profile.url, variables, encodeURIComponent),
+    method,
+    headers,
+    body,
+  };
+}
@@ -14,6 +14,7 @@ class ImageCache {
     this.cache = new Map();
     this.accessTimes = new Map();
     this.imageSizes = new Map();
+    this.imageMeta = new Map(); // 服务端返回的图片元数据，用于按真实尺寸估算内存
     this.currentMemoryUsage = 0;
     
     // 新增：预加载队列管理
@@ -53,7 +54,7 @@ class ImageCache {
   async set(url, imageElement) {
     try {
       // 估算图片内存占用
-      const imageSize = this.estimateImageSize(imageElement);
+      const imageSize = this.estimateImageSize(imageElement, url);
 
       // 检查是否需要清理缓存
       await this.ensureCacheSpace(imageSize);
@@ -76,13 +77,30 @@ class ImageCache {
   }
 
   /**
-   * 估算图片内存占用
-   * @param {HTMLImageElement} imageElement - 图片元素
+   * 记录图片元数据
+   * @param {string} url - 图片URL
+   * @param {Object} meta - 元数据 { width, height, size }
+   */
+  setImageMeta(url, meta) {
+    this.imageMeta.set(url, meta);
+  }
+
+  /**
+   * 估算图片内存占用，优先使用服务端返回的真实尺寸
+   * @param {HTMLImageElement|null} imageElement - 图片元素，尚未加载时可为null
+   * @param {string} url - 图片URL
    * @returns {number} 估算的内存占用（字节）
    */
-  estimateImageSize(imageElement) {
-    const width = imageElement.naturalWidth || imageElement.width || 800;
-    const height = imageElement.naturalHeight || imageElement.height || 600;
+  estimateImageSize(imageElement, url) {
+    const meta = url ? this.imageMeta.get(url) : null;
+    const width =
+      (meta && meta.width) ||
+      (imageElement && (imageElement.naturalWidth || imageElement.width)) ||
+      800;
+    const height =
+      (meta && meta.height) ||
+      (imageElement && (imageElement.naturalHeight || imageElement.height)) ||
+      600;
     // 假设每像素4字节（RGBA）
     return width * height * 4;
   }
@@ -148,6 +166,7 @@ class ImageCache {
       this.accessTimes.delete(url);
       this.imageSizes.delete(url);
     }
+    this.imageMeta.delete(url);
   }
 
   /**
@@ -157,6 +176,7 @@ class ImageCache {
     this.cache.clear();
     this.accessTimes.clear();
     this.imageSizes.clear();
+    this.imageMeta.clear();
     this.currentMemoryUsage = 0;
     console.log("缓存已清空");
   }
@@ -258,6 +278,8 @@ class PreloadStrategy {
     this.preloadQueue = [];
     this.preloadedUrls = new Set();
     this.imageViewer = options.imageViewer; // ImageViewer实例，用于访问队列
+    this.minImageDimension = options.minImageDimension || 0; // 宽或高小于此值的图片不预加载
+    this.maxImageBytes = options.maxImageBytes || Infinity; // 文件大于此值的图片不预加载
 
     console.log("PreloadStrategy 初始化完成", {
       preloadCount: this.preloadCount,
@@ -299,28 +321,80 @@ class PreloadStrategy {
   async preloadNext() {
     try {
       const imageUrl = await this.apiService.fetchImage();
+      await this.preloadUrl(imageUrl);
+    } catch (error) {
+      console.warn("预加载图片失败:", error);
+    }
+  }
 
-      // 避免重复预加载
-      if (this.preloadedUrls.has(imageUrl)) {
-        console.log("图片已预加载，跳过:", imageUrl);
+  /**
+   * 预加载已获取到的图片URL并加入队列
+   * @param {string} imageUrl - 图片URL
+   */
+  async preloadUrl(imageUrl) {
+    // 避免重复预加载
+    if (this.preloadedUrls.has(imageUrl)) {
+      console.log("图片已预加载，跳过:", imageUrl);
+      return;
+    }
+
+    // 先读取元数据，跳过过大或过小的图片，并按真实尺寸预留缓存空间
+    const meta = await this.fetchImageMeta(imageUrl);
+    if (meta) {
+      const skipReason = this.getSkipReason(meta);
+      if (skipReason) {
+        console.log(`跳过预加载（${skipReason}）:`, imageUrl);
         return;
       }
+      this.imageCache.setImageMeta(imageUrl, meta);
+      await this.imageCache.ensureCacheSpace(
+        this.imageCache.estimateImageSize(null, imageUrl)
+      );
+    }
 
-      await this.imageCache.preloadSingle(imageUrl);
-      this.preloadedUrls.add(imageUrl);
+    await this.imageCache.preloadSingle(imageUrl);
+    this.preloadedUrls.add(imageUrl);
 
-      // 将预加载的URL添加到队列中
-      if (
-        this.imageViewer &&
-        typeof this.imageViewer.addToQueue === "function"
-      ) {
-        this.imageViewer.addToQueue(imageUrl);
-      }
+    // 将预加载的URL添加到队列中
+    if (
+      this.imageViewer &&
+      typeof this.imageViewer.addToQueue === "function"
+    ) {
+      this.imageViewer.addToQueue(imageUrl);
+    }
 
-      console.log("预加载完成:", imageUrl);
-    } catch (error) {
-      console.warn("预加载图片失败:", error);
+    console.log("预加载完成:", imageUrl);
+  }
+
+  /**
+   * 获取图片元数据，ApiService不支持时返回null
+   * @param {string} imageUrl - 图片URL
+   * @returns {Promise<Object|null>}
+   */
+  async fetchImageMeta(imageUrl) {
+    if (typeof this.apiService.fetchImageMeta !== "function") {
+      return null;
     }
+    return this.apiService.fetchImageMeta(imageUrl);
+  }
+
+  /**
+   * 根据元数据判断是否应跳过预加载
+   * @param {Object} meta - 图片元数据
+   * @returns {string|null} 跳过原因，不跳过时返回null
+   */
+  getSkipReason(meta) {
+    if (meta.size && meta.size > this.maxImageBytes) {
+      return `文件过大: ${(meta.size / 1024 / 1024).toFixed(1)}MB`;
+    }
+    if (
+      meta.width &&
+      meta.height &&
+      Math.min(meta.width, meta.height) < this.minImageDimension
+    ) {
+      return `尺寸过小: ${meta.width}×${meta.height}`;
+    }
+    return null;
   }
 
   /**
@@ -448,12 +522,14 @@ class PerformanceMonitor {
    * @param {number} startTime - 开始时间
    * @param {number} endTime - 结束时间
    * @param {boolean} success - 是否成功
+   * @param {string|null} provider - 图片源id
    */
-  recordApiCallTime(startTime, endTime, success = true) {
+  recordApiCallTime(startTime, endTime, success = true, provider = null) {
     const callTime = endTime - startTime;
     this.metrics.apiCallTimes.push({
       callTime,
       success,
+      provider,
       timestamp: Date.now(),
     });
 
@@ -522,6 +598,7 @@ class PerformanceMonitor {
     this.metrics.errors.push({
       message: error.message,
       context,
+      requestId: error.requestId || null, // 与服务端日志中的请求ID对应
       timestamp: Date.now(),
     });
 
@@ -529,6 +606,11 @@ class PerformanceMonitor {
     if (this.metrics.errors.length > 20) {
       this.metrics.errors.shift();
     }
+
+    // 上报到服务端，附带请求ID便于查找服务端日志
+    if (window.errorReporter) {
+      window.errorReporter.report("performance", error, { context });
+    }
   }
 
   /**
@@ -874,6 +956,14 @@ class EnhancedPreloadStrategy extends PreloadStrategy {
     });
   }
 
+  /**
+   * 开始预加载策略 - 通过批量接口一次取回需要的图片
+   */
+  async startPreloading() {
+    console.log("开始预加载策略");
+    await this.preloadBatch(this.preloadCount);
+  }
+
   /**
    * 图片加载完成后自动预加载
    * @param {string} currentImageUrl - 当前加载完成的图片URL
@@ -1043,6 +1133,7 @@ class EnhancedPreloadStrategy extends PreloadStrategy {
 
   /**
    * 优化的批量预加载 - 减少API调用频率
+   * 服务端支持批量接口时一次请求取回全部URL，否则逐个获取
    * @param {number} count - 预加载数量
    */
   async preloadBatch(count) {
@@ -1055,10 +1146,21 @@ class EnhancedPreloadStrategy extends PreloadStrategy {
     try {
       console.log("开始优化批量预加载:", count, "张图片");
 
-      // 限制批量预加载的最大数量
+      // 限制批量预加载的最大数量，批量接口同样只取这么多张，避免同时下载过多图片
       const maxBatchSize = 2;
       const actualCount = Math.min(count, maxBatchSize);
 
+      if (typeof this.apiService.fetchImages === "function") {
+        const urls = await this.apiService.fetchImages(actualCount);
+        const results = await Promise.allSettled(
+          urls.map((url) => this.preloadUrl(url))
+        );
+        results
+          .filter((result) => result.status === "rejected")
+          .forEach((result) => console.warn("预加载图片失败:", result.reason));
+        return;
+      }
+
       for (let i = 0; i < actualCount; i++) {
         await this.preloadNext();
 
@@ -1,230 +1,1619 @@
 const express = require("express");
 const path = require("path");
-const https = require("https");
+const crypto = require("crypto");
+const { ProviderRegistry } = require("./lib/providers/registry");
+const { ImageDiskCache } = require("./lib/image-disk-cache");
+const { createImageProxyHandler, buildProxyUrl } = require("./lib/image-proxy");
+const {
+  setCorsHeaders,
+  sendError,
+  toAbsoluteUrl,
+} = require("./lib/responses");
+const { UrlPool } = require("./lib/url-pool");
+const { ProviderHealthTracker, CIRCUIT_STATES } = require("./lib/provider-health");
+const { createCustomApiHandler } = require("./lib/custom-api-proxy");
+const { OutboundPolicy } = require("./lib/outbound-policy");
+const { TokenBucketLimiter, createRateLimitMiddleware } = require("./lib/rate-limiter");
+const { startMockUpstream } = require("./lib/mock-upstream");
+const { createImageMetaHandler } = require("./lib/image-meta");
+const { DuplicateDetector } = require("./lib/duplicate-detector");
+const { ServedImageLog, readSessionId } = require("./lib/served-image-log");
+const { MetricsRegistry, CONTENT_TYPE: METRICS_CONTENT_TYPE } = require("./lib/metrics");
+const { logger } = require("./lib/logger");
+const { UpstreamError } = require("./lib/errors");
+const { createRequestContextMiddleware } = require("./lib/request-context");
+const { ClientErrorStore } = require("./lib/client-error-store");
+const { TelemetryStore } = require("./lib/telemetry-store");
+const { renderTelemetryPage, renderTelemetryLoginPage } = require("./lib/telemetry-page");
+const { CollectionStore, toOwner } = require("./lib/collection-store");
+const { ShareStore } = require("./lib/share-store");
+const { renderSharePage, renderShareNotFoundPage } = require("./lib/share-page");
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
-// 第三方API地址
-const EXTERNAL_API_URL = "https://api.52vmy.cn/api/img/tu/girl";
-const REDIRECT_API_URL =
-  "https://www.onexiaolaji.cn/RandomPicture/api/?key=qq249663924&class=101&type=json";
+/**
+ * 读取逗号分隔的环境变量
+ * @param {string} name - 环境变量名
+ * @returns {string[]|null} 未设置时返回null
+ */
+function readListEnv(name) {
+  const value = process.env[name];
+  if (!value) return null;
+  return value
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+// 离线模拟上游配置，通过 MOCK_UPSTREAM=true 或 --mock 启用
+const MOCK_CONFIG = {
+  enabled: process.env.MOCK_UPSTREAM === "true" || process.argv.includes("--mock"),
+  port: 3001, // 与 config/providers.mock.json 中的地址一致
+};
+
+// 图片源配置文件，可通过环境变量指定，修改后自动重新加载
+// 模拟模式下默认使用指向模拟上游的配置
+const PROVIDERS_CONFIG_PATH =
+  process.env.PROVIDERS_CONFIG ||
+  path.join(__dirname, "config", MOCK_CONFIG.enabled ? "providers.mock.json" : "providers.json");
 
 // 图片代理缓存配置
 const IMAGE_PROXY_CONFIG = {
   enableProxy: process.env.ENABLE_IMAGE_PROXY === "true", // 环境变量控制是否启用图片代理
   cacheTimeout: 5 * 60 * 1000, // 5分钟缓存
-  maxCacheSize: 50, // 最大缓存50张图片URL
+  maxCacheSize: 50, // 最大缓存50张图片
+  maxCacheBytes: 200 * 1024 * 1024, // 磁盘缓存最多200MB
+  cacheDir:
+    process.env.IMAGE_CACHE_DIR || path.join(__dirname, ".cache", "images"),
   timeout: 15000, // 15秒超时
 };
 
-// 配置静态文件服务
-app.use(express.static(path.join(__dirname, "public")));
+// 图片元数据配置
+const IMAGE_META_CONFIG = {
+  timeout: 8000, // 8秒超时
+  maxEntries: 500, // 内存中缓存500条结果
+};
+
+// 图片URL预取池配置
+const URL_POOL_CONFIG = {
+  enabled: process.env.ENABLE_URL_POOL !== "false", // 设置为false可关闭预取池
+  size: 10, // 每个图片源预取10个URL
+  lowWaterMark: 3, // 少于3个时开始补充
+  refillDelay: 1000, // 补充时每次上游调用间隔1秒
+  maxAge: 10 * 60 * 1000, // URL最长保留10分钟
+  validateImages: true, // 入池前确认URL返回图片
+};
+
+// 重复图片检测配置
+const DEDUP_CONFIG = {
+  enabled: process.env.ENABLE_DEDUP !== "false", // 设置为false可关闭重复检测
+  historySize: 500, // 记住最近500张图片
+  threshold: 5, // 感知哈希相差不超过5位（共64位）视为同一张图片
+  maxRedraws: 3, // 遇到重复图片时最多重新获取3次
+  maxBytes: 10 * 1024 * 1024, // 超过10MB的图片不检测
+  timeout: 10000, // 下载图片超时10秒
+};
+
+// 图片发放日志配置
+const SERVED_LOG_CONFIG = {
+  enabled: process.env.ENABLE_SERVED_LOG !== "false", // 设置为false可关闭日志
+  file:
+    process.env.SERVED_LOG_FILE ||
+    path.join(__dirname, ".data", "served-images.jsonl"),
+  defaultLimit: 50,
+  maxLimit: 200,
+};
+
+// 管理接口配置，图片发放日志、错误汇总和性能数据汇总共用同一个访问令牌；
+// 未设置令牌时这些接口不可用，避免默认公开会话ID和图片记录（LOG_API_TOKEN 为旧名称）
+const ADMIN_CONFIG = {
+  token: process.env.ADMIN_TOKEN || process.env.LOG_API_TOKEN || null,
+};
+
+// 前端错误上报配置
+const CLIENT_ERROR_CONFIG = {
+  enabled: process.env.ENABLE_CLIENT_ERRORS !== "false", // 设置为false可关闭错误上报
+  file:
+    process.env.CLIENT_ERROR_FILE ||
+    path.join(__dirname, ".data", "client-errors.jsonl"),
+  maxBatch: 50, // 单次最多上报50条（前端已按消息去重）
+  maxMessageLength: 1000,
+  maxStackLength: 4000,
+  defaultLimit: 50, // 汇总默认返回出现最多的50种错误
+  maxLimit: 200,
+};
+
+// 前端性能遥测配置（用户自愿开启后上报）
+const TELEMETRY_CONFIG = {
+  enabled: process.env.ENABLE_TELEMETRY !== "false", // 设置为false可关闭性能数据上报
+  file:
+    process.env.TELEMETRY_FILE ||
+    path.join(__dirname, ".data", "telemetry.jsonl"),
+  maxSamples: 200, // 单次上报每类样本最多200条
+  maxGroupSamples: 10000, // 汇总时每个图片源/设备类型最多取最近10000个样本
+  defaultDays: 7, // 汇总默认统计最近7天
+  maxDays: 90,
+  cookieName: "telemetry_session", // 汇总页面的登录Cookie
+  sessionMaxAge: 12 * 60 * 60 * 1000, // 登录12小时有效
+};
+
+// 收藏夹配置
+const COLLECTION_CONFIG = {
+  enabled: process.env.ENABLE_COLLECTIONS !== "false", // 设置为false可关闭收藏夹
+  file:
+    process.env.COLLECTIONS_FILE ||
+    path.join(__dirname, ".data", "collections.json"),
+  maxCollections: 100, // 每个客户端最多100个收藏夹
+  maxTotalCollections: 10000,
+  maxItems: 1000, // 每个收藏夹最多1000张图片
+  maxNameLength: 50,
+  defaultLimit: 50, // 分页默认每页50张
+  maxLimit: 200,
+};
+
+// 分享链接配置
+const SHARE_CONFIG = {
+  enabled: process.env.ENABLE_SHARES !== "false", // 设置为false可关闭分享链接
+  file: process.env.SHARES_FILE || path.join(__dirname, ".data", "shares.json"),
+  idLength: 8, // 短id长度
+  maxShares: 10000, // 超出时删除最早的分享
+  maxImages: 10, // 打开收藏夹分享时最多加载最新的10张，与前端队列长度一致
+};
+
+// 运行指标配置
+const METRICS_CONFIG = {
+  enabled: process.env.ENABLE_METRICS !== "false", // 设置为false可关闭 /metrics
+  token: process.env.METRICS_TOKEN || null, // 设置后 /metrics 需要携带此令牌
+};
+
+// 图片源健康检查与熔断配置
+const HEALTH_CONFIG = {
+  windowSize: 50, // 滚动窗口保留最近50次调用
+  failureThreshold: 5, // 连续失败5次后熔断
+  minSuccessRate: 0.5, // 窗口成功率低于50%时熔断
+  minSamples: 10, // 至少10个样本才按成功率判断
+  probeInterval: 30000, // 熔断后每30秒探测一次
+};
+
+// 批量获取图片配置
+const BATCH_CONFIG = {
+  maxCount: 10, // 单次最多返回10张
+  maxRounds: 2, // 上游返回重复图片时最多再补取1轮
+};
+
+// 自定义API代理配置
+const CUSTOM_API_CONFIG = {
+  timeout: 10000, // 10秒超时
+  maxImages: 50, // 列表API一次最多返回50张图片
+};
+
+// 限流配置，每个客户端IP在每类路由上有独立的令牌桶
+const RATE_LIMIT_CONFIG = {
+  enabled: process.env.ENABLE_RATE_LIMIT !== "false", // 设置为false可关闭限流
+  trustProxy: process.env.TRUST_PROXY, // 部署在反向代理后时设置（如 1 或 loopback），按真实客户端IP限流
+  routes: {
+    image: { capacity: 30, refillPerSecond: 2 }, // /api/image 和 /api/image/:provider
+    custom: { capacity: 10, refillPerSecond: 0.5 }, // /api/custom
+    proxy: { capacity: 60, refillPerSecond: 5 }, // /api/proxy
+    errors: { capacity: 10, refillPerSecond: 0.2 }, // POST /api/errors
+    telemetry: { capacity: 5, refillPerSecond: 0.1 }, // POST /api/telemetry
+    login: { capacity: 5, refillPerSecond: 0.05 }, // POST /telemetry/login，限制猜测令牌
+    collections: { capacity: 30, refillPerSecond: 1 }, // 收藏夹的新建、修改、删除
+    shares: { capacity: 20, refillPerSecond: 0.5 }, // POST /api/shares
+  },
+};
+
+// 出站请求策略配置，所有服务端发起的请求都受此限制
+const OUTBOUND_POLICY_CONFIG = {
+  allowedProtocols: ["http:", "https:"],
+  allowedPorts: (readListEnv("OUTBOUND_ALLOWED_PORTS") || ["80", "443"]).map(Number),
+  allowHosts: readListEnv("OUTBOUND_ALLOW_HOSTS") || [], // 非空时只允许这些主机
+  denyHosts: readListEnv("OUTBOUND_DENY_HOSTS") || [],
+  blockPrivateNetworks: process.env.OUTBOUND_ALLOW_PRIVATE !== "true", // 拒绝内网、回环、链路本地地址
+  maxResponseBytes: 20 * 1024 * 1024, // 响应最大20MB
+  maxRedirects: 3, // 最多跟随3次重定向
+};
+
+// 模拟模式下只放行本机的模拟上游（图片源接口由配置中的 allowPrivateNetwork 放行，
+// 这里放行的是代理、重复检测等对模拟图片地址的请求），其余内网地址仍然拒绝
+if (MOCK_CONFIG.enabled) {
+  OUTBOUND_POLICY_CONFIG.allowPrivateHosts = [`127.0.0.1:${MOCK_CONFIG.port}`];
+  logger.warn("模拟模式已启用，出站请求允许访问本机的模拟上游", {
+    upstream: `127.0.0.1:${MOCK_CONFIG.port}`,
+  });
+}
+
+const outboundPolicy = new OutboundPolicy(OUTBOUND_POLICY_CONFIG);
+
+// 模拟上游需要在加载图片源之前启动
+const mockServer = MOCK_CONFIG.enabled
+  ? startMockUpstream({ port: MOCK_CONFIG.port })
+  : null;
+
+// 图片源注册表
+const registry = new ProviderRegistry(PROVIDERS_CONFIG_PATH, {
+  policy: outboundPolicy,
+});
+registry.load();
+registry.watch();
+
+// 图片源健康状态，所有上游调用都经过熔断器
+const providerHealth = new ProviderHealthTracker(HEALTH_CONFIG);
+providerHealth.sync(registry.list());
+registry.on("reload", (providers) => providerHealth.sync(providers));
+
+// 运行指标，由 /metrics 按Prometheus文本格式输出
+const metrics = new MetricsRegistry();
+const httpRequests = metrics.counter({
+  name: "http_requests_total",
+  help: "HTTP requests by route, method and status code",
+  labelNames: ["route", "method", "status"],
+});
+const upstreamDuration = metrics.histogram({
+  name: "upstream_request_duration_seconds",
+  help: "Upstream image API latency by provider and outcome",
+  labelNames: ["provider", "outcome"],
+});
+const imageFetchErrors = metrics.counter({
+  name: "image_fetch_errors_total",
+  help: "Failed /api/image and /api/images requests by route, provider and reason",
+  labelNames: ["route", "provider", "reason"],
+});
 
 /**
- * API代理服务 - 处理JSON类型的图片API
- * 处理返回JSON格式的API，从响应体中提取图片URL
+ * 归类图片获取失败的原因
+ * @param {Error} error - 上游调用或参数校验抛出的错误
+ * @returns {string} invalid_request（请求参数无效）、timeout、parse、unavailable（熔断）或 upstream
  */
-function handleRedirectImageProxy(req, res) {
-  // 设置CORS头
-  res.header("Access-Control-Allow-Origin", "*");
-  res.header("Access-Control-Allow-Methods", "GET");
-  res.header("Access-Control-Allow-Headers", "Content-Type");
+function classifyFetchError(error) {
+  if (error.status === 400) return "invalid_request";
+  if (error.status === 408) return "timeout";
+  if (error.msg === "数据解析失败") return "parse";
+  if (error.status === 503) return "unavailable";
+  return "upstream";
+}
 
-  console.log("正在获取图片（JSON API）...");
+/**
+ * 调用图片源并记录上游耗时，熔断器拒绝的调用不计入
+ * @param {Object} provider - 图片源实例
+ * @param {Object} params - 图片源参数
+ * @returns {Promise<Object>} 图片信息
+ */
+async function timedFetchImage(provider, params) {
+  const stopTimer = upstreamDuration.startTimer({ provider: provider.id });
+  try {
+    const image = await provider.fetchImage(params);
+    stopTimer({ outcome: "success" });
+    return image;
+  } catch (error) {
+    stopTimer({ outcome: classifyFetchError(error) });
+    throw error;
+  }
+}
 
-  let responseHandled = false; // 添加响应状态跟踪
+// 重复图片检测，所有图片源共享最近出现过的图片
+const duplicateDetector = DEDUP_CONFIG.enabled
+  ? new DuplicateDetector({ ...DEDUP_CONFIG, policy: outboundPolicy })
+  : null;
 
-  // 使用https模块调用JSON API
-  const request = https.get(REDIRECT_API_URL, (apiRes) => {
-    let data = "";
+// 重复检测时已下载确认返回图片的结果，预取池不再重复下载校验
+const verifiedImages = new WeakSet();
 
-    // 接收数据
-    apiRes.on("data", (chunk) => {
-      data += chunk;
-    });
+/**
+ * 通过熔断器从图片源获取图片，与最近出现过的图片重复时重新获取
+ * 只有使用默认参数的调用计入熔断统计，避免任何人用无效的分类等参数让图片源对所有人熔断
+ * @param {Object} provider - 图片源实例
+ * @param {Object} params - 图片源参数（如分类），缺省时使用默认参数
+ * @returns {Promise<Object>} 图片信息，重新获取次数用完时返回最后一张
+ */
+async function fetchFromProvider(provider, params) {
+  const track = !params || Object.keys(params).length === 0;
+  let image;
+  for (let attempt = 0; attempt <= DEDUP_CONFIG.maxRedraws; attempt++) {
+    image = await providerHealth.execute(
+      provider,
+      () => timedFetchImage(provider, params),
+      { track }
+    );
+    if (!duplicateDetector || provider.dedupe === false) {
+      return image;
+    }
 
-    // 数据接收完成
-    apiRes.on("end", () => {
-      if (responseHandled) return;
-
-      try {
-        const jsonData = JSON.parse(data);
-
-        // 验证响应数据格式
-        if (!jsonData || typeof jsonData.url !== "string") {
-          throw new Error("API返回数据格式不正确");
-        }
-
-        // 检查API返回的状态码
-        if (jsonData.code !== 200) {
-          throw new Error(`API返回错误状态码: ${jsonData.code}`);
-        }
-
-        console.log("图片获取成功（JSON API）:", jsonData.url);
-        console.log("API信息:", {
-          amount: jsonData.amount,
-          class: jsonData.class,
-          classname: jsonData.classname,
-          author: jsonData.author,
-        });
-
-        // 返回格式化的响应
-        responseHandled = true;
-        res.json({
-          success: true,
-          code: jsonData.code,
-          msg: "获取成功",
-          url: jsonData.url,
-          amount: jsonData.amount,
-          class: jsonData.class,
-          classname: jsonData.classname,
-          author: jsonData.author,
-          timestamp: Date.now(),
-        });
-      } catch (parseError) {
-        console.error("JSON API数据解析错误:", parseError.message);
-        responseHandled = true;
-        res.status(500).json({
-          success: false,
-          code: 500,
-          msg: "数据解析失败",
-          error: parseError.message,
-          timestamp: Date.now(),
-        });
+    const result = await duplicateDetector.check(image.url);
+    if (!result.duplicate) {
+      if (result.isImage) {
+        verifiedImages.add(image);
       }
+      return image;
+    }
+    logger.info("重复图片，重新获取", {
+      provider: provider.id,
+      reason: result.reason,
+      url: image.url,
     });
+  }
+  return image;
+}
+
+// 图片发放日志
+const servedImageLog = SERVED_LOG_CONFIG.enabled
+  ? new ServedImageLog({ file: SERVED_LOG_CONFIG.file })
+  : null;
+if (servedImageLog) {
+  servedImageLog.init();
+}
+
+/**
+ * 记录返回给前端的图片
+ * @param {Object} req - Express请求对象
+ * @param {Object} provider - 图片源实例
+ * @param {Object} params - 请求的图片源参数
+ * @param {Object} image - 图片信息
+ * @param {Object} options - 附加信息 { route, pooled }
+ */
+function recordServedImage(req, provider, params, image, { route, pooled }) {
+  if (!servedImageLog) return;
+
+  // 分类取请求参数，未指定时取图片源声明的默认值
+  const categoryParameter = provider.categoryParameter;
+  const category = categoryParameter
+    ? params[categoryParameter] ?? provider.parameters[categoryParameter].default
+    : null;
+
+  servedImageLog.append({
+    provider: provider.id,
+    url: image.url,
+    category: category ?? null,
+    author: image.author ?? null,
+    sessionId: readSessionId(req),
+    route,
+    pooled,
   });
+}
 
-  // 处理请求错误
-  request.on("error", (error) => {
-    console.error("JSON API代理错误:", error.message);
-
-    if (!responseHandled) {
-      responseHandled = true;
-      res.status(500).json({
-        success: false,
-        code: 500,
-        msg: "图片获取失败",
-        error: error.message,
-        timestamp: Date.now(),
-      });
-    }
+// 前端错误存储
+const clientErrorStore = CLIENT_ERROR_CONFIG.enabled
+  ? new ClientErrorStore(CLIENT_ERROR_CONFIG)
+  : null;
+if (clientErrorStore) {
+  clientErrorStore.init();
+}
+
+// 前端性能遥测存储
+const telemetryStore = TELEMETRY_CONFIG.enabled
+  ? new TelemetryStore(TELEMETRY_CONFIG)
+  : null;
+if (telemetryStore) {
+  telemetryStore.init();
+}
+
+// 收藏夹存储
+const collectionStore = COLLECTION_CONFIG.enabled
+  ? new CollectionStore(COLLECTION_CONFIG)
+  : null;
+if (collectionStore) {
+  const migrated = collectionStore.init();
+  if (migrated) {
+    logger.warn("升级前创建的收藏夹已迁移到同一个同步码下，在 ⭐ 弹窗中输入文件中的同步码即可找回", migrated);
+  }
+}
+
+// 分享链接存储
+const shareStore = SHARE_CONFIG.enabled ? new ShareStore(SHARE_CONFIG) : null;
+if (shareStore) {
+  shareStore.init();
+}
+
+/**
+ * 记录自定义API返回的图片
+ * @param {Object} req - Express请求对象
+ * @param {string} url - 图片URL
+ */
+function recordCustomImage(req, url) {
+  if (!servedImageLog) return;
+
+  servedImageLog.append({
+    provider: "custom",
+    url,
+    sessionId: readSessionId(req),
+    route: "custom",
   });
+}
+
+/**
+ * 读取请求中图片源声明过的参数
+ * @param {Object} provider - 图片源实例
+ * @param {Object} query - 请求查询参数
+ * @returns {Object} 与默认值不同的参数，参数不合法时抛出400错误
+ */
+function resolveProviderParams(provider, query) {
+  return typeof provider.resolveParams === "function" ? provider.resolveParams(query) : {};
+}
 
-  // 设置请求超时
-  request.setTimeout(10000, () => {
-    request.destroy();
-    if (!responseHandled) {
-      responseHandled = true;
-      res.status(408).json({
-        success: false,
-        code: 408,
-        msg: "请求超时",
-        error: "Request timeout",
-        timestamp: Date.now(),
-      });
+// 图片URL预取池，图片源配置变化时重建
+const urlPool = URL_POOL_CONFIG.enabled
+  ? new UrlPool({
+      ...URL_POOL_CONFIG,
+      fetchImage: fetchFromProvider,
+      isVerified: (image) => verifiedImages.has(image),
+      policy: outboundPolicy,
+    })
+  : null;
+if (urlPool) {
+  urlPool.sync(registry.list());
+  registry.on("reload", (providers) => urlPool.sync(providers));
+}
+
+if (RATE_LIMIT_CONFIG.trustProxy) {
+  app.set("trust proxy", RATE_LIMIT_CONFIG.trustProxy);
+}
+
+// 各路由的令牌桶
+const rateLimiters = new Map();
+
+/**
+ * 获取路由的限流中间件，关闭限流时直接放行
+ * @param {string} route - RATE_LIMIT_CONFIG.routes中的路由名
+ * @param {Object} options - 中间件选项，见createRateLimitMiddleware
+ * @returns {Function} Express中间件
+ */
+function rateLimit(route, options) {
+  if (!RATE_LIMIT_CONFIG.enabled) {
+    return (req, res, next) => next();
+  }
+
+  if (!rateLimiters.has(route)) {
+    rateLimiters.set(route, new TokenBucketLimiter(RATE_LIMIT_CONFIG.routes[route]));
+  }
+  return createRateLimitMiddleware(rateLimiters.get(route), options);
+}
+
+// 按路由统计请求数，路由取注册时的路径模板，避免路径参数产生过多序列
+// 挂载在路径上的中间件（如收藏夹、分享的前置校验）直接响应时取挂载路径
+app.use((req, res, next) => {
+  res.on("finish", () => {
+    let route = "static";
+    if (req.route) {
+      route = req.route.path;
+    } else if (req.baseUrl) {
+      route = req.baseUrl;
+    } else if (res.statusCode === 404) {
+      route = "unmatched";
     }
+    httpRequests.inc({ route, method: req.method, status: res.statusCode });
   });
+  next();
+});
+
+// API请求分配请求ID，通过 X-Request-Id 响应头返回，日志中附带该ID
+app.use("/api", createRequestContextMiddleware({ logger }));
+
+// 配置静态文件服务
+app.use(express.static(path.join(__dirname, "public")));
+
+/**
+ * 格式化返回给前端的图片信息：站内地址转为绝对地址，并附加图片代理地址
+ * @param {Object} req - Express请求对象
+ * @param {Object} image - 图片源返回的图片信息
+ * @returns {Object}
+ */
+function formatImage(req, image) {
+  // 本地图片源返回站内地址，无需经过图片代理
+  const isLocalImage = image.url.startsWith("/");
+
+  return {
+    ...image,
+    url: toAbsoluteUrl(req, image.url),
+    proxyUrl:
+      IMAGE_PROXY_CONFIG.enableProxy && !isLocalImage
+        ? buildProxyUrl(image.url)
+        : undefined,
+  };
 }
 
 /**
  * API代理服务 - 获取图片
- * 处理对第三方API的代理转发，包含错误处理和响应格式化
+ * 按路由参数选择图片源（缺省为默认图片源），查询参数可指定图片源声明的参数（如分类）。
+ * 使用默认参数时优先从预取池取出，池为空时直接调用上游API，返回格式化的响应
  */
-function handleImageProxy(req, res) {
-  // 设置CORS头
-  res.header("Access-Control-Allow-Origin", "*");
-  res.header("Access-Control-Allow-Methods", "GET");
-  res.header("Access-Control-Allow-Headers", "Content-Type");
+async function handleImageProxy(req, res) {
+  setCorsHeaders(res);
 
-  console.log("正在获取图片...");
+  const provider = registry.get(req.params.provider);
+  if (!provider) {
+    sendError(res, 404, "图片源不存在", `Unknown provider: ${req.params.provider}`);
+    return;
+  }
 
-  let responseHandled = false; // 添加响应状态跟踪
+  try {
+    // 预取池只缓存默认参数的图片
+    const params = resolveProviderParams(provider, req.query);
+    const useDefaultParams = Object.keys(params).length === 0;
+    const pooledImage = urlPool && useDefaultParams ? urlPool.take(provider) : null;
+    let image = pooledImage;
 
-  // 使用https模块调用第三方API
-  const request = https.get(EXTERNAL_API_URL, (apiRes) => {
-    let data = "";
+    if (!image) {
+      req.log.debug("正在获取图片", { provider: provider.id });
+      image = await fetchFromProvider(provider, params);
+      req.log.info("图片获取成功", { provider: provider.id, url: image.url });
+    }
 
-    // 接收数据
-    apiRes.on("data", (chunk) => {
-      data += chunk;
+    recordServedImage(req, provider, params, image, {
+      route: "image",
+      pooled: Boolean(pooledImage),
     });
 
-    // 数据接收完成
-    apiRes.on("end", () => {
-      if (responseHandled) return;
-
-      try {
-        const jsonData = JSON.parse(data);
-
-        // 验证响应数据格式
-        if (!jsonData || typeof jsonData.url !== "string") {
-          throw new Error("API返回数据格式不正确");
-        }
-
-        console.log("图片获取成功:", jsonData.url);
-
-        // 返回格式化的响应
-        responseHandled = true;
-        res.json({
-          success: true,
-          code: jsonData.code || 200,
-          msg: jsonData.msg || "获取成功",
-          url: jsonData.url,
-          timestamp: Date.now(),
-        });
-      } catch (parseError) {
-        console.error("数据解析错误:", parseError.message);
-        responseHandled = true;
-        res.status(500).json({
-          success: false,
-          code: 500,
-          msg: "数据解析失败",
-          error: parseError.message,
-          timestamp: Date.now(),
-        });
+    res.json({
+      success: true,
+      ...formatImage(req, image),
+      provider: provider.id,
+      pooled: Boolean(pooledImage),
+      timestamp: Date.now(),
+    });
+  } catch (error) {
+    req.log.error("图片获取失败", { provider: provider.id, error });
+    imageFetchErrors.inc({
+      route: "image",
+      provider: provider.id,
+      reason: classifyFetchError(error),
+    });
+    sendError(res, error.status || 500, error.msg || "图片获取失败", error.message);
+  }
+}
+
+/**
+ * 批量获取图片服务 - 一次返回多张去重后的图片
+ * 查询参数: count（1~BATCH_CONFIG.maxCount）、provider（缺省为默认图片源），
+ * 以及图片源声明的参数（如分类）
+ * 先从预取池取出，不足部分并发请求上游；至少取到一张即返回成功
+ */
+async function handleBatchImages(req, res) {
+  setCorsHeaders(res);
+
+  const count = Number(req.query.count || 1);
+  if (!Number.isInteger(count) || count < 1 || count > BATCH_CONFIG.maxCount) {
+    sendError(
+      res,
+      400,
+      "图片数量无效",
+      `Query parameter count must be an integer between 1 and ${BATCH_CONFIG.maxCount}`
+    );
+    return;
+  }
+
+  const provider = registry.get(req.query.provider);
+  if (!provider) {
+    sendError(res, 404, "图片源不存在", `Unknown provider: ${req.query.provider}`);
+    return;
+  }
+
+  let params;
+  try {
+    params = resolveProviderParams(provider, req.query);
+  } catch (error) {
+    imageFetchErrors.inc({
+      route: "images",
+      provider: provider.id,
+      reason: classifyFetchError(error),
+    });
+    sendError(res, error.status || 400, error.msg || "参数无效", error.message);
+    return;
+  }
+
+  const images = [];
+  const seenUrls = new Set();
+  const addImage = (image, pooled) => {
+    if (images.length >= count || seenUrls.has(image.url)) return;
+    seenUrls.add(image.url);
+    images.push({ ...formatImage(req, image), pooled });
+    recordServedImage(req, provider, params, image, { route: "images", pooled });
+  };
+
+  // 预取池只缓存默认参数的图片
+  while (urlPool && Object.keys(params).length === 0 && images.length < count) {
+    const pooledImage = urlPool.take(provider);
+    if (!pooledImage) break;
+    addImage(pooledImage, true);
+  }
+
+  let lastError = null;
+  let round = 0;
+  while (images.length < count && round < BATCH_CONFIG.maxRounds) {
+    round++;
+    const missing = count - images.length;
+    req.log.debug("正在批量获取图片", { provider: provider.id, count: missing });
+
+    const results = await Promise.allSettled(
+      Array.from({ length: missing }, () => fetchFromProvider(provider, params))
+    );
+    for (const result of results) {
+      if (result.status === "fulfilled") {
+        addImage(result.value, false);
+      } else {
+        lastError = result.reason;
       }
+    }
+
+    // 上游全部失败时不再重试
+    if (results.every((result) => result.status === "rejected")) break;
+  }
+
+  if (images.length === 0) {
+    req.log.error("批量获取图片失败", { provider: provider.id, error: lastError });
+    imageFetchErrors.inc({
+      route: "images",
+      provider: provider.id,
+      reason: lastError ? classifyFetchError(lastError) : "upstream",
     });
+    sendError(
+      res,
+      lastError?.status || 500,
+      lastError?.msg || "图片获取失败",
+      lastError?.message || "No images available"
+    );
+    return;
+  }
+
+  res.json({
+    success: true,
+    code: 200,
+    msg: "获取成功",
+    provider: provider.id,
+    count: images.length,
+    images,
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * 健康检查服务 - 报告每个图片源的熔断状态、成功率和延迟分位数
+ * 所有图片源都不可用时返回503，便于监控告警
+ */
+function handleHealthCheck(req, res) {
+  setCorsHeaders(res);
+
+  const poolStats = urlPool ? urlPool.getStats() : {};
+  const providers = {};
+  for (const provider of registry.list()) {
+    providers[provider.id] = {
+      name: provider.name,
+      ...providerHealth.getReport(provider.id),
+      poolDepth: poolStats[provider.id] || 0,
+    };
+  }
+
+  const reports = Object.values(providers);
+  const openCount = reports.filter(
+    (report) => report.state !== CIRCUIT_STATES.CLOSED
+  ).length;
+  let status = "ok";
+  if (openCount === reports.length) {
+    status = "down";
+  } else if (openCount > 0) {
+    status = "degraded";
+  }
+
+  res.status(status === "down" ? 503 : 200).json({
+    status,
+    defaultProvider: registry.defaultId,
+    providers,
+    duplicates: duplicateDetector ? duplicateDetector.getStats() : null,
+    timestamp: Date.now(),
   });
+}
+
+/**
+ * 图片源列表服务 - 返回所有图片源及其可用参数（如分类），供前端选择
+ */
+function handleProviderList(req, res) {
+  setCorsHeaders(res);
+
+  res.json({
+    success: true,
+    defaultProvider: registry.defaultId,
+    providers: registry.list().map((provider) => provider.describe()),
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * 检查请求是否携带访问令牌
+ * @param {Object} req - Express请求对象
+ * @param {string|null} token - 配置的令牌，未配置时不需要令牌
+ * @returns {boolean}
+ */
+function hasBearerToken(req, token) {
+  return !token || safeEqual(req.get("Authorization") || "", `Bearer ${token}`);
+}
 
-  // 处理请求错误
-  request.on("error", (error) => {
-    console.error("API代理错误:", error.message);
-
-    if (!responseHandled) {
-      responseHandled = true;
-      res.status(500).json({
-        success: false,
-        code: 500,
-        msg: "图片获取失败",
-        error: error.message,
-        timestamp: Date.now(),
-      });
+/**
+ * 按固定时间比较两个字符串，避免通过响应时间猜测令牌
+ * @param {string} a - 字符串
+ * @param {string} b - 字符串
+ * @returns {boolean}
+ */
+function safeEqual(a, b) {
+  const left = Buffer.from(a);
+  const right = Buffer.from(b);
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+/**
+ * 检查管理接口的访问令牌，未配置 ADMIN_TOKEN 时接口不可用
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @returns {boolean} 允许访问时为true，否则已返回错误响应
+ */
+function requireAdminToken(req, res) {
+  if (!ADMIN_CONFIG.token) {
+    sendError(res, 403, "管理接口未启用", "Set ADMIN_TOKEN to enable this endpoint");
+    return false;
+  }
+  if (!hasBearerToken(req, ADMIN_CONFIG.token)) {
+    sendError(res, 401, "需要访问令牌", "Missing or invalid bearer token");
+    return false;
+  }
+  return true;
+}
+
+/**
+ * 读取时间查询参数，支持毫秒时间戳和ISO日期
+ * @param {string} value - 查询参数
+ * @returns {number|null} 毫秒时间戳，未指定时返回null，格式无效时返回NaN
+ */
+function readTimeParam(value) {
+  if (value === undefined || value === "") return null;
+  return /^\d+$/.test(value) ? Number(value) : Date.parse(value);
+}
+
+/**
+ * 图片发放日志查询服务 - 按图片源、分类、作者、会话、时间过滤并分页，最新的在前
+ * 查询参数: provider, category, author, session, url（包含）, since, until, offset, limit
+ */
+async function handleServedLog(req, res) {
+  setCorsHeaders(res);
+
+  if (!servedImageLog) {
+    sendError(res, 404, "图片发放日志未启用", "Served image log is disabled");
+    return;
+  }
+
+  if (!requireAdminToken(req, res)) return;
+
+  const offset = Number(req.query.offset || 0);
+  const limit = Number(req.query.limit || SERVED_LOG_CONFIG.defaultLimit);
+  const since = readTimeParam(req.query.since);
+  const until = readTimeParam(req.query.until);
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    sendError(res, 400, "分页参数无效", "Query parameter offset must be a non-negative integer");
+    return;
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > SERVED_LOG_CONFIG.maxLimit) {
+    sendError(
+      res,
+      400,
+      "分页参数无效",
+      `Query parameter limit must be an integer between 1 and ${SERVED_LOG_CONFIG.maxLimit}`
+    );
+    return;
+  }
+  if (Number.isNaN(since) || Number.isNaN(until)) {
+    sendError(res, 400, "时间参数无效", "Query parameters since/until must be timestamps or ISO dates");
+    return;
+  }
+
+  const filters = { since, until };
+  for (const key of ["provider", "category", "author", "session", "url"]) {
+    if (typeof req.query[key] === "string" && req.query[key]) {
+      filters[key] = req.query[key];
     }
+  }
+
+  try {
+    const { total, entries } = await servedImageLog.query(filters, { offset, limit });
+    res.json({
+      success: true,
+      code: 200,
+      total,
+      offset,
+      limit,
+      entries,
+      timestamp: Date.now(),
+    });
+  } catch (error) {
+    req.log.error("图片发放日志查询失败", { error });
+    sendError(res, 500, "日志查询失败", error.message);
+  }
+}
+
+/**
+ * 前端错误上报服务 - 接收前端批量上报的错误（已按消息去重），连同浏览器信息一起保存
+ * 请求体: { sessionId, page, browser, errors: [{ message, sources, stack, context, requestId, count, firstSeen, lastSeen }] }
+ */
+function handleClientErrors(req, res) {
+  setCorsHeaders(res);
+
+  if (!clientErrorStore) {
+    sendError(res, 404, "错误上报未启用", "Client error reporting is disabled");
+    return;
+  }
+
+  let report;
+  try {
+    report = clientErrorStore.normalize(req.body);
+  } catch (error) {
+    sendError(res, error.status || 400, error.msg || "上报格式无效", error.message);
+    return;
+  }
+
+  const accepted = clientErrorStore.append(report, { userAgent: req.get("User-Agent") });
+  req.log.debug("已接收前端错误", { sessionId: report.sessionId, count: accepted });
+  res.status(202).json({
+    success: true,
+    code: 202,
+    msg: "已接收",
+    accepted,
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * 前端错误汇总服务 - 按错误消息汇总出现次数、会话数、来源和浏览器分布，出现最多的在前
+ * 查询参数: since（毫秒时间戳或ISO日期）, limit
+ */
+async function handleClientErrorSummary(req, res) {
+  setCorsHeaders(res);
+
+  if (!clientErrorStore) {
+    sendError(res, 404, "错误上报未启用", "Client error reporting is disabled");
+    return;
+  }
+
+  if (!requireAdminToken(req, res)) return;
+
+  const limit = Number(req.query.limit || CLIENT_ERROR_CONFIG.defaultLimit);
+  const since = readTimeParam(req.query.since);
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > CLIENT_ERROR_CONFIG.maxLimit) {
+    sendError(
+      res,
+      400,
+      "分页参数无效",
+      `Query parameter limit must be an integer between 1 and ${CLIENT_ERROR_CONFIG.maxLimit}`
+    );
+    return;
+  }
+  if (Number.isNaN(since)) {
+    sendError(res, 400, "时间参数无效", "Query parameter since must be a timestamp or ISO date");
+    return;
+  }
+
+  try {
+    const { total, errors } = await clientErrorStore.summarize({ since, limit });
+    res.json({
+      success: true,
+      code: 200,
+      total,
+      errors,
+      timestamp: Date.now(),
+    });
+  } catch (error) {
+    req.log.error("前端错误汇总失败", { error });
+    sendError(res, 500, "错误汇总失败", error.message);
+  }
+}
+
+/**
+ * 性能数据上报服务 - 接收前端自愿上报的匿名性能数据
+ * 请求体: { deviceType, config, imageLoads: [{ provider, ms }], apiCalls: [{ provider, ms, ok }], cache: { hits, misses } }
+ */
+function handleTelemetryUpload(req, res) {
+  setCorsHeaders(res);
+
+  if (!telemetryStore) {
+    sendError(res, 404, "性能数据上报未启用", "Telemetry is disabled");
+    return;
+  }
+
+  let report;
+  try {
+    report = telemetryStore.normalize(req.body);
+  } catch (error) {
+    sendError(res, error.status || 400, error.msg || "上报格式无效", error.message);
+    return;
+  }
+
+  telemetryStore.append(report);
+  res.status(202).json({
+    success: true,
+    code: 202,
+    msg: "已接收",
+    timestamp: Date.now(),
   });
+}
+
+/**
+ * 性能数据上报的前置检查 - 未启用时返回404，未配置管理令牌时返回403
+ * @param {Object} res - Express响应对象
+ * @returns {boolean} 可以继续处理时为true，否则已返回错误响应
+ */
+function requireTelemetrySummary(res) {
+  if (!telemetryStore) {
+    sendError(res, 404, "性能数据上报未启用", "Telemetry is disabled");
+    return false;
+  }
+  if (!ADMIN_CONFIG.token) {
+    sendError(res, 403, "管理接口未启用", "Set ADMIN_TOKEN to enable this endpoint");
+    return false;
+  }
+  return true;
+}
+
+/**
+ * 读取性能数据汇总的统计天数，不合法时返回错误响应
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @returns {number|null} 统计天数，已返回错误响应时为null
+ */
+function readTelemetryDays(req, res) {
+  const days = Number(req.query.days || TELEMETRY_CONFIG.defaultDays);
+  if (!Number.isInteger(days) || days < 1 || days > TELEMETRY_CONFIG.maxDays) {
+    sendError(
+      res,
+      400,
+      "统计天数无效",
+      `Query parameter days must be an integer between 1 and ${TELEMETRY_CONFIG.maxDays}`
+    );
+    return null;
+  }
+  return days;
+}
+
+/**
+ * 性能数据汇总服务 - 按图片源和设备类型返回图片加载、API调用耗时的p50/p95
+ * 查询参数: days（统计最近几天）
+ */
+async function handleTelemetrySummary(req, res) {
+  setCorsHeaders(res);
+
+  if (!requireTelemetrySummary(res) || !requireAdminToken(req, res)) return;
+  const days = readTelemetryDays(req, res);
+  if (days === null) return;
+
+  const since = Date.now() - days * 24 * 60 * 60 * 1000;
+  try {
+    const summary = await telemetryStore.summarize({ since });
+    res.json({
+      success: true,
+      code: 200,
+      since,
+      ...summary,
+      timestamp: Date.now(),
+    });
+  } catch (error) {
+    req.log.error("性能数据汇总失败", { error });
+    sendError(res, 500, "性能数据汇总失败", error.message);
+  }
+}
+
+/**
+ * 性能数据汇总页面的登录Cookie值，由管理令牌派生，Cookie中不保存令牌原文，更换令牌后自动失效
+ * @returns {string}
+ */
+function telemetrySessionValue() {
+  return crypto.createHmac("sha256", ADMIN_CONFIG.token).update("telemetry-page").digest("hex");
+}
 
-  // 设置请求超时
-  request.setTimeout(10000, () => {
-    request.destroy();
-    if (!responseHandled) {
-      responseHandled = true;
-      res.status(408).json({
-        success: false,
-        code: 408,
-        msg: "请求超时",
-        error: "Request timeout",
-        timestamp: Date.now(),
-      });
+/**
+ * 读取请求中的Cookie
+ * @param {Object} req - Express请求对象
+ * @param {string} name - Cookie名
+ * @returns {string|null}
+ */
+function readCookie(req, name) {
+  for (const part of (req.get("Cookie") || "").split(";")) {
+    const index = part.indexOf("=");
+    if (index !== -1 && part.slice(0, index).trim() === name) {
+      return part.slice(index + 1).trim();
     }
+  }
+  return null;
+}
+
+/**
+ * 读取登录表单和登录页面的统计天数，不合法时使用默认值
+ * @param {any} value - 天数
+ * @returns {number}
+ */
+function readLoginDays(value) {
+  const days = Number(value);
+  return Number.isInteger(days) && days >= 1 && days <= TELEMETRY_CONFIG.maxDays
+    ? days
+    : TELEMETRY_CONFIG.defaultDays;
+}
+
+/**
+ * 性能数据汇总页面 - 服务端渲染的表格，未登录时显示登录表单
+ * 查询参数: days（统计最近几天）
+ */
+async function handleTelemetryPage(req, res) {
+  if (!requireTelemetrySummary(res)) return;
+  res.set({ "Cache-Control": "no-store", "Referrer-Policy": "no-referrer" });
+
+  const session = readCookie(req, TELEMETRY_CONFIG.cookieName);
+  if (!session || !safeEqual(session, telemetrySessionValue())) {
+    res
+      .status(401)
+      .type("html")
+      .send(renderTelemetryLoginPage({ days: readLoginDays(req.query.days), failed: false }));
+    return;
+  }
+
+  const days = readTelemetryDays(req, res);
+  if (days === null) return;
+
+  const since = Date.now() - days * 24 * 60 * 60 * 1000;
+  try {
+    const summary = await telemetryStore.summarize({ since });
+    res.type("html").send(renderTelemetryPage(summary, { since, days }));
+  } catch (error) {
+    logger.error("性能数据汇总失败", { error });
+    sendError(res, 500, "性能数据汇总失败", error.message);
+  }
+}
+
+/**
+ * 性能数据汇总页面登录 - 表单提交管理令牌，正确时设置登录Cookie并跳转回页面
+ * 请求体（表单）: token, days
+ */
+function handleTelemetryLogin(req, res) {
+  if (!requireTelemetrySummary(res)) return;
+  res.set({ "Cache-Control": "no-store", "Referrer-Policy": "no-referrer" });
+
+  const days = readLoginDays(req.body?.days);
+  const token = typeof req.body?.token === "string" ? req.body.token : "";
+  if (!safeEqual(token, ADMIN_CONFIG.token)) {
+    logger.warn("性能数据汇总页面登录失败", { ip: req.ip });
+    res.status(401).type("html").send(renderTelemetryLoginPage({ days, failed: true }));
+    return;
+  }
+
+  res.cookie(TELEMETRY_CONFIG.cookieName, telemetrySessionValue(), {
+    httpOnly: true,
+    sameSite: "strict",
+    secure: req.secure,
+    path: "/telemetry",
+    maxAge: TELEMETRY_CONFIG.sessionMaxAge,
   });
+  res.redirect(303, `/telemetry?days=${days}`);
+}
+
+/**
+ * 收藏夹路由的前置检查 - 未启用时返回404，缺少客户端凭证（X-Client-Id）时返回401
+ * 所有者标识保存在 req.collectionOwner，收藏夹的读取和修改都只作用于该客户端的收藏夹
+ */
+function requireCollectionStore(req, res, next) {
+  setCorsHeaders(res);
+
+  if (!collectionStore) {
+    sendError(res, 404, "收藏夹未启用", "Collections are disabled");
+    return;
+  }
+  try {
+    req.collectionOwner = toOwner(req.get("X-Client-Id"));
+  } catch (error) {
+    sendError(res, error.status, error.msg, error.message);
+    return;
+  }
+  next();
 }
 
-// API代理端点 - 获取图片
-app.get("/api/image", handleImageProxy);
+/**
+ * 返回收藏夹、分享操作的错误，校验错误和找不到记录时原样返回，写入文件失败时返回500
+ * @param {Object} req - Express请求对象
+ * @param {Object} res - Express响应对象
+ * @param {Error} error - 错误对象
+ */
+function sendStoreError(req, res, error) {
+  if (error.status && error.status < 500) {
+    sendError(res, error.status, error.msg, error.message);
+    return;
+  }
 
-// API代理端点 - 获取图片（重定向API）
-app.get("/api/image/redirect", handleRedirectImageProxy);
+  req.log.error("保存失败", { error });
+  sendError(res, 500, "保存失败", error.message);
+}
+
+/**
+ * 收藏夹列表服务 - 返回当前客户端所有收藏夹的名称、图片数量和封面
+ */
+function handleCollectionList(req, res) {
+  res.json({
+    success: true,
+    code: 200,
+    collections: collectionStore.list(req.collectionOwner),
+    timestamp: Date.now(),
+  });
+}
+
+/**
+ * 新建收藏夹服务
+ * 请求体: { name }
+ */
+async function handleCollectionCreate(req, res) {
+  try {
+    const collection = await collectionStore.create(req.body, req.collectionOwner);
+    res.status(201).json({ success: true, code: 201, collection, timestamp: Date.now() });
+  } catch (error) {
+    sendStoreError(req, res, error);
+  }
+}
+
+/**
+ * 收藏夹详情服务
+ */
+function handleCollectionGet(req, res) {
+  try {
+    const collection = collectionStore.get(req.params.id, req.collectionOwner);
+    res.json({ success: true, code: 200, collection, timestamp: Date.now() });
+  } catch (error) {
+    sendStoreError(req, res, error);
+  }
+}
+
+/**
+ * 重命名收藏夹服务
+ * 请求体: { name }
+ */
+async function handleCollectionRename(req, res) {
+  try {
+    const collection = await collectionStore.rename(req.params.id, req.body, req.collectionOwner);
+    res.json({ success: true, code: 200, collection, timestamp: Date.now() });
+  } catch (error) {
+    sendStoreError(req, res, error);
+  }
+}
+
+/**
+ * 删除收藏夹服务 - 同时删除其中收藏的图片
+ */
+async function handleCollectionDelete(req, res) {
+  try {
+    await collectionStore.remove(req.params.id, req.collectionOwner);
+    res.json({ success: true, code: 200, msg: "已删除", timestamp: Date.now() });
+  } catch (error) {
+    sendStoreError(req, res, error);
+  }
+}
+
+/**
+ * 收藏夹图片列表服务 - 分页返回，最新收藏的在前
+ * 查询参数: offset, limit
+ */
+function handleCollectionItems(req, res) {
+  const offset = Number(req.query.offset || 0);
+  const limit = Number(req.query.limit || COLLECTION_CONFIG.defaultLimit);
+
+  if (!Number.isInteger(offset) || offset < 0) {
+    sendError(res, 400, "分页参数无效", "Query parameter offset must be a non-negative integer");
+    return;
+  }
+  if (!Number.isInteger(limit) || limit < 1 || limit > COLLECTION_CONFIG.maxLimit) {
+    sendError(
+      res,
+      400,
+      "分页参数无效",
+      `Query parameter limit must be an integer between 1 and ${COLLECTION_CONFIG.maxLimit}`
+    );
+    return;
+  }
+
+  try {
+    const { total, items } = collectionStore.listItems(
+      req.params.id,
+      { offset, limit },
+      req.collectionOwner
+    );
+    res.json({ success: true, code: 200, total, offset, limit, items, timestamp: Date.now() });
+  } catch (error) {
+    sendStoreError(req, res, error);
+  }
+}
+
+/**
+ * 收藏图片服务 - 同一收藏夹中已收藏过的图片返回已有条目（200），新收藏返回201
+ * 请求体: { url, provider, category, author }
+ */
+async function handleCollectionItemAdd(req, res) {
+  try {
+    const { item, created } = await collectionStore.addItem(
+      req.params.id,
+      req.body,
+      req.collectionOwner
+    );
+    const status = created ? 201 : 200;
+    res.status(status).json({ success: true, code: status, created, item, timestamp: Date.now() });
+  } catch (error) {
+    sendStoreError(req, res, error);
+  }
+}
+
+/**
+ * 取消收藏服务
+ */
+async function handleCollectionItemDelete(req, res) {
+  try {
+    await collectionStore.removeItem(req.params.id, req.params.itemId, req.collectionOwner);
+    res.json({ success: true, code: 200, msg: "已删除", timestamp: Date.now() });
+  } catch (error) {
+    sendStoreError(req, res, error);
+  }
+}
+
+/**
+ * 分享路由的前置检查 - 未启用时返回404
+ */
+function requireShareStore(req, res, next) {
+  setCorsHeaders(res);
+
+  if (!shareStore) {
+    sendError(res, 404, "分享未启用", "Sharing is disabled");
+    return;
+  }
+  next();
+}
+
+/**
+ * 格式化收藏或分享的图片，与本站同源的地址按本地图片处理，不经过图片代理
+ * @param {Object} req - Express请求对象
+ * @param {Object} image - 图片信息 { url, provider }
+ * @returns {Object}
+ */
+function formatSavedImage(req, { url, provider }) {
+  const parsed = new URL(url);
+  const isLocalImage = parsed.host === req.get("host");
+  return formatImage(req, {
+    url: isLocalImage ? `${parsed.pathname}${parsed.search}` : url,
+    provider,
+  });
+}
+
+/**
+ * 读取分享的内容
+ * @param {Object} req - Express请求对象
+ * @param {Object} share - 分享记录
+ * @returns {{title: string, description: string, images: Object[]}} 分享的收藏夹已删除时抛出404错误
+ */
+function resolveShare(req, share) {
+  if (share.type === "image") {
+    return {
+      title: "分享的图片",
+      description: share.provider ? `来自图片源 ${share.provider}` : "来自 H5 Image Viewer",
+      images: [formatSavedImage(req, share)],
+    };
+  }
+
+  if (!collectionStore) {
+    throw new UpstreamError("Collections are disabled", 404, "收藏夹未启用");
+  }
+  // 分享链接本身就是访问凭证，不校验所有者
+  const collection = collectionStore.get(share.collectionId, null);
+  const { items } = collectionStore.listItems(
+    share.collectionId,
+    { offset: 0, limit: SHARE_CONFIG.maxImages },
+    null
+  );
+  return {
+    title: `收藏夹「${collection.name}」`,
+    description: `共 ${collection.itemCount} 张图片`,
+    images: items.map((item) => formatSavedImage(req, item)),
+  };
+}
+
+/**
+ * 创建分享服务 - 为图片或收藏夹生成短id，重复分享返回已有的id，只能分享自己的收藏夹
+ * 请求体: { url, provider } 或 { collectionId }
+ */
+async function handleShareCreate(req, res) {
+  try {
+    if (req.body && req.body.collectionId !== undefined) {
+      if (!collectionStore) {
+        throw new UpstreamError("Collections are disabled", 404, "收藏夹未启用");
+      }
+      collectionStore.get(req.body.collectionId, toOwner(req.get("X-Client-Id")));
+    }
+
+    const { share, created } = await shareStore.create(req.body);
+    const status = created ? 201 : 200;
+    res.status(status).json({
+      success: true,
+      code: status,
+      created,
+      share,
+      shareUrl: toAbsoluteUrl(req, `/s/${share.id}`),
+      timestamp: Date.now(),
+    });
+  } catch (error) {
+    sendStoreError(req, res, error);
+  }
+}
+
+/**
+ * 分享内容服务 - 返回分享的图片（收藏夹返回最新收藏的若干张），供图片浏览器优先显示
+ */
+function handleShareGet(req, res) {
+  const share = shareStore.get(req.params.id);
+  if (!share) {
+    sendError(res, 404, "分享不存在", `Share not found: ${req.params.id}`);
+    return;
+  }
+
+  try {
+    res.json({
+      success: true,
+      code: 200,
+      share,
+      ...resolveShare(req, share),
+      timestamp: Date.now(),
+    });
+  } catch (error) {
+    sendStoreError(req, res, error);
+  }
+}
+
+/**
+ * 分享页面服务 - 输出带Open Graph标签的页面，浏览器打开时跳转到图片浏览器
+ */
+function handleSharePage(req, res) {
+  const share = shareStore && shareStore.get(req.params.id);
+  let content;
+  try {
+    content = share ? resolveShare(req, share) : null;
+  } catch (error) {
+    content = null;
+  }
+
+  if (!content) {
+    res.status(404).type("html").send(renderShareNotFoundPage());
+    return;
+  }
+
+  const cover = content.images[0];
+  res.type("html").send(
+    renderSharePage({
+      title: content.title,
+      description: content.description,
+      imageUrl: cover ? toAbsoluteUrl(req, cover.proxyUrl || cover.url) : null,
+      pageUrl: toAbsoluteUrl(req, `/s/${share.id}`),
+      viewerUrl: `/?share=${encodeURIComponent(share.id)}`,
+    })
+  );
+}
+
+// 健康检查端点
+app.get("/api/health", handleHealthCheck);
+
+// 图片源列表端点
+app.get("/api/providers", handleProviderList);
+
+// 图片发放日志查询端点
+app.get("/api/log", handleServedLog);
+
+// 前端错误上报端点 - 页面关闭时通过sendBeacon发送，Content-Type为text/plain
+app.post(
+  "/api/errors",
+  rateLimit("errors"),
+  express.json({ limit: "64kb", type: ["application/json", "text/plain"] }),
+  handleClientErrors
+);
+
+// 前端错误汇总端点
+app.get("/api/errors", handleClientErrorSummary);
+
+// 性能数据上报端点 - 与错误上报一样可能通过sendBeacon以text/plain发送
+app.post(
+  "/api/telemetry",
+  rateLimit("telemetry"),
+  express.json({ limit: "64kb", type: ["application/json", "text/plain"] }),
+  handleTelemetryUpload
+);
+
+// 性能数据汇总端点
+app.get("/api/telemetry", handleTelemetrySummary);
+
+// 性能数据汇总页面，通过表单登录，令牌不出现在URL中
+app.get("/telemetry", handleTelemetryPage);
+app.post(
+  "/telemetry/login",
+  rateLimit("login"),
+  express.urlencoded({ extended: false, limit: "2kb" }),
+  handleTelemetryLogin
+);
+
+// 收藏夹端点
+const collectionBody = express.json({ limit: "16kb" });
+app.use("/api/collections", requireCollectionStore);
+app.get("/api/collections", handleCollectionList);
+app.post("/api/collections", rateLimit("collections"), collectionBody, handleCollectionCreate);
+app.get("/api/collections/:id", handleCollectionGet);
+app.patch("/api/collections/:id", rateLimit("collections"), collectionBody, handleCollectionRename);
+app.delete("/api/collections/:id", rateLimit("collections"), handleCollectionDelete);
+app.get("/api/collections/:id/items", handleCollectionItems);
+app.post(
+  "/api/collections/:id/items",
+  rateLimit("collections"),
+  collectionBody,
+  handleCollectionItemAdd
+);
+app.delete(
+  "/api/collections/:id/items/:itemId",
+  rateLimit("collections"),
+  handleCollectionItemDelete
+);
+
+// 分享端点
+app.use("/api/shares", requireShareStore);
+app.post("/api/shares", rateLimit("shares"), express.json({ limit: "16kb" }), handleShareCreate);
+app.get("/api/shares/:id", handleShareGet);
+
+// 分享页面
+app.get("/s/:id", handleSharePage);
+
+// API代理端点 - 获取图片（默认图片源）
+app.get("/api/image", rateLimit("image"), handleImageProxy);
+
+// 图片元数据端点 - 只读取图片开头的字节，需注册在 /api/image/:provider 之前
+app.get(
+  "/api/image/meta",
+  rateLimit("proxy"),
+  createImageMetaHandler({
+    timeout: IMAGE_META_CONFIG.timeout,
+    maxEntries: IMAGE_META_CONFIG.maxEntries,
+    policy: outboundPolicy,
+  })
+);
+
+// API代理端点 - 获取图片（指定图片源，如 /api/image/redirect）
+app.get("/api/image/:provider", rateLimit("image"), handleImageProxy);
+
+// 批量获取图片端点 - 按请求的图片数量消耗限流令牌
+app.get(
+  "/api/images",
+  rateLimit("image", {
+    cost: (req) =>
+      Math.min(Math.max(Number(req.query.count) || 1, 1), BATCH_CONFIG.maxCount),
+  }),
+  handleBatchImages
+);
+
+/**
+ * 本地图片服务 - 提供本地目录图片源中的图片文件
+ */
+function handleLocalMedia(req, res) {
+  const provider = registry.get(req.params.provider);
+  const filePath =
+    provider && typeof provider.resolveFile === "function"
+      ? provider.resolveFile(req.params[0])
+      : null;
+
+  if (!filePath) {
+    sendError(res, 404, "图片不存在", `Media not found: ${req.path}`);
+    return;
+  }
+
+  res.sendFile(filePath, { maxAge: "1d" });
+}
+
+// 本地图片端点
+app.get("/media/:provider/*", handleLocalMedia);
+
+// 自定义API代理端点 - 由服务端转发请求，避免浏览器CORS限制
+app.post(
+  "/api/custom",
+  rateLimit("custom"),
+  express.json({ limit: "16kb" }),
+  createCustomApiHandler({
+    timeout: CUSTOM_API_CONFIG.timeout,
+    maxImages: CUSTOM_API_CONFIG.maxImages,
+    policy: outboundPolicy,
+    onImage: recordCustomImage,
+  })
+);
+
+// 图片字节代理端点 - 由服务端转发图片并缓存到磁盘
+const imageDiskCache = IMAGE_PROXY_CONFIG.enableProxy
+  ? new ImageDiskCache({
+      dir: IMAGE_PROXY_CONFIG.cacheDir,
+      maxEntries: IMAGE_PROXY_CONFIG.maxCacheSize,
+      maxBytes: IMAGE_PROXY_CONFIG.maxCacheBytes,
+      ttl: IMAGE_PROXY_CONFIG.cacheTimeout,
+    })
+  : null;
+if (imageDiskCache) {
+  imageDiskCache.init();
+
+  app.get(
+    "/api/proxy",
+    rateLimit("proxy"),
+    createImageProxyHandler({
+      cache: imageDiskCache,
+      timeout: IMAGE_PROXY_CONFIG.timeout,
+      maxAge: IMAGE_PROXY_CONFIG.cacheTimeout,
+      policy: outboundPolicy,
+    })
+  );
+}
+
+// 采集时计算的指标
+metrics.gauge({
+  name: "url_pool_depth",
+  help: "Prefetched image URLs waiting in the pool by provider",
+  labelNames: ["provider"],
+  collect: () => {
+    const poolStats = urlPool ? urlPool.getStats() : {};
+    return registry.list().map((provider) => ({
+      labels: { provider: provider.id },
+      value: poolStats[provider.id] || 0,
+    }));
+  },
+});
+metrics.gauge({
+  name: "provider_circuit_open",
+  help: "Whether the provider circuit breaker is rejecting calls (1) or not (0)",
+  labelNames: ["provider"],
+  collect: () =>
+    registry.list().map((provider) => ({
+      labels: { provider: provider.id },
+      value: providerHealth.getReport(provider.id).state === CIRCUIT_STATES.CLOSED ? 0 : 1,
+    })),
+});
+metrics.gauge({
+  name: "image_cache_hit_ratio",
+  help: "Image proxy disk cache hits / lookups since start",
+  collect: () => {
+    if (!imageDiskCache) return [];
+    const { hits, misses } = imageDiskCache.getStats();
+    return [{ value: hits + misses > 0 ? hits / (hits + misses) : 0 }];
+  },
+});
+metrics.counter({
+  name: "image_cache_lookups_total",
+  help: "Image proxy disk cache lookups since start by result",
+  labelNames: ["result"],
+  collect: () => {
+    if (!imageDiskCache) return [];
+    const { hits, misses } = imageDiskCache.getStats();
+    return [
+      { labels: { result: "hit" }, value: hits },
+      { labels: { result: "miss" }, value: misses },
+    ];
+  },
+});
+metrics.gauge({
+  name: "image_cache_bytes",
+  help: "Bytes stored in the image proxy disk cache",
+  collect: () => (imageDiskCache ? [{ value: imageDiskCache.getStats().bytes }] : []),
+});
+
+/**
+ * 运行指标服务 - 按Prometheus文本格式输出
+ */
+function handleMetrics(req, res) {
+  if (!hasBearerToken(req, METRICS_CONFIG.token)) {
+    sendError(res, 401, "需要访问令牌", "Missing or invalid bearer token");
+    return;
+  }
+
+  res.set("Content-Type", METRICS_CONTENT_TYPE);
+  res.send(metrics.render());
+}
+
+// 运行指标端点
+if (METRICS_CONFIG.enabled) {
+  app.get("/metrics", handleMetrics);
+}
 
 // 基础路由 - 服务主页面
 app.get("/", (req, res) => {
@@ -233,10 +1622,34 @@ app.get("/", (req, res) => {
 
 // 启动服务器
 const server = app.listen(PORT, () => {
-  console.log(`H5 Image Viewer server is running on port ${PORT}`);
-  console.log(`访问地址: http://localhost:${PORT}`);
-  console.log(`API代理端点: http://localhost:${PORT}/api/image`);
+  logger.info("H5 Image Viewer server is running", {
+    port: Number(PORT),
+    url: `http://localhost:${PORT}`,
+    apiEndpoint: `http://localhost:${PORT}/api/image`,
+  });
+});
+
+server.on("close", () => {
+  registry.close();
+  providerHealth.close();
+  if (urlPool) {
+    urlPool.close();
+  }
+  rateLimiters.forEach((limiter) => limiter.close());
+  if (servedImageLog) {
+    servedImageLog.close();
+  }
+  if (clientErrorStore) {
+    clientErrorStore.close();
+  }
+  if (telemetryStore) {
+    telemetryStore.close();
+  }
+  if (mockServer) {
+    mockServer.close();
+    mockServer.closeAllConnections();
+  }
 });
 
 // 导出app和server用于测试
-module.exports = { app, server, handleImageProxy, handleRedirectImageProxy };
+module.exports = { app, server, registry, handleImageProxy, handleHealthCheck };
@@ -0,0 +1,77 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * 前端错误上报测试 - 上报不需要令牌；汇总需要管理令牌，未配置时不可访问
+ */
+
+const request = require("supertest");
+const { loadServer } = require("./helpers/server");
+
+const TOKEN = "test-admin-token";
+
+describe("未配置管理令牌", () => {
+  let instance;
+
+  beforeAll(() => {
+    instance = loadServer({ ENABLE_CLIENT_ERRORS: "true", ENABLE_SERVED_LOG: "true" });
+  });
+  afterAll(() => instance.close());
+
+  test("GET /api/errors 返回403", async () => {
+    const response = await request(instance.app).get("/api/errors").expect(403);
+    expect(response.body.msg).toBe("管理接口未启用");
+  });
+});
+
+describe("配置了管理令牌", () => {
+  let instance;
+
+  beforeAll(() => {
+    instance = loadServer({ ENABLE_CLIENT_ERRORS: "true", ADMIN_TOKEN: TOKEN });
+  });
+  afterAll(() => instance.close());
+
+  test("缺少令牌时返回401", async () => {
+    await request(instance.app).get("/api/errors").expect(401);
+  });
+
+  test("上报的错误按消息汇总，出现次数多的在前", async () => {
+    await request(instance.app)
+      .post("/api/errors")
+      .send({
+        sessionId: "session-0001",
+        errors: [
+          { message: "图片加载失败", count: 3, sources: ["image-viewer"] },
+          { message: "网络错误", count: 1 },
+        ],
+      })
+      .expect(202);
+    await request(instance.app)
+      .post("/api/errors")
+      .send({ sessionId: "session-0002", errors: [{ message: "网络错误", count: 1 }] })
+      .expect(202);
+
+    // 写入流异步落盘
+    let body;
+    for (let i = 0; i < 50; i++) {
+      ({ body } = await request(instance.app)
+        .get("/api/errors")
+        .set("Authorization", `Bearer ${TOKEN}`)
+        .expect(200));
+      if (body.total === 5) break;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+
+    expect(body.total).toBe(5);
+    expect(body.errors.map((error) => [error.message, error.count])).toEqual([
+      ["图片加载失败", 3],
+      ["网络错误", 2],
+    ]);
+  });
+
+  test("格式无效的上报返回400", async () => {
+    await request(instance.app).post("/api/errors").send({ errors: [] }).expect(400);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * 收藏夹测试 - 按同步码（客户端凭证）隔离，同一同步码在任何设备上访问相同的收藏夹；
+ * 升级前没有所有者的收藏夹迁移到文件中的同步码下
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const { loadServer } = require("./helpers/server");
+
+const DEVICE_A = "a".repeat(64);
+const DEVICE_B = "b".repeat(64);
+
+describe("按同步码隔离", () => {
+  let instance;
+
+  beforeAll(() => {
+    instance = loadServer({ ENABLE_COLLECTIONS: "true" });
+  });
+  afterAll(() => instance.close());
+
+  test("缺少凭证时返回401", async () => {
+    await request(instance.app).get("/api/collections").expect(401);
+    await request(instance.app).get("/api/collections").set("X-Client-Id", "short").expect(401);
+  });
+
+  test("其他同步码看不到收藏夹，相同同步码可以访问和修改", async () => {
+    const { body: created } = await request(instance.app)
+      .post("/api/collections")
+      .set("X-Client-Id", DEVICE_A)
+      .send({ name: "风景" })
+      .expect(201);
+
+    await request(instance.app)
+      .post(`/api/collections/${created.collection.id}/items`)
+      .set("X-Client-Id", DEVICE_A)
+      .send({ url: "https://images.example/1.jpg", provider: "mock" })
+      .expect(201);
+
+    const other = await request(instance.app)
+      .get("/api/collections")
+      .set("X-Client-Id", DEVICE_B)
+      .expect(200);
+    expect(other.body.collections).toEqual([]);
+    await request(instance.app)
+      .get(`/api/collections/${created.collection.id}/items`)
+      .set("X-Client-Id", DEVICE_B)
+      .expect(404);
+
+    // 在另一台设备上输入同一同步码
+    const same = await request(instance.app)
+      .get("/api/collections")
+      .set("X-Client-Id", DEVICE_A)
+      .expect(200);
+    expect(same.body.collections).toEqual([
+      expect.objectContaining({ name: "风景", itemCount: 1, coverUrl: "https://images.example/1.jpg" }),
+    ]);
+  });
+});
+
+describe("迁移没有所有者的旧收藏夹", () => {
+  let instance;
+  let dir;
+
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "collections-test-"));
+    fs.writeFileSync(
+      path.join(dir, "collections.json"),
+      JSON.stringify({
+        collections: [
+          { id: "legacy-1", name: "旧收藏", createdAt: 1, updatedAt: 1, items: [] },
+          { id: "owned-1", owner: "0".repeat(64), name: "别人的", createdAt: 2, updatedAt: 2, items: [] },
+        ],
+      })
+    );
+    instance = loadServer({
+      ENABLE_COLLECTIONS: "true",
+      COLLECTIONS_FILE: path.join(dir, "collections.json"),
+    });
+  });
+  afterAll(async () => {
+    await instance.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("旧收藏夹可以用文件中的同步码找回", async () => {
+    const codeFile = path.join(dir, "collections-sync-code.txt");
+    const code = fs.readFileSync(codeFile, "utf8").trim();
+    expect(code).toMatch(/^[0-9a-f]{64}$/);
+    expect(fs.statSync(codeFile).mode & 0o077).toBe(0);
+
+    const response = await request(instance.app)
+      .get("/api/collections")
+      .set("X-Client-Id", code)
+      .expect(200);
+    expect(response.body.collections.map((collection) => collection.id)).toEqual(["legacy-1"]);
+  });
+
+  test("迁移结果写回文件，文件中不保存同步码原文", async () => {
+    const code = fs.readFileSync(path.join(dir, "collections-sync-code.txt"), "utf8").trim();
+    let saved;
+    for (let i = 0; i < 50; i++) {
+      saved = JSON.parse(fs.readFileSync(path.join(dir, "collections.json"), "utf8"));
+      if (saved.collections[0].owner) break;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    expect(saved.collections[0].owner).toMatch(/^[0-9a-f]{64}$/);
+    expect(saved.collections[0].owner).not.toBe(code);
+    expect(saved.collections[1].owner).toBe("0".repeat(64));
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * 重复图片检测测试 - 相同URL、相同内容和相似图片都视为重复；下载失败时不影响返回
+ */
+
+const http = require("http");
+const zlib = require("zlib");
+const { OutboundPolicy } = require("../lib/outbound-policy");
+const { DuplicateDetector } = require("../lib/duplicate-detector");
+
+const SIZE = 32;
+
+/**
+ * 生成8位灰度PNG
+ * @param {Function} pixel - (x, y) => 0~255
+ * @returns {Buffer}
+ */
+function grayPng(pixel) {
+  const chunk = (type, data) => {
+    const length = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    // 解码时不校验CRC
+    return Buffer.concat([length, Buffer.from(type, "ascii"), data, Buffer.alloc(4)]);
+  };
+
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(SIZE, 0);
+  header.writeUInt32BE(SIZE, 4);
+  header[8] = 8; // 位深
+  header[9] = 0; // 灰度
+
+  const rows = [];
+  for (let y = 0; y < SIZE; y++) {
+    const row = Buffer.alloc(SIZE + 1); // 每行开头的过滤类型为0
+    for (let x = 0; x < SIZE; x++) row[x + 1] = pixel(x, y);
+    rows.push(row);
+  }
+
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    chunk("IHDR", header),
+    chunk("IDAT", zlib.deflateSync(Buffer.concat(rows))),
+    chunk("IEND", Buffer.alloc(0)),
+  ]);
+}
+
+// 路径 -> 图片内容
+const IMAGES = {
+  "/gradient.png": grayPng((x) => x * 8),
+  "/gradient-copy.png": grayPng((x) => x * 8),
+  // 整体略微调亮，字节不同但看起来相同
+  "/gradient-brighter.png": grayPng((x) => x * 8 + 3),
+  "/reversed.png": grayPng((x, y) => 255 - y * 8),
+  "/checkerboard.png": grayPng((x, y) => ((x >> 2) + (y >> 2)) % 2 ? 255 : 0),
+};
+
+let stub;
+let stubUrl;
+let detector;
+
+beforeAll(async () => {
+  stub = http.createServer((req, res) => {
+    const image = IMAGES[req.url];
+    if (!image) {
+      res.writeHead(404);
+      res.end();
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "image/png", "Content-Length": image.length });
+    res.end(image);
+  });
+  await new Promise((resolve) => stub.listen(0, "127.0.0.1", resolve));
+  stubUrl = (pathname) => `http://127.0.0.1:${stub.address().port}${pathname}`;
+});
+
+afterAll(() => new Promise((resolve) => stub.close(resolve)));
+
+beforeEach(() => {
+  detector = new DuplicateDetector({
+    historySize: 2,
+    threshold: 5,
+    maxBytes: 1024 * 1024,
+    timeout: 2000,
+    policy: new OutboundPolicy({ blockPrivateNetworks: false, allowedPorts: null }),
+  });
+});
+
+test("首次出现的图片不重复，并确认URL返回的是图片", async () => {
+  await expect(detector.check(stubUrl("/gradient.png"))).resolves.toEqual({
+    duplicate: false,
+    isImage: true,
+  });
+});
+
+test("相同URL、相同内容和相似图片都视为重复", async () => {
+  await detector.check(stubUrl("/gradient.png"));
+
+  await expect(detector.check(stubUrl("/gradient.png"))).resolves.toMatchObject({
+    duplicate: true,
+    reason: "url",
+  });
+  await expect(detector.check(stubUrl("/gradient-copy.png"))).resolves.toMatchObject({
+    duplicate: true,
+    reason: "content",
+  });
+  await expect(detector.check(stubUrl("/gradient-brighter.png"))).resolves.toMatchObject({
+    duplicate: true,
+    reason: "perceptual",
+  });
+  await expect(detector.check(stubUrl("/reversed.png"))).resolves.toMatchObject({
+    duplicate: false,
+  });
+
+  expect(detector.getStats()).toMatchObject({ checked: 5, duplicates: 3, failures: 0 });
+});
+
+test("超出historySize后淘汰最早的图片", async () => {
+  await detector.check(stubUrl("/gradient.png"));
+  await detector.check(stubUrl("/reversed.png"));
+  // 第三张不同的图片挤掉最早的渐变图
+  await detector.check(stubUrl("/checkerboard.png"));
+
+  await expect(detector.check(stubUrl("/gradient-copy.png"))).resolves.toMatchObject({
+    duplicate: false,
+  });
+});
+
+test("下载失败时视为不重复并计入失败次数", async () => {
+  await expect(detector.check(stubUrl("/missing.png"))).resolves.toEqual({
+    duplicate: false,
+    isImage: false,
+  });
+  expect(detector.getStats().failures).toBe(1);
+});
@@ -0,0 +1,65 @@
+/**
+ * 测试辅助 - 用独立的环境变量和临时数据目录加载 server.js
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+/**
+ * 加载一个新的服务实例，默认关闭所有可选功能，数据文件写入临时目录
+ * @param {Object} env - 额外的环境变量，覆盖默认值
+ * @returns {{app: Object, server: Object, dir: string, close: Function}}
+ */
+function loadServer(env = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "server-test-"));
+  const defaults = {
+    PORT: "0",
+    LOG_LEVEL: "error",
+    PROVIDERS_CONFIG: path.join(__dirname, "..", "..", "config", "providers.mock.json"),
+    ENABLE_URL_POOL: "false",
+    ENABLE_DEDUP: "false",
+    ENABLE_SERVED_LOG: "false",
+    ENABLE_COLLECTIONS: "false",
+    ENABLE_SHARES: "false",
+    ENABLE_CLIENT_ERRORS: "false",
+    ENABLE_TELEMETRY: "false",
+    ENABLE_RATE_LIMIT: "false",
+    ENABLE_IMAGE_PROXY: "false",
+    ENABLE_METRICS: "false",
+    SERVED_LOG_FILE: path.join(dir, "served-images.jsonl"),
+    CLIENT_ERROR_FILE: path.join(dir, "client-errors.jsonl"),
+    TELEMETRY_FILE: path.join(dir, "telemetry.jsonl"),
+    COLLECTIONS_FILE: path.join(dir, "collections.json"),
+    SHARES_FILE: path.join(dir, "shares.json"),
+    IMAGE_CACHE_DIR: path.join(dir, "images"),
+  };
+
+  // 服务在加载时读取环境变量，加载后恢复，避免影响同一进程中的其他实例
+  const saved = process.env;
+  process.env = { ...saved, ...defaults, ...env };
+  for (const name of ["ADMIN_TOKEN", "LOG_API_TOKEN", "METRICS_TOKEN", "MOCK_UPSTREAM"]) {
+    if (!(name in env)) delete process.env[name];
+  }
+
+  let loaded;
+  try {
+    jest.isolateModules(() => {
+      loaded = require("../../server");
+    });
+  } finally {
+    process.env = saved;
+  }
+
+  return {
+    app: loaded.app,
+    server: loaded.server,
+    dir,
+    close: async () => {
+      await new Promise((resolve) => loaded.server.close(resolve));
+      fs.rmSync(dir, { recursive: true, force: true });
+    },
+  };
+}
+
+module.exports = { loadServer };
@@ -0,0 +1,58 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * 出站HTTP请求工具测试 - 上游在响应中途断开时请求需要以错误结束，不能一直挂起
+ */
+
+const http = require("http");
+const { OutboundPolicy } = require("../lib/outbound-policy");
+const { requestBuffer, getText } = require("../lib/http-client");
+
+let stub;
+let stubUrl;
+
+// 允许访问本机桩服务器
+const policy = new OutboundPolicy({ blockPrivateNetworks: false, allowedPorts: null });
+
+beforeAll(async () => {
+  stub = http.createServer((req, res) => {
+    if (req.url === "/reset") {
+      // 声明10字节，只发出5字节后断开连接
+      res.writeHead(200, { "Content-Type": "application/json", "Content-Length": 10 });
+      res.write("{\"a\":");
+      setTimeout(() => req.socket.destroy(), 20);
+      return;
+    }
+    if (req.url === "/reset-chunked") {
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.write("{\"a\":");
+      setTimeout(() => req.socket.destroy(), 20);
+      return;
+    }
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end("{\"a\":1}");
+  });
+  await new Promise((resolve) => stub.listen(0, "127.0.0.1", resolve));
+  stubUrl = (pathname) => `http://127.0.0.1:${stub.address().port}${pathname}`;
+});
+
+afterAll(() => new Promise((resolve) => stub.close(resolve)));
+
+describe("requestBuffer", () => {
+  test.each(["/reset", "/reset-chunked"])("上游在响应体中途断开时拒绝（%s）", async (pathname) => {
+    const startedAt = Date.now();
+    await expect(
+      requestBuffer(stubUrl(pathname), { timeout: 5000, policy })
+    ).rejects.toMatchObject({ name: "UpstreamError", status: 502, msg: "上游连接中断" });
+    // 不依赖请求超时
+    expect(Date.now() - startedAt).toBeLessThan(2000);
+  });
+
+  test("完整的响应正常返回", async () => {
+    const response = await getText(stubUrl("/"), { timeout: 5000, policy });
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body)).toEqual({ a: 1 });
+  });
+});
@@ -0,0 +1,90 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * 图片头解析测试 - 只根据文件开头的字节识别格式和尺寸
+ */
+
+const { parseImageHeader } = require("../lib/image-header");
+
+/**
+ * 只包含PNG签名和IHDR块的图片开头
+ */
+function png(width, height) {
+  const buffer = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer, 0);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write("IHDR", 12, "ascii");
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+/**
+ * JPEG开头：SOI、一个APP1段（模拟EXIF），然后是SOF0帧起始段
+ */
+function jpeg(width, height) {
+  const app1 = Buffer.from([0xff, 0xe1, 0x00, 0x08, 0x45, 0x78, 0x69, 0x66, 0x00, 0x00]);
+  const sof = Buffer.alloc(19);
+  sof.writeUInt16BE(0xffc0, 0);
+  sof.writeUInt16BE(17, 2);
+  sof[4] = 8;
+  sof.writeUInt16BE(height, 5);
+  sof.writeUInt16BE(width, 7);
+  return Buffer.concat([Buffer.from([0xff, 0xd8]), app1, sof]);
+}
+
+function gif(width, height) {
+  const buffer = Buffer.alloc(13);
+  buffer.write("GIF89a", 0, "ascii");
+  buffer.writeUInt16LE(width, 6);
+  buffer.writeUInt16LE(height, 8);
+  return buffer;
+}
+
+function webpVp8x(width, height) {
+  const buffer = Buffer.alloc(30);
+  buffer.write("RIFF", 0, "ascii");
+  buffer.write("WEBP", 8, "ascii");
+  buffer.write("VP8X", 12, "ascii");
+  buffer.writeUIntLE(width - 1, 24, 3);
+  buffer.writeUIntLE(height - 1, 27, 3);
+  return buffer;
+}
+
+test.each([
+  ["PNG", png(1920, 1080), { format: "png", mime: "image/png", width: 1920, height: 1080 }],
+  ["JPEG", jpeg(4000, 3000), { format: "jpeg", mime: "image/jpeg", width: 4000, height: 3000 }],
+  ["GIF", gif(320, 240), { format: "gif", mime: "image/gif", width: 320, height: 240 }],
+  ["WebP", webpVp8x(5000, 20), { format: "webp", mime: "image/webp", width: 5000, height: 20 }],
+])("识别%s的格式和尺寸", (name, buffer, expected) => {
+  expect(parseImageHeader(buffer)).toEqual(expected);
+});
+
+test("SVG读取宽高属性，缺少时使用viewBox", () => {
+  expect(parseImageHeader(Buffer.from('<svg width="200px" height="100" xmlns="x">'))).toMatchObject({
+    format: "svg",
+    width: 200,
+    height: 100,
+  });
+  expect(
+    parseImageHeader(Buffer.from('<?xml version="1.0"?>\n<svg viewBox="0 0 64.4 32">'))
+  ).toMatchObject({ format: "svg", width: 64, height: 32 });
+});
+
+test("字节不足以读出尺寸时只返回格式", () => {
+  expect(parseImageHeader(png(10, 10).subarray(0, 16))).toEqual({
+    format: "png",
+    mime: "image/png",
+    width: null,
+    height: null,
+  });
+  expect(parseImageHeader(jpeg(10, 10).subarray(0, 14))).toMatchObject({ format: "jpeg", width: null });
+});
+
+test("无法识别的内容返回null", () => {
+  expect(parseImageHeader(Buffer.from("<html><body>not an image</body></html>"))).toBeNull();
+  expect(parseImageHeader(Buffer.from('{"url": "https://images.example/1.jpg"}'))).toBeNull();
+  expect(parseImageHeader(Buffer.alloc(0))).toBeNull();
+});
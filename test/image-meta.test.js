@@ -0,0 +1,106 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * 图片元数据测试 - 随机图片URL每次返回新的尺寸；有 ETag 的图片带条件请求确认后才使用缓存
+ */
+
+const http = require("http");
+const express = require("express");
+const request = require("supertest");
+const { OutboundPolicy } = require("../lib/outbound-policy");
+const { createImageMetaHandler } = require("../lib/image-meta");
+
+/**
+ * 生成只包含PNG签名和IHDR块的图片开头
+ * @param {number} width - 宽度
+ * @param {number} height - 高度
+ * @returns {Buffer}
+ */
+function pngHeader(width, height) {
+  const buffer = Buffer.alloc(33);
+  Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(buffer, 0);
+  buffer.writeUInt32BE(13, 8);
+  buffer.write("IHDR", 12, "ascii");
+  buffer.writeUInt32BE(width, 16);
+  buffer.writeUInt32BE(height, 20);
+  return buffer;
+}
+
+let stub;
+let stubUrl;
+let app;
+let randomCount = 0;
+let stableVersion = 1;
+// 桩服务器收到的条件请求和完整响应次数
+let stableRequests;
+
+beforeAll(async () => {
+  stub = http.createServer((req, res) => {
+    if (req.url === "/random") {
+      // 随机图片接口：同一URL每次返回不同尺寸，不带校验信息
+      randomCount += 1;
+      res.writeHead(200, { "Content-Type": "image/png" });
+      res.end(pngHeader(100 * randomCount, 100));
+      return;
+    }
+
+    const etag = `"v${stableVersion}"`;
+    if (req.headers["if-none-match"] === etag) {
+      stableRequests.notModified += 1;
+      res.writeHead(304, { ETag: etag });
+      res.end();
+      return;
+    }
+    stableRequests.full += 1;
+    res.writeHead(200, { "Content-Type": "image/png", ETag: etag });
+    res.end(pngHeader(640 * stableVersion, 480));
+  });
+  await new Promise((resolve) => stub.listen(0, "127.0.0.1", resolve));
+  stubUrl = (pathname) => `http://127.0.0.1:${stub.address().port}${pathname}`;
+
+  app = express();
+  app.get(
+    "/api/image/meta",
+    createImageMetaHandler({
+      timeout: 2000,
+      policy: new OutboundPolicy({ blockPrivateNetworks: false, allowedPorts: null }),
+    })
+  );
+});
+
+beforeEach(() => {
+  stableRequests = { full: 0, notModified: 0 };
+});
+
+afterAll(() => new Promise((resolve) => stub.close(resolve)));
+
+test("没有校验信息的随机图片不缓存，也不允许浏览器缓存", async () => {
+  const first = await request(app).get("/api/image/meta").query({ url: stubUrl("/random") });
+  const second = await request(app).get("/api/image/meta").query({ url: stubUrl("/random") });
+
+  expect(first.body).toMatchObject({ format: "png", width: 100, height: 100, cached: false });
+  expect(second.body).toMatchObject({ width: 200, cached: false });
+  expect(second.headers["cache-control"]).toBe("no-cache");
+});
+
+test("有ETag的图片在上游返回304时使用缓存，变化后重新读取", async () => {
+  const url = stubUrl("/stable.png");
+
+  const first = await request(app).get("/api/image/meta").query({ url }).expect(200);
+  expect(first.body).toMatchObject({ width: 640, height: 480, cached: false });
+
+  const second = await request(app).get("/api/image/meta").query({ url }).expect(200);
+  expect(second.body).toMatchObject({ width: 640, cached: true });
+  expect(stableRequests).toEqual({ full: 1, notModified: 1 });
+
+  stableVersion = 2;
+  const third = await request(app).get("/api/image/meta").query({ url }).expect(200);
+  expect(third.body).toMatchObject({ width: 1280, cached: false });
+  expect(stableRequests).toEqual({ full: 2, notModified: 1 });
+});
+
+test("拒绝非http(s)地址", async () => {
+  await request(app).get("/api/image/meta").query({ url: "file:///etc/passwd" }).expect(400);
+});
@@ -0,0 +1,111 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * 图片代理测试 - 代理的图片与本站同源，响应需要带沙箱CSP；ETag按图片内容计算
+ */
+
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const express = require("express");
+const request = require("supertest");
+const { ImageDiskCache } = require("../lib/image-disk-cache");
+const { OutboundPolicy } = require("../lib/outbound-policy");
+const { createImageProxyHandler } = require("../lib/image-proxy");
+
+const SANDBOX_CSP = "default-src 'none'; style-src 'unsafe-inline'; sandbox";
+const SVG = '<svg xmlns="http://www.w3.org/2000/svg"><script>alert(1)</script></svg>';
+
+let stub;
+let stubUrl;
+let tempDir;
+let cache;
+let app;
+// 随机图片接口在同一URL下每次返回不同的内容
+let randomCount = 0;
+
+beforeAll(async () => {
+  stub = http.createServer((req, res) => {
+    if (req.url === "/evil.svg") {
+      res.writeHead(200, { "Content-Type": "image/svg+xml" });
+      res.end(SVG);
+      return;
+    }
+    randomCount += 1;
+    res.writeHead(200, { "Content-Type": "image/png" });
+    res.end(Buffer.from(`random image ${randomCount}`));
+  });
+  await new Promise((resolve) => stub.listen(0, "127.0.0.1", resolve));
+  stubUrl = (pathname) => `http://127.0.0.1:${stub.address().port}${pathname}`;
+
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "image-proxy-"));
+  cache = new ImageDiskCache({ dir: tempDir, maxEntries: 10, maxBytes: 1024 * 1024, ttl: 60000 });
+  cache.init();
+
+  app = express();
+  app.get(
+    "/api/proxy",
+    createImageProxyHandler({
+      cache,
+      timeout: 5000,
+      maxAge: 60000,
+      policy: new OutboundPolicy({ blockPrivateNetworks: false, allowedPorts: null }),
+    })
+  );
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => stub.close(resolve));
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+/**
+ * 等待缓存写入完成
+ * @param {string} url - 图片URL
+ */
+async function waitForCache(url) {
+  for (let i = 0; i < 50 && !cache.entries.has(cache.keyFor(url)); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10));
+  }
+}
+
+describe("GET /api/proxy", () => {
+  test("未命中和命中缓存时都带沙箱CSP", async () => {
+    const url = stubUrl("/evil.svg");
+
+    const miss = await request(app).get("/api/proxy").query({ url }).expect(200);
+    expect(miss.headers["x-cache"]).toBe("MISS");
+    expect(miss.headers["content-security-policy"]).toBe(SANDBOX_CSP);
+    expect(miss.headers["x-content-type-options"]).toBe("nosniff");
+
+    await waitForCache(url);
+    const hit = await request(app).get("/api/proxy").query({ url }).expect(200);
+    expect(hit.headers["x-cache"]).toBe("HIT");
+    expect(hit.headers["content-security-policy"]).toBe(SANDBOX_CSP);
+  });
+
+  test("ETag按缓存的图片内容计算，同一URL的内容变化后ETag随之变化", async () => {
+    const url = stubUrl("/random");
+
+    const miss = await request(app).get("/api/proxy").query({ url }).expect(200);
+    expect(miss.headers.etag).toBeUndefined();
+    await waitForCache(url);
+
+    const hit = await request(app).get("/api/proxy").query({ url }).expect(200);
+    const { etag } = hit.headers;
+    expect(etag).toMatch(/^"[0-9a-f]{40}"$/);
+    expect(etag).not.toBe(`"${cache.keyFor(url)}"`);
+    await request(app).get("/api/proxy").query({ url }).set("If-None-Match", etag).expect(304);
+
+    // 缓存过期后重新下载到不同的内容
+    cache.remove(cache.keyFor(url));
+    await request(app).get("/api/proxy").query({ url }).expect(200);
+    await waitForCache(url);
+    const refreshed = await request(app).get("/api/proxy").query({ url }).expect(200);
+    expect(refreshed.headers.etag).not.toBe(etag);
+    await request(app).get("/api/proxy").query({ url }).set("If-None-Match", etag).expect(200);
+  });
+});
@@ -0,0 +1,112 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * JSONPath测试 - 前端和服务端共用的路径求值和图片提取（public/js/shared/*.mjs）
+ */
+
+const { loadSharedModule } = require("../lib/shared-modules");
+
+let evaluateJsonPath;
+let extractImages;
+
+beforeAll(async () => {
+  ({ evaluateJsonPath } = await loadSharedModule("json-path.mjs"));
+  ({ extractImages } = await loadSharedModule("json-images.mjs"));
+});
+
+const DATA = {
+  code: 200,
+  data: {
+    "图片地址": "https://images.example/cn.jpg",
+    list: [
+      { url: "https://images.example/1.jpg", width: 800, tags: { nsfw: false } },
+      { url: "https://images.example/2.jpg", width: 1920 },
+      { url: "https://images.example/3.jpg", width: 2560, tags: { nsfw: true } },
+    ],
+  },
+};
+
+describe("evaluateJsonPath", () => {
+  test.each([
+    ["data.list[0].url", "https://images.example/1.jpg"],
+    ["$.data.list[-1].width", 2560],
+    ["data['图片地址']", "https://images.example/cn.jpg"],
+    ["$['data']['list'][1]['url']", "https://images.example/2.jpg"],
+  ])("按字段名和下标读取 %s", (path, expected) => {
+    expect(evaluateJsonPath(DATA, path)).toEqual({ value: expected, multiple: false });
+  });
+
+  test("通配符和过滤条件返回所有匹配值", () => {
+    expect(evaluateJsonPath(DATA, "data.list[*].width")).toEqual({
+      value: [800, 1920, 2560],
+      multiple: true,
+    });
+    expect(evaluateJsonPath(DATA, "data.list[?(@.width>=1920)].url").value).toEqual([
+      "https://images.example/2.jpg",
+      "https://images.example/3.jpg",
+    ]);
+    expect(evaluateJsonPath(DATA, "data.list[?(@.tags.nsfw==false)].url").value).toEqual([
+      "https://images.example/1.jpg",
+    ]);
+    // 省略比较时判断字段是否存在
+    expect(evaluateJsonPath(DATA, "data.list[?(@.tags)].width").value).toEqual([800, 2560]);
+  });
+
+  test("random从数组中取一个元素", () => {
+    const { value, multiple } = evaluateJsonPath(DATA, "data.list[random].url");
+    expect(multiple).toBe(false);
+    expect(DATA.data.list.map((item) => item.url)).toContain(value);
+  });
+
+  test("无法匹配时说明在哪一段失败", () => {
+    expect(() => evaluateJsonPath(DATA, "data.list[5].url")).toThrow(
+      '在 "$.data.list" 之后无法匹配 "[5]"：下标 5 超出范围（数组长度为3）'
+    );
+    expect(() => evaluateJsonPath(DATA, "data.missing")).toThrow('字段 "missing" 不存在');
+    expect(() => evaluateJsonPath(DATA, "code.url")).toThrow("值为number");
+  });
+
+  test("不支持的语法抛出语法错误", () => {
+    expect(() => evaluateJsonPath(DATA, "data..url")).toThrow("不支持递归查找");
+    expect(() => evaluateJsonPath(DATA, "")).toThrow("JSON路径未指定");
+  });
+});
+
+describe("extractImages", () => {
+  test("列表元素取URL字段，其余简单字段作为元数据", () => {
+    const { images, jsonPath } = extractImages(DATA, "data.list", 10);
+    expect(jsonPath).toBe("data.list");
+    expect(images).toEqual([
+      { url: "https://images.example/1.jpg", meta: { width: 800 } },
+      { url: "https://images.example/2.jpg", meta: { width: 1920 } },
+      { url: "https://images.example/3.jpg", meta: { width: 2560 } },
+    ]);
+  });
+
+  test("按maxImages截断，重复的URL只保留一个", () => {
+    const data = { list: ["https://a.example/1.jpg", "https://a.example/1.jpg", "https://a.example/2.jpg"] };
+    expect(extractImages(data, "list", 10).images.map((image) => image.url)).toEqual([
+      "https://a.example/1.jpg",
+      "https://a.example/2.jpg",
+    ]);
+    expect(extractImages(data, "list[*]", 1).images).toHaveLength(1);
+  });
+
+  test("跳过非http(s)元素，全部无效时抛出错误", () => {
+    const data = { list: ["javascript:alert(1)", "https:\\/\\/a.example\\/ok.jpg"] };
+    expect(extractImages(data, "list", 10).images).toEqual([
+      { url: "https://a.example/ok.jpg", meta: null },
+    ]);
+    expect(() => extractImages({ list: ["data:image/png;base64,AAAA"] }, "list", 10)).toThrow(
+      "不是http(s)地址"
+    );
+  });
+
+  test("路径为pic但取不到时尝试常见的嵌套路径", () => {
+    const { images, jsonPath } = extractImages({ data: { pic: "https://a.example/p.jpg" } }, "pic");
+    expect(jsonPath).toBe("data.pic");
+    expect(images[0].url).toBe("https://a.example/p.jpg");
+  });
+});
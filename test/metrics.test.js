@@ -0,0 +1,139 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * 运行指标测试 - 计数器和直方图的输出格式；前置校验直接返回的请求按挂载路径统计，
+ * 参数无效与上游失败分开计数，批量接口的失败同样计入
+ */
+
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const { MetricsRegistry } = require("../lib/metrics");
+const { loadServer } = require("./helpers/server");
+
+describe("MetricsRegistry", () => {
+  test("计数器按标签累计，标签值转义", () => {
+    const registry = new MetricsRegistry();
+    const counter = registry.counter({
+      name: "requests_total",
+      help: "Requests",
+      labelNames: ["route", "status"],
+    });
+    counter.inc({ route: "/a", status: 200 });
+    counter.inc({ route: "/a", status: 200 }, 2);
+    counter.inc({ route: 'say "hi"\n', status: 500 });
+
+    expect(registry.render().split("\n")).toEqual(
+      expect.arrayContaining([
+        "# HELP requests_total Requests",
+        "# TYPE requests_total counter",
+        'requests_total{route="/a",status="200"} 3',
+        'requests_total{route="say \\"hi\\"\\n",status="500"} 1',
+      ])
+    );
+  });
+
+  test("直方图输出累计分桶、总和与次数", () => {
+    const registry = new MetricsRegistry();
+    const histogram = registry.histogram({
+      name: "duration_seconds",
+      help: "Duration",
+      labelNames: ["outcome"],
+      buckets: [0.1, 1],
+    });
+    histogram.observe({ outcome: "success" }, 0.05);
+    histogram.observe({ outcome: "success" }, 0.5);
+    histogram.observe({ outcome: "success" }, 5);
+
+    const lines = registry.render().split("\n");
+    expect(lines).toEqual(
+      expect.arrayContaining([
+        'duration_seconds_bucket{outcome="success",le="0.1"} 1',
+        'duration_seconds_bucket{outcome="success",le="1"} 2',
+        'duration_seconds_bucket{outcome="success",le="+Inf"} 3',
+        'duration_seconds_sum{outcome="success"} 5.55',
+        'duration_seconds_count{outcome="success"} 3',
+      ])
+    );
+  });
+});
+
+describe("/metrics", () => {
+  let stub;
+  let instance;
+  let dir;
+
+  beforeAll(async () => {
+    // 桩服务器总是返回500
+    stub = http.createServer((req, res) => {
+      res.writeHead(500, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ code: 500 }));
+    });
+    await new Promise((resolve) => stub.listen(0, "127.0.0.1", resolve));
+    const url = `http://127.0.0.1:${stub.address().port}/`;
+
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "metrics-test-"));
+    const providersFile = path.join(dir, "providers.json");
+    fs.writeFileSync(
+      providersFile,
+      JSON.stringify({
+        defaultProvider: "broken",
+        providers: [
+          {
+            id: "broken",
+            url,
+            allowPrivateNetwork: true,
+            parameters: {
+              category: { default: "a", options: [{ value: "a" }, { value: "b" }] },
+            },
+          },
+        ],
+      })
+    );
+    instance = loadServer({
+      ENABLE_METRICS: "true",
+      ENABLE_COLLECTIONS: "true",
+      PROVIDERS_CONFIG: providersFile,
+    });
+  });
+
+  afterAll(async () => {
+    await instance.close();
+    await new Promise((resolve) => stub.close(resolve));
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const readMetrics = async () => (await request(instance.app).get("/metrics").expect(200)).text;
+
+  test("收藏夹前置校验返回的401按挂载路径统计", async () => {
+    await request(instance.app).get("/api/collections").expect(401);
+    expect(await readMetrics()).toContain(
+      'http_requests_total{route="/api/collections",method="GET",status="401"} 1'
+    );
+  });
+
+  test("参数无效计为invalid_request，不计为上游错误", async () => {
+    await request(instance.app).get("/api/image").query({ category: "zzz" }).expect(400);
+    await request(instance.app).get("/api/images").query({ category: "zzz" }).expect(400);
+
+    const text = await readMetrics();
+    expect(text).toContain(
+      'image_fetch_errors_total{route="image",provider="broken",reason="invalid_request"} 1'
+    );
+    expect(text).toContain(
+      'image_fetch_errors_total{route="images",provider="broken",reason="invalid_request"} 1'
+    );
+    expect(text).not.toContain('reason="upstream"');
+  });
+
+  test("批量接口上游全部失败时计入失败次数", async () => {
+    await request(instance.app).get("/api/images").query({ count: 2 }).expect(502);
+    expect(await readMetrics()).toContain(
+      'image_fetch_errors_total{route="images",provider="broken",reason="upstream"} 1'
+    );
+  });
+});
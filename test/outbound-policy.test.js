@@ -0,0 +1,338 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * 出站请求策略测试 - 使用本机桩服务器验证地址、端口、主机列表、重定向和响应大小限制
+ */
+
+const http = require("http");
+const { OutboundPolicy } = require("../lib/outbound-policy");
+const { requestBuffer, getStream } = require("../lib/http-client");
+
+/**
+ * 启动本机桩服务器
+ * @param {Function} handler - 请求处理函数 (req, res, server)
+ * @returns {Promise<{port: number, url: Function, close: Function}>}
+ */
+function startStub(handler) {
+  return new Promise((resolve) => {
+    const server = http.createServer((req, res) => handler(req, res, server));
+    server.listen(0, "127.0.0.1", () => {
+      const { port } = server.address();
+      resolve({
+        port,
+        url: (path = "/", host = "127.0.0.1") => `http://${host}:${port}${path}`,
+        close: () => new Promise((done) => server.close(done)),
+      });
+    });
+  });
+}
+
+/**
+ * 允许访问本机指定端口的策略，用于让请求到达桩服务器
+ * @param {number[]} ports - 允许的端口
+ * @param {Object} overrides - 其他配置
+ * @returns {OutboundPolicy}
+ */
+function stubPolicy(ports, overrides = {}) {
+  return new OutboundPolicy({ blockPrivateNetworks: false, allowedPorts: ports, ...overrides });
+}
+
+/**
+ * 把桩服务器所在的127.0.0.1视为公网地址的策略，用于测试从公网地址重定向到内网的情况
+ */
+class PublicStubPolicy extends OutboundPolicy {
+  isBlockedAddress(address) {
+    return address !== "127.0.0.1" && super.isBlockedAddress(address);
+  }
+}
+
+describe("OutboundPolicy 地址校验", () => {
+  const policy = new OutboundPolicy();
+
+  test.each([
+    ["10.0.0.1", "私有网络"],
+    ["172.16.5.4", "私有网络"],
+    ["192.168.1.1", "私有网络"],
+    ["100.64.0.1", "运营商级NAT"],
+    ["127.0.0.1", "回环"],
+    ["127.255.255.254", "回环"],
+    ["0.0.0.0", "本网络"],
+    ["169.254.169.254", "链路本地（云服务器元数据）"],
+    ["224.0.0.1", "组播"],
+    ["::1", "IPv6回环"],
+    ["::", "IPv6未指定地址"],
+    ["fe80::1", "IPv6链路本地"],
+    ["fd00::1", "IPv6唯一本地地址"],
+    ["::ffff:127.0.0.1", "IPv4映射的回环地址"],
+    ["::ffff:7f00:1", "十六进制写法的IPv4映射回环地址"],
+    ["::ffff:10.0.0.1", "IPv4映射的私有地址"],
+    ["::ffff:a9fe:a9fe", "十六进制写法的IPv4映射链路本地地址"],
+  ])("拒绝 %s（%s）", (address) => {
+    expect(policy.isBlockedAddress(address)).toBe(true);
+  });
+
+  test.each(["93.184.216.34", "8.8.8.8", "2606:4700:4700::1111", "::ffff:8.8.8.8"])(
+    "允许公网地址 %s",
+    (address) => {
+      expect(policy.isBlockedAddress(address)).toBe(false);
+    }
+  );
+
+  test("无法识别的地址按禁止处理", () => {
+    expect(policy.isBlockedAddress("not-an-ip")).toBe(true);
+  });
+
+  test("关闭内网拦截后不再拒绝私有地址", () => {
+    expect(policy.extend({ blockPrivateNetworks: false }).isBlockedAddress("127.0.0.1")).toBe(false);
+  });
+
+  test.each([
+    "http://127.0.0.1/",
+    "http://[::1]/",
+    "http://[::ffff:127.0.0.1]/",
+    "http://169.254.169.254/latest/meta-data/",
+    "http://10.1.2.3/",
+  ])("URL中的IP字面量 %s 直接拒绝", (url) => {
+    expect(() => policy.assertUrlAllowed(url)).toThrow(/Address not allowed/);
+  });
+
+  test("拒绝的错误为403并带有面向用户的提示", () => {
+    let error;
+    try {
+      policy.assertUrlAllowed("http://127.0.0.1/");
+    } catch (caught) {
+      error = caught;
+    }
+    expect(error.name).toBe("UpstreamError");
+    expect(error.status).toBe(403);
+    expect(error.msg).toBe("目标地址不允许访问");
+  });
+});
+
+describe("OutboundPolicy 协议、端口和主机列表", () => {
+  test.each(["ftp://example.com/a.jpg", "file:///etc/passwd", "gopher://example.com/"])(
+    "拒绝协议 %s",
+    (url) => {
+      expect(() => new OutboundPolicy().assertUrlAllowed(url)).toThrow(/Protocol not allowed/);
+    }
+  );
+
+  test("无效的URL", () => {
+    expect(() => new OutboundPolicy().assertUrlAllowed("not a url")).toThrow(/Invalid URL/);
+  });
+
+  test("默认只允许80和443端口", () => {
+    const policy = new OutboundPolicy();
+    expect(() => policy.assertUrlAllowed("http://example.com/")).not.toThrow();
+    expect(() => policy.assertUrlAllowed("https://example.com/")).not.toThrow();
+    expect(() => policy.assertUrlAllowed("http://example.com:443/")).not.toThrow();
+    expect(() => policy.assertUrlAllowed("http://example.com:8080/")).toThrow(/Port not allowed: 8080/);
+    expect(() => policy.assertUrlAllowed("https://example.com:22/")).toThrow(/Port not allowed: 22/);
+  });
+
+  test("allowedPorts为null时不限制端口", () => {
+    const policy = new OutboundPolicy({ allowedPorts: null });
+    expect(() => policy.assertUrlAllowed("http://example.com:8080/")).not.toThrow();
+  });
+
+  test("拒绝列表匹配主机及其子域名", () => {
+    const policy = new OutboundPolicy({ denyHosts: ["evil.example", "*.bad.example"] });
+    expect(() => policy.assertUrlAllowed("http://evil.example/")).toThrow(/Host denied/);
+    expect(() => policy.assertUrlAllowed("http://cdn.evil.example/")).toThrow(/Host denied/);
+    expect(() => policy.assertUrlAllowed("http://x.bad.example/")).toThrow(/Host denied/);
+    expect(() => policy.assertUrlAllowed("http://EVIL.example/")).toThrow(/Host denied/);
+    expect(() => policy.assertUrlAllowed("http://notevil.example/")).not.toThrow();
+  });
+
+  test("允许列表非空时只允许列表中的主机", () => {
+    const policy = new OutboundPolicy({ allowHosts: ["images.example"] });
+    expect(() => policy.assertUrlAllowed("https://images.example/a.jpg")).not.toThrow();
+    expect(() => policy.assertUrlAllowed("https://cdn.images.example/a.jpg")).not.toThrow();
+    expect(() => policy.assertUrlAllowed("https://other.example/a.jpg")).toThrow(
+      /Host not in allow list/
+    );
+  });
+
+  test("拒绝列表优先于允许列表", () => {
+    const policy = new OutboundPolicy({
+      allowHosts: ["images.example"],
+      denyHosts: ["private.images.example"],
+    });
+    expect(() => policy.assertUrlAllowed("https://private.images.example/")).toThrow(/Host denied/);
+  });
+
+  test("允许列表中的主机仍然校验解析出的地址", () => {
+    const policy = new OutboundPolicy({ allowHosts: ["127.0.0.1"] });
+    expect(() => policy.assertUrlAllowed("http://127.0.0.1/")).toThrow(/Address not allowed/);
+  });
+
+  test("allowPrivateHosts只放行列出的IP和端口", () => {
+    const policy = new OutboundPolicy({ allowPrivateHosts: ["127.0.0.1:3001"] });
+    expect(() => policy.assertUrlAllowed("http://127.0.0.1:3001/images/1.svg")).not.toThrow();
+    expect(() => policy.assertUrlAllowed("http://127.0.0.1:3002/")).toThrow(/Port not allowed/);
+    expect(() => policy.assertUrlAllowed("http://127.0.0.1/")).toThrow(/Address not allowed/);
+    expect(() => policy.assertUrlAllowed("http://127.0.0.2:3001/")).toThrow(/Port not allowed/);
+    expect(() => policy.assertUrlAllowed("http://10.0.0.1/")).toThrow(/Address not allowed/);
+    expect(() => policy.assertUrlAllowed("http://localhost:3001/")).toThrow(/Port not allowed/);
+  });
+});
+
+describe("出站请求经过策略", () => {
+  let stub;
+  let hits;
+
+  beforeEach(async () => {
+    hits = [];
+    stub = await startStub((req, res) => {
+      hits.push(req.url);
+      const redirect = /^\/redirect\?to=(.+)$/.exec(req.url);
+      if (redirect) {
+        res.writeHead(302, { Location: decodeURIComponent(redirect[1]) });
+        res.end();
+        return;
+      }
+      if (req.url === "/loop") {
+        res.writeHead(302, { Location: "/loop" });
+        res.end();
+        return;
+      }
+      if (req.url === "/large") {
+        res.writeHead(200, { "Content-Type": "application/octet-stream", "Content-Length": 4096 });
+        res.end(Buffer.alloc(4096));
+        return;
+      }
+      if (req.url === "/large-chunked") {
+        res.writeHead(200, { "Content-Type": "application/octet-stream" });
+        res.write(Buffer.alloc(2048));
+        res.end(Buffer.alloc(2048));
+        return;
+      }
+      res.writeHead(200, { "Content-Type": "application/json" });
+      res.end(JSON.stringify({ ok: true }));
+    });
+  });
+
+  afterEach(() => stub.close());
+
+  test("默认策略拒绝访问本机桩服务器，请求不会发出", async () => {
+    const policy = new OutboundPolicy({ allowedPorts: [stub.port] });
+    await expect(requestBuffer(stub.url("/"), { policy })).rejects.toMatchObject({ status: 403 });
+    await expect(getStream(stub.url("/"), { policy })).rejects.toMatchObject({ status: 403 });
+    expect(hits).toEqual([]);
+  });
+
+  test("主机名解析到回环地址时在DNS解析后拒绝", async () => {
+    const policy = new OutboundPolicy({ allowedPorts: [stub.port] });
+    await expect(requestBuffer(stub.url("/", "localhost"), { policy })).rejects.toMatchObject({
+      status: 403,
+      message: expect.stringMatching(/Address not allowed: localhost/),
+    });
+    await expect(getStream(stub.url("/", "localhost"), { policy })).rejects.toMatchObject({
+      status: 403,
+    });
+    expect(hits).toEqual([]);
+  });
+
+  test("端口不在允许列表中时拒绝", async () => {
+    const policy = stubPolicy([80]);
+    await expect(requestBuffer(stub.url("/"), { policy })).rejects.toThrow(/Port not allowed/);
+    expect(hits).toEqual([]);
+  });
+
+  test("allowPrivateHosts放行的地址可以访问，主机名解析到的同一地址仍然拒绝", async () => {
+    const policy = new OutboundPolicy({ allowPrivateHosts: [`127.0.0.1:${stub.port}`] });
+    const response = await requestBuffer(stub.url("/"), { policy });
+    expect(response.statusCode).toBe(200);
+    await expect(
+      requestBuffer(stub.url("/", "localhost"), { policy: policy.extend({ allowedPorts: null }) })
+    ).rejects.toMatchObject({ status: 403 });
+    expect(hits).toEqual(["/"]);
+  });
+
+  test("允许访问时正常返回", async () => {
+    const response = await requestBuffer(stub.url("/"), { policy: stubPolicy([stub.port]) });
+    expect(response.statusCode).toBe(200);
+    expect(JSON.parse(response.body.toString())).toEqual({ ok: true });
+  });
+
+  test("每一跳重定向都重新校验拒绝列表", async () => {
+    const policy = stubPolicy([stub.port], { denyHosts: ["localhost"] });
+    const target = encodeURIComponent(stub.url("/", "localhost"));
+
+    await expect(
+      requestBuffer(stub.url(`/redirect?to=${target}`), { policy, followRedirects: true })
+    ).rejects.toThrow(/Host denied: localhost/);
+    await expect(getStream(stub.url(`/redirect?to=${target}`), { policy })).rejects.toThrow(
+      /Host denied: localhost/
+    );
+    expect(hits).toEqual([`/redirect?to=${target}`, `/redirect?to=${target}`]);
+  });
+
+  test("每一跳重定向都重新校验端口", async () => {
+    const policy = stubPolicy([stub.port]);
+    const target = encodeURIComponent("http://127.0.0.1:1/");
+
+    await expect(
+      requestBuffer(stub.url(`/redirect?to=${target}`), { policy, followRedirects: true })
+    ).rejects.toThrow(/Port not allowed: 1/);
+    await expect(getStream(stub.url(`/redirect?to=${target}`), { policy })).rejects.toThrow(
+      /Port not allowed: 1/
+    );
+  });
+
+  test.each([
+    ["云服务器元数据地址", "http://169.254.169.254/latest/meta-data/"],
+    ["IPv6回环地址", "http://[::1]:{port}/"],
+    ["私有网络地址", "http://10.0.0.1/"],
+  ])("公网地址重定向到%s时拒绝", async (name, location) => {
+    // 把桩服务器视为公网地址，其余地址按默认规则校验
+    const policy = new PublicStubPolicy({ allowedPorts: [stub.port, 80] });
+    const target = encodeURIComponent(location.replace("{port}", stub.port));
+
+    await expect(
+      requestBuffer(stub.url(`/redirect?to=${target}`), { policy, followRedirects: true })
+    ).rejects.toMatchObject({ status: 403, message: expect.stringMatching(/Address not allowed/) });
+    await expect(getStream(stub.url(`/redirect?to=${target}`), { policy })).rejects.toMatchObject({
+      status: 403,
+    });
+    expect(hits).toHaveLength(2);
+  });
+
+  test("重定向次数超过限制时拒绝", async () => {
+    const policy = stubPolicy([stub.port], { maxRedirects: 2 });
+
+    await expect(
+      requestBuffer(stub.url("/loop"), { policy, followRedirects: true })
+    ).rejects.toMatchObject({ status: 502, message: "重定向次数过多" });
+    await expect(getStream(stub.url("/loop"), { policy })).rejects.toMatchObject({
+      status: 502,
+      message: "重定向次数过多",
+    });
+    // 每个请求: 首次请求 + 2次重定向
+    expect(hits).toHaveLength(6);
+  });
+
+  test("响应超过大小限制时拒绝", async () => {
+    const policy = stubPolicy([stub.port], { maxResponseBytes: 1024 });
+
+    await expect(requestBuffer(stub.url("/large"), { policy })).rejects.toMatchObject({
+      status: 502,
+      msg: "响应内容过大",
+    });
+    await expect(requestBuffer(stub.url("/large-chunked"), { policy })).rejects.toMatchObject({
+      msg: "响应内容过大",
+    });
+    // Content-Length超限时getStream直接拒绝
+    await expect(getStream(stub.url("/large"), { policy })).rejects.toMatchObject({
+      msg: "响应内容过大",
+    });
+  });
+
+  test("响应未超过大小限制时正常读取", async () => {
+    const policy = stubPolicy([stub.port], { maxResponseBytes: 4096 });
+    const response = await requestBuffer(stub.url("/large"), { policy });
+    expect(response.body).toHaveLength(4096);
+  });
+});
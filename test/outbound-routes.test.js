@@ -0,0 +1,138 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * 出站请求路由测试 - /api/custom、/api/proxy、/api/image/meta 和图片源都经过出站请求策略
+ */
+
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+
+let stub;
+let stubUrl;
+let hits;
+let tempDir;
+let app;
+let server;
+
+beforeAll(async () => {
+  hits = [];
+  stub = http.createServer((req, res) => {
+    hits.push(req.url);
+    res.writeHead(200, { "Content-Type": "application/json" });
+    res.end(JSON.stringify({ url: "https://images.example/1.jpg" }));
+  });
+  await new Promise((resolve) => stub.listen(0, "127.0.0.1", resolve));
+  const { port } = stub.address();
+  stubUrl = (pathname = "/", host = "127.0.0.1") => `http://${host}:${port}${pathname}`;
+
+  // 图片源 "private" 声明了 allowPrivateNetwork，"public" 没有，两者都指向本机桩服务器
+  tempDir = fs.mkdtempSync(path.join(os.tmpdir(), "outbound-routes-"));
+  const providersFile = path.join(tempDir, "providers.json");
+  fs.writeFileSync(
+    providersFile,
+    JSON.stringify({
+      defaultProvider: "public",
+      providers: [
+        { id: "public", url: stubUrl("/public"), mapping: { url: "url" } },
+        { id: "private", url: stubUrl("/private"), allowPrivateNetwork: true, mapping: { url: "url" } },
+      ],
+    })
+  );
+
+  // 放行桩服务器的端口，只验证地址校验
+  Object.assign(process.env, {
+    PORT: "0",
+    PROVIDERS_CONFIG: providersFile,
+    OUTBOUND_ALLOWED_PORTS: `80,443,${port}`,
+    ENABLE_IMAGE_PROXY: "true",
+    IMAGE_CACHE_DIR: path.join(tempDir, "images"),
+    ENABLE_URL_POOL: "false",
+    ENABLE_DEDUP: "false",
+    ENABLE_SERVED_LOG: "false",
+    ENABLE_COLLECTIONS: "false",
+    ENABLE_SHARES: "false",
+    ENABLE_CLIENT_ERRORS: "false",
+    ENABLE_TELEMETRY: "false",
+    ENABLE_RATE_LIMIT: "false",
+    LOG_LEVEL: "error",
+  });
+  delete process.env.OUTBOUND_ALLOW_PRIVATE;
+  ({ app, server } = require("../server"));
+});
+
+afterAll(async () => {
+  await new Promise((resolve) => server.close(resolve));
+  await new Promise((resolve) => stub.close(resolve));
+  fs.rmSync(tempDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  hits.length = 0;
+});
+
+describe("POST /api/custom", () => {
+  test.each([
+    ["回环地址", () => stubUrl("/")],
+    ["解析到回环地址的主机名", () => stubUrl("/", "localhost")],
+    ["云服务器元数据地址", () => "http://169.254.169.254/latest/meta-data/"],
+    ["IPv4映射的IPv6回环地址", () => stubUrl("/", "[::ffff:127.0.0.1]")],
+  ])("拒绝%s", async (name, url) => {
+    const response = await request(app)
+      .post("/api/custom")
+      .send({ url: url(), jsonPath: "url" })
+      .expect(403);
+    expect(response.body).toMatchObject({ success: false, msg: "目标地址不允许访问" });
+    expect(hits).toEqual([]);
+  });
+
+  test("拒绝不允许的端口", async () => {
+    const response = await request(app)
+      .post("/api/custom")
+      .send({ url: "http://images.example:8080/api", jsonPath: "url" })
+      .expect(403);
+    expect(response.body.error).toMatch(/Port not allowed: 8080/);
+  });
+});
+
+describe("GET /api/proxy", () => {
+  test("拒绝代理本机图片", async () => {
+    await request(app)
+      .get("/api/proxy")
+      .query({ url: stubUrl("/a.jpg") })
+      .expect(403);
+    await request(app)
+      .get("/api/proxy")
+      .query({ url: stubUrl("/a.jpg", "localhost") })
+      .expect(403);
+    expect(hits).toEqual([]);
+  });
+});
+
+describe("GET /api/image/meta", () => {
+  test("拒绝读取本机图片", async () => {
+    await request(app)
+      .get("/api/image/meta")
+      .query({ url: stubUrl("/a.jpg") })
+      .expect(403);
+    expect(hits).toEqual([]);
+  });
+});
+
+describe("图片源", () => {
+  test("未声明 allowPrivateNetwork 的图片源不能访问本机", async () => {
+    const response = await request(app).get("/api/image/public").expect(403);
+    expect(response.body.success).toBe(false);
+    expect(hits).toEqual([]);
+  });
+
+  test("声明了 allowPrivateNetwork 的图片源可以访问本机", async () => {
+    const response = await request(app).get("/api/image/private").expect(200);
+    expect(response.body.url).toBe("https://images.example/1.jpg");
+    expect(hits).toEqual(["/private"]);
+  });
+});
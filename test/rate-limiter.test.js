@@ -0,0 +1,89 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * 令牌桶限流测试 - 按key独立计数、按时间补充令牌；中间件超限时返回429和Retry-After
+ */
+
+const express = require("express");
+const request = require("supertest");
+const { TokenBucketLimiter, createRateLimitMiddleware } = require("../lib/rate-limiter");
+
+describe("TokenBucketLimiter", () => {
+  let limiter;
+
+  beforeEach(() => {
+    jest.useFakeTimers({ now: 1_000_000 });
+    limiter = new TokenBucketLimiter({ capacity: 3, refillPerSecond: 0.5 });
+  });
+  afterEach(() => {
+    limiter.close();
+    jest.useRealTimers();
+  });
+
+  test("容量用完后拒绝，并给出需要等待的秒数", () => {
+    expect(limiter.consume("a")).toEqual({ allowed: true, remaining: 2, retryAfter: 0 });
+    limiter.consume("a");
+    limiter.consume("a");
+    expect(limiter.consume("a")).toEqual({ allowed: false, remaining: 0, retryAfter: 2 });
+  });
+
+  test("按经过的时间补充令牌，不超过容量", () => {
+    for (let i = 0; i < 3; i++) limiter.consume("a");
+
+    jest.advanceTimersByTime(2000);
+    expect(limiter.consume("a")).toMatchObject({ allowed: true, remaining: 0 });
+
+    jest.advanceTimersByTime(60_000);
+    expect(limiter.consume("a")).toMatchObject({ allowed: true, remaining: 2 });
+  });
+
+  test("不同key互不影响，消耗多个令牌的请求按cost计算", () => {
+    expect(limiter.consume("a", 3).allowed).toBe(true);
+    expect(limiter.consume("a").allowed).toBe(false);
+    expect(limiter.consume("b").allowed).toBe(true);
+    expect(limiter.consume("b", 5)).toMatchObject({ allowed: false, retryAfter: 6 });
+  });
+
+  test("定期清理已回满的令牌桶", () => {
+    limiter.consume("a");
+    limiter.consume("b", 3);
+    jest.advanceTimersByTime(2000);
+    limiter.sweep();
+    expect(Array.from(limiter.buckets.keys())).toEqual(["b"]);
+  });
+});
+
+describe("createRateLimitMiddleware", () => {
+  let limiter;
+  let app;
+
+  beforeEach(() => {
+    limiter = new TokenBucketLimiter({ capacity: 2, refillPerSecond: 0.1 });
+    app = express();
+    app.get(
+      "/limited",
+      createRateLimitMiddleware(limiter, { cost: (req) => Number(req.query.cost || 1) }),
+      (req, res) => res.json({ ok: true })
+    );
+  });
+  afterEach(() => limiter.close());
+
+  test("超限时返回429，带Retry-After并允许前端读取", async () => {
+    const first = await request(app).get("/limited").expect(200);
+    expect(first.headers["x-ratelimit-limit"]).toBe("2");
+    expect(first.headers["x-ratelimit-remaining"]).toBe("1");
+    await request(app).get("/limited").expect(200);
+
+    const limited = await request(app).get("/limited").expect(429);
+    expect(limited.headers["retry-after"]).toBe("10");
+    expect(limited.headers["access-control-expose-headers"]).toMatch(/Retry-After/);
+    expect(limited.body).toMatchObject({ success: false, msg: "请求过于频繁，请稍后再试" });
+  });
+
+  test("cost选项按请求计算消耗的令牌数", async () => {
+    await request(app).get("/limited").query({ cost: 3 }).expect(429);
+    await request(app).get("/limited").query({ cost: 2 }).expect(200);
+  });
+});
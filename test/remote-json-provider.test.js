@@ -0,0 +1,80 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * 远程JSON图片源测试 - 按mapping提取图片URL，只接受http(s)地址；上游返回非2xx时不提取
+ */
+
+const http = require("http");
+const { OutboundPolicy } = require("../lib/outbound-policy");
+const { RemoteJsonProvider } = require("../lib/providers/remote-json-provider");
+
+let stub;
+let stubUrl;
+
+// 允许访问本机桩服务器
+const policy = new OutboundPolicy({ blockPrivateNetworks: false, allowedPorts: null });
+
+// 路径 -> [状态码, 响应体]
+const RESPONSES = {
+  "/ok": [200, { code: 1, data: { images: [{ src: "https://images.example/1.jpg" }] } }],
+  "/javascript": [200, { code: 1, data: { images: [{ src: "javascript:alert(1)" }] } }],
+  "/data": [200, { code: 1, data: { images: [{ src: "data:image/svg+xml,<svg/>" }] } }],
+  "/not-found": [404, { code: 1, data: { images: [{ src: "https://images.example/404.jpg" }] } }],
+  "/server-error": [500, { code: 1, data: { images: [{ src: "https://images.example/500.jpg" }] } }],
+  "/failed": [200, { code: 0, data: { images: [{ src: "https://images.example/2.jpg" }] } }],
+};
+
+beforeAll(async () => {
+  stub = http.createServer((req, res) => {
+    const [status, body] = RESPONSES[req.url.split("?")[0]];
+    res.writeHead(status, { "Content-Type": "application/json" });
+    res.end(JSON.stringify(body));
+  });
+  await new Promise((resolve) => stub.listen(0, "127.0.0.1", resolve));
+  stubUrl = (pathname) => `http://127.0.0.1:${stub.address().port}${pathname}`;
+});
+
+afterAll(() => new Promise((resolve) => stub.close(resolve)));
+
+function createProvider(pathname) {
+  return new RemoteJsonProvider(
+    {
+      id: "test",
+      url: stubUrl(pathname),
+      mapping: { url: "data.images.0.src", code: "code" },
+      validation: { successCode: 1 },
+    },
+    { policy }
+  );
+}
+
+test("按mapping中的路径提取图片URL", async () => {
+  await expect(createProvider("/ok").fetchImage()).resolves.toMatchObject({
+    url: "https://images.example/1.jpg",
+    code: 1,
+  });
+});
+
+test.each(["/javascript", "/data"])("拒绝非http(s)的图片地址（%s）", async (pathname) => {
+  await expect(createProvider(pathname).fetchImage()).rejects.toMatchObject({
+    name: "UpstreamError",
+    msg: "数据解析失败",
+  });
+});
+
+test.each(["/not-found", "/server-error"])("上游返回非2xx时不提取图片（%s）", async (pathname) => {
+  await expect(createProvider(pathname).fetchImage()).rejects.toMatchObject({
+    name: "UpstreamError",
+    status: 502,
+    msg: "图片源返回错误",
+  });
+});
+
+test("业务状态码不符合successCode时拒绝", async () => {
+  await expect(createProvider("/failed").fetchImage()).rejects.toMatchObject({
+    name: "UpstreamError",
+    message: "API返回错误状态码: 0",
+  });
+});
@@ -0,0 +1,77 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * 图片发放日志测试 - /api/log 必须配置管理令牌后才能访问，过滤和分页按最新在前返回
+ */
+
+const fs = require("fs");
+const path = require("path");
+const request = require("supertest");
+const { loadServer } = require("./helpers/server");
+
+const TOKEN = "test-admin-token";
+
+const ENTRIES = [
+  { provider: "a", url: "https://images.example/1.jpg", sessionId: "session-0001", timestamp: 1000 },
+  { provider: "b", url: "https://images.example/2.jpg", sessionId: "session-0002", timestamp: 2000 },
+  { provider: "a", url: "https://images.example/3.jpg", sessionId: "session-0001", timestamp: 3000 },
+];
+
+describe("未配置管理令牌", () => {
+  let instance;
+
+  beforeAll(() => {
+    instance = loadServer({ ENABLE_SERVED_LOG: "true" });
+  });
+  afterAll(() => instance.close());
+
+  test("/api/log 返回403，不公开日志", async () => {
+    const response = await request(instance.app).get("/api/log").expect(403);
+    expect(response.body).toMatchObject({ success: false, msg: "管理接口未启用" });
+    expect(response.body.entries).toBeUndefined();
+  });
+});
+
+describe("配置了管理令牌", () => {
+  let instance;
+
+  beforeAll(() => {
+    instance = loadServer({ ENABLE_SERVED_LOG: "true", ADMIN_TOKEN: TOKEN });
+    fs.appendFileSync(
+      path.join(instance.dir, "served-images.jsonl"),
+      `${ENTRIES.map((entry) => JSON.stringify({ ...entry, route: "image" })).join("\n")}\n`
+    );
+  });
+  afterAll(() => instance.close());
+
+  test("缺少或错误的令牌返回401", async () => {
+    await request(instance.app).get("/api/log").expect(401);
+    await request(instance.app).get("/api/log").set("Authorization", "Bearer wrong").expect(401);
+    await request(instance.app).get("/api/log").query({ token: TOKEN }).expect(401);
+  });
+
+  test("按条件过滤，最新的在前", async () => {
+    const response = await request(instance.app)
+      .get("/api/log")
+      .set("Authorization", `Bearer ${TOKEN}`)
+      .query({ session: "session-0001" })
+      .expect(200);
+    expect(response.body.total).toBe(2);
+    expect(response.body.entries.map((entry) => entry.url)).toEqual([
+      "https://images.example/3.jpg",
+      "https://images.example/1.jpg",
+    ]);
+  });
+
+  test("分页和时间范围", async () => {
+    const response = await request(instance.app)
+      .get("/api/log")
+      .set("Authorization", `Bearer ${TOKEN}`)
+      .query({ since: 1500, offset: 1, limit: 1 })
+      .expect(200);
+    expect(response.body.total).toBe(2);
+    expect(response.body.entries.map((entry) => entry.provider)).toEqual(["b"]);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * 分享链接测试 - 重复分享返回相同短id，超出上限时删除最早的；分享收藏夹需要其所有者的同步码，
+ * 分享链接本身不需要凭证即可查看
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const request = require("supertest");
+const { ShareStore } = require("../lib/share-store");
+const { loadServer } = require("./helpers/server");
+
+const OWNER = "a".repeat(64);
+const OTHER = "b".repeat(64);
+
+describe("ShareStore", () => {
+  let dir;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "share-store-"));
+    store = new ShareStore({ file: path.join(dir, "shares.json"), idLength: 8, maxShares: 2 });
+    store.init();
+  });
+  afterEach(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  test("同一张图片重复分享返回已有记录", async () => {
+    const first = await store.create({ url: "https://images.example/1.jpg", provider: "mock" });
+    const second = await store.create({ url: "https://images.example/1.jpg" });
+
+    expect(first.created).toBe(true);
+    expect(first.share).toMatchObject({ type: "image", provider: "mock" });
+    expect(first.share.id).toMatch(/^[0-9A-Za-z]{8}$/);
+    expect(second).toEqual({ share: first.share, created: false });
+  });
+
+  test("超出上限时删除最早的分享，文件重新加载后内容一致", async () => {
+    const { share: oldest } = await store.create({ url: "https://images.example/1.jpg" });
+    await store.create({ url: "https://images.example/2.jpg" });
+    const { share: newest } = await store.create({ collectionId: "collection-1" });
+
+    expect(store.get(oldest.id)).toBeNull();
+
+    const reloaded = new ShareStore({ file: store.file, idLength: 8, maxShares: 2 });
+    reloaded.init();
+    expect(reloaded.get(newest.id)).toEqual(newest);
+    expect(reloaded.get(oldest.id)).toBeNull();
+  });
+
+  test("拒绝非http(s)图片地址和无效的收藏夹id", async () => {
+    await expect(store.create({ url: "javascript:alert(1)" })).rejects.toMatchObject({ status: 400 });
+    await expect(store.create({ collectionId: 42 })).rejects.toMatchObject({ status: 400 });
+  });
+});
+
+describe("/api/shares", () => {
+  let instance;
+
+  beforeAll(() => {
+    instance = loadServer({ ENABLE_COLLECTIONS: "true", ENABLE_SHARES: "true" });
+  });
+  afterAll(() => instance.close());
+
+  test("分享收藏夹需要所有者的同步码，查看分享不需要", async () => {
+    const { body } = await request(instance.app)
+      .post("/api/collections")
+      .set("X-Client-Id", OWNER)
+      .send({ name: "风景" })
+      .expect(201);
+    const collectionId = body.collection.id;
+    await request(instance.app)
+      .post(`/api/collections/${collectionId}/items`)
+      .set("X-Client-Id", OWNER)
+      .send({ url: "https://images.example/1.jpg" })
+      .expect(201);
+
+    await request(instance.app).post("/api/shares").send({ collectionId }).expect(401);
+    await request(instance.app)
+      .post("/api/shares")
+      .set("X-Client-Id", OTHER)
+      .send({ collectionId })
+      .expect(404);
+
+    const created = await request(instance.app)
+      .post("/api/shares")
+      .set("X-Client-Id", OWNER)
+      .send({ collectionId })
+      .expect(201);
+    expect(created.body.shareUrl).toMatch(new RegExp(`/s/${created.body.share.id}$`));
+
+    const shared = await request(instance.app)
+      .get(`/api/shares/${created.body.share.id}`)
+      .expect(200);
+    expect(shared.body.share).toMatchObject({ type: "collection", collectionId });
+    expect(JSON.stringify(shared.body)).toContain("https://images.example/1.jpg");
+  });
+
+  test("分享页面带Open Graph图片，不存在的分享返回404", async () => {
+    const { body } = await request(instance.app)
+      .post("/api/shares")
+      .send({ url: "https://images.example/og.jpg" })
+      .expect(201);
+
+    const page = await request(instance.app).get(`/s/${body.share.id}`).expect(200);
+    expect(page.text).toContain('property="og:image" content="https://images.example/og.jpg"');
+
+    await request(instance.app).get("/api/shares/missing1").expect(404);
+  });
+});
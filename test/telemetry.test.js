@@ -0,0 +1,126 @@
+/**
+ * @jest-environment node
+ */
+
+/**
+ * 性能数据测试 - 汇总接口和页面需要管理令牌；页面通过表单登录，不接受URL中的令牌
+ */
+
+const request = require("supertest");
+const { loadServer } = require("./helpers/server");
+
+const TOKEN = "test-admin-token";
+
+describe("未配置管理令牌", () => {
+  let instance;
+
+  beforeAll(() => {
+    instance = loadServer({ ENABLE_TELEMETRY: "true" });
+  });
+  afterAll(() => instance.close());
+
+  test("汇总接口和页面返回403", async () => {
+    await request(instance.app).get("/api/telemetry").expect(403);
+    await request(instance.app).get("/telemetry").expect(403);
+    await request(instance.app).post("/telemetry/login").type("form").send({ token: "" }).expect(403);
+  });
+});
+
+describe("配置了管理令牌", () => {
+  let instance;
+
+  beforeAll(() => {
+    instance = loadServer({ ENABLE_TELEMETRY: "true", ADMIN_TOKEN: TOKEN });
+  });
+  afterAll(() => instance.close());
+
+  test("汇总接口需要Bearer令牌，不接受查询参数中的令牌", async () => {
+    await request(instance.app).get("/api/telemetry").query({ token: TOKEN }).expect(401);
+    await request(instance.app)
+      .get("/api/telemetry")
+      .set("Authorization", `Bearer ${TOKEN}`)
+      .expect(200);
+  });
+
+  test("上报的耗时按图片源和设备类型汇总", async () => {
+    await request(instance.app)
+      .post("/api/telemetry")
+      .send({
+        deviceType: "mobile",
+        imageLoads: [
+          { provider: "mock", ms: 100 },
+          { provider: "mock", ms: 300 },
+        ],
+        apiCalls: [{ provider: "mock", ms: 50, ok: false }],
+      })
+      .expect(202);
+
+    // 写入流异步落盘
+    let body;
+    for (let i = 0; i < 50; i++) {
+      ({ body } = await request(instance.app)
+        .get("/api/telemetry")
+        .set("Authorization", `Bearer ${TOKEN}`)
+        .expect(200));
+      if (body.reports === 1) break;
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+
+    expect(body.groups).toEqual([
+      expect.objectContaining({
+        provider: "mock",
+        deviceType: "mobile",
+        imageLoad: expect.objectContaining({ count: 2 }),
+        apiCall: expect.objectContaining({ count: 1, failures: 1 }),
+      }),
+    ]);
+  });
+
+  test("页面未登录时显示登录表单，URL中的令牌无效", async () => {
+    const response = await request(instance.app)
+      .get("/telemetry")
+      .query({ token: TOKEN, days: 3 })
+      .expect(401);
+    expect(response.text).toContain('action="/telemetry/login"');
+    expect(response.text).toContain('name="days" value="3"');
+    expect(response.text).not.toContain("<table>");
+  });
+
+  test("错误的令牌登录失败，不设置Cookie", async () => {
+    const response = await request(instance.app)
+      .post("/telemetry/login")
+      .type("form")
+      .send({ token: "wrong", days: "3" })
+      .expect(401);
+    expect(response.headers["set-cookie"]).toBeUndefined();
+    expect(response.text).toContain("访问令牌错误");
+  });
+
+  test("表单登录后通过Cookie访问页面，Cookie中不包含令牌", async () => {
+    const login = await request(instance.app)
+      .post("/telemetry/login")
+      .type("form")
+      .send({ token: TOKEN, days: "3" })
+      .expect(303);
+    expect(login.headers.location).toBe("/telemetry?days=3");
+
+    const [cookie] = login.headers["set-cookie"];
+    expect(cookie).toMatch(/HttpOnly/);
+    expect(cookie).toMatch(/SameSite=Strict/);
+    expect(cookie).toMatch(/Path=\/telemetry/);
+    expect(cookie).not.toContain(TOKEN);
+
+    const page = await request(instance.app)
+      .get("/telemetry")
+      .query({ days: 3 })
+      .set("Cookie", cookie.split(";")[0])
+      .expect(200);
+    expect(page.text).toContain("性能数据汇总");
+    expect(page.text).toContain("最近 3 天");
+
+    await request(instance.app)
+      .get("/telemetry")
+      .set("Cookie", "telemetry_session=forged")
+      .expect(401);
+  });
+});